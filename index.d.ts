@@ -0,0 +1,1336 @@
+/// <reference types="node" />
+/**
+ * Type declarations for the LLMWhisperer API v2 client.
+ *
+ * These mirror the runtime behaviour of index.js. Result shapes follow the
+ * LLMWhisperer API documentation:
+ * https://docs.unstract.com/llmwhisperer/llm_whisperer/apis/
+ */
+import type { AxiosInstance, AxiosResponse } from "axios";
+import type { IncomingMessage, ServerResponse } from "http";
+import type { Readable } from "stream";
+
+/** Processing modes accepted by the `/whisper` endpoint. */
+export type WhisperMode = "native_text" | "low_cost" | "high_quality" | "form";
+
+/** Output modes accepted by the `/whisper` endpoint. */
+export type OutputMode = "layout_preserving" | "text" | "line-printer";
+
+/** Strategies for splitting lines that overlap vertically. */
+export type LineSplitterStrategy = "left-priority" | "right-priority";
+
+/** Logging levels understood by the client logger. */
+export type LoggingLevel = "error" | "warn" | "info" | "debug";
+
+/** winston and pino levels accepted as `loggingLevel`, mapped to the nearest LoggingLevel. */
+export type LoggingLevelAlias =
+  | "fatal"
+  | "http"
+  | "verbose"
+  | "silly"
+  | "trace";
+
+/**
+ * A logger the client can write to: pino, bunyan, winston, console, or
+ * anything with at least one of these methods.
+ */
+export type LoggerLike = Partial<
+  Record<LoggingLevel, (...args: never[]) => unknown>
+>;
+
+/** The client's logger. Fields are redacted before they are logged. */
+export type ClientLogger = Record<
+  LoggingLevel,
+  (message: string, fields?: Record<string, unknown>) => void
+>;
+
+/** Job states reported by `/whisper-status`. */
+export type WhisperJobStatus =
+  | "accepted"
+  | "processing"
+  | "processed"
+  | "error"
+  | "retrieved";
+
+/** Context passed to a custom `PollPolicy.interval` function. */
+export interface PollContext {
+  /** Status checks made so far (1 after the first). */
+  attempt: number;
+  /** Seconds since the wait started. */
+  elapsed: number;
+  lastStatus: WhisperStatusResult;
+}
+
+/** How long to sleep between `/whisper-status` checks while waiting on a job. */
+export interface PollPolicy {
+  /** Seconds before the second status check. Defaults to 5. */
+  initialInterval?: number;
+  /** Multiplier applied to the interval after each check. Defaults to 1. */
+  backoffFactor?: number;
+  /** Cap on the computed interval, in seconds. Defaults to 60. */
+  maxInterval?: number;
+  /**
+   * Returns the interval in seconds; replaces the backoff computation. Any
+   * other return than a non-negative number fails the wait.
+   */
+  interval?: (context: PollContext) => number;
+  /** Sleep at least as long as a Retry-After header asks. Defaults to true. */
+  respectRetryAfter?: boolean;
+}
+
+export interface LLMWhispererClientV2Config {
+  /** The base URL for the API. Defaults to `LLMWHISPERER_BASE_URL_V2` or the us-central endpoint. */
+  baseUrl?: string;
+  /**
+   * Base URLs in order of preference, used instead of `baseUrl`. A region
+   * failing with a network error or a 5xx is skipped for `failoverCooldown`
+   * seconds; calls about a job go back to the region that accepted it.
+   */
+  baseUrls?: string[];
+  /** Seconds a failed region is skipped for. Defaults to 60. */
+  failoverCooldown?: number;
+  /** The API key. Defaults to `LLMWHISPERER_API_KEY`. */
+  apiKey?: string;
+  /**
+   * Returns the API key instead of `apiKey`. Called before the first request,
+   * and with `refresh: true` after a 401, which is then retried once.
+   */
+  apiKeyProvider?: ApiKeyProvider | null;
+  /**
+   * The lowest level logged. Defaults to `LLMWHISPERER_LOGGING_LEVEL`. Without
+   * a `logger`, setting it logs to the console; nothing is logged by default.
+   * An unknown level logs a warning and falls back to "info".
+   */
+  loggingLevel?:
+    | LoggingLevel
+    | LoggingLevelAlias
+    | Uppercase<LoggingLevel | LoggingLevelAlias>
+    | "";
+  /** A logger to send the client's logs to, with secrets redacted. */
+  logger?: LoggerLike | null;
+  /** Maximum number of retry attempts (0 to disable retries). */
+  maxRetries?: number;
+  /** Initial delay in seconds before the first retry. */
+  initialDelay?: number;
+  /** Maximum delay cap in seconds between retries. */
+  maxDelay?: number;
+  /** Exponential multiplier for retry delay. */
+  backoffFactor?: number;
+  /** Maximum random additive jitter in seconds. */
+  jitter?: number;
+  /** Default poll policy for `waitForCompletion` and WhisperJob waits. */
+  pollPolicy?: PollPolicy;
+  /** Reuses completed extractions of identical documents and options. */
+  cache?: CacheStore | null;
+  /** Records the jobs whisper() waits on, so resumePending() can finish them after a crash. */
+  journal?: JournalStore | null;
+  /** A page budget checked against `/get-usage-info` before each upload. */
+  quotaGuard?: QuotaGuard | QuotaGuardOptions | null;
+  /** Spaces requests out before they are sent, with separate budgets for uploads and other calls. */
+  rateLimiter?: RateLimiter | RateLimiterOptions | null;
+  /** Refuses calls at once while the API is failing. */
+  circuitBreaker?: CircuitBreaker | CircuitBreakerOptions | null;
+  /** Records API exchanges to, or replays them from, cassette files. Meant for tests. */
+  recorder?: RecorderOptions | null;
+  /** Lifecycle hooks, or several sets of them run in order. */
+  hooks?: Hooks | Hooks[];
+  /**
+   * OpenTelemetry options, used when `@opentelemetry/api` is installed.
+   * `false` turns instrumentation off.
+   */
+  telemetry?: TelemetryOptions | false;
+}
+
+export type ApiKeyProvider = (context: {
+  /** True when the current key was rejected or refreshApiKey() was called. */
+  refresh: boolean;
+}) => string | Promise<string>;
+
+/** The base URLs a client uses, their health and the region of each job. */
+export interface RegionPool {
+  /** Base URLs in order of preference. */
+  baseUrls: string[];
+  /** Seconds a failed region is skipped for. */
+  cooldown: number;
+  readonly primary: string;
+  /** The first region not cooling down. */
+  active(): string;
+  regionOf(url: string): string | undefined;
+  markFailed(url: string): string | undefined;
+  reroute(url: string): string;
+  /** The region that accepted a job; the primary one if unknown. */
+  baseUrlFor(whisperHash: string): string;
+  pin(whisperHash: string, baseUrl: string): void;
+}
+
+export interface TelemetryOptions {
+  /** An OpenTelemetry TracerProvider to use instead of the global one. */
+  tracerProvider?: { getTracer(name: string, version?: string): unknown };
+  /** An OpenTelemetry MeterProvider to use instead of the global one. */
+  meterProvider?: { getMeter(name: string, version?: string): unknown };
+}
+
+export type ClientMethod =
+  | "getUsageInfo"
+  | "whisper"
+  | "whisperStatus"
+  | "whisperRetrieve"
+  | "registerWebhook"
+  | "updateWebhookDetails"
+  | "getWebhookDetails"
+  | "deleteWebhookDetails"
+  | "whisperDetail"
+  | "getHighlightData";
+
+export interface RequestContext {
+  /** The client method that made the request. */
+  method: ClientMethod | undefined;
+  /** The HTTP method, e.g. "GET". */
+  httpMethod: string;
+  url: string | undefined;
+  /** The query parameters. `beforeRequest` may change them. */
+  params: Record<string, unknown>;
+  /** The request headers. `beforeRequest` may change them. */
+  headers: Record<string, unknown>;
+  /** 1 for the first attempt; for `onRetry`, the attempt about to be made. */
+  attempt: number;
+  /** Epoch milliseconds when the first attempt started. */
+  startedAt: number | undefined;
+  /** Milliseconds since the first attempt started. */
+  durationMs: number;
+}
+
+export interface ResponseContext extends RequestContext {
+  status: number;
+  response: AxiosResponse;
+}
+
+export interface ErrorContext extends RequestContext {
+  /** The HTTP status, when a response was received. */
+  status: number | undefined;
+  error: LLMWhispererClientException;
+}
+
+export interface PollStatusContext {
+  whisperHash: string;
+  status: WhisperStatusResult;
+  /** 1 for the first status check. */
+  attempt: number;
+  /** Milliseconds since the wait started. */
+  durationMs: number;
+}
+
+export interface JobCompleteContext {
+  whisperHash: string;
+  /** The final status: "processed", "retrieved" or "error". */
+  status: WhisperStatusResult;
+  /** Milliseconds since the wait started. */
+  durationMs: number;
+}
+
+/**
+ * Callbacks run around API calls and job waits. Hooks may be async. A
+ * throwing `beforeRequest` fails the call; other hooks are logged and ignored.
+ */
+export interface Hooks {
+  /** Runs before every attempt, retries included. */
+  beforeRequest?: (context: RequestContext) => void | Promise<void>;
+  /** Runs once a call succeeded. */
+  afterResponse?: (context: ResponseContext) => void | Promise<void>;
+  /** Runs once a call failed, after any retries. */
+  onError?: (context: ErrorContext) => void | Promise<void>;
+  /** Runs before each retry. */
+  onRetry?: (context: ErrorContext) => void | Promise<void>;
+  /** Runs for each status check while waiting on a job. */
+  onPollStatus?: (context: PollStatusContext) => void | Promise<void>;
+  /** Runs once a waited-on job is processed or has failed. */
+  onJobComplete?: (context: JobCompleteContext) => void | Promise<void>;
+}
+
+export interface RecorderOptions {
+  /**
+   * "record" saves every exchange, "replay" answers from saved exchanges only
+   * and fails requests that were not recorded, "passthrough" does neither.
+   * Defaults to "passthrough".
+   */
+  mode?: "record" | "replay" | "passthrough";
+  /** The directory holding the cassette files. Required unless passing through. */
+  dir?: string;
+}
+
+export interface QuotaWarning {
+  /** "maxPagesPerDay", "daily_quota" or "monthly_quota". */
+  limit: string;
+  /** The fraction of `max` that was reached. */
+  threshold: number;
+  /** Pages used, including the upload being checked. */
+  used: number;
+  max: number;
+}
+
+export interface QuotaGuardOptions {
+  /** Refuse uploads that would take today's page count past this. */
+  maxPagesPerDay?: number;
+  /**
+   * Refuse uploads that would go past the plan's daily or monthly quota, and
+   * any upload once overage has started. Defaults to false.
+   */
+  refuseOverage?: boolean;
+  /** Seconds a usage response is reused for. Defaults to 60. */
+  usageTtl?: number;
+  /** Fractions of each limit at which to warn. Defaults to [0.8, 0.9]. */
+  warnAt?: number[];
+  /** Called for each warning, in addition to the client logging it. */
+  onWarning?: (warning: QuotaWarning) => void;
+}
+
+/** Refuses uploads that would go over a page budget. Can be shared by clients. */
+export declare class QuotaGuard {
+  constructor(options?: QuotaGuardOptions);
+  maxPagesPerDay: number | undefined;
+  refuseOverage: boolean;
+  usageTtl: number;
+  warnAt: number[];
+  onWarning: ((warning: QuotaWarning) => void) | undefined;
+  /**
+   * Checks an upload of `pages` pages and reserves them. Throws
+   * LLMWhispererQuotaExceededError if it would go over a limit.
+   */
+  check(
+    client: LLMWhispererClientV2,
+    pages: number,
+    options?: RequestOptions,
+  ): Promise<void>;
+}
+
+/** Tokens per second and how many can be spent at once. */
+export interface RateLimitBudget {
+  rate: number;
+  /** Defaults to the rate rounded up, and at least 1. */
+  burst?: number;
+}
+
+export type RateLimitBucket = "uploads" | "requests";
+
+/** Keeps rate limiter buckets; `update` must be atomic across its users. */
+export interface RateLimitStore {
+  update<T>(name: string, updater: (state: T | undefined) => T): Promise<T>;
+}
+
+export interface RateLimiterOptions {
+  /** The `/whisper` budget. Unlimited when omitted. */
+  uploads?: RateLimitBudget;
+  /** The budget for every other call. Unlimited when omitted. */
+  requests?: RateLimitBudget;
+  /** Defaults to a MemoryRateLimitStore. */
+  store?: RateLimitStore;
+}
+
+/**
+ * Token buckets that hold requests before they are sent. A 429 pauses its
+ * bucket for the Retry-After period and halves its rate. Can be shared by clients.
+ */
+export declare class RateLimiter {
+  constructor(options?: RateLimiterOptions);
+  budgets: Record<RateLimitBucket, Required<RateLimitBudget> | null>;
+  store: RateLimitStore;
+  /** Resolves with how long the request was held, in milliseconds. */
+  acquire(bucket: RateLimitBucket, options?: RequestOptions): Promise<number>;
+  /** Slows a bucket down; `retryAfter` is in seconds and defaults to 1. */
+  throttle(bucket: RateLimitBucket, retryAfter?: number): Promise<void>;
+}
+
+/** Keeps rate limiter buckets in memory, shared by the clients of one process. */
+export declare class MemoryRateLimitStore implements RateLimitStore {
+  update<T>(name: string, updater: (state: T | undefined) => T): Promise<T>;
+}
+
+export interface FileRateLimitStoreOptions {
+  /** Where buckets are stored. Defaults to ".llmwhisperer-rate-limit". */
+  directory?: string;
+  /** Seconds after which a lock left by a crashed process is broken. Defaults to 5. */
+  lockTimeout?: number;
+}
+
+/** Keeps rate limiter buckets in a directory shared by the processes on one host. */
+export declare class FileRateLimitStore implements RateLimitStore {
+  constructor(options?: FileRateLimitStoreOptions);
+  directory: string;
+  lockTimeout: number;
+  update<T>(name: string, updater: (state: T | undefined) => T): Promise<T>;
+}
+
+export type CircuitState = "closed" | "open" | "half-open";
+
+export interface CircuitStateChange {
+  from: CircuitState;
+  to: CircuitState;
+  /** The failure rate over the window when the state changed. */
+  failureRate: number;
+  /** The calls in the window when the state changed. */
+  requests: number;
+}
+
+export interface CircuitSnapshot {
+  state: CircuitState;
+  /** Failed calls over calls in the current window, or 0 without calls. */
+  failureRate: number;
+  requests: number;
+  failures: number;
+  /** Epoch milliseconds the breaker last opened at, or null while closed. */
+  openedAt: number | null;
+  /** Seconds until an open breaker lets a probe through; 0 otherwise. */
+  retryAfter: number;
+}
+
+export interface CircuitBreakerOptions {
+  /** The fraction of failed calls (0-1) that opens the breaker. Defaults to 0.5. */
+  failureRate?: number;
+  /** Calls needed in the window before the rate is judged. Defaults to 10. */
+  minimumRequests?: number;
+  /** Seconds of calls the failure rate is computed over. Defaults to 60. */
+  window?: number;
+  /** Seconds the breaker stays open before probing. Defaults to 30. */
+  cooldown?: number;
+  /** Probe calls let through at once when half-open. Defaults to 1. */
+  halfOpenRequests?: number;
+  onStateChange?: (event: CircuitStateChange) => void;
+}
+
+/**
+ * Opens when most recent calls failed with network errors, timeouts or 5xx,
+ * refusing further calls until probes succeed. Can be shared by clients.
+ */
+export declare class CircuitBreaker {
+  constructor(options?: CircuitBreakerOptions);
+  failureRate: number;
+  minimumRequests: number;
+  window: number;
+  cooldown: number;
+  halfOpenRequests: number;
+  readonly state: CircuitState;
+  /** Returns a function that removes the listener. */
+  subscribe(listener: (event: CircuitStateChange) => void): () => void;
+  snapshot(): CircuitSnapshot;
+  /**
+   * Lets a call through, returning whether it is a probe. Throws
+   * LLMWhispererCircuitOpenError while open.
+   */
+  allow(url?: string): boolean;
+  record(failed: boolean, probe?: boolean): void;
+  /** Frees the slot of a probe that ended without an outcome. */
+  release(): void;
+}
+
+/** A store for cached whisper() results. Values are JSON-serialisable. */
+export interface CacheStore {
+  /** Resolves with the stored value, or undefined if missing or expired. */
+  get(key: string): Promise<unknown>;
+  set(key: string, value: unknown): Promise<void>;
+  /** Resolves with whether an entry was removed. */
+  delete(key: string): Promise<boolean>;
+}
+
+export interface FileSystemCacheOptions {
+  /** Where entries are stored. Defaults to ".llmwhisperer-cache". */
+  directory?: string;
+  /** Seconds an entry stays valid. Defaults to Infinity. */
+  ttl?: number;
+  /** Bytes kept on disk before least recently used entries are evicted. Defaults to 512 MiB. */
+  maxSize?: number;
+}
+
+/** A job recorded in the journal before whisper() starts polling. */
+export interface JournalEntry {
+  whisperHash: string;
+  /** The region that accepted the job. */
+  baseUrl?: string;
+  filePath: string | null;
+  url: string | null;
+  filename: string | null;
+  tag: string;
+  /** The `/whisper` query params the job was submitted with. */
+  params: Record<string, unknown>;
+  /** ISO 8601 timestamp of the submission. */
+  submittedAt: string;
+}
+
+/** A store for pending jobs. Entries are JSON-serialisable. */
+export interface JournalStore {
+  record(entry: JournalEntry): Promise<void>;
+  /** Resolves with whether an entry was removed. */
+  complete(whisperHash: string): Promise<boolean>;
+  /** Resolves with the pending entries, oldest submission first. */
+  pending(): Promise<JournalEntry[]>;
+}
+
+export interface FileJournalOptions {
+  /** Where entries are stored. Defaults to ".llmwhisperer-journal". */
+  directory?: string;
+}
+
+/** Journals pending jobs as JSON files in a directory. */
+export declare class FileJournal implements JournalStore {
+  constructor(options?: FileJournalOptions);
+  directory: string;
+  record(entry: JournalEntry): Promise<void>;
+  complete(whisperHash: string): Promise<boolean>;
+  pending(): Promise<JournalEntry[]>;
+}
+
+/** Caches whisper() results as JSON files in a directory. */
+export declare class FileSystemCache implements CacheStore {
+  constructor(options?: FileSystemCacheOptions);
+  directory: string;
+  ttl: number;
+  maxSize: number;
+  get(key: string): Promise<unknown>;
+  set(key: string, value: unknown): Promise<void>;
+  delete(key: string): Promise<boolean>;
+  /** Removes every entry. */
+  clear(): Promise<void>;
+}
+
+export interface WhisperOptions {
+  /** Path to a local file to upload. One of `filePath`, `data`, `stream` or `url` is required. */
+  filePath?: string;
+  /** Document contents held in memory. Replayed as-is if the upload is retried. */
+  data?: Buffer | Uint8Array | ArrayBuffer | Blob;
+  /** A readable stream of the document. Read once, so a failed upload is not retried. */
+  stream?: Readable;
+  /** Size of `stream` in bytes, when it cannot be inferred from the stream. */
+  contentLength?: number;
+  /** URL of a document for the service to fetch. */
+  url?: string;
+  mode?: WhisperMode;
+  outputMode?: OutputMode;
+  /** Separator placed between pages in `result_text`. */
+  pageSeparator?: string;
+  /** Pages to extract, e.g. `"1-5,7,21-"`. */
+  pagesToExtract?: string;
+  medianFilterSize?: number;
+  gaussianBlurRadius?: number;
+  lineSplitterTolerance?: number;
+  horizontalStretchFactor?: number;
+  markVerticalLines?: boolean;
+  markHorizontalLines?: boolean;
+  lineSplitterStrategy?: LineSplitterStrategy;
+  lang?: string;
+  tag?: string;
+  /** Inferred from the file path, Blob/File name or file stream when empty. */
+  filename?: string;
+  webhookMetadata?: string;
+  /** Name of a webhook registered with `registerWebhook`. */
+  useWebhook?: string;
+  /** Poll until the extraction finishes and return it. */
+  waitForCompletion?: boolean;
+  /** Seconds to wait for completion before giving up. */
+  waitTimeout?: number;
+  /** Overrides the client's poll policy for this wait. */
+  pollPolicy?: PollPolicy;
+  /** Add line numbers to the text and keep line metadata for `getHighlightData`. */
+  addLineNos?: boolean;
+  /** Return a WhisperJob instead of the response object. */
+  returnJob?: boolean;
+  /** Cancels the upload, any retries and the wait for completion. */
+  signal?: AbortSignal;
+  /**
+   * With a client `cache`: `false` bypasses it, "refresh" re-extracts and
+   * overwrites the entry. Defaults to true.
+   */
+  cache?: boolean | "refresh";
+  /**
+   * Inspect `filePath`/`data` uploads locally first and refuse documents with
+   * problems (LLMWhispererValidationError). An object sets the limits.
+   */
+  inspect?: boolean | Pick<InspectOptions, "maxFileSize" | "maxPages">;
+}
+
+/** The extraction payload returned by `/whisper-retrieve`. */
+export interface WhisperExtraction {
+  result_text: string;
+  confidence_metadata: unknown[];
+  line_metadata: unknown[];
+  metadata: Record<string, unknown>;
+  webhook_metadata: string;
+}
+
+/** Returned by `whisper()` when the job was accepted and not waited on. */
+export interface WhisperAcceptedResult {
+  message: string;
+  status: WhisperJobStatus;
+  whisper_hash: string;
+  statusCode: 202;
+  extraction: Record<string, never>;
+}
+
+/** `waitForCompletion` result when the extraction finished. */
+export interface WhisperProcessedResult {
+  message: string;
+  status: "processed";
+  whisper_hash: string;
+  status_code: 200;
+  extraction: WhisperExtraction;
+  /** Set when the client has a cache and the call was cacheable. */
+  cache_key?: string;
+  /** Whether the result was served from the cache. */
+  cached?: boolean;
+}
+
+/** `waitForCompletion` result when the service reported a failure. */
+export interface WhisperErrorResult {
+  /** The service's reason for the failure. */
+  message: string;
+  status: "error";
+  whisper_hash: string;
+  status_code: -1;
+  extraction: Record<string, never>;
+}
+
+/**
+ * `waitForCompletion` result when `waitTimeout` elapsed first. `status` and
+ * `statusCode` are still those of the upload response.
+ */
+export interface WhisperTimedOutResult {
+  message: "Whisper client operation timed out";
+  status: "accepted" | "processing";
+  whisper_hash: string;
+  status_code: -1;
+  statusCode: 202;
+  extraction: Record<string, never>;
+}
+
+/**
+ * `waitForCompletion` result when `/whisper-status` answered with a status
+ * other than 200, which becomes `status_code`. `status` and `statusCode` are
+ * still those of the upload response.
+ */
+export interface WhisperFailedResult {
+  message: "Whisper client operation failed";
+  status: "accepted" | "processing";
+  whisper_hash: string;
+  status_code: number;
+  statusCode: 202;
+  extraction: Record<string, never>;
+}
+
+/** Tell the results apart by `status`, then by `message`. */
+export type WhisperCompletedResult =
+  | WhisperProcessedResult
+  | WhisperErrorResult
+  | WhisperTimedOutResult
+  | WhisperFailedResult;
+
+export interface WhisperStatusResult {
+  status: WhisperJobStatus;
+  message?: string;
+  detail?: unknown;
+  statusCode: number;
+}
+
+export interface WhisperRetrieveResult {
+  statusCode: number;
+  extraction: WhisperExtraction;
+}
+
+export interface WhisperDetail {
+  completed_at: string;
+  mode: WhisperMode;
+  processed_pages: number;
+  processing_started_at: string;
+  processing_time_in_seconds: number;
+  requested_pages: number;
+  tag: string;
+  total_pages: number;
+  upload_file_size_in_kb: number;
+  whisper_hash: string;
+}
+
+export interface UsageInfo {
+  current_page_count: number;
+  daily_quota: number;
+  monthly_quota: number;
+  overage_page_count: number;
+  subscription_plan: string;
+  today_page_count: number;
+}
+
+/** Bounding box metadata for a single line, keyed by line number. */
+export interface LineHighlight {
+  base_y: number;
+  base_y_percent: number;
+  height: number;
+  height_percent: number;
+  page: number;
+  page_height: number;
+  raw: [number, number, number, number];
+}
+
+export type HighlightData = Record<string, LineHighlight>;
+
+export interface WebhookDetails {
+  url: string;
+  auth_token: string;
+  webhook_name: string;
+}
+
+export interface WebhookResponse<
+  TStatus extends number,
+  TMessage = { message: string },
+> {
+  status_code: TStatus;
+  message: TMessage;
+}
+
+/** The desired state of a webhook, for ensureWebhook() and syncWebhooks(). */
+export interface WebhookSpec {
+  name: string;
+  url: string;
+  /** Sent as `Authorization: Bearer <token>`. Defaults to "". */
+  authToken?: string;
+}
+
+export type WebhookAction = "created" | "updated" | "deleted" | "unchanged";
+
+/** A field that differs; tokens are shown as "[REDACTED]", or "" when unset. */
+export interface WebhookChange {
+  field: "url" | "authToken";
+  /** null when the webhook does not exist yet. */
+  from: string | null;
+  /** null when the webhook is deleted. */
+  to: string | null;
+}
+
+export interface EnsureWebhookOptions extends RequestOptions {
+  /** Report the changes without making them. */
+  dryRun?: boolean;
+}
+
+export interface EnsureWebhookResult {
+  name: string;
+  action: WebhookAction;
+  changes: WebhookChange[];
+  dryRun: boolean;
+}
+
+export interface SyncWebhooksOptions extends EnsureWebhookOptions {
+  /** Names of webhooks to delete if they exist. */
+  remove?: string[];
+}
+
+export interface SyncWebhooksResult {
+  /** One result per webhook, then one per removed name. */
+  results: EnsureWebhookResult[];
+  summary: Record<WebhookAction, number>;
+}
+
+/**
+ * A single whisperBatch() input: options, or a file path / http(s) URL.
+ * Batch items are whisper() results, so `returnJob` is not accepted.
+ */
+export type WhisperBatchInput = Omit<WhisperOptions, "returnJob"> | string;
+
+export type WhisperBatchItem<TResult> =
+  | { index: number; input: WhisperBatchInput; ok: true; result: TResult }
+  | { index: number; input: WhisperBatchInput; ok: false; error: Error };
+
+export interface WhisperBatchProgress<TResult> {
+  completed: number;
+  total: number;
+  succeeded: number;
+  failed: number;
+  item: WhisperBatchItem<TResult>;
+}
+
+export interface WhisperBatchOptions<TResult>
+  extends Omit<WhisperOptions, "waitForCompletion" | "returnJob"> {
+  /** Maximum number of documents in flight at once. Defaults to 4. */
+  concurrency?: number;
+  /** Poll and retrieve each extraction. Defaults to true. */
+  waitForCompletion?: boolean;
+  /** Called after each item settles. */
+  onProgress?: (progress: WhisperBatchProgress<TResult>) => void;
+}
+
+export interface WhisperBatchResult<TResult> {
+  /** One entry per input, in input order. */
+  results: WhisperBatchItem<TResult>[];
+  succeeded: number;
+  failed: number;
+}
+
+export type ResumedJob =
+  | { entry: JournalEntry; ok: true; extraction: WhisperExtraction }
+  | { entry: JournalEntry; ok: false; error: Error };
+
+/** `timeout`, `pollPolicy` and `signal` apply to the wait on each job. */
+export interface ResumePendingOptions extends WhisperJobWaitOptions {
+  /** Maximum number of jobs waited on at once. Defaults to 4. */
+  concurrency?: number;
+  /** Called as each job settles. */
+  onResult?: (item: ResumedJob) => void;
+}
+
+export interface ResumePendingResult {
+  /** One entry per journaled job, oldest submission first. */
+  results: ResumedJob[];
+  succeeded: number;
+  failed: number;
+}
+
+export interface ErrorDetails {
+  /** The raw response body, when a response was received. */
+  responseBody?: unknown;
+  /** The URL of the failed request. */
+  url?: string;
+  /** The whisper_hash the call was made for, when known. */
+  whisperHash?: string;
+}
+
+export declare class LLMWhispererClientException extends Error {
+  constructor(message: string, statusCode?: number, details?: ErrorDetails);
+  /** HTTP status of the failed call, or -1 when no response was received. */
+  statusCode: number;
+  responseBody: unknown;
+  url: string | undefined;
+  whisperHash: string | undefined;
+  errorMessage(): string;
+}
+
+/** The API key is missing, invalid or not allowed to make the call (401/403). */
+export declare class LLMWhispererAuthenticationError extends LLMWhispererClientException {}
+
+/**
+ * The account has used up its page quota (402, or 403 citing the quota), or
+ * the client's quota guard refused the upload (statusCode -1).
+ */
+export declare class LLMWhispererQuotaExceededError extends LLMWhispererClientException {
+  constructor(
+    message: string,
+    statusCode?: number,
+    details?: ErrorDetails & { usage?: UsageInfo; requestedPages?: number },
+  );
+  /** The usage the quota guard checked; undefined for API responses. */
+  usage: UsageInfo | undefined;
+  /** The pages the quota guard estimated for the upload. */
+  requestedPages: number | undefined;
+}
+
+/** Too many requests (429). */
+export declare class LLMWhispererRateLimitError extends LLMWhispererClientException {
+  constructor(
+    message: string,
+    statusCode?: number,
+    details?: ErrorDetails & { retryAfter?: number },
+  );
+  /** Seconds the API asked to wait, from the Retry-After header. */
+  retryAfter: number | undefined;
+}
+
+/**
+ * The request was rejected as malformed (400/422), or failed the client-side
+ * checks whisper() makes before sending anything (statusCode -1).
+ */
+export declare class LLMWhispererValidationError extends LLMWhispererClientException {
+  constructor(
+    message: string,
+    statusCode?: number,
+    details?: ErrorDetails & { errors?: string[] },
+  );
+  /** Each problem found by the client-side checks; empty for API responses. */
+  errors: string[];
+}
+
+/** The whisper_hash, webhook or endpoint does not exist (404). */
+export declare class LLMWhispererNotFoundError extends LLMWhispererClientException {}
+
+/** The API failed to handle the request (5xx). */
+export declare class LLMWhispererServerError extends LLMWhispererClientException {}
+
+/** No response was received: DNS failure, refused or reset connection. */
+export declare class LLMWhispererNetworkError extends LLMWhispererClientException {
+  constructor(message: string, details?: ErrorDetails);
+  statusCode: -1;
+}
+
+/** A request, or the wait for a job to finish, ran out of time. */
+export declare class LLMWhispererTimeoutError extends LLMWhispererClientException {
+  constructor(message: string, details?: ErrorDetails);
+  statusCode: -1;
+}
+
+/** Raised without calling the API while the client's circuit breaker is open. */
+export declare class LLMWhispererCircuitOpenError extends LLMWhispererClientException {
+  constructor(
+    message: string,
+    details?: ErrorDetails & { retryAfter?: number },
+  );
+  statusCode: -1;
+  /** Seconds until the breaker lets a probe call through. */
+  retryAfter: number;
+}
+
+/** Raised when a call is cancelled through its AbortSignal. */
+export declare class LLMWhispererAbortError extends LLMWhispererClientException {
+  constructor(message?: string, reason?: unknown);
+  statusCode: -1;
+  /** The `signal.reason` the caller aborted with, if any. */
+  reason: unknown;
+}
+
+/** Options accepted by every single-request client method. */
+export interface RequestOptions {
+  /** Cancels the request, including any pending retry. */
+  signal?: AbortSignal;
+}
+
+/** A parsed LLMWhisperer webhook callback. */
+export interface WebhookEvent {
+  whisperHash: string;
+  /** The `webhookMetadata` passed to whisper(). */
+  webhookMetadata: string;
+  status?: WhisperJobStatus;
+  extraction: WhisperExtraction;
+  /** The parsed callback body, unmodified. */
+  body: Record<string, unknown>;
+}
+
+export interface WebhookHandlerOptions {
+  /** The token the webhook was registered with; "" accepts unauthenticated callbacks. */
+  authToken: string;
+  onEvent: (event: WebhookEvent) => void | Promise<void>;
+  /** Largest accepted body, in bytes. Defaults to 50 MiB. */
+  maxBodySize?: number;
+  /** Called when `onEvent` throws (Node handler only). */
+  onError?: (error: unknown, event: WebhookEvent) => void;
+}
+
+/** Node `http` request listener for webhook callbacks. */
+export declare function createWebhookHandler(
+  options: WebhookHandlerOptions,
+): (req: IncomingMessage, res: ServerResponse) => Promise<void>;
+
+/** Express `(req, res, next)` handler for webhook callbacks. */
+export declare function expressWebhookHandler(
+  options: WebhookHandlerOptions,
+): (req: any, res: any, next: (error?: unknown) => void) => Promise<void>;
+
+/** Fastify route handler for webhook callbacks. */
+export declare function fastifyWebhookHandler(
+  options: Omit<WebhookHandlerOptions, "maxBodySize" | "onError">,
+): (request: any, reply: any) => Promise<unknown>;
+
+/** Parses a callback body; throws LLMWhispererClientException(400) if it is not one. */
+export declare function parseWebhookEvent(
+  body: string | Buffer | Record<string, unknown>,
+): WebhookEvent;
+
+/** Checks the Authorization header; throws LLMWhispererClientException(401) on mismatch. */
+export declare function verifyWebhookAuth(
+  headers: Record<string, string | string[] | undefined>,
+  authToken: string,
+): void;
+
+export interface ResultLine {
+  /** The `addLineNos` line number, usable with `getHighlightData`; null without line numbers. */
+  lineNumber: number | null;
+  text: string;
+}
+
+export interface ResultPage {
+  /** The page's number in the source document. */
+  pageNumber: number;
+  text: string;
+  lines: ResultLine[];
+}
+
+export interface ParsePagesOptions {
+  /** The separator passed to whisper(). Defaults to "<<<". */
+  pageSeparator?: string;
+  /** The pages passed to whisper(), so page numbers match the source document. */
+  pagesToExtract?: string;
+  /** Whether the extraction used `addLineNos`. */
+  addLineNos?: boolean;
+}
+
+/** Splits an extraction's result_text into pages and lines. */
+export declare function parsePages(
+  result: string | Pick<WhisperExtraction, "result_text">,
+  options?: ParsePagesOptions,
+): ResultPage[];
+
+export type DocumentType =
+  | "pdf"
+  | "tiff"
+  | "png"
+  | "jpeg"
+  | "gif"
+  | "bmp"
+  | "webp"
+  | "docx"
+  | "xlsx"
+  | "pptx"
+  | "odt"
+  | "ods"
+  | "odp"
+  | "doc"
+  | "xls"
+  | "ppt"
+  | "text"
+  | "unknown";
+
+export interface InspectOptions {
+  /** The name to check the extension against. Defaults to the file's name. */
+  filename?: string;
+  /** The pages that would be requested, checked against the page count. */
+  pagesToExtract?: string;
+  /** Bytes above which the document is refused. */
+  maxFileSize?: number;
+  /** Selected pages above which the document is refused. */
+  maxPages?: number;
+}
+
+export interface InspectionReport {
+  filename: string | null;
+  size: number;
+  /** The type found from the file's contents, not its name. */
+  type: DocumentType;
+  mimeType: string;
+  /** Known for PDFs, TIFFs and single-page images. */
+  pageCount: number | null;
+  /** The pages `pagesToExtract` selects; null while the page count is unknown. */
+  selectedPages: number | null;
+  encrypted: boolean;
+  /** Reasons the upload would fail. */
+  problems: string[];
+  /** Things that may make it fail or give unexpected results. */
+  warnings: string[];
+  /** True when there are no problems. */
+  ok: boolean;
+}
+
+export interface FindTextOptions extends RequestOptions {
+  /** Match approximately: `true` accepts lines scoring 0.8 or more, a number (0-1) sets the threshold. */
+  fuzzy?: boolean | number;
+  caseSensitive?: boolean;
+  /** The retrieved extraction, to avoid retrieving it again. */
+  extraction?: Pick<WhisperExtraction, "result_text">;
+  /** The separator the extraction was requested with. */
+  pageSeparator?: string;
+  /** The pages the extraction was requested with. */
+  pagesToExtract?: string;
+}
+
+export interface TextMatch {
+  /** The page's number in the source document. */
+  pageNumber: number;
+  lineNumber: number;
+  /** The whole line. */
+  text: string;
+  /** The part of the line that matched. */
+  match: string;
+  /** 1 for exact matches, the similarity score for fuzzy ones. */
+  score: number;
+  /** The `/highlights` entry for the line, or null if none was returned. */
+  boundingBox: LineHighlight | null;
+}
+
+export interface WhisperJobWaitOptions {
+  /** Seconds to wait before giving up. Defaults to 180. */
+  timeout?: number;
+  /** Overrides the client's poll policy for this wait. */
+  pollPolicy?: PollPolicy;
+  /** Stops waiting when aborted. */
+  signal?: AbortSignal;
+}
+
+/** A handle on an extraction accepted by the `/whisper` endpoint. */
+export declare class WhisperJob {
+  constructor(
+    client: LLMWhispererClientV2,
+    whisperHash: string,
+    submission?: Partial<WhisperAcceptedResult>,
+  );
+  client: LLMWhispererClientV2;
+  whisperHash: string;
+  /** The `/whisper` response, or {} when rehydrated from a hash. */
+  submission: Partial<WhisperAcceptedResult>;
+  lastStatus: WhisperStatusResult | null;
+  /** The region that accepted the job, where every call about it is sent. */
+  readonly baseUrl: string;
+
+  status(options?: RequestOptions): Promise<WhisperStatusResult>;
+  isDone(): boolean;
+  /**
+   * Throws LLMWhispererClientException if the job fails or the wait times out,
+   * and LLMWhispererAbortError if the signal aborts.
+   */
+  wait(options?: WhisperJobWaitOptions): Promise<WhisperStatusResult>;
+  /** Waits, then retrieves the extraction once and caches it on the job. */
+  result(options?: WhisperJobWaitOptions): Promise<WhisperExtraction>;
+  detail(options?: RequestOptions): Promise<WhisperDetail>;
+  highlights(
+    lines: string,
+    extractAllLines?: boolean,
+    options?: RequestOptions,
+  ): Promise<HighlightData>;
+  /** Searches the job's text, reusing the extraction cached by result(). */
+  findText(
+    query: string,
+    options?: Omit<FindTextOptions, "extraction">,
+  ): Promise<TextMatch[]>;
+  /** Includes `baseUrl` when the client has several regions. */
+  toJSON(): { whisperHash: string; baseUrl?: string };
+}
+
+export interface FakeResult {
+  /** The text of each page, joined with the job's page separator. */
+  pages?: string[];
+  /** The complete result_text, used as-is instead of `pages`. */
+  resultText?: string;
+  /** Fail the job with this message instead of processing it. */
+  error?: string;
+  /** Seconds the job stays "processing"; overrides the server default. */
+  processingTime?: number;
+  /** The `/highlights` response; generated from the numbered lines when omitted. */
+  highlights?: HighlightData;
+  metadata?: Record<string, unknown>;
+}
+
+export interface FakeResponse {
+  /** Defaults to 200. */
+  status?: number;
+  /** The JSON body; `{ message }` for the status when omitted. */
+  body?: unknown;
+  headers?: Record<string, string>;
+  /** Milliseconds to wait before responding. */
+  delay?: number;
+}
+
+export type FakeEndpoint =
+  | "whisper"
+  | "whisper-status"
+  | "whisper-retrieve"
+  | "whisper-detail"
+  | "highlights"
+  | "get-usage-info"
+  | "whisper-manage-callback";
+
+export interface FakeJob {
+  whisperHash: string;
+  filename: string;
+  url: string;
+  tag: string;
+  mode: string;
+  /** The `/whisper` query params, as strings. */
+  params: Record<string, string>;
+  /** Bytes uploaded. */
+  size: number;
+  status: "processing" | "processed" | "error" | "retrieved";
+  message: string;
+  extraction: WhisperExtraction;
+  acceptedAt: Date;
+  completedAt: Date | null;
+}
+
+export interface FakeServerOptions {
+  /** When set, requests with another `unstract-key` get a 401. */
+  apiKey?: string;
+  /** Seconds each job stays "processing". Defaults to 0. */
+  processingTime?: number;
+  /** Milliseconds added before every response. Defaults to 0. */
+  latency?: number;
+  /** Overrides for the `/get-usage-info` counters. */
+  usage?: Partial<UsageInfo>;
+}
+
+/** An in-process fake of the LLMWhisperer API, for tests without network access. */
+export declare class FakeLLMWhispererServer {
+  constructor(options?: FakeServerOptions);
+  /** The API base URL, set by listen(). */
+  baseUrl: string | null;
+  usage: UsageInfo;
+  requests: Array<{
+    method: string;
+    endpoint: string;
+    query: Record<string, string>;
+    headers: Record<string, string | string[] | undefined>;
+    bodySize: number;
+  }>;
+  jobs: Map<string, FakeJob>;
+  webhooks: Map<string, WebhookDetails>;
+  webhookDeliveries: Array<{
+    webhookName: string;
+    url: string | undefined;
+    whisperHash: string;
+    body: Record<string, unknown>;
+    status?: number;
+    error?: string;
+  }>;
+  /** Starts listening on a local port (0 picks a free one) and resolves with the base URL. */
+  listen(port?: number): Promise<string>;
+  /** Stops the server and pending jobs, after in-flight webhooks are sent. */
+  close(): Promise<void>;
+  /** Scripts the result of matching jobs. Later fixtures take precedence. */
+  addFixture(
+    match:
+      | Partial<Pick<FakeJob, "filename" | "url" | "tag" | "mode">>
+      | ((job: FakeJob) => boolean),
+    result: FakeResult,
+  ): this;
+  /** Replaces the next `times` responses of an endpoint. */
+  respondNext(
+    endpoint: FakeEndpoint,
+    response: FakeResponse,
+    options?: { times?: number },
+  ): this;
+  /** Waits for the webhooks already being delivered. */
+  flushWebhooks(): Promise<void>;
+}
+
+export declare function createFakeServer(
+  options?: FakeServerOptions,
+): FakeLLMWhispererServer;
+
+export declare class LLMWhispererClientV2 {
+  constructor(config?: LLMWhispererClientV2Config);
+
+  /** The preferred base URL. */
+  baseUrl: string;
+  regions: RegionPool;
+  apiKey: string;
+  apiKeyProvider: ApiKeyProvider | null;
+  headers: { "unstract-key": string };
+  logger: ClientLogger;
+  client: AxiosInstance;
+  retryMaxRetries: number;
+  retryInitialDelay: number;
+  retryMaxDelay: number;
+  retryBackoffFactor: number;
+  retryJitter: number;
+  pollPolicy: Required<Omit<PollPolicy, "interval">> &
+    Pick<PollPolicy, "interval">;
+  cache: CacheStore | null;
+  journal: JournalStore | null;
+  quotaGuard: QuotaGuard | null;
+  rateLimiter: RateLimiter | null;
+  circuitBreaker: CircuitBreaker | null;
+  hooks: Hooks[];
+
+  /** Adds lifecycle hooks, run after the ones already installed. */
+  use(hooks: Hooks | Hooks[]): this;
+
+  /**
+   * Fetches a new key from the `apiKeyProvider` and uses it from now on.
+   * Rejects with LLMWhispererClientException without a provider.
+   */
+  refreshApiKey(): Promise<string>;
+
+  /** The circuit breaker's state, or null without a circuit breaker. */
+  circuitState(): CircuitSnapshot | null;
+
+  getUsageInfo(options?: RequestOptions): Promise<UsageInfo>;
+
+  whisper(options: WhisperOptions & { returnJob: true }): Promise<WhisperJob>;
+  whisper(
+    options: WhisperOptions & { waitForCompletion: true },
+  ): Promise<WhisperCompletedResult>;
+  whisper(
+    options?: WhisperOptions & { waitForCompletion?: false },
+  ): Promise<WhisperAcceptedResult>;
+  whisper(
+    options?: WhisperOptions,
+  ): Promise<WhisperAcceptedResult | WhisperCompletedResult>;
+
+  whisperBatch(
+    inputs: WhisperBatchInput[],
+    options?: WhisperBatchOptions<WhisperProcessedResult> & {
+      waitForCompletion?: true;
+    },
+  ): Promise<WhisperBatchResult<WhisperProcessedResult>>;
+  whisperBatch(
+    inputs: WhisperBatchInput[],
+    options: WhisperBatchOptions<WhisperAcceptedResult> & {
+      waitForCompletion: false;
+    },
+  ): Promise<WhisperBatchResult<WhisperAcceptedResult>>;
+
+  /**
+   * Retrieves the results of the jobs left in the journal. Throws
+   * LLMWhispererClientException if the client has no journal.
+   */
+  resumePending(options?: ResumePendingOptions): Promise<ResumePendingResult>;
+
+  /** Rehydrates a WhisperJob from a stored hash, without calling the API. */
+  job(
+    whisperHash: string,
+    submission?: Partial<WhisperAcceptedResult>,
+    options?: { baseUrl?: string },
+  ): WhisperJob;
+
+  whisperStatus(
+    whisperHash: string,
+    options?: RequestOptions,
+  ): Promise<WhisperStatusResult>;
+  whisperRetrieve(
+    whisperHash: string,
+    options?: RequestOptions,
+  ): Promise<WhisperRetrieveResult>;
+  whisperDetail(
+    whisperHash: string,
+    options?: RequestOptions,
+  ): Promise<WhisperDetail>;
+  getHighlightData(
+    whisperHash: string,
+    lines: string,
+    extractAllLines?: boolean,
+    options?: RequestOptions,
+  ): Promise<HighlightData>;
+
+  registerWebhook(
+    webhookUrl: string,
+    authToken: string,
+    webhookName: string,
+    options?: RequestOptions,
+  ): Promise<WebhookResponse<201>>;
+  updateWebhookDetails(
+    webhookName: string,
+    webhookUrl: string,
+    authToken: string,
+    options?: RequestOptions,
+  ): Promise<WebhookResponse<200>>;
+  getWebhookDetails(
+    webhookName: string,
+    options?: RequestOptions,
+  ): Promise<WebhookResponse<200, WebhookDetails>>;
+  deleteWebhookDetails(
+    webhookName: string,
+    options?: RequestOptions,
+  ): Promise<WebhookResponse<200>>;
+  /** Registers or updates a webhook so it matches `webhook`. */
+  ensureWebhook(
+    webhook: WebhookSpec,
+    options?: EnsureWebhookOptions,
+  ): Promise<EnsureWebhookResult>;
+  /**
+   * Converges every listed webhook and deletes `options.remove`. Webhooks
+   * that are not named are left alone.
+   */
+  syncWebhooks(
+    webhooks: WebhookSpec[],
+    options?: SyncWebhooksOptions,
+  ): Promise<SyncWebhooksResult>;
+
+  /** Checks a document locally, without calling the API. */
+  inspect(
+    input: string | Buffer | Uint8Array | ArrayBuffer | Blob,
+    options?: InspectOptions,
+  ): Promise<InspectionReport>;
+
+  /** Searches an `addLineNos` extraction and resolves matching lines to bounding boxes. */
+  findText(
+    whisperHash: string,
+    query: string,
+    options?: FindTextOptions,
+  ): Promise<TextMatch[]>;
+}
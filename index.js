@@ -1,10 +1,9 @@
 /**
- * @fileoverview This file contains the LLMWhispererClientV2 and LLMWhispererClientException classes.
+ * @fileoverview This file contains the LLMWhispererClientV2 class and is the package entry point.
  * LLMWhispererClientV2 is used to interact with the LLMWhisperer API v2.
- * LLMWhispererClientException is used to handle exceptions that occur while interacting with the API.
+ * LLMWhispererClientException (src/errors.js) is used to handle exceptions that occur while interacting with the API.
  *
  * @requires axios
- * @requires winston
  * @requires fs
  *
  * @const {string} BASE_URL_V2 - The base URL for the LLMWhisperer API v2.
@@ -15,72 +14,222 @@ require("dotenv").config();
 const axios = require("axios");
 const axiosRetryModule = require("axios-retry");
 const axiosRetry = axiosRetryModule.default;
-const winston = require("winston");
 const fs = require("fs");
+const { FileSystemCache, resultCacheKey } = require("./src/cache");
+const { CircuitBreaker } = require("./src/circuitBreaker");
+const {
+  LLMWhispererAbortError,
+  LLMWhispererAuthenticationError,
+  LLMWhispererCircuitOpenError,
+  LLMWhispererClientException,
+  LLMWhispererNetworkError,
+  LLMWhispererNotFoundError,
+  LLMWhispererQuotaExceededError,
+  LLMWhispererRateLimitError,
+  LLMWhispererServerError,
+  LLMWhispererTimeoutError,
+  LLMWhispererValidationError,
+  errorForStatus,
+} = require("./src/errors");
+const {
+  createFakeServer,
+  FakeLLMWhispererServer,
+} = require("./src/fakeServer");
+const { normalizeHooks, requestContext } = require("./src/hooks");
+const { inspectDocument } = require("./src/inspect");
+const { createLogger } = require("./src/logger");
+const { WhisperJob } = require("./src/job");
+const { FileJournal } = require("./src/journal");
+const { estimatePages, parsePages } = require("./src/pages");
+const { parseRetryAfter, resolvePollPolicy } = require("./src/polling");
+const { QuotaGuard, countDocumentPages } = require("./src/quota");
+const {
+  FileRateLimitStore,
+  MemoryRateLimitStore,
+  RateLimiter,
+  bucketFor,
+} = require("./src/rateLimit");
+const { createRecorderAdapter } = require("./src/recorder");
+const { RegionPool } = require("./src/regions");
+const { Telemetry, paramAttributes } = require("./src/telemetry");
+const { findText } = require("./src/search");
+const { resolveUploadSource } = require("./src/upload");
+const { validateWhisperOptions } = require("./src/validation");
+const {
+  createWebhookHandler,
+  expressWebhookHandler,
+  fastifyWebhookHandler,
+  parseWebhookEvent,
+  verifyWebhookAuth,
+} = require("./src/webhookReceiver");
+const { ensureWebhook, syncWebhooks } = require("./src/webhookManager");
 const BASE_URL_V2 = "https://llmwhisperer-api.us-central.unstract.com/api/v2";
 
-class LLMWhispererClientException extends Error {
-  constructor(message, statusCode) {
-    super(message);
-    this.statusCode = statusCode;
+/**
+ * Picks the message out of an API error body, which is usually
+ * `{ message }` but can be plain text or HTML from a proxy.
+ */
+function errorMessageFrom(body, fallback) {
+  if (body && typeof body === "object" && typeof body.message === "string") {
+    return body.message;
   }
+  return fallback;
+}
 
-  errorMessage() {
-    return this.message;
+/**
+ * Calls `runItem(index)` for every index below `count`, with at most
+ * `concurrency` calls in flight. `runItem` must not reject.
+ */
+async function runPool(count, concurrency, runItem) {
+  let next = 0;
+  const worker = async () => {
+    while (next < count) {
+      await runItem(next++);
+    }
+  };
+  const workers = [];
+  for (let i = 0; i < Math.min(concurrency, count); i++) {
+    workers.push(worker());
+  }
+  await Promise.all(workers);
+}
+
+function validateConcurrency(concurrency) {
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new LLMWhispererClientException(
+      "concurrency must be a positive integer",
+      -1,
+    );
   }
 }
 
+/**
+ * Whether a request is about an existing job, which has to go to the region
+ * that accepted it rather than fail over.
+ */
+function isPinned(config) {
+  return Boolean(config.params && config.params.whisper_hash !== undefined);
+}
+
 /**
  * @class LLMWhispererClientV2
  * @classdesc Represents a client for the LLMWhisperer API.
  * @constructor
  * @param {Object} [config={}] - The configuration object.
  * @param {string} [config.baseUrl=''] - The base URL for the API.
+ * @param {string[]} [config.baseUrls] - Base URLs in order of preference, used instead of `baseUrl`. A region
+ *                                         failing with a network error or a 5xx is skipped for `failoverCooldown`
+ *                                         seconds; calls about a job go back to the region that accepted it.
+ * @param {number} [config.failoverCooldown=60] - Seconds a failed region is skipped for.
  * @param {string} [config.apiKey=''] - The API key for authentication.
- * @param {string} [config.loggingLevel=''] - The logging level (e.g., 'debug','info', 'warn', 'error').
+ * @param {Function} [config.apiKeyProvider=null] - Returns the API key, or a promise of it, instead of `apiKey`.
+ *                                         Called with `{ refresh }` before the first request, and with
+ *                                         `{ refresh: true }` after a 401, which is then retried once.
+ * @param {string} [config.loggingLevel=''] - The logging level (e.g., 'debug','info', 'warn', 'error'). Without a
+ *                                         `logger`, setting it logs to the console; nothing is logged by default.
+ *                                         Other winston and pino levels map to the nearest of these.
+ * @param {Object} [config.logger=null] - A logger to send the client's logs to: pino, bunyan, winston, console,
+ *                                         or anything with `debug`, `info`, `warn` and `error` methods. Log fields
+ *                                         are structured, and secrets in them are redacted.
  * @param {number} [config.maxRetries=4] - Maximum number of retry attempts (0 to disable retries).
  * @param {number} [config.initialDelay=2.0] - Initial delay in seconds before the first retry.
  * @param {number} [config.maxDelay=60.0] - Maximum delay cap in seconds between retries.
  * @param {number} [config.backoffFactor=2.0] - Exponential multiplier for retry delay.
  * @param {number} [config.jitter=1.0] - Maximum random additive jitter in seconds.
+ * @param {Object} [config.pollPolicy={}] - How often to check the status while waiting on a job:
+ *                                         `initialInterval` (5s), `backoffFactor` (1), `maxInterval` (60s),
+ *                                         an optional `interval({ attempt, elapsed, lastStatus })` function
+ *                                         returning seconds, and `respectRetryAfter` (true).
+ * @param {Object} [config.cache=null] - A result cache store, e.g. a FileSystemCache. When set, completed
+ *                                         extractions are reused for identical documents and options.
+ * @param {Object} [config.journal=null] - A job journal store, e.g. a FileJournal. When set, jobs that
+ *                                         whisper() waits on and retrieves itself are recorded until then,
+ *                                         so resumePending() can pick them up after a crash.
+ * @param {Object|QuotaGuard} [config.quotaGuard=null] - A page budget checked before each upload: a QuotaGuard,
+ *                                         or its options (`maxPagesPerDay`, `refuseOverage`, `usageTtl`,
+ *                                         `warnAt`, `onWarning`).
+ * @param {Object|RateLimiter} [config.rateLimiter=null] - Spaces requests out before they are sent: a RateLimiter,
+ *                                         or its options (`uploads` and `requests` budgets of `{ rate, burst }`,
+ *                                         and a `store` shared between clients or processes).
+ * @param {Object|CircuitBreaker} [config.circuitBreaker=null] - Refuses calls at once while the API is failing:
+ *                                         a CircuitBreaker, or its options (`failureRate`, `minimumRequests`,
+ *                                         `window`, `cooldown`, `halfOpenRequests`, `onStateChange`).
+ * @param {Object} [config.recorder=null] - Records API exchanges to, or replays them from, cassette files:
+ *                                         `{ mode: 'record'|'replay'|'passthrough', dir }`. Meant for tests.
+ * @param {Object|Object[]} [config.hooks=[]] - Lifecycle hooks, or several sets of them run in order:
+ *                                         `beforeRequest`, `afterResponse`, `onError`, `onRetry`,
+ *                                         `onPollStatus` and `onJobComplete`. See use().
+ * @param {Object|boolean} [config.telemetry={}] - OpenTelemetry options, used when `@opentelemetry/api` is
+ *                                         installed: `tracerProvider` and `meterProvider` replace the global
+ *                                         providers. `false` turns instrumentation off.
 
- * @property {string} baseUrl - The base URL for the API.
+ * @property {string} baseUrl - The preferred base URL for the API.
+ * @property {RegionPool} regions - The base URLs, their health and the region of each job.
  * @property {string} apiKey - The API key used for authentication.
  * @property {string} loggingLevel - The logging level for the client.
- * @property {Object} logger - The logger used by the client. Initialized in the constructor.
+ * @property {Object} logger - The logger used by the client, taking `(message, fields)`. Initialized in the constructor.
+ * @property {Object} pollPolicy - The default poll policy for job waits.
+ * @property {Object|null} cache - The result cache store, if any.
+ * @property {Object|null} journal - The job journal store, if any.
+ * @property {QuotaGuard|null} quotaGuard - The page budget checked before uploads, if any.
+ * @property {RateLimiter|null} rateLimiter - The request budgets, if any.
+ * @property {CircuitBreaker|null} circuitBreaker - The circuit breaker, if any.
+ * @property {Object[]} hooks - The lifecycle hook sets, in the order they run.
  */
 class LLMWhispererClientV2 {
   constructor({
     baseUrl = "",
+    baseUrls = null,
+    failoverCooldown = 60,
     apiKey = "",
+    apiKeyProvider = null,
     loggingLevel = "",
+    logger = null,
     maxRetries = 4,
     initialDelay = 2.0,
     maxDelay = 60.0,
     backoffFactor = 2.0,
     jitter = 1.0,
+    pollPolicy = {},
+    cache = null,
+    journal = null,
+    quotaGuard = null,
+    rateLimiter = null,
+    circuitBreaker = null,
+    recorder = null,
+    hooks = [],
+    telemetry = {},
   } = {}) {
-    const level =
-      loggingLevel || process.env.LLMWHISPERER_LOGGING_LEVEL || "debug";
-
-    this.logger = winston.createLogger({
-      level: level,
-      format: winston.format.combine(
-        winston.format.timestamp(),
-        winston.format.printf(({ timestamp, level, message }) => {
-          return `${timestamp} - ${level}: ${message}`;
-        }),
-      ),
-      transports: [new winston.transports.Console()],
-    });
-
-    this.logger.debug(`logging_level set to ${level}`);
+    this.apiKey = apiKey || process.env.LLMWHISPERER_API_KEY || "";
+    if (apiKeyProvider && typeof apiKeyProvider !== "function") {
+      throw new LLMWhispererClientException(
+        "apiKeyProvider must be a function",
+        -1,
+      );
+    }
+    this.apiKeyProvider = apiKeyProvider;
+    this._apiKeyPromise = null;
+    this._apiKeyRefresh = null;
 
-    this.baseUrl =
-      baseUrl || process.env.LLMWHISPERER_BASE_URL_V2 || BASE_URL_V2;
-    this.logger.debug(`base_url set to ${this.baseUrl}`);
+    const level = (
+      loggingLevel ||
+      process.env.LLMWHISPERER_LOGGING_LEVEL ||
+      ""
+    ).toLowerCase();
+    // Keys fetched later from the provider are added to this list.
+    this._secrets = [this.apiKey];
+    this.logger = createLogger({ logger, level, secrets: this._secrets });
 
-    this.apiKey = apiKey || process.env.LLMWHISPERER_API_KEY || "";
+    this.regions = new RegionPool(
+      baseUrls || [
+        baseUrl || process.env.LLMWHISPERER_BASE_URL_V2 || BASE_URL_V2,
+      ],
+      { cooldown: failoverCooldown },
+    );
+    this.baseUrl = this.regions.primary;
+    this.logger.debug("Client configured", {
+      baseUrls: this.regions.baseUrls,
+    });
 
     this.headers = {
       "unstract-key": this.apiKey,
@@ -92,16 +241,78 @@ class LLMWhispererClientV2 {
     this.retryBackoffFactor = backoffFactor;
     this.retryJitter = jitter;
 
+    this.pollPolicy = resolvePollPolicy(pollPolicy);
+
+    if (
+      cache &&
+      !["get", "set", "delete"].every((m) => typeof cache[m] === "function")
+    ) {
+      throw new LLMWhispererClientException(
+        "cache must implement get, set and delete",
+        -1,
+      );
+    }
+    this.cache = cache;
+
+    if (
+      journal &&
+      !["record", "complete", "pending"].every(
+        (m) => typeof journal[m] === "function",
+      )
+    ) {
+      throw new LLMWhispererClientException(
+        "journal must implement record, complete and pending",
+        -1,
+      );
+    }
+    this.journal = journal;
+
+    this.quotaGuard =
+      quotaGuard && !(quotaGuard instanceof QuotaGuard)
+        ? new QuotaGuard(quotaGuard)
+        : quotaGuard;
+
+    this.rateLimiter =
+      rateLimiter && !(rateLimiter instanceof RateLimiter)
+        ? new RateLimiter(rateLimiter)
+        : rateLimiter;
+
+    this.circuitBreaker =
+      circuitBreaker && !(circuitBreaker instanceof CircuitBreaker)
+        ? new CircuitBreaker(circuitBreaker)
+        : circuitBreaker;
+    if (this.circuitBreaker) {
+      this.circuitBreaker.subscribe((event) =>
+        this.logger.warn("Circuit breaker state changed", event),
+      );
+    }
+
+    this.hooks = normalizeHooks(hooks);
+    this.telemetry = new Telemetry(
+      telemetry === false ? { enabled: false } : telemetry,
+    );
+
     this.client = axios.create();
+    if (recorder) {
+      this.client.defaults.adapter = createRecorderAdapter(recorder);
+    }
+    if (this.circuitBreaker) {
+      // Installed before axios-retry, so every attempt counts and an opening
+      // breaker stops the retries.
+      this.client.interceptors.response.use(
+        (response) => {
+          this._recordCircuitOutcome(response.config);
+          return response;
+        },
+        (error) => {
+          this._recordCircuitOutcome(error.config, error);
+          throw error;
+        },
+      );
+    }
     axiosRetry(this.client, {
       retries: this.retryMaxRetries,
-      retryCondition: (error) => {
-        return (
-          axiosRetryModule.isNetworkError(error) ||
-          (error.response &&
-            (error.response.status >= 500 || error.response.status === 429))
-        );
-      },
+      retryCondition: (error) => this._isRetryableError(error),
       retryDelay: (retryCount, error) => {
         const calculated = Math.min(
           this.retryInitialDelay *
@@ -113,19 +324,525 @@ class LLMWhispererClientV2 {
         const jitterVal = Math.random() * this.retryJitter;
         return (base + jitterVal) * 1000;
       },
-      onRetry: (retryCount, error, requestConfig) => {
+      onRetry: async (retryCount, error, requestConfig) => {
         const status = error.response
           ? error.response.status
           : error.code || error.message;
-        this.logger.warn(
-          `Retry ${retryCount}/${this.retryMaxRetries} for ${requestConfig.url} (${status}). ` +
-            `Waiting before next attempt.`,
+        this.logger.warn("Retrying request", {
+          attempt: retryCount,
+          maxRetries: this.retryMaxRetries,
+          url: requestConfig.url,
+          status,
+        });
+        this._rewindBody(requestConfig);
+        if (
+          this._regionFailed(requestConfig, error) &&
+          !isPinned(requestConfig)
+        ) {
+          requestConfig.url = this.regions.reroute(requestConfig.url);
+        }
+        await this._rateLimited(requestConfig, error);
+        this.telemetry.recordRetry(requestConfig);
+        await this._runHooks("onRetry", {
+          ...requestContext(requestConfig),
+          status: error.response ? error.response.status : undefined,
+          error: this._toClientException(error),
+        });
+      },
+    });
+    // Installed after axios-retry, so a retried call reports only its final outcome.
+    this._installInterceptors();
+  }
+
+  /**
+   * Adds lifecycle hooks, run after the ones already installed. Each hook may
+   * be async and receives a context describing the call: the client `method`
+   * (e.g. "whisper"), `httpMethod`, `url`, `params`, `headers`, the `attempt`
+   * number and `startedAt`/`durationMs` timing since the first attempt.
+   *
+   * - `beforeRequest` runs before every attempt, retries included. It may
+   *   change `headers` and `params`; throwing fails the call.
+   * - `afterResponse` runs once the call succeeded, with `status` and `response`.
+   * - `onError` runs once the call failed, with `error` as an LLMWhispererClientException.
+   * - `onRetry` runs before each retry, with the `error` being retried.
+   * - `onPollStatus` runs for each status check while waiting on a job, with
+   *   `whisperHash`, `status`, `attempt` and `durationMs`.
+   * - `onJobComplete` runs once a waited-on job is processed or has failed,
+   *   with `whisperHash`, `status` and `durationMs`.
+   *
+   * A throwing hook other than `beforeRequest` is logged and ignored.
+   *
+   * @param {Object|Object[]} hooks - A hook set, or several.
+   * @returns {LLMWhispererClientV2} The client, for chaining.
+   * @throws {LLMWhispererClientException} If a hook is unknown or not a function.
+   */
+  use(hooks) {
+    this.hooks.push(...normalizeHooks(hooks));
+    return this;
+  }
+
+  /**
+   * Runs the hooks registered under `name`, in order.
+   * @private
+   */
+  async _runHooks(name, context) {
+    for (const set of this.hooks) {
+      if (!set[name]) continue;
+      try {
+        await set[name](context);
+      } catch (error) {
+        if (name === "beforeRequest") throw error;
+        this.logger.warn("Hook failed", { hook: name, error });
+      }
+    }
+  }
+
+  /**
+   * Fetches a new API key from the `apiKeyProvider`, called with
+   * `{ refresh: true }`, and uses it for every request from now on. Calls
+   * made while a refresh is in flight share it.
+   *
+   * @returns {Promise<string>} The new API key.
+   * @throws {LLMWhispererClientException} If the client has no `apiKeyProvider`,
+   *                                       or it did not return a key.
+   */
+  refreshApiKey() {
+    if (!this.apiKeyProvider) {
+      return Promise.reject(
+        new LLMWhispererClientException(
+          "refreshApiKey requires an apiKeyProvider",
+          -1,
+        ),
+      );
+    }
+    if (!this._apiKeyRefresh) {
+      this._apiKeyRefresh = this._loadApiKey(true).finally(() => {
+        this._apiKeyRefresh = null;
+      });
+    }
+    return this._apiKeyRefresh;
+  }
+
+  /**
+   * The API key from the provider, fetched on first use.
+   * @private
+   */
+  _currentApiKey() {
+    return this._apiKeyPromise || this._loadApiKey(false);
+  }
+
+  /**
+   * Asks the provider for a key. A failed fetch is forgotten, so the next
+   * request asks again.
+   * @private
+   */
+  _loadApiKey(refresh) {
+    const pending = (async () => {
+      const key = await this.apiKeyProvider({ refresh });
+      if (typeof key !== "string" || !key) {
+        throw new LLMWhispererClientException(
+          "apiKeyProvider must return a non-empty string",
+          -1,
         );
-        if (requestConfig._filePath) {
-          requestConfig.data = fs.createReadStream(requestConfig._filePath);
+      }
+      this.apiKey = key;
+      this.headers["unstract-key"] = key;
+      if (!this._secrets.includes(key)) {
+        this._secrets.push(key);
+      }
+      return key;
+    })();
+    this._apiKeyPromise = pending;
+    pending.catch(() => {
+      if (this._apiKeyPromise === pending) {
+        this._apiKeyPromise = null;
+      }
+    });
+    return pending;
+  }
+
+  /**
+   * Prepares a request body to be sent again. File uploads are reopened;
+   * other streams have been consumed and cannot be.
+   * @private
+   * @returns {boolean} Whether the body can be sent again.
+   */
+  _rewindBody(config) {
+    if (config._filePath) {
+      config.data = fs.createReadStream(config._filePath);
+      return true;
+    }
+    return !(config.data && typeof config.data.pipe === "function");
+  }
+
+  /**
+   * Marks the region of a request unhealthy when it failed with a network
+   * error or a 5xx. Rate limits say nothing about a region's health.
+   * @private
+   * @returns {boolean} Whether the region was marked.
+   */
+  _regionFailed(config, error) {
+    if (
+      !config ||
+      this.regions.baseUrls.length < 2 ||
+      axios.isCancel(error) ||
+      !(
+        axiosRetryModule.isNetworkError(error) ||
+        (error.response && error.response.status >= 500)
+      )
+    ) {
+      return false;
+    }
+    const region = this.regions.markFailed(config.url);
+    if (!region) return false;
+    this.logger.warn("Region failed", {
+      region,
+      cooldown: this.regions.cooldown,
+      error,
+    });
+    return true;
+  }
+
+  /**
+   * Holds a request until the rate limiter hands it a token. Like the cache,
+   * a failing rate limit store is logged and the request is sent anyway.
+   * @private
+   */
+  async _acquireToken(config) {
+    try {
+      const held = await this.rateLimiter.acquire(
+        bucketFor(config._operation),
+        {
+          signal: config.signal,
+        },
+      );
+      if (held > 0) {
+        this.logger.debug("Request held by the rate limiter", {
+          url: config.url,
+          held,
+        });
+      }
+    } catch (error) {
+      if (error instanceof LLMWhispererAbortError) throw error;
+      this.logger.warn("Could not update the rate limit", { error });
+    }
+  }
+
+  /**
+   * Slows the rate limiter down when a request got a 429.
+   * @private
+   */
+  async _rateLimited(config, error) {
+    if (
+      !this.rateLimiter ||
+      !config ||
+      !error.response ||
+      error.response.status !== 429
+    ) {
+      return;
+    }
+    const headers = error.response.headers || {};
+    try {
+      await this.rateLimiter.throttle(
+        bucketFor(config._operation),
+        parseRetryAfter(headers["retry-after"]),
+      );
+    } catch (storeError) {
+      this.logger.warn("Could not update the rate limit", {
+        error: storeError,
+      });
+    }
+  }
+
+  /**
+   * Reports the outcome of an attempt to the circuit breaker. Network
+   * errors, timeouts and 5xx count as failures; cancelled attempts and
+   * errors raised before sending do not count.
+   * @private
+   */
+  _recordCircuitOutcome(config, error) {
+    if (!config || config._circuitProbe === undefined) return;
+    const probe = config._circuitProbe;
+    if (error && (axios.isCancel(error) || !error.isAxiosError)) {
+      if (probe) this.circuitBreaker.release();
+      return;
+    }
+    const failed = Boolean(
+      error && (!error.response || error.response.status >= 500),
+    );
+    this.circuitBreaker.record(failed, probe);
+  }
+
+  /**
+   * @function
+   * @name circuitState
+   * @description Reports the circuit breaker's state, e.g. for a dashboard.
+   * @returns {Object|null} `{ state, failureRate, requests, failures, openedAt, retryAfter }`, where
+   *                        `state` is "closed", "open" or "half-open"; null without a circuit breaker.
+   */
+  circuitState() {
+    return this.circuitBreaker ? this.circuitBreaker.snapshot() : null;
+  }
+
+  /**
+   * The URL of an endpoint: on the region that accepted the job when
+   * `whisperHash` is given, on the first healthy region otherwise.
+   * @private
+   */
+  _url(path, whisperHash) {
+    const base =
+      whisperHash === undefined
+        ? this.regions.active()
+        : this.regions.baseUrlFor(whisperHash);
+    return `${base}/${path}`;
+  }
+
+  /**
+   * Wires the request hooks and telemetry into the axios instance. A retry
+   * re-enters the interceptors, so outcomes already reported by the retried
+   * request are skipped on the way out.
+   * @private
+   */
+  _installInterceptors() {
+    const reported = new WeakSet();
+    this.client.interceptors.request.use(async (config) => {
+      if (config._startedAt === undefined) {
+        config._startedAt = Date.now();
+      }
+      config.params = config.params || {};
+      if (this.apiKeyProvider) {
+        config.headers["unstract-key"] = await this._currentApiKey();
+      }
+      await this._runHooks("beforeRequest", requestContext(config));
+      if (this.rateLimiter) {
+        await this._acquireToken(config);
+      }
+      if (this.circuitBreaker) {
+        config._circuitProbe = this.circuitBreaker.allow(config.url);
+      }
+      this.telemetry.startRequest(config);
+      return config;
+    });
+    this.client.interceptors.response.use(
+      async (response) => {
+        if (!reported.has(response)) {
+          reported.add(response);
+          this.telemetry.endRequest(response.config, {
+            status: response.status,
+          });
+          await this._runHooks("afterResponse", {
+            ...requestContext(response.config),
+            status: response.status,
+            response,
+          });
         }
+        return response;
       },
+      async (error) => {
+        const config = error.config;
+        if (
+          this.apiKeyProvider &&
+          config &&
+          !config._keyRefreshed &&
+          error.response &&
+          error.response.status === 401
+        ) {
+          config._keyRefreshed = true;
+          const retry = await this._refreshRejectedKey(config);
+          if (retry) return retry;
+        }
+        if (error instanceof Error && !reported.has(error)) {
+          reported.add(error);
+          this._regionFailed(config, error);
+          await this._rateLimited(config, error);
+          const status = error.response ? error.response.status : undefined;
+          const exception = this._toClientException(error);
+          this.telemetry.endRequest(error.config, { status, error: exception });
+          await this._runHooks("onError", {
+            ...requestContext(error.config),
+            status,
+            error: exception,
+          });
+        }
+        throw error;
+      },
+    );
+  }
+
+  /**
+   * Handles a 401 when keys come from a provider: refreshes the key, unless
+   * another request already has, and sends the request again with it.
+   * @private
+   * @returns {Promise<Object>|null} The repeated request, or null when it cannot be repeated.
+   */
+  async _refreshRejectedKey(config) {
+    try {
+      if (config.headers["unstract-key"] === this.apiKey) {
+        await this.refreshApiKey();
+      }
+    } catch (error) {
+      this.logger.warn("Could not refresh the API key", { error });
+      return null;
+    }
+    if (!this._rewindBody(config)) return null;
+    // The body was already serialized for the first attempt.
+    config.transformRequest = [(data) => data];
+    return this.client(config);
+  }
+
+  /**
+   * Stores a completed whisper() result. A failing cache store is logged
+   * rather than failing an extraction that has already been paid for.
+   * @private
+   */
+  async _cacheResult(cacheKey, message) {
+    try {
+      await this.cache.set(cacheKey, message);
+    } catch (error) {
+      this.logger.warn("Could not cache result", { cacheKey, error });
+    }
+  }
+
+  /**
+   * Records an accepted job before waiting on it. Like the cache, a failing
+   * journal store is logged rather than failing the extraction.
+   * @private
+   */
+  async _journalRecord(entry) {
+    try {
+      await this.journal.record(entry);
+    } catch (error) {
+      this.logger.warn("Could not journal job", {
+        whisperHash: entry.whisperHash,
+        error,
+      });
+    }
+  }
+
+  /**
+   * Removes a job from the journal once it no longer needs resuming.
+   * @private
+   */
+  async _journalComplete(whisperHash) {
+    if (!this.journal) return;
+    try {
+      await this.journal.complete(whisperHash);
+    } catch (error) {
+      this.logger.warn("Could not remove job from the journal", {
+        whisperHash,
+        error,
+      });
+    }
+  }
+
+  /**
+   * Runs inspect() on an upload before it is sent, logging its warnings.
+   * Streams are passed through, since reading them would consume them.
+   * @private
+   * @returns {Promise<number|null|undefined>} The page count, if the source was inspected.
+   */
+  async _inspectUpload(source, options) {
+    if (!source.filePath && !Buffer.isBuffer(source.body)) {
+      this.logger.debug("Skipping inspection of a stream upload");
+      return undefined;
+    }
+    const report = await inspectDocument(source.filePath || source.body, {
+      filename: source.filename,
+      ...options,
     });
+    for (const warning of report.warnings) {
+      this.logger.warn("Document inspection warning", {
+        filename: report.filename,
+        warning,
+      });
+    }
+    if (!report.ok) {
+      throw new LLMWhispererValidationError(
+        `Document failed inspection: ${report.problems.join("; ")}`,
+        -1,
+        { errors: report.problems },
+      );
+    }
+    return report.pageCount;
+  }
+
+  /**
+   * Whether a failed request is worth retrying: network errors, 5xx and 429.
+   * @private
+   */
+  _isRetryableError(error) {
+    if (axios.isCancel(error)) {
+      return false;
+    }
+    if (this.circuitBreaker && this.circuitBreaker.state !== "closed") {
+      return false;
+    }
+    return Boolean(
+      axiosRetryModule.isNetworkError(error) ||
+        (error.response &&
+          (error.response.status >= 500 || error.response.status === 429)),
+    );
+  }
+
+  /**
+   * Converts an error raised by an API call into the matching
+   * LLMWhispererClientException subclass. Cancellations become an
+   * LLMWhispererAbortError.
+   * @private
+   * @param {Error} error - The error thrown by axios, or by the method itself.
+   * @param {string} [whisperHash] - The whisper_hash the call was made for.
+   */
+  _toClientException(error, whisperHash) {
+    if (error instanceof LLMWhispererClientException) {
+      return error;
+    }
+    if (axios.isCancel(error)) {
+      const signal = error.config && error.config.signal;
+      return new LLMWhispererAbortError(
+        "Request aborted",
+        signal ? signal.reason : undefined,
+      );
+    }
+    const url = error.config ? error.config.url : undefined;
+    if (error.response) {
+      const { status, data, headers = {} } = error.response;
+      return errorForStatus(status, errorMessageFrom(data, error.message), {
+        responseBody: data,
+        url,
+        whisperHash,
+        retryAfter: parseRetryAfter(headers["retry-after"]),
+      });
+    }
+    if (error.code === "ECONNABORTED" || error.code === "ETIMEDOUT") {
+      return new LLMWhispererTimeoutError(error.message, { url, whisperHash });
+    }
+    if (error.isAxiosError) {
+      return new LLMWhispererNetworkError(error.message, { url, whisperHash });
+    }
+    return new LLMWhispererClientException(error.message, -1, {
+      url,
+      whisperHash,
+    });
+  }
+
+  /**
+   * Builds the exception for a response whose status code the method does
+   * not expect, e.g. a 204 where the API documents a 200.
+   * @private
+   */
+  _unexpectedResponse(response, whisperHash) {
+    return errorForStatus(
+      response.status,
+      errorMessageFrom(
+        response.data,
+        `Unexpected status code ${response.status}`,
+      ),
+      {
+        responseBody: response.data,
+        url: response.config ? response.config.url : undefined,
+        whisperHash,
+      },
+    );
   }
 
   /**
@@ -133,25 +850,24 @@ class LLMWhispererClientV2 {
    * @name getUsageInfo
    * @description This function retrieves usage information. Refer to the API documentation for more information.
    * @async
+   * @param {Object} [options={}]
+   * @param {AbortSignal} [options.signal] - Cancels the request.
    * @returns {Object} Returns an object containing usage information.
    */
-  async getUsageInfo() {
-    this.logger.debug("get_usage_info called");
-    const url = `${this.baseUrl}/get-usage-info`;
-    this.logger.debug(`url: ${url}`);
+  async getUsageInfo({ signal } = {}) {
+    const url = this._url("get-usage-info");
+    this.logger.debug("get_usage_info called", { url });
 
     try {
       const response = await this.client.get(url, {
+        _operation: "getUsageInfo",
         headers: this.headers,
         timeout: this.apiTimeout * 1000,
+        signal,
       });
       return response.data;
     } catch (error) {
-      const err = error.response
-        ? error.response.data
-        : { message: error.message };
-      err.statusCode = error.response ? error.response.status : -1;
-      throw new LLMWhispererClientException(err.message, err.statusCode);
+      throw this._toClientException(error);
     }
   }
 
@@ -162,6 +878,11 @@ class LLMWhispererClientV2 {
    * @async
    * @param {Object} options - The options for processing.
    * @param {string} [options.filePath=''] - The path to the file to be processed.
+   * @param {Buffer|Uint8Array|ArrayBuffer|Blob} [options.data] - The document contents, held in memory.
+   *                                       Replayed as-is if the upload is retried.
+   * @param {stream.Readable} [options.stream] - A readable stream of the document. Streams can only be
+   *                                       read once, so a failed upload is not retried.
+   * @param {number} [options.contentLength] - The size of `stream` in bytes, when it cannot be inferred.
    * @param {string} [options.url=''] - The URL of the file to be processed.
    * @param {string} [options.mode='high_quality'] - The mode of processing, e.g., 'high_quality'.
    * @param {string} [options.outputMode='line-printer'] - The mode of output, e.g., 'line-printer'.
@@ -176,43 +897,77 @@ class LLMWhispererClientV2 {
    * @param {string} [options.lineSplitterStrategy='left-priority'] - The line splitter strategy.
    * @param {string} [options.lang='eng'] - The language to use.
    * @param {string} [options.tag='default'] - The tag to use.
-   * @param {string} [options.filename=''] - The filename to use.
+   * @param {string} [options.filename=''] - The filename to use. Inferred from the file path,
+   *                                       Blob/File name or file stream when empty.
    * @param {string} [options.webhookMetadata=''] - The webhook metadata to use.
    * @param {string} [options.useWebhook=''] - Whether to use a webhook.
    * @param {boolean} [options.waitForCompletion=false] - Whether to wait for completion.
    * @param {number} [options.waitTimeout=180] - The timeout for waiting.
+   * @param {Object} [options.pollPolicy] - Overrides the client's poll policy for this wait.
    * @param {boolean} [options.addLineNos=false] - If true, adds line numbers to the extracted text
    *                                       and saves line metadata, which can be queried later
    *                                       using the highlights API.
+   * @param {boolean} [options.returnJob=false] - If true, returns a WhisperJob for the accepted
+   *                                       extraction instead of the response object. Combined with
+   *                                       `waitForCompletion`, the job is returned once processed.
+   * @param {AbortSignal} [options.signal] - Cancels the upload, any retries and the wait for completion.
+   * @param {boolean|string} [options.cache=true] - With a client `cache`, completed extractions of
+   *                                       `filePath`/`data` uploads are served from and stored in it.
+   *                                       `false` bypasses the cache; "refresh" re-extracts and overwrites the entry.
+   * @param {boolean|Object} [options.inspect=false] - Inspect `filePath`/`data` uploads locally first, see
+   *                                       inspect(); an object sets its `maxFileSize` and `maxPages`.
+   *                                       Documents with problems are refused with an LLMWhispererValidationError.
 
-   * @returns {Promise<Object>} The response from the whisper API.
+   * @returns {Promise<Object|WhisperJob>} The response from the whisper API, or a WhisperJob.
+   * @throws {LLMWhispererValidationError} If the options are invalid; checked before anything is sent.
    * @throws {LLMWhispererClientException} If there is an error in the request.
    */
-  async whisper({
-    filePath = "",
-    url = "",
-    mode = "high_quality",
-    outputMode = "line-printer",
-    pageSeparator = "<<<",
-    pagesToExtract = "",
-    medianFilterSize = 0,
-    gaussianBlurRadius = 0,
-    lineSplitterTolerance = 0.4,
-    horizontalStretchFactor = 1.0,
-    markVerticalLines = false,
-    markHorizontalLines = false,
-    lineSplitterStrategy = "left-priority",
-    lang = "eng",
-    tag = "default",
-    filename = "",
-    webhookMetadata = "",
-    useWebhook = "",
-    waitForCompletion = false,
-    waitTimeout = 180,
-    addLineNos = false,
-  } = {}) {
-    this.logger.debug("whisper called");
-    const apiUrl = `${this.baseUrl}/whisper`;
+  whisper(options = {}) {
+    return this.telemetry.withSpan("llmwhisperer.whisper", {}, (span) =>
+      this._whisper(options, span),
+    );
+  }
+
+  /**
+   * The body of whisper(), run inside its span.
+   * @private
+   */
+  async _whisper(
+    {
+      filePath = "",
+      data,
+      stream,
+      contentLength,
+      url = "",
+      mode = "high_quality",
+      outputMode = "line-printer",
+      pageSeparator = "<<<",
+      pagesToExtract = "",
+      medianFilterSize = 0,
+      gaussianBlurRadius = 0,
+      lineSplitterTolerance = 0.4,
+      horizontalStretchFactor = 1.0,
+      markVerticalLines = false,
+      markHorizontalLines = false,
+      lineSplitterStrategy = "left-priority",
+      lang = "eng",
+      tag = "default",
+      filename = "",
+      webhookMetadata = "",
+      useWebhook = "",
+      waitForCompletion = false,
+      waitTimeout = 180,
+      addLineNos = false,
+      returnJob = false,
+      pollPolicy,
+      signal,
+      cache = true,
+      inspect = false,
+    } = {},
+    span,
+  ) {
+    const startedAt = Date.now();
+    const apiUrl = this._url("whisper");
     const params = {
       url,
       mode: mode,
@@ -236,112 +991,448 @@ class LLMWhispererClientV2 {
       add_line_nos: addLineNos,
     };
 
-    this.logger.debug(`api_url: ${apiUrl}`);
-    this.logger.debug(`params: ${JSON.stringify(params)}`);
+    this.logger.debug("whisper called", { url: apiUrl, params });
+    span.setAttributes(paramAttributes(params));
 
-    if (!url && !filePath) {
-      throw new LLMWhispererClientException(
-        "Either url or filePath must be provided",
-        -1,
-      );
-    }
+    validateWhisperOptions({
+      url,
+      filePath,
+      data,
+      stream,
+      mode,
+      outputMode,
+      pagesToExtract,
+      medianFilterSize,
+      gaussianBlurRadius,
+      lineSplitterTolerance,
+      horizontalStretchFactor,
+      lineSplitterStrategy,
+      webhookMetadata,
+      useWebhook,
+    });
 
+    let source;
+    const discardBody = () => {
+      if (source && typeof source.body.destroy === "function") {
+        source.body.destroy();
+      }
+    };
     try {
       const options = {
+        _operation: "whisper",
         method: "post",
         url: apiUrl,
         headers: { ...this.headers },
         params,
         timeout: 200 * 1000,
+        signal,
       };
 
       if (!url) {
-        const file = fs.createReadStream(filePath);
-        const fileStats = fs.statSync(filePath);
-        options.data = file;
-        options._filePath = filePath;
+        source = await resolveUploadSource({
+          filePath,
+          data,
+          stream,
+          filename,
+          contentLength,
+        });
+        params.filename = source.filename;
+        options.data = source.body;
         options.headers["Content-Type"] = "application/octet-stream";
-        options.headers["Content-Length"] = fileStats.size;
+        if (source.contentLength !== undefined) {
+          options.headers["Content-Length"] = source.contentLength;
+        }
+        if (source.filePath) {
+          options._filePath = source.filePath;
+        }
+        if (!source.replayable) {
+          options["axios-retry"] = { retries: 0 };
+        }
+      }
+
+      let cacheKey;
+      if (
+        this.cache &&
+        cache !== false &&
+        waitForCompletion &&
+        !returnJob &&
+        !useWebhook &&
+        source &&
+        source.replayable
+      ) {
+        cacheKey = await resultCacheKey(source, params);
+        const cached =
+          cache === "refresh" ? undefined : await this.cache.get(cacheKey);
+        if (cached) {
+          this.logger.debug("Returning cached result", { cacheKey });
+          discardBody();
+          span.setAttribute("llmwhisperer.cached", true);
+          return { ...cached, cache_key: cacheKey, cached: true };
+        }
+      }
+
+      let pageCount;
+      if (inspect && source) {
+        pageCount = await this._inspectUpload(source, {
+          ...(inspect === true ? {} : inspect),
+          pagesToExtract,
+        }).catch((error) => {
+          discardBody();
+          throw error;
+        });
+      }
+
+      if (this.quotaGuard) {
+        if (pageCount === undefined) {
+          pageCount = source ? await countDocumentPages(source) : null;
+        }
+        const pages = estimatePages(pageCount, pagesToExtract);
+        this.logger.debug("Estimated pages for the quota guard", { pages });
+        try {
+          await this.quotaGuard.check(this, pages, { signal });
+        } catch (error) {
+          discardBody();
+          throw error;
+        }
       }
 
       const response = await this.client(options);
 
       if (response.status !== 200 && response.status !== 202) {
-        const message = response.data;
-        message.statusCode = response.status;
-        throw new LLMWhispererClientException(message.message, response.status);
+        throw this._unexpectedResponse(response);
       }
 
       if (response.status === 202) {
         const message = response.data;
         message.statusCode = response.status;
         message.extraction = {};
+        span.setAttribute("llmwhisperer.whisper_hash", message.whisper_hash);
+        // A retry may have failed over, so the region is read off the last attempt.
+        const region =
+          this.regions.regionOf(response.config.url) || this.regions.primary;
+        this.regions.pin(message.whisper_hash, region);
+        // A returned job is retrieved by the caller, if at all, so only the
+        // jobs this call retrieves itself are journaled.
+        if (this.journal && waitForCompletion && !returnJob) {
+          await this._journalRecord({
+            whisperHash: message.whisper_hash,
+            baseUrl: region,
+            filePath: (source && source.filePath) || null,
+            url: url || null,
+            filename: params.filename || null,
+            tag,
+            params,
+            submittedAt: new Date().toISOString(),
+          });
+        }
+        if (returnJob) {
+          const job = this.job(message.whisper_hash, message);
+          if (waitForCompletion) {
+            await job.wait({ timeout: waitTimeout, pollPolicy, signal });
+          }
+          return job;
+        }
         if (!waitForCompletion) {
           return message;
         }
-        const whisperHash = message["whisper_hash"];
-        const start_time = new Date();
-        while (true) {
-          const current_time = new Date();
-          const elapsed_time = (current_time - start_time) / 1000;
-          if (elapsed_time > waitTimeout) {
-            message["extraction"] = {};
-            message["status_code"] = -1;
-            message["message"] = "Whisper client operation timed out";
-            return message;
-          }
-          const whisperStatus = await this.whisperStatus(whisperHash);
-          this.logger.debug(`whisperStatus: ${JSON.stringify(whisperStatus)}`);
-
-          if (whisperStatus.statusCode !== 200) {
-            message["extraction"] = {};
-            message["status_code"] = whisperStatus.statusCode;
-            message["message"] = "Whisper client operation failed";
-            return message;
-          }
-          if (whisperStatus.status === "accepted") {
-            this.logger.debug("Status: accepted...");
-          } else if (whisperStatus.status === "processing") {
-            this.logger.debug("Status: processing...");
-          } else if (whisperStatus.status === "error") {
-            this.logger.debug("Status: error");
-            this.logger.error(
-              "Whisper-hash: ${whisperHash} | STATUS: failed with ${whisperStatus.message}",
-            );
-            message["extraction"] = {};
-            message["status_code"] = -1;
-            message["status"] = "error";
-            message["message"] = whisperStatus.message;
-            break;
-          } else if (whisperStatus.status === "processed") {
-            this.logger.debug("Status: processed");
-            const whisperResult = await this.whisperRetrieve(whisperHash);
-            message.status_code = 200;
-            message.message = "Whisper operation completed";
-            message.status = "processed";
-            message.extraction = whisperResult.extraction;
-            break;
-          }
-          this.logger.debug("Sleeping for 5 seconds");
-          await new Promise((r) => setTimeout(r, 5000));
+        const job = this.job(message.whisper_hash, message);
+        const { outcome, status } = await job._poll({
+          timeout: waitTimeout,
+          pollPolicy,
+          signal,
+        });
+        if (outcome === "timeout") {
+          message["extraction"] = {};
+          message["status_code"] = -1;
+          message["message"] = "Whisper client operation timed out";
+        } else if (outcome === "failed") {
+          message["extraction"] = {};
+          message["status_code"] = status.statusCode;
+          message["message"] = "Whisper client operation failed";
+        } else if (outcome === "error") {
+          message["extraction"] = {};
+          message["status_code"] = -1;
+          message["status"] = "error";
+          message["message"] = status.message;
+        } else {
+          message.extraction = await job.result({ signal });
+          message.status_code = 200;
+          message.message = "Whisper operation completed";
+          message.status = "processed";
         }
-        if ("status_code" in message) {
-          if ("statusCode" in message) {
+        // Timed-out and failed results have always kept the upload's `statusCode`.
+        if (outcome !== "timeout" && outcome !== "failed") {
+          if ("status_code" in message) {
+            if ("statusCode" in message) {
+              delete message["statusCode"];
+            }
+          } else if ("statusCode" in message) {
+            message.status_code = message.statusCode;
             delete message["statusCode"];
           }
-        } else if ("statusCode" in message) {
-          message.status_code = message.statusCode;
-          delete message["statusCode"];
+        }
+        span.setAttribute("llmwhisperer.status_code", message.status_code);
+        if (message.status_code !== 200) {
+          this.telemetry.fail(span, message.message);
+        }
+        this.telemetry.recordJob(
+          params,
+          (Date.now() - startedAt) / 1000,
+          message.status_code === 200 ? message.extraction : null,
+          { pageSeparator, pagesToExtract },
+        );
+        if (cacheKey && message.status_code === 200) {
+          await this._cacheResult(cacheKey, message);
+          message.cache_key = cacheKey;
+          message.cached = false;
         }
         return message;
       }
     } catch (error) {
-      const err = error.response
-        ? error.response.data
-        : { message: error.message };
-      err.statusCode = error.response ? error.response.status : -1;
-      throw new LLMWhispererClientException(err.message, err.statusCode);
+      // A call refused before it was sent (open breaker, aborted signal,
+      // throwing hook or key provider) never reads the body, so close it.
+      discardBody();
+      const exception = this._toClientException(error);
+      if (source && !source.replayable && this._isRetryableError(error)) {
+        exception.message =
+          `${exception.message} (upload was not retried because the input stream ` +
+          `cannot be replayed; pass data or filePath to enable retries)`;
+      }
+      throw exception;
+    }
+  }
+
+  /**
+   * @function
+   * @name inspect
+   * @description Checks a document locally before uploading it: the file type from its magic bytes,
+   * the page count of PDFs and TIFFs, encrypted or truncated PDFs, `pagesToExtract` against the
+   * page count, and size limits. Makes no API call.
+   * @async
+   * @param {string|Buffer|Uint8Array|ArrayBuffer|Blob} input - A file path, or the document contents.
+   * @param {Object} [options={}]
+   * @param {string} [options.filename] - The name to check the extension against; defaults to the file's name.
+   * @param {string} [options.pagesToExtract=''] - The pages that would be requested.
+   * @param {number} [options.maxFileSize] - Bytes above which the document is refused.
+   * @param {number} [options.maxPages] - Selected pages above which the document is refused.
+   * @returns {Promise<Object>} `{ filename, size, type, mimeType, pageCount, selectedPages, encrypted,
+   *                                       problems, warnings, ok }`. `ok` is false when `problems`
+   *                                       lists a reason the upload would fail.
+   */
+  async inspect(input, options = {}) {
+    if (typeof input === "string") {
+      return inspectDocument(input, options);
+    }
+    const source = await resolveUploadSource({
+      data: input,
+      filename: options.filename,
+    });
+    return inspectDocument(source.body, {
+      ...options,
+      filename: source.filename || undefined,
+    });
+  }
+
+  /**
+   * @function
+   * @name whisperBatch
+   * @description Runs whisper() over many documents with a bounded number of concurrent jobs.
+   * A failure in one item is recorded against that item and does not reject the batch.
+   * @async
+   * @param {Array<Object|string>} inputs - whisper() options per document. A string is taken
+   *                                       as a `url` when it starts with http(s)://, else as a `filePath`.
+   * @param {Object} [options={}] - The batch options. Any other key is passed to every whisper() call.
+   * @param {number} [options.concurrency=4] - Maximum number of documents in flight at once.
+   * @param {boolean} [options.waitForCompletion=true] - Whether to poll and retrieve each extraction.
+   *                                       When true, an item only succeeds once it is processed.
+   * @param {Function} [options.onProgress] - Called after each item settles with
+   *                                       `{ completed, total, succeeded, failed, item }`. If it
+   *                                       throws, the error is logged and the batch carries on.
+   * @param {AbortSignal} [options.signal] - Cancels every item still in flight or queued; those
+   *                                       items fail with an LLMWhispererAbortError.
+   * @returns {Promise<Object>} `{ results, succeeded, failed }`, where `results` holds one
+   *                                       `{ index, input, ok, result | error }` entry per input, in input order.
+   * @throws {LLMWhispererClientException} If `concurrency` is invalid or `returnJob` is set,
+   *                                       before any document is sent.
+   */
+  async whisperBatch(
+    inputs,
+    { concurrency = 4, waitForCompletion = true, onProgress, ...shared } = {},
+  ) {
+    if (!Array.isArray(inputs)) {
+      throw new LLMWhispererClientException("inputs must be an array", -1);
+    }
+    validateConcurrency(concurrency);
+    // Items are judged by their whisper() result, which a job handle is not.
+    if (
+      shared.returnJob ||
+      inputs.some(
+        (input) => input && typeof input === "object" && input.returnJob,
+      )
+    ) {
+      throw new LLMWhispererClientException(
+        "whisperBatch does not support returnJob",
+        -1,
+      );
+    }
+    this.logger.debug("whisper_batch called", {
+      inputs: inputs.length,
+      concurrency,
+    });
+
+    const results = new Array(inputs.length);
+    let succeeded = 0;
+    let failed = 0;
+
+    const runItem = async (index) => {
+      const input = inputs[index];
+      const options =
+        typeof input === "string"
+          ? /^https?:\/\//i.test(input)
+            ? { url: input }
+            : { filePath: input }
+          : input;
+      let item;
+      try {
+        const result = await this.whisper({
+          ...shared,
+          ...options,
+          waitForCompletion,
+        });
+        if (waitForCompletion && result.status_code !== 200) {
+          throw new LLMWhispererClientException(
+            result.message,
+            result.status_code,
+          );
+        }
+        item = { index, input, ok: true, result };
+        succeeded++;
+      } catch (error) {
+        item = { index, input, ok: false, error };
+        failed++;
+        this.logger.warn("Batch item failed", { index, error });
+      }
+      results[index] = item;
+      if (onProgress) {
+        try {
+          onProgress({
+            completed: succeeded + failed,
+            total: inputs.length,
+            succeeded,
+            failed,
+            item,
+          });
+        } catch (error) {
+          // A progress callback must not abandon the items still running.
+          this.logger.warn("onProgress threw", { index, error });
+        }
+      }
+    };
+
+    await runPool(inputs.length, concurrency, runItem);
+
+    return { results, succeeded, failed };
+  }
+
+  /**
+   * @function
+   * @name resumePending
+   * @description Reattaches to the jobs left in the client's journal, e.g. by a process that
+   * crashed while waiting, and retrieves their results. Retrieved and failed jobs are removed
+   * from the journal; jobs that time out or hit a transient error stay for the next call.
+   * @async
+   * @param {Object} [options={}]
+   * @param {number} [options.concurrency=4] - Maximum number of jobs waited on at once.
+   * @param {number} [options.timeout=180] - Seconds to wait on each job.
+   * @param {Object} [options.pollPolicy] - Overrides the client's poll policy for these waits.
+   * @param {Function} [options.onResult] - Called as each job settles with its result entry. If it
+   *                                       throws, the error is logged and the other jobs carry on.
+   * @param {AbortSignal} [options.signal] - Stops every wait; the jobs stay in the journal.
+   * @returns {Promise<Object>} `{ results, succeeded, failed }`, where `results` holds one
+   *                                       `{ entry, ok, extraction | error }` per journal entry,
+   *                                       oldest submission first.
+   * @throws {LLMWhispererClientException} If the client has no journal.
+   */
+  async resumePending({
+    concurrency = 4,
+    timeout = 180,
+    pollPolicy,
+    onResult,
+    signal,
+  } = {}) {
+    if (!this.journal) {
+      throw new LLMWhispererClientException(
+        "resumePending requires a client journal",
+        -1,
+      );
+    }
+    validateConcurrency(concurrency);
+    const entries = await this.journal.pending();
+    this.logger.debug("resume_pending called", { jobs: entries.length });
+
+    const results = new Array(entries.length);
+    let succeeded = 0;
+    let failed = 0;
+
+    const runItem = async (index) => {
+      const entry = entries[index];
+      let item;
+      try {
+        const job = this.job(entry.whisperHash, {}, { baseUrl: entry.baseUrl });
+        const extraction = await job.result({
+          timeout,
+          pollPolicy,
+          signal,
+        });
+        item = { entry, ok: true, extraction };
+        succeeded++;
+      } catch (error) {
+        if (error instanceof LLMWhispererNotFoundError) {
+          // An unknown hash can never be retrieved, so stop resuming it.
+          await this._journalComplete(entry.whisperHash);
+        }
+        item = { entry, ok: false, error };
+        failed++;
+        this.logger.warn("Could not resume job", {
+          whisperHash: entry.whisperHash,
+          error,
+        });
+      }
+      results[index] = item;
+      if (onResult) {
+        try {
+          onResult(item);
+        } catch (error) {
+          this.logger.warn("onResult threw", {
+            whisperHash: entry.whisperHash,
+            error,
+          });
+        }
+      }
+    };
+
+    await runPool(entries.length, concurrency, runItem);
+
+    return { results, succeeded, failed };
+  }
+
+  /**
+   * @function
+   * @name job
+   * @description Returns a WhisperJob handle for a stored whisper hash, without calling the API.
+   * @param {string} whisperHash - The hash returned when the extraction was accepted.
+   * @param {Object} [submission={}] - The original `/whisper` response, if it was kept.
+   * @param {Object} [options={}]
+   * @param {string} [options.baseUrl] - The region that accepted the job, as saved by the job's
+   *                                      `toJSON()`. Calls about the job go there.
+   * @returns {WhisperJob} The job handle.
+   */
+  job(whisperHash, submission = {}, { baseUrl } = {}) {
+    const job = new WhisperJob(this, whisperHash, submission);
+    if (baseUrl) {
+      this.regions.pin(whisperHash, baseUrl);
     }
+    return job;
   }
 
   /**
@@ -350,34 +1441,45 @@ class LLMWhispererClientV2 {
    * @description This function retrieves the status of a whisper operation using the provided whisper hash.
    * @async
    * @param {string} whisperHash - The hash of the whisper operation whose status is to be retrieved.
+   * @param {Object} [options={}]
+   * @param {AbortSignal} [options.signal] - Cancels the request.
    * @returns {Promise<Object>} Returns a promise that resolves with an object containing the status of the whisper operation. The object includes the status code and the response data.
    * @throws {LLMWhispererClientException} Throws an LLMWhispererClientException if an error occurs during the operation.
    */
-  async whisperStatus(whisperHash) {
-    this.logger.debug(`whisper_status called for ${whisperHash}`);
-    const url = `${this.baseUrl}/whisper-status`;
+  async whisperStatus(whisperHash, { signal } = {}) {
+    const { status } = await this._fetchWhisperStatus(whisperHash, { signal });
+    return status;
+  }
+
+  /**
+   * Fetches the status of a whisper operation together with any Retry-After
+   * hint, which the poll policy honours.
+   * @private
+   * @returns {Promise<{status: Object, retryAfter: (number|undefined)}>}
+   */
+  async _fetchWhisperStatus(whisperHash, { signal } = {}) {
+    const url = this._url("whisper-status", whisperHash);
     const params = { whisper_hash: whisperHash };
-    this.logger.debug(`url: ${url}`);
-    this.logger.debug(`params: ${JSON.stringify(params)}`);
+    this.logger.debug("whisper_status called", { url, params });
 
     try {
       const response = await this.client.get(url, {
+        _operation: "whisperStatus",
         headers: this.headers,
         params,
         timeout: this.apiTimeout * 1000,
+        signal,
       });
       const message = response.data;
       message.statusCode = response.status;
-      return message;
+      const headers = response.headers || {};
+      return {
+        status: message,
+        retryAfter: parseRetryAfter(headers["retry-after"]),
+      };
     } catch (error) {
-      this.logger.debug("Hel00000000002");
-      this.logger.debug(`error: ${JSON.stringify(error)}`);
-      const err = error.response
-        ? error.response.data
-        : { message: error.message };
-      this.logger.debug(`error: ${JSON.stringify(err)}`);
-      err.statusCode = error.response ? error.response.status : -1;
-      throw new LLMWhispererClientException(err.message, err.statusCode);
+      this.logger.debug("whisper_status failed", { whisperHash, error });
+      throw this._toClientException(error, whisperHash);
     }
   }
 
@@ -387,20 +1489,23 @@ class LLMWhispererClientV2 {
    * @description This function retrieves the result of a whisper operation using the provided whisper hash.
    * @async
    * @param {string} whisperHash - The hash of the whisper operation whose result is to be retrieved.
+   * @param {Object} [options={}]
+   * @param {AbortSignal} [options.signal] - Cancels the request.
    * @returns {Promise<Object>} Returns a promise that resolves with an object containing the result of the whisper operation. The object includes the status code and the response data.
    * @throws {LLMWhispererClientException} Throws an LLMWhispererClientException if an error occurs during the operation.
    */
-  async whisperRetrieve(whisperHash) {
-    this.logger.debug("whisper_retrieve called");
-    const url = `${this.baseUrl}/whisper-retrieve`;
+  async whisperRetrieve(whisperHash, { signal } = {}) {
+    const url = this._url("whisper-retrieve", whisperHash);
     const params = { whisper_hash: whisperHash };
-    this.logger.debug(`url: ${url}`);
+    this.logger.debug("whisper_retrieve called", { url, params });
 
     try {
       const response = await this.client.get(url, {
+        _operation: "whisperRetrieve",
         headers: this.headers,
         params,
         timeout: this.apiTimeout * 1000,
+        signal,
       });
 
       return {
@@ -408,11 +1513,7 @@ class LLMWhispererClientV2 {
         extraction: response.data,
       };
     } catch (error) {
-      const err = error.response
-        ? error.response.data
-        : { message: error.message };
-      err.statusCode = error.response ? error.response.status : -1;
-      throw new LLMWhispererClientException(err.message, err.statusCode);
+      throw this._toClientException(error, whisperHash);
     }
   }
 
@@ -424,34 +1525,37 @@ class LLMWhispererClientV2 {
    * @param {string} webhookUrl - The URL of the webhook.
    * @param {string} authToken - The authentication token for the webhook.
    * @param {string} webhookName - The name of the webhook.
+   * @param {Object} [options={}]
+   * @param {AbortSignal} [options.signal] - Cancels the request.
    * @returns {Promise<Object>} Returns a promise that resolves with an object containing the response from the webhook registration. The object includes the status code and the response data.
    * @throws {LLMWhispererClientException} Throws an LLMWhispererClientException if an error occurs during the operation.
    *
    */
-  async registerWebhook(webhookUrl, authToken, webhookName) {
-    const apiUrl = `${this.baseUrl}/whisper-manage-callback`;
+  async registerWebhook(webhookUrl, authToken, webhookName, { signal } = {}) {
+    const apiUrl = this._url("whisper-manage-callback");
     const data = {
       url: webhookUrl,
       auth_token: authToken,
       webhook_name: webhookName,
     };
+    this.logger.debug("register_webhook called", { url: apiUrl, data });
     const myHeaders = { ...this.headers, "Content-Type": "application/json" };
     const options = {
+      _operation: "registerWebhook",
       method: "post",
       url: apiUrl,
       headers: myHeaders,
       timeout: 200 * 1000,
       data: data,
       "axios-retry": { retries: 0 },
+      signal,
     };
 
     try {
       const response = await this.client(options);
 
       if (response.status !== 201) {
-        const message = response.data;
-        message.statusCode = response.status;
-        throw new LLMWhispererClientException(message.message, response.status);
+        throw this._unexpectedResponse(response);
       } else {
         return {
           status_code: response.status,
@@ -459,12 +1563,7 @@ class LLMWhispererClientV2 {
         };
       }
     } catch (error) {
-      if (error instanceof LLMWhispererClientException) throw error;
-      const err = error.response
-        ? error.response.data
-        : { message: error.message };
-      err.statusCode = error.response ? error.response.status : -1;
-      throw new LLMWhispererClientException(err.message, err.statusCode);
+      throw this._toClientException(error);
     }
   }
 
@@ -476,33 +1575,41 @@ class LLMWhispererClientV2 {
    * @param {string} webhookName - The name of the webhook.
    * @param {string} webhookUrl - The URL of the webhook.
    * @param {string} authToken - The authentication token for the webhook.
+   * @param {Object} [options={}]
+   * @param {AbortSignal} [options.signal] - Cancels the request.
    * @returns {Promise<Object>} Returns a promise that resolves with an object containing the response from the webhook details update. The object includes the status code and the response data.
    * @throws {LLMWhispererClientException} Throws an LLMWhispererClientException if an error occurs during the operation.
    *
    */
-  async updateWebhookDetails(webhookName, webhookUrl, authToken) {
-    const apiUrl = `${this.baseUrl}/whisper-manage-callback`;
+  async updateWebhookDetails(
+    webhookName,
+    webhookUrl,
+    authToken,
+    { signal } = {},
+  ) {
+    const apiUrl = this._url("whisper-manage-callback");
     const data = {
       webhook_name: webhookName,
       url: webhookUrl,
       auth_token: authToken,
     };
+    this.logger.debug("update_webhook_details called", { url: apiUrl, data });
     const myHeaders = { ...this.headers, "Content-Type": "application/json" };
     const options = {
+      _operation: "updateWebhookDetails",
       method: "put",
       url: apiUrl,
       headers: myHeaders,
       timeout: this.apiTimeout * 1000,
       data: data,
+      signal,
     };
 
     try {
       const response = await this.client(options);
 
       if (response.status !== 200) {
-        const message = response.data;
-        message.statusCode = response.status;
-        throw new LLMWhispererClientException(message.message, response.status);
+        throw this._unexpectedResponse(response);
       } else {
         return {
           status_code: response.status,
@@ -510,12 +1617,7 @@ class LLMWhispererClientV2 {
         };
       }
     } catch (error) {
-      if (error instanceof LLMWhispererClientException) throw error;
-      const err = error.response
-        ? error.response.data
-        : { message: error.message };
-      err.statusCode = error.response ? error.response.status : -1;
-      throw new LLMWhispererClientException(err.message, err.statusCode);
+      throw this._toClientException(error);
     }
   }
 
@@ -525,28 +1627,30 @@ class LLMWhispererClientV2 {
    * @description This function retrieves the details of a webhook.
    * @async
    * @param {string} webhookName - The name of the webhook.
+   * @param {Object} [options={}]
+   * @param {AbortSignal} [options.signal] - Cancels the request.
    * @returns {Promise<Object>} Returns a promise that resolves with an object containing the details of the webhook. The object includes the status code and the response data.
    * @throws {LLMWhispererClientException} Throws an LLMWhispererClientException if an error occurs during the operation.
    *
    */
-  async getWebhookDetails(webhookName) {
-    const apiUrl = `${this.baseUrl}/whisper-manage-callback`;
+  async getWebhookDetails(webhookName, { signal } = {}) {
+    const apiUrl = this._url("whisper-manage-callback");
     const params = { webhook_name: webhookName };
     const options = {
+      _operation: "getWebhookDetails",
       method: "get",
       url: apiUrl,
       headers: this.headers,
       params: params,
       timeout: 200 * 1000,
+      signal,
     };
 
     try {
       const response = await this.client(options);
 
       if (response.status !== 200) {
-        const message = response.data;
-        message.statusCode = response.status;
-        throw new LLMWhispererClientException(message.message, response.status);
+        throw this._unexpectedResponse(response);
       } else {
         return {
           status_code: response.status,
@@ -554,12 +1658,7 @@ class LLMWhispererClientV2 {
         };
       }
     } catch (error) {
-      if (error instanceof LLMWhispererClientException) throw error;
-      const err = error.response
-        ? error.response.data
-        : { message: error.message };
-      err.statusCode = error.response ? error.response.status : -1;
-      throw new LLMWhispererClientException(err.message, err.statusCode);
+      throw this._toClientException(error);
     }
   }
 
@@ -569,28 +1668,30 @@ class LLMWhispererClientV2 {
    * @description This function deletes the details of a webhook.
    * @async
    * @param {string} webhookName - The name of the webhook.
+   * @param {Object} [options={}]
+   * @param {AbortSignal} [options.signal] - Cancels the request.
    * @returns {Promise<Object>} Returns a promise that resolves with an object containing the response from the delete operation. The object includes the status code and the response data.
    * @throws {LLMWhispererClientException} Throws an LLMWhispererClientException if an error occurs during the operation.
    *
    */
-  async deleteWebhookDetails(webhookName) {
-    const apiUrl = `${this.baseUrl}/whisper-manage-callback`;
+  async deleteWebhookDetails(webhookName, { signal } = {}) {
+    const apiUrl = this._url("whisper-manage-callback");
     const params = { webhook_name: webhookName };
     const options = {
+      _operation: "deleteWebhookDetails",
       method: "delete",
       url: apiUrl,
       headers: this.headers,
       params: params,
       timeout: 200 * 1000,
+      signal,
     };
 
     try {
       const response = await this.client(options);
 
       if (response.status !== 200) {
-        const message = response.data;
-        message.statusCode = response.status;
-        throw new LLMWhispererClientException(message.message, response.status);
+        throw this._unexpectedResponse(response);
       } else {
         return {
           status_code: response.status,
@@ -598,15 +1699,56 @@ class LLMWhispererClientV2 {
         };
       }
     } catch (error) {
-      if (error instanceof LLMWhispererClientException) throw error;
-      const err = error.response
-        ? error.response.data
-        : { message: error.message };
-      err.statusCode = error.response ? error.response.status : -1;
-      throw new LLMWhispererClientException(err.message, err.statusCode);
+      throw this._toClientException(error);
     }
   }
 
+  /**
+   * Registers a webhook, or updates it if its URL or token differ, so a
+   * deploy script can run it every time. The token is compared only when the
+   * API returns it.
+   *
+   * @param {Object} webhook
+   * @param {string} webhook.name - The webhook name.
+   * @param {string} webhook.url - The URL callbacks are sent to.
+   * @param {string} [webhook.authToken=''] - The token sent as `Authorization: Bearer <token>`.
+   * @param {Object} [options={}]
+   * @param {boolean} [options.dryRun=false] - Report the changes without making them.
+   * @param {AbortSignal} [options.signal] - Cancels the requests.
+   * @returns {Promise<Object>} `{ name, action, changes, dryRun }`, where `action` is
+   *   "created", "updated" or "unchanged" and `changes` lists `{ field, from, to }`
+   *   with tokens shown as "[REDACTED]".
+   * @throws {LLMWhispererClientException} If the webhook is incomplete or a call fails.
+   */
+  ensureWebhook(webhook, options = {}) {
+    this.logger.debug("ensure_webhook called", {
+      name: webhook && webhook.name,
+    });
+    return ensureWebhook(this, webhook, options);
+  }
+
+  /**
+   * Converges a list of webhooks, e.g. an environment's configuration, and
+   * deletes the ones named in `options.remove`. Webhooks that are not named
+   * are left alone, since the API cannot list them.
+   *
+   * @param {Array<Object>} webhooks - `{ name, url, authToken }` per webhook.
+   * @param {Object} [options={}]
+   * @param {string[]} [options.remove=[]] - Names of webhooks to delete if they exist.
+   * @param {boolean} [options.dryRun=false] - Report the changes without making them.
+   * @param {AbortSignal} [options.signal] - Cancels the requests.
+   * @returns {Promise<Object>} `{ results, summary }`: an ensureWebhook() result per
+   *   webhook and removed name, and `{ created, updated, deleted, unchanged }` counts.
+   * @throws {LLMWhispererClientException} If the list is invalid or a call fails; the
+   *   webhooks before it have been converged.
+   */
+  syncWebhooks(webhooks, options = {}) {
+    this.logger.debug("sync_webhooks called", {
+      count: Array.isArray(webhooks) ? webhooks.length : undefined,
+    });
+    return syncWebhooks(this, webhooks, options);
+  }
+
   /**
    * Retrieves the details of a text extraction process.
    *
@@ -615,33 +1757,31 @@ class LLMWhispererClientV2 {
    * Refer to https://docs.unstract.com/llmwhisperer/llm_whisperer/apis/llm_whisperer_text_extraction_detail_api
    *
    * @param {string} whisperHash - The hash returned when starting the extraction process.
+   * @param {Object} [options={}]
+   * @param {AbortSignal} [options.signal] - Cancels the request.
    * @returns {Promise<Object>} A promise that resolves with the extraction details including
    *   completed_at, mode, processed_pages, processing_started_at,
    *   processing_time_in_seconds, requested_pages, tag, total_pages,
    *   upload_file_size_in_kb, and whisper_hash.
    * @throws {LLMWhispererClientException} If the API request fails.
    */
-  async whisperDetail(whisperHash) {
-    this.logger.debug("whisper_detail called");
-    const url = `${this.baseUrl}/whisper-detail`;
+  async whisperDetail(whisperHash, { signal } = {}) {
+    const url = this._url("whisper-detail", whisperHash);
     const params = { whisper_hash: whisperHash };
-    this.logger.debug(`url: ${url}`);
-    this.logger.debug(`params: ${JSON.stringify(params)}`);
+    this.logger.debug("whisper_detail called", { url, params });
 
     try {
       const response = await this.client.get(url, {
+        _operation: "whisperDetail",
         headers: this.headers,
         params,
         timeout: this.apiTimeout * 1000,
+        signal,
       });
 
       return response.data;
     } catch (error) {
-      const err = error.response
-        ? error.response.data
-        : { message: error.message };
-      err.statusCode = error.response ? error.response.status : -1;
-      throw new LLMWhispererClientException(err.message, err.statusCode);
+      throw this._toClientException(error, whisperHash);
     }
   }
 
@@ -656,12 +1796,18 @@ class LLMWhispererClientV2 {
    * @param {string} lines - Define which lines metadata to retrieve.
    *                           Example "1-5,7,21-" retrieves lines 1,2,3,4,5,7,21,22,23,...
    * @param {boolean} [extractAllLines=false] - If true, extract all lines.
+   * @param {Object} [options={}]
+   * @param {AbortSignal} [options.signal] - Cancels the request.
    * @returns {Promise<Object>} A promise that resolves with the highlight information.
    * @throws {LLMWhispererClientException} If the API request fails.
    */
-  async getHighlightData(whisperHash, lines, extractAllLines = false) {
-    this.logger.debug("highlight called");
-    const url = `${this.baseUrl}/highlights`;
+  async getHighlightData(
+    whisperHash,
+    lines,
+    extractAllLines = false,
+    { signal } = {},
+  ) {
+    const url = this._url("highlights", whisperHash);
 
     // Build query parameters
     const params = {
@@ -669,33 +1815,80 @@ class LLMWhispererClientV2 {
       lines: lines,
       extract_all_lines: extractAllLines,
     };
+    this.logger.debug("highlight called", { url, params });
 
     try {
       const response = await this.client(url, {
+        _operation: "getHighlightData",
         method: "GET",
         headers: this.headers,
         params: params,
+        signal,
       });
 
       if (response.status != 200) {
-        // Parse error response and throw a custom exception
-        const errorData = await response.data;
-        errorData.status_code = response.status;
-        throw new LLMWhispererClientException(errorData);
+        throw this._unexpectedResponse(response, whisperHash);
       }
 
       return response.data;
     } catch (error) {
-      const err = error.response
-        ? error.response.data
-        : { message: error.message };
-      err.statusCode = error.response ? error.response.status : -1;
-      throw new LLMWhispererClientException(err.message, err.statusCode);
+      throw this._toClientException(error, whisperHash);
     }
   }
+
+  /**
+   * Searches the text of an extraction made with `addLineNos: true` and
+   * resolves every matching line to its bounding box. The extraction is
+   * retrieved unless passed in `options.extraction`; the highlights are
+   * fetched with a single call.
+   *
+   * @param {string} whisperHash - The hash of the whisper operation.
+   * @param {string} query - The text to look for. Matches within a single line.
+   * @param {Object} [options={}]
+   * @param {boolean|number} [options.fuzzy=false] - Match approximately; `true` accepts lines
+   *                           scoring 0.8 or more, a number sets that threshold (0-1).
+   * @param {boolean} [options.caseSensitive=false] - Match case exactly.
+   * @param {Object} [options.extraction] - The retrieved extraction, to avoid retrieving it again.
+   * @param {string} [options.pageSeparator] - The separator the extraction was requested with.
+   * @param {string} [options.pagesToExtract] - The pages the extraction was requested with.
+   * @param {AbortSignal} [options.signal] - Cancels the requests.
+   * @returns {Promise<Array<Object>>} One `{ pageNumber, lineNumber, text, match, score, boundingBox }`
+   *   entry per matching line, in document order.
+   * @throws {LLMWhispererValidationError} If the query is empty or the extraction has no line numbers.
+   */
+  findText(whisperHash, query, options = {}) {
+    this.logger.debug("find_text called", { whisperHash });
+    return findText(this, whisperHash, query, options);
+  }
 }
 
 module.exports = {
   LLMWhispererClientV2,
   LLMWhispererClientException,
+  LLMWhispererAbortError,
+  LLMWhispererAuthenticationError,
+  LLMWhispererCircuitOpenError,
+  LLMWhispererNetworkError,
+  LLMWhispererNotFoundError,
+  LLMWhispererQuotaExceededError,
+  LLMWhispererRateLimitError,
+  LLMWhispererServerError,
+  LLMWhispererTimeoutError,
+  LLMWhispererValidationError,
+  CircuitBreaker,
+  FileJournal,
+  FileSystemCache,
+  FakeLLMWhispererServer,
+  FileRateLimitStore,
+  MemoryRateLimitStore,
+  QuotaGuard,
+  RateLimiter,
+  WhisperJob,
+  createFakeServer,
+  createWebhookHandler,
+  expressWebhookHandler,
+  fastifyWebhookHandler,
+  parsePages,
+  parseWebhookEvent,
+  verifyWebhookAuth,
 };
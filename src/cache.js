@@ -0,0 +1,193 @@
+/**
+ * @fileoverview Content-addressed cache for completed whisper() results, so
+ * re-submitting the same document with the same options is not billed again.
+ *
+ * A cache store is any object with these async methods:
+ *   get(key)        -> the stored value, or undefined
+ *   set(key, value) -> stores a JSON-serialisable value
+ *   delete(key)     -> true if an entry was removed
+ * FileSystemCache is the bundled store.
+ *
+ * @requires crypto
+ * @requires fs
+ * @requires path
+ */
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { pipeline } = require("stream/promises");
+
+// Request params that do not change the extracted text.
+const IGNORED_PARAMS = new Set([
+  "url",
+  "filename",
+  "tag",
+  "use_webhook",
+  "webhook_metadata",
+  "wait_for_completion",
+  "wait_timeout",
+]);
+
+const KEY_PATTERN = /^[0-9a-f]{64}$/;
+
+/**
+ * Computes the cache key of a whisper() call: a SHA-256 over the document
+ * bytes and the params that affect the extraction, in a fixed key order.
+ *
+ * @param {Object} source - The UploadSource of the call; needs `filePath` or a Buffer `body`.
+ * @param {Object} params - The `/whisper` query params.
+ * @returns {Promise<string>} The key, as 64 hex characters.
+ */
+async function resultCacheKey(source, params) {
+  const content = crypto.createHash("sha256");
+  if (source.filePath) {
+    await pipeline(fs.createReadStream(source.filePath), content);
+  } else {
+    content.update(source.body);
+  }
+  const normalized = Object.keys(params)
+    .filter((name) => !IGNORED_PARAMS.has(name))
+    .sort()
+    .map((name) => [name, params[name]]);
+  return crypto
+    .createHash("sha256")
+    .update(content.digest("hex"))
+    .update("\n")
+    .update(JSON.stringify(normalized))
+    .digest("hex");
+}
+
+/**
+ * @class FileSystemCache
+ * @classdesc Stores each entry as a JSON file in `directory`. Entries older
+ * than `ttl` are treated as missing, and once the directory grows past
+ * `maxSize` the least recently used entries are removed.
+ * @constructor
+ * @param {Object} [options={}]
+ * @param {string} [options.directory='.llmwhisperer-cache'] - Where entries are stored.
+ * @param {number} [options.ttl=Infinity] - Seconds an entry stays valid.
+ * @param {number} [options.maxSize=536870912] - Bytes kept on disk (512 MiB) before evicting.
+ */
+class FileSystemCache {
+  constructor({
+    directory = ".llmwhisperer-cache",
+    ttl = Infinity,
+    maxSize = 512 * 1024 * 1024,
+  } = {}) {
+    if (!(ttl > 0)) {
+      throw new TypeError("ttl must be a positive number of seconds");
+    }
+    if (!(maxSize > 0)) {
+      throw new TypeError("maxSize must be a positive number of bytes");
+    }
+    this.directory = directory;
+    this.ttl = ttl;
+    this.maxSize = maxSize;
+  }
+
+  _path(key) {
+    // Keys end up in file names, so only accept what resultCacheKey produces.
+    if (!KEY_PATTERN.test(key)) {
+      throw new TypeError(`Invalid cache key: ${key}`);
+    }
+    return path.join(this.directory, `${key}.json`);
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<*>} The stored value, or undefined if missing or expired.
+   */
+  async get(key) {
+    const file = this._path(key);
+    let entry;
+    try {
+      entry = JSON.parse(await fs.promises.readFile(file, "utf-8"));
+    } catch (error) {
+      if (error.code === "ENOENT" || error instanceof SyntaxError) {
+        return undefined;
+      }
+      throw error;
+    }
+    if (Date.now() - entry.storedAt > this.ttl * 1000) {
+      await this.delete(key);
+      return undefined;
+    }
+    // Reads count as use for least-recently-used eviction.
+    const now = new Date();
+    await fs.promises.utimes(file, now, now).catch(() => {});
+    return entry.value;
+  }
+
+  /**
+   * @param {string} key
+   * @param {*} value - A JSON-serialisable value.
+   * @returns {Promise<void>}
+   */
+  async set(key, value) {
+    const file = this._path(key);
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    // Write then rename, so a concurrent get() never sees a partial file.
+    const temp = `${file}.${process.pid}.${crypto.randomBytes(4).toString("hex")}.tmp`;
+    await fs.promises.writeFile(
+      temp,
+      JSON.stringify({ storedAt: Date.now(), value }),
+    );
+    await fs.promises.rename(temp, file);
+    await this._evict();
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<boolean>} Whether an entry was removed.
+   */
+  async delete(key) {
+    try {
+      await fs.promises.unlink(this._path(key));
+      return true;
+    } catch (error) {
+      if (error.code === "ENOENT") return false;
+      throw error;
+    }
+  }
+
+  /**
+   * Removes every entry.
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    for (const { file } of await this._entries()) {
+      await fs.promises.unlink(file).catch(() => {});
+    }
+  }
+
+  async _entries() {
+    let names;
+    try {
+      names = await fs.promises.readdir(this.directory);
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw error;
+    }
+    const entries = [];
+    for (const name of names) {
+      if (!name.endsWith(".json")) continue;
+      const file = path.join(this.directory, name);
+      const stat = await fs.promises.stat(file).catch(() => null);
+      if (stat) entries.push({ file, size: stat.size, used: stat.mtimeMs });
+    }
+    return entries;
+  }
+
+  async _evict() {
+    const entries = await this._entries();
+    let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+    entries.sort((a, b) => a.used - b.used);
+    for (const entry of entries) {
+      if (total <= this.maxSize) break;
+      await fs.promises.unlink(entry.file).catch(() => {});
+      total -= entry.size;
+    }
+  }
+}
+
+module.exports = { FileSystemCache, resultCacheKey };
@@ -0,0 +1,243 @@
+/**
+ * @fileoverview Client-side circuit breaker. Once most recent API calls have
+ * failed, further calls are refused at once with an
+ * LLMWhispererCircuitOpenError instead of each retrying through the outage.
+ * After a cooldown, a few probe calls decide whether the API is back.
+ *
+ * States: "closed" lets every call through and tracks the failure rate,
+ * "open" refuses every call, "half-open" lets probe calls through and
+ * closes again once they succeed.
+ */
+const {
+  LLMWhispererCircuitOpenError,
+  LLMWhispererClientException,
+} = require("./errors");
+
+function requirePositive(name, value, integer) {
+  const valid = integer
+    ? Number.isInteger(value) && value > 0
+    : typeof value === "number" && value > 0;
+  if (!valid) {
+    throw new LLMWhispererClientException(
+      `circuitBreaker.${name} must be a positive ${integer ? "integer" : "number"}`,
+      -1,
+    );
+  }
+}
+
+/**
+ * @class CircuitBreaker
+ * @classdesc Opens when at least `failureRate` of the calls in the last
+ * `window` seconds failed, once there were `minimumRequests` of them. Network
+ * errors, timeouts and 5xx responses are failures; other responses, 429
+ * included, show the API is up. A breaker can be shared by several clients.
+ * @constructor
+ * @param {Object} [options={}]
+ * @param {number} [options.failureRate=0.5] - The fraction of failed calls (0-1) that opens the breaker.
+ * @param {number} [options.minimumRequests=10] - Calls needed in the window before the rate is judged.
+ * @param {number} [options.window=60] - Seconds of calls the failure rate is computed over.
+ * @param {number} [options.cooldown=30] - Seconds the breaker stays open before probing.
+ * @param {number} [options.halfOpenRequests=1] - Probe calls let through at once, all of which must
+ *                                               succeed to close the breaker.
+ * @param {Function} [options.onStateChange] - Called with `{ from, to, failureRate, requests }`
+ *                                            on every state change.
+ * @throws {LLMWhispererClientException} If an option is invalid.
+ */
+class CircuitBreaker {
+  constructor({
+    failureRate = 0.5,
+    minimumRequests = 10,
+    window = 60,
+    cooldown = 30,
+    halfOpenRequests = 1,
+    onStateChange,
+  } = {}) {
+    if (
+      !(typeof failureRate === "number" && failureRate > 0 && failureRate <= 1)
+    ) {
+      throw new LLMWhispererClientException(
+        "circuitBreaker.failureRate must be a number above 0 and at most 1",
+        -1,
+      );
+    }
+    requirePositive("minimumRequests", minimumRequests, true);
+    requirePositive("window", window, false);
+    requirePositive("halfOpenRequests", halfOpenRequests, true);
+    if (!(cooldown >= 0)) {
+      throw new LLMWhispererClientException(
+        "circuitBreaker.cooldown must be a number of seconds",
+        -1,
+      );
+    }
+    if (onStateChange !== undefined && typeof onStateChange !== "function") {
+      throw new LLMWhispererClientException(
+        "circuitBreaker.onStateChange must be a function",
+        -1,
+      );
+    }
+    this.failureRate = failureRate;
+    this.minimumRequests = minimumRequests;
+    this.window = window;
+    this.cooldown = cooldown;
+    this.halfOpenRequests = halfOpenRequests;
+    this._listeners = onStateChange ? [onStateChange] : [];
+    this._state = "closed";
+    this._outcomes = [];
+    this._openedAt = null;
+    this._probes = 0;
+    this._probeSuccesses = 0;
+  }
+
+  /**
+   * The current state. An open breaker whose cooldown has ended turns
+   * half-open when read.
+   * @returns {string} "closed", "open" or "half-open".
+   */
+  get state() {
+    if (
+      this._state === "open" &&
+      Date.now() >= this._openedAt + this.cooldown * 1000
+    ) {
+      this._probes = 0;
+      this._probeSuccesses = 0;
+      this._transition("half-open");
+    }
+    return this._state;
+  }
+
+  /**
+   * Calls `listener` with `{ from, to, failureRate, requests }` on every
+   * state change. A throwing listener is ignored.
+   *
+   * @param {Function} listener
+   * @returns {Function} Removes the listener.
+   */
+  subscribe(listener) {
+    this._listeners.push(listener);
+    return () => {
+      this._listeners = this._listeners.filter((l) => l !== listener);
+    };
+  }
+
+  /**
+   * The state and the calls it is based on, e.g. for a dashboard.
+   *
+   * @returns {{state: string, failureRate: number, requests: number, failures: number,
+   *   openedAt: (number|null), retryAfter: number}} `failureRate` is over the current window;
+   *   `retryAfter` is the seconds until an open breaker probes, 0 otherwise.
+   */
+  snapshot() {
+    const state = this.state;
+    const { requests, failures } = this._counts();
+    return {
+      state,
+      failureRate: requests ? failures / requests : 0,
+      requests,
+      failures,
+      openedAt: this._openedAt,
+      retryAfter: state === "open" ? this._retryAfter() : 0,
+    };
+  }
+
+  /**
+   * Lets a call through, counting it as a probe when half-open.
+   *
+   * @param {string} [url] - The URL of the call, for the error.
+   * @returns {boolean} Whether the call is a probe.
+   * @throws {LLMWhispererCircuitOpenError} If the breaker is open, or half-open with every probe in flight.
+   */
+  allow(url) {
+    const state = this.state;
+    if (state === "closed") return false;
+    if (state === "half-open" && this._probes < this.halfOpenRequests) {
+      this._probes++;
+      return true;
+    }
+    throw new LLMWhispererCircuitOpenError(
+      "Circuit breaker is open: the LLMWhisperer API has been failing",
+      { url, retryAfter: this._retryAfter() },
+    );
+  }
+
+  /**
+   * Records the outcome of a call let through by allow().
+   *
+   * @param {boolean} failed - Whether the call failed with a network error, timeout or 5xx.
+   * @param {boolean} [probe=false] - What allow() returned for the call.
+   */
+  record(failed, probe = false) {
+    if (probe) {
+      this._probes = Math.max(0, this._probes - 1);
+      if (this._state !== "half-open") return;
+      if (failed) {
+        this._open();
+      } else if (++this._probeSuccesses >= this.halfOpenRequests) {
+        this._outcomes = [];
+        this._openedAt = null;
+        this._transition("closed");
+      }
+      return;
+    }
+    if (this._state !== "closed") {
+      // Let through before the breaker opened; the probes decide now.
+      return;
+    }
+    this._outcomes.push({ at: Date.now(), failed });
+    const { requests, failures } = this._counts();
+    if (
+      requests >= this.minimumRequests &&
+      failures / requests >= this.failureRate
+    ) {
+      this._open();
+    }
+  }
+
+  /**
+   * Frees the slot of a probe that ended without an outcome, e.g. because
+   * it was cancelled.
+   */
+  release() {
+    this._probes = Math.max(0, this._probes - 1);
+  }
+
+  /** Drops outcomes older than the window and counts the rest. */
+  _counts() {
+    const since = Date.now() - this.window * 1000;
+    while (this._outcomes.length && this._outcomes[0].at < since) {
+      this._outcomes.shift();
+    }
+    const failures = this._outcomes.filter((o) => o.failed).length;
+    return { requests: this._outcomes.length, failures };
+  }
+
+  _retryAfter() {
+    const until = this._openedAt + this.cooldown * 1000;
+    return Math.max(0, (until - Date.now()) / 1000);
+  }
+
+  _open() {
+    this._openedAt = Date.now();
+    this._transition("open");
+  }
+
+  _transition(to) {
+    const from = this._state;
+    this._state = to;
+    const { requests, failures } = this._counts();
+    const event = {
+      from,
+      to,
+      failureRate: requests ? failures / requests : 0,
+      requests,
+    };
+    for (const listener of this._listeners) {
+      try {
+        listener(event);
+      } catch {
+        // A dashboard callback must not break the calls it observes.
+      }
+    }
+  }
+}
+
+module.exports = { CircuitBreaker };
@@ -0,0 +1,406 @@
+/**
+ * @fileoverview The `llmwhisperer` command-line tool. Each subcommand maps onto
+ * one LLMWhispererClientV2 method. The API key and base URL are read from
+ * LLMWHISPERER_API_KEY and LLMWHISPERER_BASE_URL_V2 unless given as flags.
+ *
+ * @requires fs
+ * @requires util
+ */
+const fs = require("fs");
+const { parseArgs } = require("util");
+
+const GLOBAL_OPTIONS = {
+  "api-key": { type: "string" },
+  "base-url": { type: "string" },
+  "log-level": { type: "string" },
+  json: { type: "boolean" },
+  help: { type: "boolean", short: "h" },
+};
+
+/**
+ * whisper() options exposed as flags: [flag, option name, value type].
+ */
+const WHISPER_FLAGS = [
+  ["mode", "mode", "string"],
+  ["output-mode", "outputMode", "string"],
+  ["page-separator", "pageSeparator", "string"],
+  ["pages-to-extract", "pagesToExtract", "string"],
+  ["median-filter-size", "medianFilterSize", "number"],
+  ["gaussian-blur-radius", "gaussianBlurRadius", "number"],
+  ["line-splitter-tolerance", "lineSplitterTolerance", "number"],
+  ["horizontal-stretch-factor", "horizontalStretchFactor", "number"],
+  ["mark-vertical-lines", "markVerticalLines", "boolean"],
+  ["mark-horizontal-lines", "markHorizontalLines", "boolean"],
+  ["line-splitter-strategy", "lineSplitterStrategy", "string"],
+  ["lang", "lang", "string"],
+  ["tag", "tag", "string"],
+  ["filename", "filename", "string"],
+  ["webhook-metadata", "webhookMetadata", "string"],
+  ["use-webhook", "useWebhook", "string"],
+  ["wait", "waitForCompletion", "boolean"],
+  ["wait-timeout", "waitTimeout", "number"],
+  ["add-line-nos", "addLineNos", "boolean"],
+];
+
+/**
+ * Per-command flags, on top of GLOBAL_OPTIONS.
+ */
+const COMMAND_OPTIONS = {
+  whisper: {
+    ...Object.fromEntries(
+      WHISPER_FLAGS.map(([flag, , type]) => [
+        flag,
+        { type: type === "boolean" ? "boolean" : "string" },
+      ]),
+    ),
+    out: { type: "string" },
+  },
+  status: {},
+  retrieve: { out: { type: "string" } },
+  detail: {},
+  highlights: {
+    lines: { type: "string" },
+    "all-lines": { type: "boolean" },
+  },
+  usage: {},
+  webhook: {
+    name: { type: "string" },
+    url: { type: "string" },
+    token: { type: "string" },
+    config: { type: "string" },
+    "dry-run": { type: "boolean" },
+  },
+};
+
+const USAGE = `Usage: llmwhisperer <command> [options]
+
+Commands:
+  whisper <file|url|->        Extract text from a document ("-" reads stdin)
+  status <whisper_hash>       Show the status of an extraction
+  retrieve <whisper_hash>     Print the extracted text
+  detail <whisper_hash>       Show details of an extraction
+  highlights <whisper_hash>   Show line bounding boxes (--lines required)
+  usage                       Show usage and quota information
+  webhook register|get|update|delete|ensure
+                              Manage webhooks (--name, --url, --token)
+  webhook sync --config <file>
+                              Converge the webhooks listed in a JSON file
+
+Global options:
+  --api-key <key>             API key (default: LLMWHISPERER_API_KEY)
+  --base-url <url>            API base URL (default: LLMWHISPERER_BASE_URL_V2)
+  --log-level <level>         Client log level (default: error)
+  --json                      Print raw JSON responses
+  -h, --help                  Show this help
+
+whisper options:
+${WHISPER_FLAGS.map(
+  ([flag, , type]) => `  --${flag}${type === "boolean" ? "" : ` <${type}>`}`,
+).join("\n")}
+  --out <file>                Write the extracted text (or JSON) to a file
+
+retrieve options:
+  --out <file>                Write the extracted text (or JSON) to a file
+
+highlights options:
+  --lines <spec>              Lines to fetch, e.g. "1-5,7,21-"
+  --all-lines                 Fetch metadata for all lines
+
+webhook ensure|sync options:
+  --config <file>             sync: a list of { name, url, authToken }, or
+                              { "webhooks": [...], "remove": [names] }
+  --dry-run                   Show the changes without making them
+`;
+
+class CliUsageError extends Error {}
+
+function parse(args, options) {
+  try {
+    return parseArgs({
+      args,
+      options: { ...GLOBAL_OPTIONS, ...options },
+      allowPositionals: true,
+      strict: true,
+    });
+  } catch (error) {
+    throw new CliUsageError(error.message);
+  }
+}
+
+function requirePositional(positionals, index, name) {
+  if (!positionals[index]) {
+    throw new CliUsageError(`Missing <${name}>`);
+  }
+  return positionals[index];
+}
+
+function whisperOptionsFromFlags(values) {
+  const options = {};
+  for (const [flag, name, type] of WHISPER_FLAGS) {
+    if (values[flag] === undefined) continue;
+    if (type === "number") {
+      const number = Number(values[flag]);
+      if (values[flag] === "" || Number.isNaN(number)) {
+        throw new CliUsageError(`--${flag} must be a number`);
+      }
+      options[name] = number;
+    } else {
+      options[name] = values[flag];
+    }
+  }
+  return options;
+}
+
+function formatRecord(record) {
+  if (record === null || typeof record !== "object") {
+    return String(record);
+  }
+  return Object.entries(record)
+    .map(([key, value]) => {
+      const shown =
+        value !== null && typeof value === "object"
+          ? JSON.stringify(value)
+          : value;
+      return `${key}: ${shown}`;
+    })
+    .join("\n");
+}
+
+function formatWebhookResult({ name, action, changes, dryRun }) {
+  const lines = [`${name}: ${action}${dryRun ? " (dry run)" : ""}`];
+  for (const { field, from, to } of changes) {
+    lines.push(
+      `  ${field}: ${from === null ? "-" : from} -> ${to === null ? "-" : to}`,
+    );
+  }
+  return lines.join("\n");
+}
+
+function readWebhookConfig(file) {
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch (error) {
+    throw new CliUsageError(`Cannot read --config ${file}: ${error.message}`);
+  }
+  return Array.isArray(config) ? { webhooks: config, remove: [] } : config;
+}
+
+/**
+ * Runs the CLI.
+ *
+ * @param {string[]} argv - The arguments after the executable name.
+ * @param {Object} [io={}] - Injection points, for tests.
+ * @param {NodeJS.WritableStream} [io.stdout=process.stdout] - Output stream.
+ * @param {NodeJS.WritableStream} [io.stderr=process.stderr] - Error stream.
+ * @param {NodeJS.ReadableStream} [io.stdin=process.stdin] - Input stream for `whisper -`.
+ * @param {Function} [io.createClient] - Builds the client from constructor options.
+ * @returns {Promise<number>} The process exit code.
+ */
+async function main(argv, io = {}) {
+  const {
+    stdout = process.stdout,
+    stderr = process.stderr,
+    stdin = process.stdin,
+    createClient = (config) => {
+      const { LLMWhispererClientV2 } = require("../index");
+      return new LLMWhispererClientV2(config);
+    },
+  } = io;
+  const [command, ...rest] = argv;
+  let json = false;
+
+  const print = (value) => {
+    stdout.write(
+      `${json ? JSON.stringify(value, null, 2) : formatRecord(value)}\n`,
+    );
+  };
+  const output = (text, value, out) => {
+    const content = json ? JSON.stringify(value, null, 2) : text;
+    if (out) {
+      fs.writeFileSync(out, content);
+      stderr.write(`Wrote ${out}\n`);
+    } else {
+      stdout.write(`${content}\n`);
+    }
+  };
+
+  try {
+    if (!command) {
+      throw new CliUsageError("Missing <command>");
+    }
+    if (command === "help" || command === "--help" || command === "-h") {
+      stdout.write(USAGE);
+      return 0;
+    }
+
+    if (!Object.hasOwn(COMMAND_OPTIONS, command)) {
+      throw new CliUsageError(`Unknown command "${command}"`);
+    }
+
+    const { values, positionals } = parse(rest, COMMAND_OPTIONS[command]);
+    if (values.help) {
+      stdout.write(USAGE);
+      return 0;
+    }
+    json = Boolean(values.json);
+
+    const client = createClient({
+      apiKey: values["api-key"] || "",
+      baseUrl: values["base-url"] || "",
+      loggingLevel:
+        values["log-level"] ||
+        process.env.LLMWHISPERER_LOGGING_LEVEL ||
+        "error",
+    });
+
+    switch (command) {
+      case "whisper": {
+        const input = requirePositional(positionals, 0, "file|url");
+        const options = whisperOptionsFromFlags(values);
+        if (input === "-") {
+          options.stream = stdin;
+        } else if (/^https?:\/\//i.test(input)) {
+          options.url = input;
+        } else {
+          options.filePath = input;
+        }
+        const result = await client.whisper(options);
+        if (!options.waitForCompletion) {
+          if (json) print(result);
+          else stdout.write(`${result.whisper_hash}\n`);
+          return 0;
+        }
+        if (result.status_code !== 200) {
+          if (json) print(result);
+          stderr.write(`Error (${result.status_code}): ${result.message}\n`);
+          return 1;
+        }
+        output(result.extraction.result_text, result, values.out);
+        return 0;
+      }
+      case "status":
+        print(
+          await client.whisperStatus(
+            requirePositional(positionals, 0, "whisper_hash"),
+          ),
+        );
+        return 0;
+      case "retrieve": {
+        const result = await client.whisperRetrieve(
+          requirePositional(positionals, 0, "whisper_hash"),
+        );
+        output(result.extraction.result_text, result, values.out);
+        return 0;
+      }
+      case "detail":
+        print(
+          await client.whisperDetail(
+            requirePositional(positionals, 0, "whisper_hash"),
+          ),
+        );
+        return 0;
+      case "highlights": {
+        const whisperHash = requirePositional(positionals, 0, "whisper_hash");
+        if (!values.lines && !values["all-lines"]) {
+          throw new CliUsageError("--lines is required");
+        }
+        print(
+          await client.getHighlightData(
+            whisperHash,
+            values.lines || "",
+            Boolean(values["all-lines"]),
+          ),
+        );
+        return 0;
+      }
+      case "usage":
+        print(await client.getUsageInfo());
+        return 0;
+      case "webhook": {
+        const action = requirePositional(
+          positionals,
+          0,
+          "register|get|update|delete|ensure|sync",
+        );
+        const dryRun = Boolean(values["dry-run"]);
+        if (action === "sync") {
+          if (!values.config) {
+            throw new CliUsageError("--config is required");
+          }
+          const { webhooks, remove } = readWebhookConfig(values.config);
+          const result = await client.syncWebhooks(webhooks, {
+            remove,
+            dryRun,
+          });
+          const { created, updated, deleted, unchanged } = result.summary;
+          output(
+            [
+              ...result.results.map(formatWebhookResult),
+              `${created} created, ${updated} updated, ${deleted} deleted, ${unchanged} unchanged`,
+            ].join("\n"),
+            result,
+          );
+          return 0;
+        }
+        if (!values.name) {
+          throw new CliUsageError("--name is required");
+        }
+        if (action === "ensure") {
+          if (!values.url) {
+            throw new CliUsageError("--url is required");
+          }
+          const result = await client.ensureWebhook(
+            { name: values.name, url: values.url, authToken: values.token },
+            { dryRun },
+          );
+          output(formatWebhookResult(result), result);
+          return 0;
+        }
+        let result;
+        if (action === "register" || action === "update") {
+          if (!values.url) {
+            throw new CliUsageError("--url is required");
+          }
+          result =
+            action === "register"
+              ? await client.registerWebhook(
+                  values.url,
+                  values.token || "",
+                  values.name,
+                )
+              : await client.updateWebhookDetails(
+                  values.name,
+                  values.url,
+                  values.token || "",
+                );
+        } else if (action === "get") {
+          result = await client.getWebhookDetails(values.name);
+        } else if (action === "delete") {
+          result = await client.deleteWebhookDetails(values.name);
+        } else {
+          throw new CliUsageError(`Unknown webhook action "${action}"`);
+        }
+        print(json ? result : result.message);
+        return 0;
+      }
+    }
+  } catch (error) {
+    if (error instanceof CliUsageError) {
+      stderr.write(`${error.message}\nRun "llmwhisperer --help" for usage.\n`);
+      return 2;
+    }
+    if (json) {
+      stderr.write(
+        `${JSON.stringify({ error: error.message, statusCode: error.statusCode })}\n`,
+      );
+    } else {
+      const status =
+        error.statusCode !== undefined ? ` (${error.statusCode})` : "";
+      stderr.write(`Error${status}: ${error.message}\n`);
+    }
+    return 1;
+  }
+}
+
+module.exports = { main };
@@ -0,0 +1,195 @@
+/**
+ * @fileoverview Exceptions raised by the LLMWhisperer client.
+ *
+ * Every error is an LLMWhispererClientException, so existing `instanceof`
+ * checks keep working. API failures are raised as one of the subclasses
+ * below; errorForStatus() picks the subclass for an HTTP status.
+ */
+
+/**
+ * @typedef {Object} ErrorDetails
+ * @property {*} [responseBody] - The raw response body, when a response was received.
+ * @property {string} [url] - The URL of the failed request.
+ * @property {string} [whisperHash] - The whisper_hash the call was made for, when known.
+ */
+
+class LLMWhispererClientException extends Error {
+  /**
+   * @param {string} message - The error message.
+   * @param {number} statusCode - The HTTP status, or -1 when there was no response.
+   * @param {ErrorDetails} [details={}]
+   */
+  constructor(message, statusCode, details = {}) {
+    super(message);
+    this.statusCode = statusCode;
+    this.responseBody = details.responseBody;
+    this.url = details.url;
+    this.whisperHash = details.whisperHash;
+  }
+
+  errorMessage() {
+    return this.message;
+  }
+}
+
+/** The API key is missing, invalid or not allowed to make the call (401/403). */
+class LLMWhispererAuthenticationError extends LLMWhispererClientException {
+  constructor(message, statusCode, details) {
+    super(message, statusCode, details);
+    this.name = "LLMWhispererAuthenticationError";
+  }
+}
+
+/**
+ * The account has used up its page quota (402, or 403 citing the quota), or
+ * the client's quota guard refused the upload (statusCode -1).
+ *
+ * @property {Object|undefined} usage - The `/get-usage-info` response the guard checked.
+ * @property {number|undefined} requestedPages - The pages the guard estimated for the upload.
+ */
+class LLMWhispererQuotaExceededError extends LLMWhispererClientException {
+  constructor(message, statusCode, details = {}) {
+    super(message, statusCode, details);
+    this.name = "LLMWhispererQuotaExceededError";
+    this.usage = details.usage;
+    this.requestedPages = details.requestedPages;
+  }
+}
+
+/**
+ * Too many requests (429).
+ *
+ * @property {number|undefined} retryAfter - Seconds the API asked to wait, from Retry-After.
+ */
+class LLMWhispererRateLimitError extends LLMWhispererClientException {
+  constructor(message, statusCode, details = {}) {
+    super(message, statusCode, details);
+    this.name = "LLMWhispererRateLimitError";
+    this.retryAfter = details.retryAfter;
+  }
+}
+
+/**
+ * The request was rejected as malformed (400/422), or failed the client-side
+ * checks made before it was sent (statusCode -1).
+ *
+ * @property {string[]} errors - Each problem found by the client-side checks.
+ */
+class LLMWhispererValidationError extends LLMWhispererClientException {
+  constructor(message, statusCode, details = {}) {
+    super(message, statusCode, details);
+    this.name = "LLMWhispererValidationError";
+    this.errors = details.errors || [];
+  }
+}
+
+/** The whisper_hash, webhook or endpoint does not exist (404). */
+class LLMWhispererNotFoundError extends LLMWhispererClientException {
+  constructor(message, statusCode, details) {
+    super(message, statusCode, details);
+    this.name = "LLMWhispererNotFoundError";
+  }
+}
+
+/** The API failed to handle the request (5xx). */
+class LLMWhispererServerError extends LLMWhispererClientException {
+  constructor(message, statusCode, details) {
+    super(message, statusCode, details);
+    this.name = "LLMWhispererServerError";
+  }
+}
+
+/** No response was received: DNS failure, refused or reset connection. */
+class LLMWhispererNetworkError extends LLMWhispererClientException {
+  constructor(message, details) {
+    super(message, -1, details);
+    this.name = "LLMWhispererNetworkError";
+  }
+}
+
+/** A request, or the wait for a job to finish, ran out of time. */
+class LLMWhispererTimeoutError extends LLMWhispererClientException {
+  constructor(message, details) {
+    super(message, -1, details);
+    this.name = "LLMWhispererTimeoutError";
+  }
+}
+
+/**
+ * Raised when a call is cancelled through its AbortSignal, so callers can tell
+ * a cancellation apart from an API failure.
+ *
+ * @property {*} reason - The `signal.reason` the caller aborted with, if any.
+ */
+class LLMWhispererAbortError extends LLMWhispererClientException {
+  constructor(message = "Operation aborted", reason) {
+    super(message, -1);
+    this.name = "LLMWhispererAbortError";
+    this.reason = reason;
+  }
+}
+
+/**
+ * Raised without calling the API while the client's circuit breaker is open,
+ * because recent calls have mostly failed.
+ *
+ * @property {number} retryAfter - Seconds until the breaker lets a probe call through.
+ */
+class LLMWhispererCircuitOpenError extends LLMWhispererClientException {
+  constructor(message, details = {}) {
+    super(message, -1, details);
+    this.name = "LLMWhispererCircuitOpenError";
+    this.retryAfter = details.retryAfter;
+  }
+}
+
+const QUOTA_MESSAGE =
+  /quota|page limit|usage limit|limit exceeded|insufficient/i;
+
+/**
+ * Builds the exception matching an error response from the API.
+ *
+ * @param {number} statusCode - The HTTP status of the response.
+ * @param {string} message - The error message.
+ * @param {ErrorDetails & {retryAfter: (number|undefined)}} [details={}]
+ * @returns {LLMWhispererClientException}
+ */
+function errorForStatus(statusCode, message, details = {}) {
+  if (statusCode === 402) {
+    return new LLMWhispererQuotaExceededError(message, statusCode, details);
+  }
+  if (statusCode === 403 && QUOTA_MESSAGE.test(message || "")) {
+    return new LLMWhispererQuotaExceededError(message, statusCode, details);
+  }
+  if (statusCode === 401 || statusCode === 403) {
+    return new LLMWhispererAuthenticationError(message, statusCode, details);
+  }
+  if (statusCode === 429) {
+    return new LLMWhispererRateLimitError(message, statusCode, details);
+  }
+  if (statusCode === 400 || statusCode === 422) {
+    return new LLMWhispererValidationError(message, statusCode, details);
+  }
+  if (statusCode === 404) {
+    return new LLMWhispererNotFoundError(message, statusCode, details);
+  }
+  if (statusCode >= 500) {
+    return new LLMWhispererServerError(message, statusCode, details);
+  }
+  return new LLMWhispererClientException(message, statusCode, details);
+}
+
+module.exports = {
+  LLMWhispererAbortError,
+  LLMWhispererAuthenticationError,
+  LLMWhispererCircuitOpenError,
+  LLMWhispererClientException,
+  LLMWhispererNetworkError,
+  LLMWhispererNotFoundError,
+  LLMWhispererQuotaExceededError,
+  LLMWhispererRateLimitError,
+  LLMWhispererServerError,
+  LLMWhispererTimeoutError,
+  LLMWhispererValidationError,
+  errorForStatus,
+};
@@ -0,0 +1,520 @@
+/**
+ * @fileoverview An in-process fake of the LLMWhisperer API v2 for test
+ * suites. It serves /whisper, /whisper-status, /whisper-retrieve,
+ * /whisper-detail, /highlights, /get-usage-info and /whisper-manage-callback
+ * on a local port, runs accepted jobs on a timer, delivers webhooks, and can
+ * be scripted with fixture extractions, delays and error responses.
+ *
+ * @requires axios
+ * @requires http
+ */
+const axios = require("axios");
+const http = require("http");
+const { parsePageRange } = require("./pages");
+
+const ENDPOINTS = new Set([
+  "whisper",
+  "whisper-status",
+  "whisper-retrieve",
+  "whisper-detail",
+  "highlights",
+  "get-usage-info",
+  "whisper-manage-callback",
+]);
+
+const DEFAULT_USAGE = {
+  current_page_count: 0,
+  daily_quota: 1000,
+  monthly_quota: 10000,
+  overage_page_count: 0,
+  subscription_plan: "fake",
+  today_page_count: 0,
+};
+
+/**
+ * @typedef {Object} FakeResult
+ * @property {string[]} [pages] - The text of each page, joined with the job's page separator.
+ * @property {string} [resultText] - The complete result_text, used as-is instead of `pages`.
+ * @property {string} [error] - Fail the job with this message instead of processing it.
+ * @property {number} [processingTime] - Seconds the job stays "processing"; overrides the server default.
+ * @property {Object} [highlights] - The `/highlights` response, keyed by line number; generated when omitted.
+ * @property {Object} [metadata] - The `metadata` of the extraction.
+ */
+
+/**
+ * @typedef {Object} FakeResponse
+ * @property {number} [status=200] - The HTTP status.
+ * @property {*} [body] - The JSON body; `{ message }` for the status when omitted.
+ * @property {Object} [headers] - Extra response headers, e.g. `{ "retry-after": "1" }`.
+ * @property {number} [delay=0] - Milliseconds to wait before responding.
+ */
+
+function matches(match, job) {
+  if (typeof match === "function") return match(job);
+  return Object.entries(match).every(([key, value]) => job[key] === value);
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * @class FakeLLMWhispererServer
+ * @classdesc A local stand-in for the LLMWhisperer API. Point a client's
+ * `baseUrl` at `server.baseUrl` after `listen()`.
+ * @constructor
+ * @param {Object} [options={}]
+ * @param {string} [options.apiKey=''] - When set, requests with another `unstract-key` get a 401.
+ * @param {number} [options.processingTime=0] - Seconds each job stays "processing".
+ * @param {number} [options.latency=0] - Milliseconds added before every response.
+ * @param {Object} [options.usage] - Overrides for the `/get-usage-info` counters.
+ *
+ * @property {string|null} baseUrl - The API base URL, set by listen().
+ * @property {Array<Object>} requests - `{ method, endpoint, query, headers, bodySize }` per request received.
+ * @property {Map<string, Object>} jobs - Accepted jobs by whisper_hash.
+ * @property {Map<string, Object>} webhooks - Registered webhooks by name.
+ * @property {Array<Object>} webhookDeliveries - `{ webhookName, url, whisperHash, body, status | error }`
+ *                                               per webhook sent.
+ * @property {Object} usage - The `/get-usage-info` response; processed pages are added to it.
+ */
+class FakeLLMWhispererServer {
+  constructor({ apiKey = "", processingTime = 0, latency = 0, usage } = {}) {
+    this.apiKey = apiKey;
+    this.processingTime = processingTime;
+    this.latency = latency;
+    this.baseUrl = null;
+    this.usage = { ...DEFAULT_USAGE, ...usage };
+    this.requests = [];
+    this.jobs = new Map();
+    this.webhooks = new Map();
+    this.webhookDeliveries = [];
+    this._fixtures = [];
+    this._queued = new Map();
+    this._timers = new Set();
+    this._deliveries = new Set();
+    this._nextHash = 1;
+    this._server = http.createServer((req, res) => {
+      this._handle(req, res).catch((error) => {
+        this._send(res, { status: 500, body: { message: error.message } });
+      });
+    });
+  }
+
+  /**
+   * Starts listening on a local port.
+   * @param {number} [port=0] - The port; 0 picks a free one.
+   * @returns {Promise<string>} The API base URL, also stored as `baseUrl`.
+   */
+  listen(port = 0) {
+    return new Promise((resolve, reject) => {
+      this._server.once("error", reject);
+      this._server.listen(port, "127.0.0.1", () => {
+        this._server.off("error", reject);
+        this.baseUrl = `http://127.0.0.1:${this._server.address().port}/api/v2`;
+        resolve(this.baseUrl);
+      });
+    });
+  }
+
+  /**
+   * Stops the server and pending jobs, after in-flight webhooks are sent.
+   * @returns {Promise<void>}
+   */
+  async close() {
+    for (const timer of this._timers) clearTimeout(timer);
+    this._timers.clear();
+    await this.flushWebhooks();
+    this._server.closeAllConnections();
+    await new Promise((resolve) => this._server.close(() => resolve()));
+  }
+
+  /**
+   * Scripts the result of the jobs a match selects. Later fixtures take
+   * precedence; jobs no fixture matches get a one-page text naming the file.
+   *
+   * @param {Object|Function} match - Job fields to compare, e.g. `{ filename: 'a.pdf' }` or
+   *                                  `{ tag: 'x' }`, or a `(job) => boolean` function.
+   * @param {FakeResult} result - What the job produces.
+   * @returns {FakeLLMWhispererServer} The server, for chaining.
+   */
+  addFixture(match, result) {
+    this._fixtures.unshift({ match, result });
+    return this;
+  }
+
+  /**
+   * Replaces the next responses of an endpoint, e.g. to return a 429 or 500
+   * or to delay a reply, before normal handling resumes.
+   *
+   * @param {string} endpoint - The endpoint name, e.g. "whisper" or "whisper-status".
+   * @param {FakeResponse} response - The response to send.
+   * @param {Object} [options={}]
+   * @param {number} [options.times=1] - How many requests get this response.
+   * @returns {FakeLLMWhispererServer} The server, for chaining.
+   */
+  respondNext(endpoint, response, { times = 1 } = {}) {
+    if (!ENDPOINTS.has(endpoint)) {
+      throw new TypeError(`Unknown endpoint: ${endpoint}`);
+    }
+    const queue = this._queued.get(endpoint) || [];
+    for (let i = 0; i < times; i++) queue.push(response);
+    this._queued.set(endpoint, queue);
+    return this;
+  }
+
+  /**
+   * Waits for the webhooks already being delivered.
+   * @returns {Promise<void>}
+   */
+  async flushWebhooks() {
+    while (this._deliveries.size > 0) {
+      await Promise.all([...this._deliveries]);
+    }
+  }
+
+  async _handle(req, res) {
+    const url = new URL(req.url, "http://localhost");
+    const endpoint = url.pathname.split("/").pop();
+    const query = Object.fromEntries(url.searchParams);
+    const body = await this._readBody(req);
+    this.requests.push({
+      method: req.method,
+      endpoint,
+      query,
+      headers: req.headers,
+      bodySize: body.length,
+    });
+
+    if (this.latency) await sleep(this.latency);
+    const queued = this._queued.get(endpoint);
+    if (queued && queued.length > 0) {
+      const response = queued.shift();
+      if (response.delay) await sleep(response.delay);
+      return this._send(res, response);
+    }
+    if (!ENDPOINTS.has(endpoint)) {
+      return this._send(res, { status: 404, body: { message: "Not found" } });
+    }
+    if (this.apiKey && req.headers["unstract-key"] !== this.apiKey) {
+      return this._send(res, {
+        status: 401,
+        body: { message: "Invalid API key" },
+      });
+    }
+    const handler = {
+      whisper: () => this._whisper(query, body),
+      "whisper-status": () => this._status(query),
+      "whisper-retrieve": () => this._retrieve(query),
+      "whisper-detail": () => this._detail(query),
+      highlights: () => this._highlights(query),
+      "get-usage-info": () => ({ body: this.usage }),
+      "whisper-manage-callback": () =>
+        this._manageCallback(req.method, query, body),
+    }[endpoint];
+    return this._send(res, handler());
+  }
+
+  _readBody(req) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      req.on("data", (chunk) => chunks.push(chunk));
+      req.on("end", () => resolve(Buffer.concat(chunks)));
+      req.on("error", reject);
+    });
+  }
+
+  _send(res, { status = 200, body, headers = {} }) {
+    const payload =
+      body === undefined ? { message: http.STATUS_CODES[status] } : body;
+    res.writeHead(status, { "Content-Type": "application/json", ...headers });
+    res.end(JSON.stringify(payload));
+  }
+
+  _job(query) {
+    const job = this.jobs.get(query.whisper_hash);
+    return job
+      ? { job }
+      : { error: { status: 404, body: { message: "Whisper hash not found" } } };
+  }
+
+  _whisper(query, body) {
+    if (!query.url && body.length === 0) {
+      return { status: 400, body: { message: "Provide a file or a url" } };
+    }
+    const whisperHash = `fake-${this._nextHash++}`;
+    const separator = query.page_seperator || "<<<";
+    const job = {
+      whisperHash,
+      filename: query.filename || "",
+      url: query.url || "",
+      tag: query.tag || "default",
+      mode: query.mode || "high_quality",
+      params: query,
+      size: body.length,
+      status: "processing",
+      message: "Whisper Job Accepted",
+      acceptedAt: new Date(),
+      completedAt: null,
+    };
+    const fixture = this._fixtures.find((f) => matches(f.match, job));
+    const result = fixture ? fixture.result : {};
+    const pages = result.pages || [
+      `Text of ${job.filename || job.url || "document"}`,
+    ];
+    let text = result.resultText;
+    if (text === undefined) {
+      text = pages.map((page) => `${page}\n${separator}\n`).join("");
+    }
+    if (query.add_line_nos === "true") {
+      let lineNumber = 0;
+      text = text
+        .split("\n")
+        .map((line) =>
+          line === "" || line.trim() === separator
+            ? line
+            : `0x${(++lineNumber).toString(16).padStart(2, "0")}: ${line}`,
+        )
+        .join("\n");
+    }
+    job.result = result;
+    job.pageCount = pages.length;
+    job.extraction = {
+      result_text: text,
+      confidence_metadata: [],
+      line_metadata: [],
+      metadata: result.metadata || {},
+      webhook_metadata: query.webhook_metadata || "",
+    };
+    this.jobs.set(whisperHash, job);
+
+    const seconds =
+      result.processingTime !== undefined
+        ? result.processingTime
+        : this.processingTime;
+    const timer = setTimeout(() => {
+      this._timers.delete(timer);
+      this._complete(job);
+    }, seconds * 1000);
+    this._timers.add(timer);
+
+    return {
+      status: 202,
+      body: {
+        whisper_hash: whisperHash,
+        status: "processing",
+        message: "Whisper Job Accepted",
+      },
+    };
+  }
+
+  _complete(job) {
+    job.completedAt = new Date();
+    if (job.result.error) {
+      job.status = "error";
+      job.message = job.result.error;
+    } else {
+      job.status = "processed";
+      job.message = "Whisper Job Processed";
+      this.usage.today_page_count += job.pageCount;
+      this.usage.current_page_count += job.pageCount;
+    }
+    if (job.params.use_webhook) {
+      this._deliverWebhook(job);
+    }
+  }
+
+  _deliverWebhook(job) {
+    const webhookName = job.params.use_webhook;
+    const webhook = this.webhooks.get(webhookName);
+    const body = {
+      whisper_hash: job.whisperHash,
+      status: job.status,
+      message: job.message,
+      ...job.extraction,
+    };
+    const record = {
+      webhookName,
+      url: webhook && webhook.url,
+      whisperHash: job.whisperHash,
+      body,
+    };
+    this.webhookDeliveries.push(record);
+    if (!webhook) {
+      record.error = `Webhook ${webhookName} is not registered`;
+      return;
+    }
+    const delivery = axios
+      .post(webhook.url, body, {
+        headers: webhook.auth_token
+          ? { Authorization: `Bearer ${webhook.auth_token}` }
+          : {},
+        validateStatus: () => true,
+      })
+      .then((response) => {
+        record.status = response.status;
+      })
+      .catch((error) => {
+        record.error = error.message;
+      })
+      .finally(() => {
+        this._deliveries.delete(delivery);
+      });
+    this._deliveries.add(delivery);
+  }
+
+  _status(query) {
+    const { job, error } = this._job(query);
+    if (error) return error;
+    return { body: { status: job.status, message: job.message } };
+  }
+
+  _retrieve(query) {
+    const { job, error } = this._job(query);
+    if (error) return error;
+    if (job.status !== "processed" && job.status !== "retrieved") {
+      return {
+        status: 400,
+        body: { message: `Whisper job is ${job.status}, not processed` },
+      };
+    }
+    job.status = "retrieved";
+    return { body: job.extraction };
+  }
+
+  _detail(query) {
+    const { job, error } = this._job(query);
+    if (error) return error;
+    const seconds = job.completedAt
+      ? (job.completedAt - job.acceptedAt) / 1000
+      : 0;
+    return {
+      body: {
+        whisper_hash: job.whisperHash,
+        mode: job.mode,
+        tag: job.tag,
+        total_pages: job.pageCount,
+        requested_pages: job.pageCount,
+        processed_pages: job.completedAt ? job.pageCount : 0,
+        upload_file_size_in_kb: job.size / 1024,
+        processing_started_at: job.acceptedAt.toISOString(),
+        completed_at: job.completedAt ? job.completedAt.toISOString() : null,
+        processing_time_in_seconds: seconds,
+      },
+    };
+  }
+
+  _highlights(query) {
+    const { job, error } = this._job(query);
+    if (error) return error;
+    if (job.params.add_line_nos !== "true") {
+      return {
+        status: 400,
+        body: { message: "Line metadata is only kept with add_line_nos" },
+      };
+    }
+    const ranges = parsePageRange(query.lines || "");
+    if (ranges === null) {
+      return { status: 400, body: { message: "Invalid lines" } };
+    }
+    const all =
+      job.result.highlights || this._generatedHighlights(job.extraction);
+    const wanted = (line) =>
+      query.extract_all_lines === "true" ||
+      ranges.some(({ start, end }) => line >= start && line <= end);
+    return {
+      body: Object.fromEntries(
+        Object.entries(all).filter(([line]) => wanted(Number(line))),
+      ),
+    };
+  }
+
+  /** A box per numbered line, stacked down each page. */
+  _generatedHighlights(extraction) {
+    const highlights = {};
+    let page = 0;
+    let row = 0;
+    for (const line of extraction.result_text.split("\n")) {
+      const match = /^0x([0-9a-f]+): /.exec(line);
+      if (!match) {
+        if (line.trim() !== "") {
+          page++;
+          row = 0;
+        }
+        continue;
+      }
+      const baseY = 40 + row++ * 20;
+      highlights[parseInt(match[1], 16)] = {
+        base_y: baseY,
+        base_y_percent: baseY / 10,
+        height: 16,
+        height_percent: 1.6,
+        page,
+        page_height: 1000,
+        raw: [page, baseY, 16, 1000],
+      };
+    }
+    return highlights;
+  }
+
+  _manageCallback(method, query, body) {
+    let data = {};
+    if (body.length > 0) {
+      try {
+        data = JSON.parse(body.toString("utf-8"));
+      } catch {
+        return { status: 400, body: { message: "Body is not valid JSON" } };
+      }
+    }
+    const name =
+      method === "GET" || method === "DELETE"
+        ? query.webhook_name
+        : data.webhook_name;
+    const webhook = this.webhooks.get(name);
+    if (method === "POST") {
+      if (!name || !data.url) {
+        return {
+          status: 400,
+          body: { message: "webhook_name and url are required" },
+        };
+      }
+      this.webhooks.set(name, {
+        webhook_name: name,
+        url: data.url,
+        auth_token: data.auth_token || "",
+      });
+      return { status: 201, body: { message: "Webhook created successfully" } };
+    }
+    if (!webhook) {
+      return { status: 404, body: { message: `Webhook ${name} not found` } };
+    }
+    if (method === "GET") {
+      return { body: webhook };
+    }
+    if (method === "PUT") {
+      this.webhooks.set(name, {
+        ...webhook,
+        url: data.url,
+        auth_token: data.auth_token || "",
+      });
+      return { body: { message: "Webhook updated successfully" } };
+    }
+    if (method === "DELETE") {
+      this.webhooks.delete(name);
+      return { body: { message: "Webhook deleted successfully" } };
+    }
+    return { status: 405, body: { message: "Method not allowed" } };
+  }
+}
+
+/**
+ * Creates a fake LLMWhisperer server. Call `listen()` before use and
+ * `close()` when done.
+ *
+ * @param {Object} [options={}] - See FakeLLMWhispererServer.
+ * @returns {FakeLLMWhispererServer}
+ */
+function createFakeServer(options) {
+  return new FakeLLMWhispererServer(options);
+}
+
+module.exports = { FakeLLMWhispererServer, createFakeServer };
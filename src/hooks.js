@@ -0,0 +1,85 @@
+/**
+ * @fileoverview Lifecycle hooks: callbacks run around each API request and
+ * while a job is polled, for correlation IDs, audit logs or metrics.
+ *
+ * Request hooks are installed as axios interceptors. `beforeRequest` runs
+ * before every attempt, including retries; `afterResponse` and `onError` run
+ * once per call, for its final outcome, and `onRetry` runs before each retry.
+ */
+const { LLMWhispererClientException } = require("./errors");
+
+const HOOK_NAMES = [
+  "beforeRequest",
+  "afterResponse",
+  "onError",
+  "onRetry",
+  "onPollStatus",
+  "onJobComplete",
+];
+
+/**
+ * @typedef {Object} Hooks
+ * @property {Function} [beforeRequest] - `(context) => void`. May change `context.headers`
+ *                                   and `context.params`; throwing fails the call.
+ * @property {Function} [afterResponse] - `(context) => void`, with `status` and `response`.
+ * @property {Function} [onError] - `(context) => void`, with `error` as an LLMWhispererClientException.
+ * @property {Function} [onRetry] - `(context) => void`, with the `error` being retried.
+ * @property {Function} [onPollStatus] - `({ whisperHash, status, attempt, durationMs }) => void`.
+ * @property {Function} [onJobComplete] - `({ whisperHash, status, durationMs }) => void`, once a
+ *                                   job is processed or has failed.
+ */
+
+/**
+ * Validates hook sets.
+ *
+ * @param {Hooks|Hooks[]} hooks - A hook set, or several run in order.
+ * @returns {Hooks[]} The hook sets.
+ * @throws {LLMWhispererClientException} If a hook is unknown or not a function.
+ */
+function normalizeHooks(hooks) {
+  const sets = Array.isArray(hooks) ? hooks : [hooks];
+  for (const set of sets) {
+    if (!set || typeof set !== "object") {
+      throw new LLMWhispererClientException("hooks must be an object", -1);
+    }
+    for (const [name, hook] of Object.entries(set)) {
+      if (!HOOK_NAMES.includes(name)) {
+        throw new LLMWhispererClientException(
+          `Unknown hook ${name}; expected one of ${HOOK_NAMES.join(", ")}`,
+          -1,
+        );
+      }
+      if (hook !== undefined && typeof hook !== "function") {
+        throw new LLMWhispererClientException(
+          `hooks.${name} must be a function`,
+          -1,
+        );
+      }
+    }
+  }
+  return sets;
+}
+
+/**
+ * Describes the request behind an axios config for a hook. `headers` and
+ * `params` are the config's own objects, so changes reach the request.
+ *
+ * @param {Object} config - The axios request config.
+ * @returns {Object} `{ method, httpMethod, url, params, headers, attempt, startedAt, durationMs }`.
+ */
+function requestContext(config = {}) {
+  const retry = config["axios-retry"];
+  return {
+    method: config._operation,
+    httpMethod: (config.method || "get").toUpperCase(),
+    url: config.url,
+    params: config.params,
+    headers: config.headers,
+    attempt: ((retry && retry.retryCount) || 0) + 1,
+    startedAt: config._startedAt,
+    durationMs:
+      config._startedAt === undefined ? 0 : Date.now() - config._startedAt,
+  };
+}
+
+module.exports = { HOOK_NAMES, normalizeHooks, requestContext };
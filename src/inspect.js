@@ -0,0 +1,367 @@
+/**
+ * @fileoverview Local pre-flight checks on a document, so files the API
+ * would reject are caught before the upload: the real file type from its
+ * magic bytes, the page count of PDFs and TIFFs, encrypted or truncated
+ * PDFs, `pagesToExtract` against the page count, and size limits.
+ *
+ * @requires fs
+ * @requires path
+ */
+const fs = require("fs");
+const path = require("path");
+const { estimatePages, parsePageRange } = require("./pages");
+
+const MIME_TYPES = {
+  pdf: "application/pdf",
+  tiff: "image/tiff",
+  png: "image/png",
+  jpeg: "image/jpeg",
+  gif: "image/gif",
+  bmp: "image/bmp",
+  webp: "image/webp",
+  docx: "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  pptx: "application/vnd.openxmlformats-officedocument.presentationml.presentation",
+  odt: "application/vnd.oasis.opendocument.text",
+  ods: "application/vnd.oasis.opendocument.spreadsheet",
+  odp: "application/vnd.oasis.opendocument.presentation",
+  doc: "application/msword",
+  xls: "application/vnd.ms-excel",
+  ppt: "application/vnd.ms-powerpoint",
+  text: "text/plain",
+};
+
+const EXTENSIONS = {
+  pdf: "pdf",
+  tif: "tiff",
+  tiff: "tiff",
+  png: "png",
+  jpg: "jpeg",
+  jpeg: "jpeg",
+  gif: "gif",
+  bmp: "bmp",
+  webp: "webp",
+  docx: "docx",
+  xlsx: "xlsx",
+  pptx: "pptx",
+  odt: "odt",
+  ods: "ods",
+  odp: "odp",
+  doc: "doc",
+  xls: "xls",
+  ppt: "ppt",
+  txt: "text",
+  csv: "text",
+};
+
+// Formats the API lays out as a single page.
+const SINGLE_PAGE_IMAGES = new Set(["png", "jpeg", "gif", "bmp", "webp"]);
+
+const HEAD_SIZE = 64 * 1024;
+const CHUNK_SIZE = 1024 * 1024;
+// Long enough to hold a page tree dictionary split across two chunks.
+const CHUNK_OVERLAP = 1024;
+// The page tree root carries the document's page count in /Count.
+const PAGES_COUNT_PATTERNS = [
+  /\/Type\s*\/Pages\b[^>]*?\/Count\s+(\d+)/g,
+  /\/Count\s+(\d+)[^>]*?\/Type\s*\/Pages\b/g,
+];
+const ENCRYPT_PATTERN = /\/Encrypt\s*(?:\d+\s+\d+\s+R|<<)/;
+const MAX_TIFF_PAGES = 100000;
+
+/**
+ * Random access over a file or an in-memory document, so large files are
+ * read in chunks rather than loaded whole.
+ */
+async function openReader(input) {
+  if (typeof input === "string") {
+    const handle = await fs.promises.open(input, "r");
+    const { size } = await handle.stat();
+    return {
+      size,
+      async read(offset, length) {
+        const buffer = Buffer.alloc(
+          Math.max(0, Math.min(length, size - offset)),
+        );
+        await handle.read(buffer, 0, buffer.length, offset);
+        return buffer;
+      },
+      close: () => handle.close(),
+    };
+  }
+  return {
+    size: input.length,
+    read: async (offset, length) => input.subarray(offset, offset + length),
+    close: async () => {},
+  };
+}
+
+function sniffZip(text) {
+  const odf =
+    /mimetypeapplication\/vnd\.oasis\.opendocument\.(text|spreadsheet|presentation)/.exec(
+      text,
+    );
+  if (odf) {
+    return { text: "odt", spreadsheet: "ods", presentation: "odp" }[odf[1]];
+  }
+  if (text.includes("word/")) return "docx";
+  if (text.includes("xl/")) return "xlsx";
+  if (text.includes("ppt/")) return "pptx";
+  return null;
+}
+
+function sniffOle(text) {
+  const utf16 = (name) => Buffer.from(name, "utf16le").toString("latin1");
+  if (text.includes(utf16("WordDocument"))) return "doc";
+  if (text.includes(utf16("Workbook")) || text.includes(utf16("Book"))) {
+    return "xls";
+  }
+  if (text.includes(utf16("PowerPoint Document"))) return "ppt";
+  return null;
+}
+
+function looksLikeText(head) {
+  if (head.includes(0)) return false;
+  // Valid UTF-8 apart from a sequence cut off at the end of the sample.
+  const decoded = head.toString("utf-8");
+  const replacements = decoded.match(/\uFFFD/g) || [];
+  return replacements.length <= 1;
+}
+
+/**
+ * Works out the file type from its first bytes, and for ZIP and OLE
+ * containers from the entry names at either end of the file. A container
+ * whose entries are not found there falls back to a matching extension.
+ */
+async function sniffType(reader, head, extensionType) {
+  const ascii = head.toString("latin1", 0, 1024);
+  if (ascii.includes("%PDF-")) return "pdf";
+  if (/^(II\*\0|MM\0\*|II\+\0|MM\0\+)/.test(ascii)) return "tiff";
+  if (ascii.startsWith("\x89PNG\r\n\x1a\n")) return "png";
+  if (ascii.startsWith("\xff\xd8\xff")) return "jpeg";
+  if (/^GIF8[79]a/.test(ascii)) return "gif";
+  // BM, then a DIB header size that one of the BMP versions uses.
+  if (
+    ascii.startsWith("BM") &&
+    head.length >= 18 &&
+    [12, 40, 52, 56, 64, 108, 124].includes(head.readUInt32LE(14))
+  ) {
+    return "bmp";
+  }
+  if (ascii.startsWith("RIFF") && ascii.slice(8, 12) === "WEBP") {
+    return "webp";
+  }
+  const [container, formats] = ascii.startsWith("PK\x03\x04")
+    ? [sniffZip, ["docx", "xlsx", "pptx", "odt", "ods", "odp"]]
+    : ascii.startsWith("\xd0\xcf\x11\xe0\xa1\xb1\x1a\xe1")
+      ? [sniffOle, ["doc", "xls", "ppt"]]
+      : [];
+  if (container) {
+    const tail = await reader.read(
+      Math.max(head.length, reader.size - HEAD_SIZE),
+      HEAD_SIZE,
+    );
+    return (
+      container(head.toString("latin1") + tail.toString("latin1")) ||
+      (formats.includes(extensionType) ? extensionType : "unknown")
+    );
+  }
+  if (head.length > 0 && looksLikeText(head)) return "text";
+  return "unknown";
+}
+
+/**
+ * Scans a PDF in overlapping chunks for its page count and encryption
+ * dictionary, and checks that it ends with an %%EOF marker.
+ */
+async function scanPdf(reader) {
+  let pageCount = 0;
+  let encrypted = false;
+  let tail = "";
+  for (let offset = 0; offset < reader.size; offset += CHUNK_SIZE) {
+    const text =
+      tail + (await reader.read(offset, CHUNK_SIZE)).toString("latin1");
+    for (const pattern of PAGES_COUNT_PATTERNS) {
+      for (const match of text.matchAll(pattern)) {
+        pageCount = Math.max(pageCount, Number(match[1]));
+      }
+    }
+    encrypted = encrypted || ENCRYPT_PATTERN.test(text);
+    tail = text.slice(-CHUNK_OVERLAP);
+  }
+  const end = (
+    await reader.read(Math.max(0, reader.size - 1024), 1024)
+  ).toString("latin1");
+  return {
+    pageCount: pageCount || null,
+    encrypted,
+    truncated: !end.includes("%%EOF"),
+  };
+}
+
+/**
+ * Counts the pages of a TIFF by following its chain of image directories.
+ *
+ * @returns {Promise<{pageCount: (number|null), corrupt: boolean}>} pageCount is
+ *   null for BigTIFF files, which are not walked.
+ */
+async function scanTiff(reader, head) {
+  const littleEndian = head.toString("latin1", 0, 2) === "II";
+  const uint16 = (buffer, at) =>
+    littleEndian ? buffer.readUInt16LE(at) : buffer.readUInt16BE(at);
+  const uint32 = (buffer, at) =>
+    littleEndian ? buffer.readUInt32LE(at) : buffer.readUInt32BE(at);
+  if (uint16(head, 2) === 43) {
+    return { pageCount: null, corrupt: false };
+  }
+  const seen = new Set();
+  let offset = head.length >= 8 ? uint32(head, 4) : 0;
+  while (offset !== 0) {
+    if (seen.has(offset) || seen.size >= MAX_TIFF_PAGES) {
+      return { pageCount: seen.size, corrupt: true };
+    }
+    const entries = await reader.read(offset, 2);
+    if (entries.length < 2) {
+      return { pageCount: seen.size, corrupt: true };
+    }
+    const next = await reader.read(offset + 2 + uint16(entries, 0) * 12, 4);
+    if (next.length < 4) {
+      return { pageCount: seen.size, corrupt: true };
+    }
+    seen.add(offset);
+    offset = uint32(next, 0);
+  }
+  return { pageCount: seen.size, corrupt: seen.size === 0 };
+}
+
+/**
+ * Inspects a document locally, without calling the API.
+ *
+ * @param {string|Buffer} input - A file path, or the document contents.
+ * @param {Object} [options={}]
+ * @param {string} [options.filename] - The name to check the extension of; defaults to the file's name.
+ * @param {string} [options.pagesToExtract=''] - Checked against the page count.
+ * @param {number} [options.maxFileSize] - Bytes above which the document is refused.
+ * @param {number} [options.maxPages] - Selected pages above which the document is refused.
+ * @returns {Promise<Object>} `{ filename, size, type, mimeType, pageCount, selectedPages, encrypted,
+ *   problems, warnings, ok }`. `problems` lists what would make the upload fail and `ok` is true when
+ *   there are none; `warnings` lists what may. `pageCount` and `selectedPages` are null when unknown.
+ */
+async function inspectDocument(
+  input,
+  { filename, pagesToExtract = "", maxFileSize, maxPages } = {},
+) {
+  const report = {
+    filename:
+      filename || (typeof input === "string" ? path.basename(input) : null),
+    size: 0,
+    type: "unknown",
+    mimeType: "application/octet-stream",
+    pageCount: null,
+    selectedPages: null,
+    encrypted: false,
+    problems: [],
+    warnings: [],
+    ok: false,
+  };
+  const { problems, warnings } = report;
+  const extension = report.filename
+    ? path.extname(report.filename).slice(1).toLowerCase()
+    : "";
+  const extensionType = EXTENSIONS[extension];
+
+  let reader;
+  try {
+    reader = await openReader(input);
+  } catch (error) {
+    if (error.code !== "ENOENT" && error.code !== "EISDIR") throw error;
+    problems.push(`Cannot read ${input}: ${error.code}`);
+    return report;
+  }
+  try {
+    report.size = reader.size;
+    const head = await reader.read(0, HEAD_SIZE);
+    report.type = await sniffType(reader, head, extensionType);
+    report.mimeType = MIME_TYPES[report.type] || "application/octet-stream";
+
+    if (report.size === 0) {
+      problems.push("The file is empty");
+    } else if (!MIME_TYPES[report.type]) {
+      problems.push("The file type is not supported");
+    }
+    if (maxFileSize !== undefined && report.size > maxFileSize) {
+      problems.push(
+        `The file is ${report.size} bytes, over the limit of ${maxFileSize}`,
+      );
+    }
+    if (
+      extensionType &&
+      MIME_TYPES[report.type] &&
+      extensionType !== report.type
+    ) {
+      warnings.push(
+        `The file is named .${extension} but its contents are ${report.type}`,
+      );
+    }
+
+    if (report.type === "pdf") {
+      const pdf = await scanPdf(reader);
+      report.pageCount = pdf.pageCount;
+      report.encrypted = pdf.encrypted;
+      if (pdf.truncated) {
+        problems.push("The PDF is truncated or corrupt: no %%EOF marker");
+      }
+      if (pdf.encrypted) {
+        warnings.push(
+          "The PDF is encrypted; it can only be processed if it opens without a password",
+        );
+      }
+      if (pdf.pageCount === null && !pdf.truncated) {
+        warnings.push("The page count could not be read from the PDF");
+      }
+    } else if (report.type === "tiff") {
+      const tiff = await scanTiff(reader, head);
+      report.pageCount = tiff.pageCount;
+      if (tiff.corrupt) {
+        problems.push("The TIFF is truncated or corrupt");
+      }
+    } else if (SINGLE_PAGE_IMAGES.has(report.type)) {
+      report.pageCount = 1;
+    }
+  } finally {
+    await reader.close();
+  }
+
+  const ranges = parsePageRange(pagesToExtract);
+  if (ranges === null) {
+    problems.push(
+      `pagesToExtract "${pagesToExtract}" is not a valid page range`,
+    );
+  } else if (report.pageCount) {
+    report.selectedPages = estimatePages(report.pageCount, pagesToExtract);
+    const pastEnd = ranges.some(
+      ({ start, end }) =>
+        start > report.pageCount ||
+        (end !== Infinity && end > report.pageCount),
+    );
+    if (report.selectedPages === 0) {
+      problems.push(
+        `pagesToExtract "${pagesToExtract}" selects none of the ${report.pageCount} pages`,
+      );
+    } else if (pastEnd) {
+      warnings.push(
+        `pagesToExtract "${pagesToExtract}" goes past the last page (${report.pageCount})`,
+      );
+    }
+    if (maxPages !== undefined && report.selectedPages > maxPages) {
+      problems.push(
+        `${report.selectedPages} pages selected, over the limit of ${maxPages}`,
+      );
+    }
+  }
+
+  report.ok = problems.length === 0;
+  return report;
+}
+
+module.exports = { inspectDocument };
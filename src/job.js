@@ -0,0 +1,264 @@
+/**
+ * @fileoverview WhisperJob wraps the whisper_hash of an accepted extraction
+ * with the status, wait, retrieve, detail and highlights calls made against it.
+ */
+const {
+  LLMWhispererClientException,
+  LLMWhispererTimeoutError,
+  errorForStatus,
+} = require("./errors");
+const { nextPollDelay, resolvePollPolicy, sleep } = require("./polling");
+
+/**
+ * @class WhisperJob
+ * @classdesc A handle on an extraction accepted by the `/whisper` endpoint.
+ * Obtain one from `whisper({ returnJob: true })`, or rehydrate one from a
+ * stored hash with `client.job(whisperHash)`.
+ * @constructor
+ * @param {LLMWhispererClientV2} client - The client used for every call.
+ * @param {string} whisperHash - The hash returned when the job was accepted.
+ * @param {Object} [submission={}] - The `/whisper` response, when known.
+ *
+ * @property {string} whisperHash - The hash of the job.
+ * @property {string} baseUrl - The region that accepted the job.
+ * @property {Object} submission - The `/whisper` response, or {} when rehydrated.
+ * @property {Object|null} lastStatus - The most recent `/whisper-status` response.
+ */
+class WhisperJob {
+  constructor(client, whisperHash, submission = {}) {
+    if (!whisperHash) {
+      throw new LLMWhispererClientException("whisperHash is required", -1);
+    }
+    this.client = client;
+    this.whisperHash = whisperHash;
+    this.submission = submission;
+    this.lastStatus = null;
+    this._retryAfter = undefined;
+    this._extraction = null;
+  }
+
+  /**
+   * Fetches the current status of the job.
+   * @param {Object} [options={}]
+   * @param {AbortSignal} [options.signal] - Cancels the request.
+   * @returns {Promise<Object>} The `/whisper-status` response.
+   */
+  async status({ signal } = {}) {
+    const { status, retryAfter } = await this.client._fetchWhisperStatus(
+      this.whisperHash,
+      { signal },
+    );
+    this.lastStatus = status;
+    this._retryAfter = retryAfter;
+    return status;
+  }
+
+  /**
+   * Whether the last fetched status shows the job finished processing.
+   * @returns {boolean}
+   */
+  isDone() {
+    return Boolean(
+      this.lastStatus &&
+        (this.lastStatus.status === "processed" ||
+          this.lastStatus.status === "retrieved"),
+    );
+  }
+
+  /** Runs the client's onJobComplete hooks. */
+  _completed(status, startTime) {
+    return this.client._runHooks("onJobComplete", {
+      whisperHash: this.whisperHash,
+      status,
+      durationMs: Date.now() - startTime,
+    });
+  }
+
+  /**
+   * Polls the status until the job leaves the accepted/processing states.
+   * Never throws for a failed or timed-out job; whisper() maps the outcome
+   * onto its own result shape.
+   *
+   * @private
+   * @returns {Promise<{outcome: string, status: (Object|null)}>} `outcome` is one of
+   *   "processed", "error", "failed" (status call did not return 200) or "timeout".
+   */
+  async _poll({ timeout = 180, pollPolicy, signal } = {}) {
+    const logger = this.client.logger;
+    const policy = resolvePollPolicy(this.client.pollPolicy, pollPolicy);
+    const startTime = Date.now();
+    for (let attempt = 1; ; attempt++) {
+      if ((Date.now() - startTime) / 1000 > timeout) {
+        return { outcome: "timeout", status: this.lastStatus };
+      }
+      const status = await this.status({ signal });
+      logger.debug("whisper_status polled", {
+        whisperHash: this.whisperHash,
+        status,
+      });
+      await this.client._runHooks("onPollStatus", {
+        whisperHash: this.whisperHash,
+        status,
+        attempt,
+        durationMs: Date.now() - startTime,
+      });
+
+      if (status.statusCode !== 200) {
+        await this.client._journalComplete(this.whisperHash);
+        return { outcome: "failed", status };
+      }
+      if (status.status === "error") {
+        logger.error("Whisper job failed", {
+          whisperHash: this.whisperHash,
+          message: status.message,
+        });
+        await this.client._journalComplete(this.whisperHash);
+        await this._completed(status, startTime);
+        return { outcome: "error", status };
+      }
+      if (this.isDone()) {
+        await this._completed(status, startTime);
+        return { outcome: "processed", status };
+      }
+      const elapsed = (Date.now() - startTime) / 1000;
+      const delay = Math.min(
+        nextPollDelay(policy, {
+          attempt,
+          elapsed,
+          lastStatus: status,
+          retryAfter: this._retryAfter,
+        }),
+        // Never sleep past the deadline; the next iteration reports the timeout.
+        Math.max(0, timeout - elapsed) + 0.001,
+      );
+      logger.debug("Waiting before the next status check", {
+        whisperHash: this.whisperHash,
+        status: status.status,
+        delay,
+      });
+      await sleep(delay * 1000, signal);
+    }
+  }
+
+  /**
+   * Waits for the job to finish processing.
+   *
+   * @param {Object} [options={}]
+   * @param {number} [options.timeout=180] - Seconds to wait before giving up.
+   * @param {Object} [options.pollPolicy] - Overrides the client's poll policy for this wait.
+   * @param {AbortSignal} [options.signal] - Stops waiting when aborted.
+   * @returns {Promise<Object>} The final `/whisper-status` response.
+   * @throws {LLMWhispererTimeoutError} If the wait timed out.
+   * @throws {LLMWhispererClientException} If the job failed.
+   * @throws {LLMWhispererAbortError} If the signal was aborted.
+   */
+  async wait(options = {}) {
+    const { outcome, status } = await this._poll(options);
+    const details = { responseBody: status, whisperHash: this.whisperHash };
+    if (outcome === "timeout") {
+      throw new LLMWhispererTimeoutError(
+        "Whisper client operation timed out",
+        details,
+      );
+    }
+    if (outcome === "failed") {
+      throw errorForStatus(
+        status.statusCode,
+        "Whisper client operation failed",
+        details,
+      );
+    }
+    if (outcome === "error") {
+      throw new LLMWhispererClientException(status.message, -1, details);
+    }
+    return status;
+  }
+
+  /**
+   * Waits for the job and retrieves its extraction. The extraction is kept on
+   * the job, so repeated calls do not retrieve it again, and the job is
+   * removed from the client's journal.
+   *
+   * @param {Object} [options={}] - Passed to wait(); `signal` also cancels the retrieval.
+   * @returns {Promise<Object>} The extraction, including `result_text`.
+   * @throws {LLMWhispererClientException} If waiting or retrieval fails.
+   */
+  async result(options = {}) {
+    if (!this._extraction) {
+      if (!this.isDone()) {
+        await this.wait(options);
+      }
+      const retrieved = await this.client.whisperRetrieve(this.whisperHash, {
+        signal: options.signal,
+      });
+      this._extraction = retrieved.extraction;
+      await this.client._journalComplete(this.whisperHash);
+    }
+    return this._extraction;
+  }
+
+  /**
+   * Fetches the job metadata from `/whisper-detail`.
+   * @param {Object} [options={}]
+   * @param {AbortSignal} [options.signal] - Cancels the request.
+   * @returns {Promise<Object>} The extraction details.
+   */
+  detail(options = {}) {
+    return this.client.whisperDetail(this.whisperHash, options);
+  }
+
+  /**
+   * Fetches line bounding boxes. Requires the job to have used `addLineNos`.
+   *
+   * @param {string} lines - Lines to fetch, e.g. "1-5,7,21-".
+   * @param {boolean} [extractAllLines=false] - Fetch metadata for all lines.
+   * @param {Object} [options={}]
+   * @param {AbortSignal} [options.signal] - Cancels the request.
+   * @returns {Promise<Object>} The highlight data, keyed by line number.
+   */
+  highlights(lines, extractAllLines = false, options = {}) {
+    return this.client.getHighlightData(
+      this.whisperHash,
+      lines,
+      extractAllLines,
+      options,
+    );
+  }
+
+  /**
+   * Searches the job's text and resolves matching lines to bounding boxes.
+   * Uses the extraction cached by result(), retrieving it first if needed.
+   *
+   * @param {string} query - The text to look for.
+   * @param {Object} [options={}] - See LLMWhispererClientV2#findText.
+   * @returns {Promise<Array<Object>>} The matching lines with their bounding boxes.
+   */
+  async findText(query, options = {}) {
+    const extraction = await this.result({ signal: options.signal });
+    return this.client.findText(this.whisperHash, query, {
+      ...options,
+      extraction,
+    });
+  }
+
+  /**
+   * The region that accepted the job, where every call about it is sent.
+   * @returns {string}
+   */
+  get baseUrl() {
+    return this.client.regions.baseUrlFor(this.whisperHash);
+  }
+
+  /**
+   * The hash, and the region when the client has several, so that
+   * `client.job(saved.whisperHash, {}, saved)` finds the job again.
+   */
+  toJSON() {
+    if (this.client.regions.baseUrls.length > 1) {
+      return { whisperHash: this.whisperHash, baseUrl: this.baseUrl };
+    }
+    return { whisperHash: this.whisperHash };
+  }
+}
+
+module.exports = { WhisperJob };
@@ -0,0 +1,102 @@
+/**
+ * @fileoverview Durable record of accepted extractions that whisper() is
+ * still waiting on, so a restarted process can retrieve them with
+ * `client.resumePending()` instead of losing the whisper_hash.
+ *
+ * A journal store is any object with these async methods:
+ *   record(entry)        -> stores an entry keyed by `entry.whisperHash`
+ *   complete(whisperHash) -> true if an entry was removed
+ *   pending()            -> the stored entries, oldest first
+ * FileJournal is the bundled store.
+ *
+ * @requires crypto
+ * @requires fs
+ * @requires path
+ */
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * @class FileJournal
+ * @classdesc Stores each pending job as a JSON file in `directory`. Entries
+ * are flushed to disk before whisper() starts polling, and removed once the
+ * extraction has been retrieved or the job has failed for good.
+ * @constructor
+ * @param {Object} [options={}]
+ * @param {string} [options.directory='.llmwhisperer-journal'] - Where entries are stored.
+ */
+class FileJournal {
+  constructor({ directory = ".llmwhisperer-journal" } = {}) {
+    this.directory = directory;
+  }
+
+  _path(whisperHash) {
+    // Hashes can hold characters that are not safe in file names.
+    const name = crypto.createHash("sha256").update(whisperHash).digest("hex");
+    return path.join(this.directory, `${name}.json`);
+  }
+
+  /**
+   * @param {Object} entry - A JSON-serialisable entry with a `whisperHash`.
+   * @returns {Promise<void>}
+   */
+  async record(entry) {
+    const file = this._path(entry.whisperHash);
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    // Write, sync and rename, so a crash leaves either no entry or a whole one.
+    const temp = `${file}.${process.pid}.${crypto.randomBytes(4).toString("hex")}.tmp`;
+    const handle = await fs.promises.open(temp, "w");
+    try {
+      await handle.writeFile(JSON.stringify(entry));
+      await handle.sync();
+    } finally {
+      await handle.close();
+    }
+    await fs.promises.rename(temp, file);
+  }
+
+  /**
+   * @param {string} whisperHash
+   * @returns {Promise<boolean>} Whether an entry was removed.
+   */
+  async complete(whisperHash) {
+    try {
+      await fs.promises.unlink(this._path(whisperHash));
+      return true;
+    } catch (error) {
+      if (error.code === "ENOENT") return false;
+      throw error;
+    }
+  }
+
+  /**
+   * @returns {Promise<Array<Object>>} The pending entries, oldest submission first.
+   */
+  async pending() {
+    let names;
+    try {
+      names = await fs.promises.readdir(this.directory);
+    } catch (error) {
+      if (error.code === "ENOENT") return [];
+      throw error;
+    }
+    const entries = [];
+    for (const name of names) {
+      if (!name.endsWith(".json")) continue;
+      try {
+        const file = path.join(this.directory, name);
+        entries.push(JSON.parse(await fs.promises.readFile(file, "utf-8")));
+      } catch (error) {
+        // Removed by another process since readdir, or not written by us.
+        if (error.code === "ENOENT" || error instanceof SyntaxError) continue;
+        throw error;
+      }
+    }
+    return entries.sort((a, b) =>
+      String(a.submittedAt).localeCompare(String(b.submittedAt)),
+    );
+  }
+}
+
+module.exports = { FileJournal };
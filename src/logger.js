@@ -0,0 +1,156 @@
+/**
+ * @fileoverview The client's logger: a thin front over whichever logger the
+ * application passes in (pino, bunyan, winston or console), or a winston
+ * console logger when only a level is set, or nothing at all.
+ *
+ * Every call takes a fixed message and an object of structured fields.
+ * Fields are redacted before they reach the logger: values under secret-
+ * looking keys (API keys, auth tokens, authorization headers) are replaced,
+ * and so is any occurrence of the client's API key in a string.
+ *
+ * @requires winston
+ */
+const winston = require("winston");
+const { LLMWhispererClientException } = require("./errors");
+
+const LEVELS = ["error", "warn", "info", "debug"];
+/** Levels of winston and pino the client has no method for, by the nearest one it has. */
+const LEVEL_ALIASES = {
+  fatal: "error",
+  http: "info",
+  verbose: "debug",
+  silly: "debug",
+  trace: "debug",
+};
+const DEFAULT_LEVEL = "info";
+const REDACTED = "[REDACTED]";
+const SECRET_KEY =
+  /^(unstract-key|authorization|cookie|set-cookie|api[-_]?key|(auth[-_]?)?token|password|secret)$/i;
+
+/**
+ * Returns a copy of `value` with secrets replaced by "[REDACTED]". Errors
+ * become `{ name, message, statusCode }`, dropping the request configs and
+ * headers axios attaches to them.
+ *
+ * @param {*} value - A log field.
+ * @param {string[]} [secrets=[]] - Strings to mask wherever they appear.
+ * @returns {*} The redacted value.
+ */
+function redact(value, secrets = []) {
+  const seen = new WeakSet();
+  const visit = (item) => {
+    if (typeof item === "string") {
+      return secrets.reduce(
+        (text, secret) => (secret ? text.split(secret).join(REDACTED) : text),
+        item,
+      );
+    }
+    if (!item || typeof item !== "object") return item;
+    if (item instanceof Error) {
+      const error = { name: item.name, message: visit(item.message) };
+      const status =
+        item.statusCode !== undefined
+          ? item.statusCode
+          : item.response && item.response.status;
+      if (status !== undefined) error.statusCode = status;
+      return error;
+    }
+    if (seen.has(item)) return "[Circular]";
+    seen.add(item);
+    if (Array.isArray(item)) return item.map(visit);
+    const plain = typeof item.toJSON === "function" ? item.toJSON() : item;
+    const copy = {};
+    for (const [key, field] of Object.entries(plain)) {
+      copy[key] = SECRET_KEY.test(key) && field ? REDACTED : visit(field);
+    }
+    return copy;
+  };
+  return visit(value);
+}
+
+/** pino and bunyan take the fields first and the message second. */
+function fieldsFirst(logger) {
+  const pino =
+    typeof logger.bindings === "function" && typeof logger.levels === "object";
+  const bunyan = Array.isArray(logger.streams) && "fields" in logger;
+  return pino || bunyan;
+}
+
+function consoleLogger(level) {
+  return winston.createLogger({
+    level,
+    format: winston.format.combine(
+      winston.format.timestamp(),
+      winston.format.printf(({ timestamp, level, message, ...fields }) => {
+        const extra = Object.keys(fields).length
+          ? ` ${JSON.stringify(fields)}`
+          : "";
+        return `${timestamp} - ${level}: ${message}${extra}`;
+      }),
+    ),
+    transports: [new winston.transports.Console()],
+  });
+}
+
+/** The supported level nearest `level`, or null when it is unknown. */
+function resolveLevel(level) {
+  if (LEVELS.includes(level)) return level;
+  return LEVEL_ALIASES[level] || null;
+}
+
+/**
+ * Creates the client's logger.
+ *
+ * @param {Object} [options={}]
+ * @param {Object} [options.logger] - The application's logger: pino, bunyan, winston, console or
+ *                                   anything with `debug`, `info`, `warn` and `error` methods.
+ * @param {string} [options.level] - Drop messages below this level. Without a `logger`, a winston
+ *                                   console logger is created at this level; without either, nothing is logged.
+ *                                   Other winston and pino levels map to the nearest of error, warn, info and
+ *                                   debug; an unknown level logs a warning and falls back to info.
+ * @param {string[]} [options.secrets=[]] - Strings to mask wherever they appear, e.g. the API key.
+ * @returns {{debug: Function, info: Function, warn: Function, error: Function}}
+ *   Each method takes `(message, fields)`.
+ * @throws {LLMWhispererClientException} If the logger is invalid.
+ */
+function createLogger({ logger, level: requested, secrets = [] } = {}) {
+  const level = requested ? resolveLevel(requested) || DEFAULT_LEVEL : "";
+  if (logger && !LEVELS.some((name) => typeof logger[name] === "function")) {
+    throw new LLMWhispererClientException(
+      "logger must have debug, info, warn or error methods",
+      -1,
+    );
+  }
+  const target = logger || (level ? consoleLogger(level) : null);
+  const threshold = level ? LEVELS.indexOf(level) : LEVELS.length - 1;
+  const objectFirst = Boolean(target) && fieldsFirst(target);
+  const client = {};
+  for (const [index, name] of LEVELS.entries()) {
+    const method = target && (target[name] || target.info || target.log);
+    if (!method || index > threshold) {
+      client[name] = () => {};
+      continue;
+    }
+    client[name] = (message, fields) => {
+      const safe = fields === undefined ? undefined : redact(fields, secrets);
+      const text = redact(message, secrets);
+      if (safe === undefined) {
+        method.call(target, text);
+      } else if (objectFirst) {
+        method.call(target, safe, text);
+      } else {
+        method.call(target, text, safe);
+      }
+    };
+  }
+  if (requested && !resolveLevel(requested)) {
+    client.warn("Unknown loggingLevel, using the default", {
+      loggingLevel: requested,
+      level,
+      levels: LEVELS,
+    });
+  }
+  return client;
+}
+
+module.exports = { createLogger, redact };
@@ -0,0 +1,153 @@
+/**
+ * @fileoverview Splits an extraction's result_text into pages and lines.
+ */
+
+const PAGE_RANGE_ITEM = /^\s*(\d+)\s*(?:(-)\s*(\d+)?\s*)?$/;
+// Prefix added to each line by `addLineNos`, e.g. "0x0a: " or "12: ".
+const LINE_NUMBER_PREFIX = /^(0x[0-9a-f]+|\d+):\s?/i;
+
+/**
+ * Parses the page-range syntax of `pagesToExtract` and highlight `lines`:
+ * comma-separated 1-based numbers and ranges, such as "1-5,7,21-".
+ *
+ * @param {string} value - The range expression. An empty string selects everything.
+ * @returns {Array<{start: number, end: number}>|null} The ranges, with `end`
+ *   Infinity for an open range; [] for an empty string; null if the syntax is invalid.
+ */
+function parsePageRange(value) {
+  if (typeof value !== "string") return null;
+  if (value.trim() === "") return [];
+  const ranges = [];
+  for (const item of value.split(",")) {
+    const match = PAGE_RANGE_ITEM.exec(item);
+    if (!match) return null;
+    const start = Number(match[1]);
+    let end = start;
+    if (match[2]) {
+      end = match[3] === undefined ? Infinity : Number(match[3]);
+    }
+    if (start < 1 || end < start) return null;
+    ranges.push({ start, end });
+  }
+  return ranges;
+}
+
+/**
+ * Estimates the pages an upload will be billed for: the pages selected by
+ * `pagesToExtract`, bounded by the document's page count when known. An
+ * unknown count is taken as one page, or the first page of an open range.
+ *
+ * @param {number|null} documentPages - The document's page count, when known.
+ * @param {string} [pagesToExtract=''] - The whisper() option.
+ * @returns {number}
+ */
+function estimatePages(documentPages, pagesToExtract = "") {
+  const ranges = parsePageRange(pagesToExtract) || [];
+  if (ranges.length === 0) {
+    return documentPages || 1;
+  }
+  let pages = 0;
+  for (const { start, end } of ranges) {
+    const last = Math.min(
+      end,
+      documentPages || (end === Infinity ? start : end),
+    );
+    pages += Math.max(0, last - start + 1);
+  }
+  return pages;
+}
+
+/**
+ * Maps the pages present in a result back to their numbers in the source
+ * document. The API returns the selected pages in ascending order, once each.
+ */
+function sourcePageNumbers(pagesToExtract, count) {
+  const ranges = (parsePageRange(pagesToExtract) || []).sort(
+    (a, b) => a.start - b.start,
+  );
+  const numbers = [];
+  let last = 0;
+  for (const { start, end } of ranges) {
+    for (let page = Math.max(start, last + 1); page <= end; page++) {
+      if (numbers.length === count) return numbers;
+      numbers.push(page);
+      last = page;
+    }
+  }
+  while (numbers.length < count) {
+    numbers.push(++last);
+  }
+  return numbers;
+}
+
+function parseLine(raw, addLineNos) {
+  if (addLineNos) {
+    const match = LINE_NUMBER_PREFIX.exec(raw);
+    if (match) {
+      const digits = match[1];
+      const lineNumber = /^0x/i.test(digits)
+        ? parseInt(digits, 16)
+        : Number(digits);
+      return { lineNumber, text: raw.slice(match[0].length) };
+    }
+  }
+  return { lineNumber: null, text: raw };
+}
+
+/**
+ * Splits the result_text of an extraction into pages.
+ *
+ * Pages end at a line holding only the page separator (form feeds around it
+ * are ignored); the separator after the last page is optional.
+ *
+ * @param {string|Object} result - The result_text, or an extraction holding one.
+ * @param {Object} [options={}] - The options the extraction was requested with.
+ * @param {string} [options.pageSeparator='<<<'] - The separator passed to whisper().
+ * @param {string} [options.pagesToExtract=''] - The pages passed to whisper(), so
+ *                                  that page numbers match the source document.
+ * @param {boolean} [options.addLineNos=false] - Whether the extraction used `addLineNos`.
+ *                                  Line numbers are then taken from each line's prefix.
+ * @returns {Array<{pageNumber: number, text: string, lines: Array<{lineNumber: (number|null), text: string}>}>}
+ *   One entry per page. `lineNumber` can be passed to getHighlightData(); it is
+ *   null when the extraction has no line numbers.
+ */
+function parsePages(
+  result,
+  { pageSeparator = "<<<", pagesToExtract = "", addLineNos = false } = {},
+) {
+  const text =
+    result && typeof result === "object" ? result.result_text : result;
+  if (typeof text !== "string") {
+    throw new TypeError("result must be a result_text string or extraction");
+  }
+
+  const separator = pageSeparator.trim();
+  const chunks = [[]];
+  for (const raw of text.split(/\r?\n/)) {
+    const bare = raw.replace(/\f/g, "");
+    if (separator && bare.trim() === separator) {
+      chunks.push([]);
+    } else {
+      chunks[chunks.length - 1].push(bare);
+    }
+  }
+  // Text after the last separator is only a page if it has content.
+  if (
+    chunks.length > 1 &&
+    chunks[chunks.length - 1].every((line) => line.trim() === "")
+  ) {
+    chunks.pop();
+  }
+
+  const pageNumbers = sourcePageNumbers(pagesToExtract, chunks.length);
+  return chunks.map((rawLines, index) => {
+    const lines = rawLines.map((raw) => parseLine(raw, addLineNos));
+    return {
+      pageNumber: pageNumbers[index],
+      text: lines.map((line) => line.text).join("\n"),
+      lines,
+    };
+  });
+}
+
+module.exports = { estimatePages, parsePageRange, parsePages };
@@ -0,0 +1,146 @@
+/**
+ * @fileoverview Poll policy used while waiting on a whisper job: how long to
+ * sleep between `/whisper-status` calls.
+ */
+const {
+  LLMWhispererAbortError,
+  LLMWhispererClientException,
+} = require("./errors");
+
+/**
+ * @typedef {Object} PollPolicy
+ * @property {number} [initialInterval=5] - Seconds before the second status check.
+ * @property {number} [backoffFactor=1] - Multiplier applied to the interval after each check.
+ * @property {number} [maxInterval=60] - Cap on the computed interval, in seconds.
+ * @property {Function} [interval] - `({ attempt, elapsed, lastStatus }) => seconds`.
+ *                                   Replaces the backoff computation when given.
+ * @property {boolean} [respectRetryAfter=true] - Sleep at least as long as a
+ *                                   Retry-After header on `/whisper-status` asks.
+ */
+
+const DEFAULT_POLL_POLICY = Object.freeze({
+  initialInterval: 5,
+  backoffFactor: 1,
+  maxInterval: 60,
+  interval: undefined,
+  respectRetryAfter: true,
+});
+
+/**
+ * Merges poll policies over the defaults, later ones taking precedence.
+ *
+ * @param {...PollPolicy} policies - Policies to merge; undefined entries are skipped.
+ * @returns {PollPolicy} The complete policy.
+ * @throws {LLMWhispererClientException} If a numeric setting is not positive.
+ */
+function resolvePollPolicy(...policies) {
+  const policy = { ...DEFAULT_POLL_POLICY };
+  for (const overrides of policies) {
+    if (!overrides) continue;
+    for (const [key, value] of Object.entries(overrides)) {
+      if (value !== undefined) policy[key] = value;
+    }
+  }
+  for (const key of ["initialInterval", "backoffFactor", "maxInterval"]) {
+    if (typeof policy[key] !== "number" || !(policy[key] > 0)) {
+      throw new LLMWhispererClientException(
+        `pollPolicy.${key} must be a positive number`,
+        -1,
+      );
+    }
+  }
+  if (policy.interval !== undefined && typeof policy.interval !== "function") {
+    throw new LLMWhispererClientException(
+      "pollPolicy.interval must be a function",
+      -1,
+    );
+  }
+  return policy;
+}
+
+function checkedInterval(seconds) {
+  if (
+    !(typeof seconds === "number" && Number.isFinite(seconds) && seconds >= 0)
+  ) {
+    throw new LLMWhispererClientException(
+      `pollPolicy.interval must return a non-negative number of seconds, got ${String(seconds)}`,
+      -1,
+    );
+  }
+  return seconds;
+}
+
+/**
+ * Computes the seconds to sleep before the next status check.
+ *
+ * @param {PollPolicy} policy - A policy returned by resolvePollPolicy().
+ * @param {Object} context
+ * @param {number} context.attempt - Status checks made so far (1 after the first).
+ * @param {number} context.elapsed - Seconds since the wait started.
+ * @param {Object} context.lastStatus - The last `/whisper-status` response.
+ * @param {number} [context.retryAfter] - Seconds from a Retry-After header, if any.
+ * @returns {number} The delay in seconds.
+ * @throws {LLMWhispererClientException} If `policy.interval` returns anything but a
+ *                                       non-negative number, which would poll in a tight loop.
+ */
+function nextPollDelay(policy, { attempt, elapsed, lastStatus, retryAfter }) {
+  const delay = policy.interval
+    ? checkedInterval(policy.interval({ attempt, elapsed, lastStatus }))
+    : Math.min(
+        policy.initialInterval * Math.pow(policy.backoffFactor, attempt - 1),
+        policy.maxInterval,
+      );
+  if (policy.respectRetryAfter && retryAfter > delay) {
+    return retryAfter;
+  }
+  return Math.max(0, delay);
+}
+
+/**
+ * Parses a Retry-After header value, given as seconds or as an HTTP date.
+ *
+ * @param {string|undefined} value - The header value.
+ * @returns {number|undefined} The delay in seconds, or undefined if absent or invalid.
+ */
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === "") return undefined;
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) return Math.max(0, seconds);
+  const date = Date.parse(value);
+  if (Number.isNaN(date)) return undefined;
+  return Math.max(0, (date - Date.now()) / 1000);
+}
+
+/**
+ * Resolves after `ms` milliseconds, or rejects with an LLMWhispererAbortError
+ * as soon as `signal` aborts.
+ *
+ * @param {number} ms - The delay in milliseconds.
+ * @param {AbortSignal} [signal] - Cancels the sleep.
+ * @returns {Promise<void>}
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(new LLMWhispererAbortError("Wait aborted", signal.reason));
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(new LLMWhispererAbortError("Wait aborted", signal.reason));
+    };
+    const timer = setTimeout(() => {
+      if (signal) signal.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    if (signal) signal.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+module.exports = {
+  DEFAULT_POLL_POLICY,
+  nextPollDelay,
+  parseRetryAfter,
+  resolvePollPolicy,
+  sleep,
+};
@@ -0,0 +1,209 @@
+/**
+ * @fileoverview Client-side page budget checked before each upload, so a
+ * document that would exceed the account quota or a self-imposed daily
+ * limit is refused before it is sent and billed.
+ */
+const {
+  LLMWhispererAbortError,
+  LLMWhispererClientException,
+  LLMWhispererQuotaExceededError,
+} = require("./errors");
+const { inspectDocument } = require("./inspect");
+
+/**
+ * Reads the page count of an upload: PDFs and TIFFs from the file itself,
+ * other images as one page. Office documents, text and streams that cannot
+ * be read twice report null.
+ *
+ * @param {Object} source - The UploadSource of a whisper() call.
+ * @returns {Promise<number|null>} The number of pages, or null when unknown.
+ */
+async function countDocumentPages(source) {
+  if (!source.filePath && !Buffer.isBuffer(source.body)) {
+    return null;
+  }
+  const { pageCount } = await inspectDocument(source.filePath || source.body);
+  return pageCount;
+}
+
+/**
+ * Settles like `promise`, or rejects with an LLMWhispererAbortError once
+ * `signal` aborts. The promise itself keeps running for its other callers.
+ */
+function untilAborted(promise, signal) {
+  if (!signal) return promise;
+  return new Promise((resolve, reject) => {
+    const onAbort = () =>
+      reject(new LLMWhispererAbortError("Request aborted", signal.reason));
+    if (signal.aborted) {
+      onAbort();
+      return;
+    }
+    signal.addEventListener("abort", onAbort, { once: true });
+    promise
+      .finally(() => signal.removeEventListener("abort", onAbort))
+      .then(resolve, reject);
+  });
+}
+
+/**
+ * @class QuotaGuard
+ * @classdesc Checks `/get-usage-info` before each upload and refuses ones
+ * that would go over budget. Usage is fetched at most once per `usageTtl`;
+ * pages let through in between are counted locally, so concurrent uploads
+ * cannot overshoot together. A guard can be shared by several clients.
+ * @constructor
+ * @param {Object} [options={}]
+ * @param {number} [options.maxPagesPerDay] - Refuse uploads that would take today's page count past this.
+ * @param {boolean} [options.refuseOverage=false] - Refuse uploads that would go past the daily or
+ *                                   monthly quota of the plan, and any upload once overage has started.
+ * @param {number} [options.usageTtl=60] - Seconds a usage response is reused for.
+ * @param {number[]} [options.warnAt=[0.8, 0.9]] - Fractions of each limit at which to warn, once per crossing.
+ * @param {Function} [options.onWarning] - Called with `{ limit, threshold, used, max }` for each warning,
+ *                                   in addition to the client logging it.
+ */
+class QuotaGuard {
+  constructor({
+    maxPagesPerDay,
+    refuseOverage = false,
+    usageTtl = 60,
+    warnAt = [0.8, 0.9],
+    onWarning,
+  } = {}) {
+    if (
+      maxPagesPerDay !== undefined &&
+      !(Number.isInteger(maxPagesPerDay) && maxPagesPerDay > 0)
+    ) {
+      throw new LLMWhispererClientException(
+        "quotaGuard.maxPagesPerDay must be a positive integer",
+        -1,
+      );
+    }
+    if (!(usageTtl >= 0)) {
+      throw new LLMWhispererClientException(
+        "quotaGuard.usageTtl must be a number of seconds",
+        -1,
+      );
+    }
+    if (
+      !Array.isArray(warnAt) ||
+      !warnAt.every((t) => typeof t === "number" && t > 0 && t <= 1)
+    ) {
+      throw new LLMWhispererClientException(
+        "quotaGuard.warnAt must be an array of fractions between 0 and 1",
+        -1,
+      );
+    }
+    this.maxPagesPerDay = maxPagesPerDay;
+    this.refuseOverage = refuseOverage;
+    this.usageTtl = usageTtl;
+    this.warnAt = [...warnAt].sort((a, b) => a - b);
+    this.onWarning = onWarning;
+    this._usage = null;
+    this._fetchedAt = 0;
+    this._fetching = null;
+    this._reserved = 0;
+    this._warned = new Set();
+  }
+
+  async _currentUsage(client, signal) {
+    if (this._usage && Date.now() - this._fetchedAt < this.usageTtl * 1000) {
+      return this._usage;
+    }
+    if (!this._fetching) {
+      // Shared by concurrent uploads, so no single caller's signal cancels it.
+      this._fetching = client
+        .getUsageInfo()
+        .then((usage) => {
+          this._usage = usage;
+          this._fetchedAt = Date.now();
+          // The API's counts take over from the pages reserved locally.
+          this._reserved = 0;
+          return usage;
+        })
+        .finally(() => {
+          this._fetching = null;
+        });
+    }
+    return untilAborted(this._fetching, signal);
+  }
+
+  /** The limits that apply, as `[name, max, used]` with `used` excluding the upload. */
+  _limits(usage) {
+    const today = (usage.today_page_count || 0) + this._reserved;
+    const month = (usage.current_page_count || 0) + this._reserved;
+    const limits = [];
+    if (this.maxPagesPerDay) {
+      limits.push(["maxPagesPerDay", this.maxPagesPerDay, today]);
+    }
+    if (this.refuseOverage) {
+      if (usage.daily_quota > 0) {
+        limits.push(["daily_quota", usage.daily_quota, today]);
+      }
+      if (usage.monthly_quota > 0) {
+        limits.push(["monthly_quota", usage.monthly_quota, month]);
+      }
+    }
+    return limits;
+  }
+
+  _warn(client, limit, max, used) {
+    for (const threshold of this.warnAt) {
+      const key = `${limit}:${threshold}`;
+      if (used < max * threshold) {
+        // Re-arm once usage falls back, e.g. on a new day.
+        this._warned.delete(key);
+      } else if (!this._warned.has(key)) {
+        this._warned.add(key);
+        client.logger.warn("Page usage crossed a warning threshold", {
+          limit,
+          threshold,
+          used,
+          max,
+        });
+        if (this.onWarning) {
+          this.onWarning({ limit, threshold, used, max });
+        }
+      }
+    }
+  }
+
+  /**
+   * Checks an upload of `pages` pages against the budget and reserves them.
+   *
+   * @param {LLMWhispererClientV2} client - The client used to fetch usage and log warnings.
+   * @param {number} pages - The estimated pages of the upload.
+   * @param {Object} [options={}]
+   * @param {AbortSignal} [options.signal] - Stops waiting for the usage request, which other
+   *                                         uploads may share.
+   * @returns {Promise<void>}
+   * @throws {LLMWhispererQuotaExceededError} If the upload would go over a limit.
+   */
+  async check(client, pages, { signal } = {}) {
+    const usage = await this._currentUsage(client, signal);
+    const details = { usage, requestedPages: pages };
+    if (this.refuseOverage && usage.overage_page_count > 0) {
+      throw new LLMWhispererQuotaExceededError(
+        `Refusing upload: the account is in overage (${usage.overage_page_count} pages)`,
+        -1,
+        details,
+      );
+    }
+    const limits = this._limits(usage);
+    for (const [limit, max, used] of limits) {
+      if (used + pages > max) {
+        throw new LLMWhispererQuotaExceededError(
+          `Refusing upload of ~${pages} pages: ${used} of ${max} pages (${limit}) already used`,
+          -1,
+          details,
+        );
+      }
+    }
+    this._reserved += pages;
+    for (const [limit, max, used] of limits) {
+      this._warn(client, limit, max, used + pages);
+    }
+  }
+}
+
+module.exports = { QuotaGuard, countDocumentPages };
@@ -0,0 +1,254 @@
+/**
+ * @fileoverview Client-side token buckets that space requests out before
+ * they reach the API, with one budget for uploads and one for the other
+ * calls. A 429 pauses its bucket for the Retry-After period and halves its
+ * rate, which then recovers over a minute.
+ *
+ * Bucket state lives in a rate limit store, any object with this async method:
+ *   update(name, updater) -> atomically replaces the state stored under `name`
+ *                            with `updater(state)`, where `state` is undefined
+ *                            at first, and resolves with the new state
+ * MemoryRateLimitStore keeps buckets in the process; FileRateLimitStore
+ * shares them between the processes on one host.
+ *
+ * @requires crypto
+ * @requires fs
+ * @requires path
+ */
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { LLMWhispererClientException } = require("./errors");
+const { sleep } = require("./polling");
+
+/** The pause after a 429 without a Retry-After header, in seconds. */
+const DEFAULT_PAUSE = 1;
+/** The lowest fraction of the configured rate a bucket slows down to. */
+const MIN_FACTOR = 1 / 16;
+/** How long a bucket takes to recover its full rate after a 429, in ms. */
+const RECOVERY_MS = 60 * 1000;
+
+/**
+ * The bucket a request draws from: uploads, or everything else.
+ *
+ * @param {string} [operation] - The client method that made the request.
+ * @returns {string} "uploads" or "requests".
+ */
+function bucketFor(operation) {
+  return operation === "whisper" ? "uploads" : "requests";
+}
+
+/** The fraction of its rate a bucket runs at, recovering since the last 429. */
+function rateFactor(state, now) {
+  if (!state || state.slowedTo === undefined) return 1;
+  return Math.min(1, state.slowedTo + (now - state.slowedAt) / RECOVERY_MS);
+}
+
+function resolveBudget(name, budget) {
+  if (!budget) return null;
+  const { rate, burst = Math.max(1, Math.ceil(rate)) } = budget;
+  if (!(typeof rate === "number" && rate > 0 && Number.isFinite(rate))) {
+    throw new LLMWhispererClientException(
+      `rateLimiter.${name}.rate must be a positive number`,
+      -1,
+    );
+  }
+  if (!(Number.isInteger(burst) && burst > 0)) {
+    throw new LLMWhispererClientException(
+      `rateLimiter.${name}.burst must be a positive integer`,
+      -1,
+    );
+  }
+  return { rate, burst };
+}
+
+/**
+ * @class MemoryRateLimitStore
+ * @classdesc Keeps bucket state in memory, shared by the clients of one process.
+ * @constructor
+ */
+class MemoryRateLimitStore {
+  constructor() {
+    this._states = new Map();
+  }
+
+  /**
+   * @param {string} name - The bucket name.
+   * @param {Function} updater - Returns the new state from the current one.
+   * @returns {Promise<Object>} The new state.
+   */
+  async update(name, updater) {
+    const next = updater(this._states.get(name));
+    this._states.set(name, next);
+    return next;
+  }
+}
+
+/**
+ * @class FileRateLimitStore
+ * @classdesc Keeps each bucket as a JSON file in `directory`, locked while it
+ * is updated, so every process on the host using the directory shares it.
+ * @constructor
+ * @param {Object} [options={}]
+ * @param {string} [options.directory='.llmwhisperer-rate-limit'] - Where buckets are stored.
+ * @param {number} [options.lockTimeout=5] - Seconds after which a lock left by a crashed process is broken.
+ */
+class FileRateLimitStore {
+  constructor({
+    directory = ".llmwhisperer-rate-limit",
+    lockTimeout = 5,
+  } = {}) {
+    this.directory = directory;
+    this.lockTimeout = lockTimeout;
+  }
+
+  /**
+   * @param {string} name - The bucket name.
+   * @param {Function} updater - Returns the new state from the current one.
+   * @returns {Promise<Object>} The new state.
+   */
+  async update(name, updater) {
+    const file = path.join(this.directory, `${name}.json`);
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    const lock = await this._lock(`${file}.lock`);
+    try {
+      let state;
+      try {
+        state = JSON.parse(await fs.promises.readFile(file, "utf-8"));
+      } catch (error) {
+        if (error.code !== "ENOENT" && !(error instanceof SyntaxError)) {
+          throw error;
+        }
+      }
+      const next = updater(state);
+      const temp = `${file}.${process.pid}.${crypto.randomBytes(4).toString("hex")}.tmp`;
+      await fs.promises.writeFile(temp, JSON.stringify(next));
+      await fs.promises.rename(temp, file);
+      return next;
+    } finally {
+      await fs.promises.unlink(lock).catch(() => {});
+    }
+  }
+
+  /** Creates the lock file, waiting while another process holds it. */
+  async _lock(lock) {
+    for (;;) {
+      try {
+        const handle = await fs.promises.open(lock, "wx");
+        await handle.close();
+        return lock;
+      } catch (error) {
+        if (error.code !== "EEXIST") throw error;
+      }
+      try {
+        const { mtimeMs } = await fs.promises.stat(lock);
+        if (Date.now() - mtimeMs > this.lockTimeout * 1000) {
+          await fs.promises.unlink(lock).catch(() => {});
+          continue;
+        }
+      } catch (error) {
+        // Released between open and stat.
+        if (error.code === "ENOENT") continue;
+        throw error;
+      }
+      await sleep(5 + Math.random() * 10);
+    }
+  }
+}
+
+/**
+ * @class RateLimiter
+ * @classdesc Holds each request until its bucket has a token. Buckets refill
+ * at `rate` tokens per second up to `burst`; a bucket without a budget is
+ * not limited. A limiter can be shared by several clients.
+ * @constructor
+ * @param {Object} [options={}]
+ * @param {Object} [options.uploads] - The `/whisper` budget: `{ rate, burst }`, in requests per second.
+ * @param {Object} [options.requests] - The budget for every other call (status, retrieve, detail,
+ *                                      highlights, usage and webhooks): `{ rate, burst }`.
+ * @param {Object} [options.store] - Where bucket state is kept; a MemoryRateLimitStore by default.
+ * @throws {LLMWhispererClientException} If a budget or the store is invalid.
+ */
+class RateLimiter {
+  constructor({ uploads, requests, store = new MemoryRateLimitStore() } = {}) {
+    this.budgets = {
+      uploads: resolveBudget("uploads", uploads),
+      requests: resolveBudget("requests", requests),
+    };
+    if (!store || typeof store.update !== "function") {
+      throw new LLMWhispererClientException(
+        "rateLimiter.store must implement update",
+        -1,
+      );
+    }
+    this.store = store;
+  }
+
+  /**
+   * Waits for a token from a bucket.
+   *
+   * @param {string} bucket - "uploads" or "requests".
+   * @param {Object} [options={}]
+   * @param {AbortSignal} [options.signal] - Stops waiting; the token is not returned.
+   * @returns {Promise<number>} How long the request was held, in milliseconds.
+   * @throws {LLMWhispererAbortError} If the signal was aborted.
+   */
+  async acquire(bucket, { signal } = {}) {
+    const budget = this.budgets[bucket];
+    if (!budget) return 0;
+    let sendAt;
+    await this.store.update(bucket, (state = {}) => {
+      const now = Date.now();
+      const interval = 1000 / (budget.rate * rateFactor(state, now));
+      const slack = (budget.burst - 1) * interval;
+      // After a pause the bucket starts empty, so held requests do not all
+      // go out together.
+      const tat = Math.max(
+        state.tat || 0,
+        now,
+        (state.pausedUntil || 0) + slack,
+      );
+      sendAt = Math.max(now, tat - slack);
+      return { ...state, tat: tat + interval };
+    });
+    const delay = sendAt - Date.now();
+    if (delay > 0) {
+      await sleep(delay, signal);
+    }
+    return Math.max(0, delay);
+  }
+
+  /**
+   * Slows a bucket down after a 429: no token is handed out until the
+   * Retry-After period ends, and the rate is halved. Several 429s within a
+   * second halve it once.
+   *
+   * @param {string} bucket - "uploads" or "requests".
+   * @param {number} [retryAfter] - The Retry-After period, in seconds.
+   * @returns {Promise<void>}
+   */
+  async throttle(bucket, retryAfter) {
+    if (!this.budgets[bucket]) return;
+    const pause = retryAfter === undefined ? DEFAULT_PAUSE : retryAfter;
+    await this.store.update(bucket, (state = {}) => {
+      const now = Date.now();
+      const pausedUntil = Math.max(state.pausedUntil || 0, now + pause * 1000);
+      if (state.slowedAt !== undefined && now - state.slowedAt < 1000) {
+        return { ...state, pausedUntil };
+      }
+      return {
+        ...state,
+        pausedUntil,
+        slowedTo: Math.max(MIN_FACTOR, rateFactor(state, now) / 2),
+        slowedAt: now,
+      };
+    });
+  }
+}
+
+module.exports = {
+  FileRateLimitStore,
+  MemoryRateLimitStore,
+  RateLimiter,
+  bucketFor,
+};
@@ -0,0 +1,230 @@
+/**
+ * @fileoverview Record/replay of HTTP exchanges ("cassettes"), so a test
+ * suite can capture real API responses once and replay them offline.
+ *
+ * The recorder is an axios adapter. Each request is keyed by its method, API
+ * endpoint, sorted params and a SHA-256 of its body, and stored as one JSON
+ * file per key holding every response received for it, in order. Replay
+ * returns those responses in the same order, repeating the last one once
+ * they run out, so a status that was polled fewer times still settles.
+ *
+ * @requires axios
+ * @requires crypto
+ * @requires fs
+ * @requires path
+ */
+const axios = require("axios");
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { LLMWhispererClientException } = require("./errors");
+
+const MODES = ["record", "replay", "passthrough"];
+const REDACTED_HEADERS = new Set([
+  "unstract-key",
+  "authorization",
+  "cookie",
+  "set-cookie",
+]);
+
+function redactHeaders(headers) {
+  const plain =
+    headers && typeof headers.toJSON === "function"
+      ? headers.toJSON()
+      : { ...headers };
+  for (const name of Object.keys(plain)) {
+    if (REDACTED_HEADERS.has(name.toLowerCase())) {
+      plain[name] = "[REDACTED]";
+    }
+  }
+  return plain;
+}
+
+function normalizeParams(params = {}) {
+  return Object.keys(params)
+    .filter((name) => params[name] !== undefined)
+    .sort()
+    .map((name) => [name, String(params[name])]);
+}
+
+/**
+ * Reads the request body into a Buffer, so it can be hashed and, when
+ * recording, still sent. Streams are consumed.
+ */
+async function bodyBuffer(data) {
+  if (data === undefined || data === null) return Buffer.alloc(0);
+  if (Buffer.isBuffer(data)) return data;
+  if (typeof data === "string") return Buffer.from(data);
+  if (typeof data.pipe === "function") {
+    const chunks = [];
+    for await (const chunk of data) chunks.push(Buffer.from(chunk));
+    return Buffer.concat(chunks);
+  }
+  if (ArrayBuffer.isView(data) || data instanceof ArrayBuffer) {
+    return Buffer.from(data);
+  }
+  return Buffer.from(JSON.stringify(data));
+}
+
+function encodeBody(data) {
+  if (typeof data !== "string") return { json: data };
+  try {
+    return { json: JSON.parse(data) };
+  } catch {
+    return { text: data };
+  }
+}
+
+function decodeBody(body) {
+  return "text" in body ? body.text : JSON.stringify(body.json);
+}
+
+/**
+ * Settles a replayed response the way axios does: rejects with an AxiosError
+ * when `validateStatus` refuses the status.
+ */
+function settle(config, response) {
+  if (!config.validateStatus || config.validateStatus(response.status)) {
+    return response;
+  }
+  throw new axios.AxiosError(
+    `Request failed with status code ${response.status}`,
+    response.status >= 500
+      ? axios.AxiosError.ERR_BAD_RESPONSE
+      : axios.AxiosError.ERR_BAD_REQUEST,
+    config,
+    null,
+    response,
+  );
+}
+
+/**
+ * Creates the recorder adapter.
+ *
+ * @param {Object} options
+ * @param {string} [options.mode='passthrough'] - "record" saves every exchange, "replay" answers
+ *                                   from saved exchanges only, "passthrough" does neither.
+ * @param {string} options.dir - The directory holding the cassette files.
+ * @param {Function} [adapter] - The adapter real requests go through; axios' default when omitted.
+ * @returns {Function} An axios adapter.
+ * @throws {LLMWhispererClientException} If the options are invalid.
+ */
+function createRecorderAdapter({ mode = "passthrough", dir } = {}, adapter) {
+  if (!MODES.includes(mode)) {
+    throw new LLMWhispererClientException(
+      `recorder.mode must be one of ${MODES.join(", ")}`,
+      -1,
+    );
+  }
+  if (mode !== "passthrough" && !dir) {
+    throw new LLMWhispererClientException("recorder.dir is required", -1);
+  }
+  const send = adapter || axios.getAdapter(axios.defaults.adapter);
+  if (mode === "passthrough") {
+    return send;
+  }
+
+  // Cassettes touched by this recorder, by key: { file, responses, next }.
+  const cassettes = new Map();
+
+  const describe = async (config) => {
+    const method = (config.method || "get").toUpperCase();
+    const endpoint = new URL(config.url).pathname.split("/").pop();
+    const body = await bodyBuffer(config.data);
+    const request = {
+      method,
+      endpoint,
+      params: normalizeParams(config.params),
+      bodySha256: body.length
+        ? crypto.createHash("sha256").update(body).digest("hex")
+        : null,
+    };
+    const key = crypto
+      .createHash("sha256")
+      .update(JSON.stringify(request))
+      .digest("hex")
+      .slice(0, 16);
+    const file = path.join(
+      dir,
+      `${method.toLowerCase()}-${endpoint}-${key}.json`,
+    );
+    return { key, file, request, body };
+  };
+
+  const record = async (config) => {
+    const { key, file, request, body } = await describe(config);
+    // Streams were consumed for the hash; send the bytes instead.
+    config.data = body.length ? body : config.data;
+    let response;
+    let failure;
+    try {
+      response = await send(config);
+    } catch (error) {
+      if (!error.response) throw error;
+      failure = error;
+      response = error.response;
+    }
+    let cassette = cassettes.get(key);
+    if (!cassette) {
+      // A new recording session replaces what an earlier one saved.
+      cassette = { file, responses: [], next: 0 };
+      cassettes.set(key, cassette);
+    }
+    cassette.responses.push({
+      status: response.status,
+      statusText: response.statusText,
+      headers: redactHeaders(response.headers),
+      body: encodeBody(response.data),
+    });
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.writeFile(
+      file,
+      JSON.stringify(
+        {
+          request: { ...request, headers: redactHeaders(config.headers) },
+          responses: cassette.responses,
+        },
+        null,
+        2,
+      ) + "\n",
+    );
+    if (failure) throw failure;
+    return response;
+  };
+
+  const replay = async (config) => {
+    const { key, file, request } = await describe(config);
+    let cassette = cassettes.get(key);
+    if (!cassette) {
+      let saved;
+      try {
+        saved = JSON.parse(await fs.promises.readFile(file, "utf-8"));
+      } catch (error) {
+        if (error.code !== "ENOENT") throw error;
+        const params = request.params.map(([k, v]) => `${k}=${v}`).join("&");
+        throw new LLMWhispererClientException(
+          `No recorded response for ${request.method} ${request.endpoint}` +
+            `${params ? `?${params}` : ""} (expected ${file}); ` +
+            `record it with recorder mode "record"`,
+          -1,
+        );
+      }
+      cassette = { file, responses: saved.responses, next: 0 };
+      cassettes.set(key, cassette);
+    }
+    const index = Math.min(cassette.next++, cassette.responses.length - 1);
+    const saved = cassette.responses[index];
+    return settle(config, {
+      data: decodeBody(saved.body),
+      status: saved.status,
+      statusText: saved.statusText,
+      headers: new axios.AxiosHeaders(saved.headers),
+      config,
+      request: null,
+    });
+  };
+
+  return mode === "record" ? record : replay;
+}
+
+module.exports = { createRecorderAdapter };
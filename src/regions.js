@@ -0,0 +1,136 @@
+/**
+ * @fileoverview The API base URLs a client can use, in order of preference,
+ * with the health of each and the region every job was accepted in.
+ *
+ * A region that fails with a network error or a 5xx is skipped for a cooldown
+ * period, so new uploads and account calls go to the next healthy one. Calls
+ * about an existing job always go back to the region that accepted it.
+ */
+const { LLMWhispererClientException } = require("./errors");
+
+/** How many job regions are remembered before the oldest are forgotten. */
+const PINNED_LIMIT = 10000;
+
+/**
+ * @class RegionPool
+ * @constructor
+ * @param {string[]} baseUrls - The base URLs, the preferred one first.
+ * @param {Object} [options={}]
+ * @param {number} [options.cooldown=60] - Seconds a failed region is skipped for.
+ * @throws {LLMWhispererClientException} If the list or the cooldown is invalid.
+ */
+class RegionPool {
+  constructor(baseUrls, { cooldown = 60 } = {}) {
+    if (
+      !Array.isArray(baseUrls) ||
+      baseUrls.length === 0 ||
+      !baseUrls.every((url) => typeof url === "string" && url)
+    ) {
+      throw new LLMWhispererClientException(
+        "baseUrls must be a non-empty array of URLs",
+        -1,
+      );
+    }
+    if (!(cooldown >= 0)) {
+      throw new LLMWhispererClientException(
+        "failoverCooldown must be a number of seconds",
+        -1,
+      );
+    }
+    this.baseUrls = baseUrls.map((url) => url.replace(/\/+$/, ""));
+    this.cooldown = cooldown;
+    this._unhealthyUntil = new Map();
+    this._pinned = new Map();
+  }
+
+  /** The preferred base URL. */
+  get primary() {
+    return this.baseUrls[0];
+  }
+
+  /**
+   * The first region not cooling down; when all are, the one that recovers
+   * first.
+   *
+   * @returns {string} A base URL.
+   */
+  active() {
+    const now = Date.now();
+    let soonest = this.primary;
+    for (const url of this.baseUrls) {
+      const until = this._unhealthyUntil.get(url) || 0;
+      if (until <= now) return url;
+      if (until < this._unhealthyUntil.get(soonest)) soonest = url;
+    }
+    return soonest;
+  }
+
+  /**
+   * The region of a request URL.
+   *
+   * @param {string} url - A request URL.
+   * @returns {string|undefined} The base URL it starts with, if it is one of ours.
+   */
+  regionOf(url) {
+    return this.baseUrls.find(
+      (base) => url === base || (url && url.startsWith(`${base}/`)),
+    );
+  }
+
+  /**
+   * Marks the region of a failed request unhealthy for the cooldown.
+   *
+   * @param {string} url - The request URL.
+   * @returns {string|undefined} The region marked, if the URL was one of ours.
+   */
+  markFailed(url) {
+    const region = this.regionOf(url);
+    if (region) {
+      this._unhealthyUntil.set(region, Date.now() + this.cooldown * 1000);
+    }
+    return region;
+  }
+
+  /**
+   * Moves a request URL onto the active region.
+   *
+   * @param {string} url - The request URL.
+   * @returns {string} The URL on the active region, or `url` if it is not one of ours.
+   */
+  reroute(url) {
+    const region = this.regionOf(url);
+    return region ? this.active() + url.slice(region.length) : url;
+  }
+
+  /**
+   * The region a job was accepted in; the primary region when it was not
+   * recorded.
+   *
+   * @param {string} whisperHash
+   * @returns {string} A base URL.
+   */
+  baseUrlFor(whisperHash) {
+    return this._pinned.get(whisperHash) || this.primary;
+  }
+
+  /**
+   * Records the region a job was accepted in.
+   *
+   * @param {string} whisperHash
+   * @param {string} baseUrl
+   */
+  pin(whisperHash, baseUrl) {
+    const region = baseUrl.replace(/\/+$/, "");
+    if (region === this.primary) {
+      // The primary region is the default; only exceptions are remembered.
+      this._pinned.delete(whisperHash);
+      return;
+    }
+    if (this._pinned.size >= PINNED_LIMIT) {
+      this._pinned.delete(this._pinned.keys().next().value);
+    }
+    this._pinned.set(whisperHash, region);
+  }
+}
+
+module.exports = { RegionPool };
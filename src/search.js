@@ -0,0 +1,156 @@
+/**
+ * @fileoverview Text search over an extraction made with `addLineNos`,
+ * resolving each matching line to its bounding box via `/highlights`.
+ */
+const stringSimilarity = require("string-similarity");
+const { LLMWhispererValidationError } = require("./errors");
+const { parsePages } = require("./pages");
+
+const DEFAULT_FUZZY_THRESHOLD = 0.8;
+
+function validationError(message) {
+  return new LLMWhispererValidationError(message, -1, { errors: [message] });
+}
+
+/**
+ * Collapses line numbers into the `lines` syntax of `/highlights`,
+ * e.g. [1, 2, 3, 7] becomes "1-3,7".
+ *
+ * @param {number[]} lineNumbers
+ * @returns {string}
+ */
+function toLinesSpec(lineNumbers) {
+  const sorted = [...new Set(lineNumbers)].sort((a, b) => a - b);
+  const parts = [];
+  for (let i = 0; i < sorted.length; i++) {
+    const start = sorted[i];
+    while (sorted[i + 1] === sorted[i] + 1) i++;
+    parts.push(start === sorted[i] ? `${start}` : `${start}-${sorted[i]}`);
+  }
+  return parts.join(",");
+}
+
+function exactMatch(text, query, caseSensitive) {
+  const index = caseSensitive
+    ? text.indexOf(query)
+    : text.toLowerCase().indexOf(query.toLowerCase());
+  if (index === -1) return null;
+  return { match: text.slice(index, index + query.length), score: 1 };
+}
+
+/**
+ * Scores runs of words around the query's word count against the query and
+ * keeps the best, so a short query can match inside a long line.
+ */
+function fuzzyMatch(text, query, caseSensitive, threshold) {
+  const normalize = (s) => (caseSensitive ? s : s.toLowerCase());
+  const words = text.split(/\s+/).filter(Boolean);
+  const target = normalize(query.trim().split(/\s+/).join(" "));
+  const size = target.split(" ").length;
+  let best = null;
+  for (let length = Math.max(1, size - 1); length <= size + 1; length++) {
+    for (let start = 0; start + length <= words.length; start++) {
+      const candidate = words.slice(start, start + length).join(" ");
+      const score = stringSimilarity.compareTwoStrings(
+        normalize(candidate),
+        target,
+      );
+      if (score >= threshold && (!best || score > best.score)) {
+        best = { match: candidate, score };
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * Searches the text of an extraction and resolves every matching line to
+ * its bounding box with a single `/highlights` call.
+ *
+ * @param {LLMWhispererClientV2} client - The client used for the API calls.
+ * @param {string} whisperHash - The hash of an extraction made with `addLineNos: true`.
+ * @param {string} query - The text to look for. Matches within a single line.
+ * @param {Object} [options={}]
+ * @param {boolean|number} [options.fuzzy=false] - Match approximately; `true` accepts lines
+ *                                   scoring 0.8 or more, a number sets that threshold (0-1).
+ * @param {boolean} [options.caseSensitive=false] - Match case exactly.
+ * @param {Object} [options.extraction] - The retrieved extraction, to avoid retrieving it again.
+ * @param {string} [options.pageSeparator] - The separator the extraction was requested with.
+ * @param {string} [options.pagesToExtract] - The pages the extraction was requested with,
+ *                                   so that page numbers match the source document.
+ * @param {AbortSignal} [options.signal] - Cancels the requests.
+ * @returns {Promise<Array<Object>>} One `{ pageNumber, lineNumber, text, match, score, boundingBox }`
+ *   entry per matching line, in document order. `boundingBox` is the `/highlights` entry for the line.
+ * @throws {LLMWhispererValidationError} If the query is empty or the extraction has no line numbers.
+ */
+async function findText(
+  client,
+  whisperHash,
+  query,
+  {
+    fuzzy = false,
+    caseSensitive = false,
+    extraction,
+    pageSeparator,
+    pagesToExtract,
+    signal,
+  } = {},
+) {
+  if (typeof query !== "string" || query.trim() === "") {
+    throw validationError("query must be a non-empty string");
+  }
+  const threshold = fuzzy === true ? DEFAULT_FUZZY_THRESHOLD : fuzzy || 0;
+  if (typeof threshold !== "number" || threshold < 0 || threshold > 1) {
+    throw validationError("fuzzy must be a boolean or a number from 0 to 1");
+  }
+
+  if (!extraction) {
+    ({ extraction } = await client.whisperRetrieve(whisperHash, { signal }));
+  }
+  const pages = parsePages(extraction, {
+    pageSeparator,
+    pagesToExtract,
+    addLineNos: true,
+  });
+
+  const hits = [];
+  let numbered = false;
+  for (const page of pages) {
+    for (const line of page.lines) {
+      if (line.lineNumber === null) continue;
+      numbered = true;
+      const found = threshold
+        ? fuzzyMatch(line.text, query, caseSensitive, threshold)
+        : exactMatch(line.text, query, caseSensitive);
+      if (found) {
+        hits.push({
+          pageNumber: page.pageNumber,
+          lineNumber: line.lineNumber,
+          text: line.text,
+          ...found,
+        });
+      }
+    }
+  }
+  if (!numbered) {
+    throw validationError(
+      "The extraction has no line numbers; request it with addLineNos: true",
+    );
+  }
+  if (hits.length === 0) {
+    return [];
+  }
+
+  const highlights = await client.getHighlightData(
+    whisperHash,
+    toLinesSpec(hits.map((hit) => hit.lineNumber)),
+    false,
+    { signal },
+  );
+  return hits.map((hit) => ({
+    ...hit,
+    boundingBox: highlights[hit.lineNumber] || null,
+  }));
+}
+
+module.exports = { findText, toLinesSpec };
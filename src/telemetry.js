@@ -0,0 +1,233 @@
+/**
+ * @fileoverview Optional OpenTelemetry instrumentation: a span per API call
+ * and per whisper() call, plus request, retry, page and job metrics.
+ *
+ * `@opentelemetry/api` is an optional peer dependency. When it is not
+ * installed every method here does nothing; when it is, spans and metrics go
+ * to the globally registered providers unless others are passed in. Child
+ * spans find their parent through the active context, so the application
+ * needs a context manager (the Node SDK registers one).
+ */
+const { version } = require("../package.json");
+const { parsePages } = require("./pages");
+
+const INSTRUMENTATION_NAME = "llmwhisperer-client";
+
+/** Query parameters recorded as span attributes, by their attribute name. */
+const PARAM_ATTRIBUTES = {
+  mode: "llmwhisperer.mode",
+  output_mode: "llmwhisperer.output_mode",
+  tag: "llmwhisperer.tag",
+  whisper_hash: "llmwhisperer.whisper_hash",
+};
+
+/** Span names for requests not named after their client method. */
+const REQUEST_SPAN_NAMES = {
+  whisper: "llmwhisperer.upload",
+};
+
+const NOOP_SPAN = {
+  setAttribute() {
+    return this;
+  },
+  setAttributes() {
+    return this;
+  },
+  setStatus() {
+    return this;
+  },
+  recordException() {},
+  end() {},
+};
+
+let api;
+
+/** Loads `@opentelemetry/api` once; null when it is not installed. */
+function loadApi() {
+  if (api === undefined) {
+    try {
+      api = require("@opentelemetry/api");
+    } catch (error) {
+      if (error.code !== "MODULE_NOT_FOUND") throw error;
+      api = null;
+    }
+  }
+  return api;
+}
+
+/**
+ * Picks the span attributes out of a request's query parameters.
+ *
+ * @param {Object} [params={}]
+ * @returns {Object} The attributes, without empty values.
+ */
+function paramAttributes(params = {}) {
+  const attributes = {};
+  for (const [param, attribute] of Object.entries(PARAM_ATTRIBUTES)) {
+    if (params[param] !== undefined && params[param] !== "") {
+      attributes[attribute] = String(params[param]);
+    }
+  }
+  return attributes;
+}
+
+function failSpan(span, error) {
+  span.recordException(error);
+  span.setStatus({ code: api.SpanStatusCode.ERROR, message: error.message });
+}
+
+/**
+ * @class Telemetry
+ * @classdesc The client's OpenTelemetry tracer and instruments.
+ * @constructor
+ * @param {Object} [options={}]
+ * @param {boolean} [options.enabled=true] - Set false to record nothing even when the API is installed.
+ * @param {Object} [options.tracerProvider] - The TracerProvider to use instead of the global one.
+ * @param {Object} [options.meterProvider] - The MeterProvider to use instead of the global one.
+ */
+class Telemetry {
+  constructor({ enabled = true, tracerProvider, meterProvider } = {}) {
+    this.api = enabled ? loadApi() : null;
+    if (!this.api) return;
+    this.tracer = (tracerProvider || this.api.trace).getTracer(
+      INSTRUMENTATION_NAME,
+      version,
+    );
+    const meter = (meterProvider || this.api.metrics).getMeter(
+      INSTRUMENTATION_NAME,
+      version,
+    );
+    this.requestDuration = meter.createHistogram(
+      "llmwhisperer.client.request.duration",
+      { description: "Duration of API calls, retries included", unit: "s" },
+    );
+    this.retries = meter.createCounter("llmwhisperer.client.retries", {
+      description: "API requests retried",
+    });
+    this.pages = meter.createCounter("llmwhisperer.client.pages", {
+      description: "Pages extracted by completed whisper() calls",
+    });
+    this.jobDuration = meter.createHistogram(
+      "llmwhisperer.client.job.duration",
+      {
+        description: "Duration of whisper() calls that wait for completion",
+        unit: "s",
+      },
+    );
+  }
+
+  /**
+   * Runs `fn` inside a new span, which becomes the parent of the spans
+   * started while it runs. The span ends when `fn` settles and is marked
+   * failed if it throws.
+   *
+   * @param {string} name - The span name.
+   * @param {Object} attributes - The initial span attributes.
+   * @param {Function} fn - `(span) => Promise`.
+   * @returns {Promise<*>} What `fn` resolves to.
+   */
+  async withSpan(name, attributes, fn) {
+    if (!this.api) return fn(NOOP_SPAN);
+    const span = this.tracer.startSpan(name, { attributes });
+    const context = this.api.trace.setSpan(this.api.context.active(), span);
+    try {
+      return await this.api.context.with(context, () => fn(span));
+    } catch (error) {
+      failSpan(span, error);
+      throw error;
+    } finally {
+      span.end();
+    }
+  }
+
+  /** Marks a span failed without an exception, e.g. for a job that errored. */
+  fail(span, message) {
+    if (!this.api) return;
+    span.setStatus({ code: this.api.SpanStatusCode.ERROR, message });
+  }
+
+  /**
+   * Starts the span of an API request on its first attempt; retries reuse it.
+   *
+   * @param {Object} config - The axios request config; the span is kept on it.
+   */
+  startRequest(config) {
+    if (!this.api || config._span) return;
+    const attributes = {
+      ...paramAttributes(config.params),
+      "http.request.method": (config.method || "get").toUpperCase(),
+      "url.full": config.url,
+    };
+    config._span = this.tracer.startSpan(
+      REQUEST_SPAN_NAMES[config._operation] ||
+        `llmwhisperer.${config._operation}`,
+      { kind: this.api.SpanKind.CLIENT, attributes },
+    );
+  }
+
+  /**
+   * Ends the span of an API request and records its duration.
+   *
+   * @param {Object} config - The axios request config.
+   * @param {Object} outcome
+   * @param {number} [outcome.status] - The HTTP status, when a response was received.
+   * @param {Error} [outcome.error] - The error the call failed with.
+   */
+  endRequest(config, { status, error }) {
+    const span = config && config._span;
+    if (!this.api || !span) return;
+    const retry = config["axios-retry"];
+    const statusAttributes =
+      status === undefined ? {} : { "http.response.status_code": status };
+    span.setAttributes({
+      ...statusAttributes,
+      "llmwhisperer.retry_count": (retry && retry.retryCount) || 0,
+    });
+    if (error) failSpan(span, error);
+    span.end();
+    this.requestDuration.record((Date.now() - config._startedAt) / 1000, {
+      ...statusAttributes,
+      "llmwhisperer.operation": config._operation,
+    });
+  }
+
+  /** Counts a retry of an API request. */
+  recordRetry(config) {
+    if (!this.api) return;
+    this.retries.add(1, { "llmwhisperer.operation": config._operation });
+  }
+
+  /**
+   * Records a whisper() call that waited for completion. Pages are counted
+   * only here, so an extraction the counter cannot parse is still returned;
+   * it is recorded without a page count.
+   *
+   * @param {Object} params - The whisper query parameters.
+   * @param {number} seconds - How long the call took.
+   * @param {Object|null} extraction - The extraction, or null when the job did not complete.
+   * @param {Object} [pageOptions={}] - The `pageSeparator` and `pagesToExtract` of the call.
+   */
+  recordJob(params, seconds, extraction, pageOptions = {}) {
+    if (!this.api) return;
+    const attributes = {
+      "llmwhisperer.mode": params.mode,
+      "llmwhisperer.output_mode": params.output_mode,
+    };
+    this.jobDuration.record(seconds, {
+      ...attributes,
+      "llmwhisperer.outcome": extraction === null ? "failed" : "processed",
+    });
+    if (extraction === null) return;
+    let pages = 0;
+    try {
+      pages = parsePages(extraction, pageOptions).length;
+    } catch {
+      // Metrics must not fail the extraction they describe.
+    }
+    if (pages) {
+      this.pages.add(pages, attributes);
+    }
+  }
+}
+
+module.exports = { Telemetry, paramAttributes };
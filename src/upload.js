@@ -0,0 +1,119 @@
+/**
+ * @fileoverview Normalises the document sources accepted by whisper() into a
+ * request body, inferring Content-Length and filename where the source allows.
+ *
+ * @requires fs
+ * @requires path
+ * @requires stream
+ */
+const fs = require("fs");
+const path = require("path");
+const { Readable } = require("stream");
+
+/**
+ * @typedef {Object} UploadSource
+ * @property {Buffer|Readable} body - The request body to send.
+ * @property {string} [filePath] - Set when the body can be re-opened from disk.
+ * @property {number} [contentLength] - The body size in bytes, when known.
+ * @property {string} [filename] - The inferred or explicit filename.
+ * @property {boolean} replayable - Whether the body can be sent again on retry.
+ */
+
+function isBlob(value) {
+  return (
+    typeof Blob !== "undefined" &&
+    value instanceof Blob &&
+    typeof value.arrayBuffer === "function"
+  );
+}
+
+function basenameOf(value) {
+  return typeof value === "string" && value ? path.basename(value) : "";
+}
+
+/**
+ * Resolves the upload source for a whisper() call.
+ *
+ * Buffers, typed arrays, ArrayBuffers and Blobs are read fully into a Buffer,
+ * so they can be replayed on retry. Readable streams are sent as-is and can
+ * only be consumed once.
+ *
+ * @param {Object} options
+ * @param {string} [options.filePath] - Path to a local file.
+ * @param {Buffer|Uint8Array|ArrayBuffer|Blob} [options.data] - In-memory document.
+ * @param {Readable} [options.stream] - A readable stream of the document.
+ * @param {string} [options.filename] - Explicit filename; inferred when empty.
+ * @param {number} [options.contentLength] - Explicit size for streams of unknown length.
+ * @returns {Promise<UploadSource>} The resolved source.
+ * @throws {TypeError} If no source is given or it is not a supported type.
+ */
+async function resolveUploadSource({
+  filePath = "",
+  data,
+  stream,
+  filename = "",
+  contentLength,
+} = {}) {
+  if (filePath) {
+    // Stat first: a stream opened on a missing file emits an 'error' no one handles.
+    const { size } = fs.statSync(filePath);
+    return {
+      body: fs.createReadStream(filePath),
+      filePath,
+      contentLength: size,
+      filename: filename || basenameOf(filePath),
+      replayable: true,
+    };
+  }
+
+  if (data !== undefined && data !== null) {
+    let body;
+    let inferredName = "";
+    if (Buffer.isBuffer(data)) {
+      body = data;
+    } else if (isBlob(data)) {
+      body = Buffer.from(await data.arrayBuffer());
+      inferredName = basenameOf(data.name);
+    } else if (ArrayBuffer.isView(data)) {
+      body = Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+    } else if (data instanceof ArrayBuffer) {
+      body = Buffer.from(data);
+    } else {
+      throw new TypeError(
+        "data must be a Buffer, Uint8Array, ArrayBuffer or Blob",
+      );
+    }
+    return {
+      body,
+      contentLength: body.length,
+      filename: filename || inferredName,
+      replayable: true,
+    };
+  }
+
+  if (stream !== undefined && stream !== null) {
+    if (!(stream instanceof Readable) && typeof stream.pipe !== "function") {
+      throw new TypeError("stream must be a Readable stream");
+    }
+    let size = contentLength;
+    // fs.ReadStream and http.IncomingMessage carry enough to size the body.
+    if (size === undefined && typeof stream.path === "string") {
+      const { start = 0, end = Infinity } = stream;
+      const fileSize = fs.statSync(stream.path).size;
+      size = Math.max(0, Math.min(end + 1, fileSize) - start);
+    } else if (size === undefined && stream.headers) {
+      const header = Number(stream.headers["content-length"]);
+      if (Number.isFinite(header)) size = header;
+    }
+    return {
+      body: stream,
+      contentLength: size,
+      filename: filename || basenameOf(stream.path),
+      replayable: false,
+    };
+  }
+
+  throw new TypeError("One of filePath, data or stream must be provided");
+}
+
+module.exports = { resolveUploadSource };
@@ -0,0 +1,132 @@
+/**
+ * @fileoverview Checks whisper() options before anything is uploaded, so a
+ * typo fails fast instead of after the file has been sent.
+ */
+const { LLMWhispererValidationError } = require("./errors");
+const { parsePageRange } = require("./pages");
+
+const MODES = ["native_text", "low_cost", "high_quality", "form"];
+const OUTPUT_MODES = ["layout_preserving", "text", "line-printer"];
+const LINE_SPLITTER_STRATEGIES = ["left-priority", "right-priority"];
+
+/**
+ * Whether `value` uses the page-range syntax of `pages_to_extract` and
+ * `lines`, such as "1-5,7,21-". An empty string selects everything.
+ *
+ * @param {string} value - The range expression.
+ * @returns {boolean}
+ */
+function isValidPageRange(value) {
+  return parsePageRange(value) !== null;
+}
+
+function isPresent(value) {
+  return value !== undefined && value !== null && value !== "";
+}
+
+function checkOneOf(errors, name, value, allowed) {
+  if (!allowed.includes(value)) {
+    errors.push(
+      `${name} must be one of ${allowed.map((v) => `"${v}"`).join(", ")}, got ${JSON.stringify(value)}`,
+    );
+  }
+}
+
+function checkNumber(errors, name, value, { min, max, integer, exclusiveMin }) {
+  const valid =
+    typeof value === "number" &&
+    Number.isFinite(value) &&
+    (!integer || Number.isInteger(value)) &&
+    (exclusiveMin ? value > min : value >= min) &&
+    (max === undefined || value <= max);
+  if (!valid) {
+    const kind = integer ? "an integer" : "a number";
+    const range =
+      max === undefined
+        ? `${exclusiveMin ? "greater than" : "at least"} ${min}`
+        : `between ${min} and ${max}`;
+    errors.push(
+      `${name} must be ${kind} ${range}, got ${JSON.stringify(value)}`,
+    );
+  }
+}
+
+/**
+ * Validates the options of a whisper() call, reporting every problem at once.
+ *
+ * @param {Object} options - The whisper() options, with defaults applied.
+ * @throws {LLMWhispererValidationError} Listing each problem in `errors`.
+ */
+function validateWhisperOptions(options) {
+  const errors = [];
+
+  const sources = ["url", "filePath", "data", "stream"].filter((name) =>
+    isPresent(options[name]),
+  );
+  if (sources.length === 0) {
+    errors.push("One of url, filePath, data or stream must be provided");
+  } else if (sources.length > 1) {
+    errors.push("Only one of url, filePath, data or stream can be provided");
+  }
+
+  checkOneOf(errors, "mode", options.mode, MODES);
+  checkOneOf(errors, "outputMode", options.outputMode, OUTPUT_MODES);
+  checkOneOf(
+    errors,
+    "lineSplitterStrategy",
+    options.lineSplitterStrategy,
+    LINE_SPLITTER_STRATEGIES,
+  );
+
+  checkNumber(errors, "medianFilterSize", options.medianFilterSize, {
+    min: 0,
+    integer: true,
+  });
+  checkNumber(errors, "gaussianBlurRadius", options.gaussianBlurRadius, {
+    min: 0,
+  });
+  checkNumber(errors, "lineSplitterTolerance", options.lineSplitterTolerance, {
+    min: 0,
+    max: 1,
+  });
+  checkNumber(
+    errors,
+    "horizontalStretchFactor",
+    options.horizontalStretchFactor,
+    { min: 0, exclusiveMin: true },
+  );
+
+  if (!isValidPageRange(options.pagesToExtract)) {
+    errors.push(
+      `pagesToExtract must be a list of pages and ranges like "1-5,7,21-", got ${JSON.stringify(options.pagesToExtract)}`,
+    );
+  }
+
+  const { useWebhook, webhookMetadata } = options;
+  if (
+    isPresent(useWebhook) &&
+    (typeof useWebhook !== "string" || useWebhook.trim() === "")
+  ) {
+    errors.push(
+      "useWebhook must be the name of a webhook registered with registerWebhook",
+    );
+  }
+  if (isPresent(webhookMetadata)) {
+    if (typeof webhookMetadata !== "string") {
+      errors.push(
+        "webhookMetadata must be a string; use JSON.stringify() for structured metadata",
+      );
+    }
+    if (!isPresent(useWebhook)) {
+      errors.push(
+        "webhookMetadata is only delivered to a webhook; set useWebhook to the registered webhook name",
+      );
+    }
+  }
+
+  if (errors.length > 0) {
+    throw new LLMWhispererValidationError(errors.join("; "), -1, { errors });
+  }
+}
+
+module.exports = { isValidPageRange, validateWhisperOptions };
@@ -0,0 +1,210 @@
+/**
+ * @fileoverview Idempotent webhook management on top of the
+ * `/whisper-manage-callback` calls: ensureWebhook() converges one webhook
+ * to a desired URL and token, syncWebhooks() does so for a list, and both
+ * can report the changes without making them.
+ *
+ * The API cannot list webhooks, so only the names passed in are managed;
+ * webhooks to remove have to be named too.
+ */
+const {
+  LLMWhispererNotFoundError,
+  LLMWhispererValidationError,
+} = require("./errors");
+
+const REDACTED = "[REDACTED]";
+
+function validationError(errors) {
+  return new LLMWhispererValidationError(errors.join("; "), -1, { errors });
+}
+
+function isNonEmptyString(value) {
+  return typeof value === "string" && value !== "";
+}
+
+function checkWebhook(errors, webhook, label) {
+  if (webhook === null || typeof webhook !== "object") {
+    errors.push(`${label} must be an object with name and url`);
+    return;
+  }
+  if (!isNonEmptyString(webhook.name)) {
+    errors.push(`${label}.name must be a non-empty string`);
+  }
+  if (!isNonEmptyString(webhook.url)) {
+    errors.push(`${label}.url must be a non-empty string`);
+  }
+  if (
+    webhook.authToken !== undefined &&
+    typeof webhook.authToken !== "string"
+  ) {
+    errors.push(`${label}.authToken must be a string`);
+  }
+}
+
+/** Tokens are secrets, so a change only shows whether one is set. */
+function shownToken(token) {
+  return token ? REDACTED : "";
+}
+
+/**
+ * The changes that turn the registered webhook into the desired one. A
+ * token is compared only when the API returns it.
+ */
+function diff(current, { url, authToken }) {
+  if (!current) {
+    const changes = [{ field: "url", from: null, to: url }];
+    if (authToken) {
+      changes.push({ field: "authToken", from: null, to: REDACTED });
+    }
+    return changes;
+  }
+  const changes = [];
+  if (current.url !== url) {
+    changes.push({ field: "url", from: current.url, to: url });
+  }
+  if (
+    typeof current.auth_token === "string" &&
+    current.auth_token !== authToken
+  ) {
+    changes.push({
+      field: "authToken",
+      from: shownToken(current.auth_token),
+      to: shownToken(authToken),
+    });
+  }
+  return changes;
+}
+
+/** The registered webhook, or null if there is none by that name. */
+async function currentWebhook(client, name, signal) {
+  try {
+    const { message } = await client.getWebhookDetails(name, { signal });
+    return message;
+  } catch (error) {
+    if (error instanceof LLMWhispererNotFoundError) return null;
+    throw error;
+  }
+}
+
+async function converge(client, webhook, { dryRun, signal }) {
+  const { name, url, authToken = "" } = webhook;
+  const current = await currentWebhook(client, name, signal);
+  const changes = diff(current, { url, authToken });
+  let action = "unchanged";
+  if (!current) {
+    action = "created";
+    if (!dryRun) {
+      await client.registerWebhook(url, authToken, name, { signal });
+    }
+  } else if (changes.length) {
+    action = "updated";
+    if (!dryRun) {
+      await client.updateWebhookDetails(name, url, authToken, { signal });
+    }
+  }
+  return { name, action, changes, dryRun };
+}
+
+async function remove(client, name, { dryRun, signal }) {
+  const current = await currentWebhook(client, name, signal);
+  if (!current) {
+    return { name, action: "unchanged", changes: [], dryRun };
+  }
+  if (!dryRun) {
+    try {
+      await client.deleteWebhookDetails(name, { signal });
+    } catch (error) {
+      // Deleted by someone else since it was read.
+      if (!(error instanceof LLMWhispererNotFoundError)) throw error;
+    }
+  }
+  const changes = [{ field: "url", from: current.url, to: null }];
+  return { name, action: "deleted", changes, dryRun };
+}
+
+/**
+ * Registers a webhook, or updates it if its URL or token differ, so it ends
+ * up as described whatever state it was in.
+ *
+ * @param {Object} client - The LLMWhispererClientV2 to call.
+ * @param {Object} webhook
+ * @param {string} webhook.name - The webhook name.
+ * @param {string} webhook.url - The URL callbacks are sent to.
+ * @param {string} [webhook.authToken=''] - The token sent as `Authorization: Bearer <token>`.
+ * @param {Object} [options={}]
+ * @param {boolean} [options.dryRun=false] - Report the changes without making them.
+ * @param {AbortSignal} [options.signal] - Cancels the requests.
+ * @returns {Promise<Object>} `{ name, action, changes, dryRun }`, where `action` is
+ *   "created", "updated" or "unchanged" and `changes` lists `{ field, from, to }`.
+ * @throws {LLMWhispererValidationError} If the webhook is incomplete.
+ */
+async function ensureWebhook(client, webhook, { dryRun = false, signal } = {}) {
+  const errors = [];
+  checkWebhook(errors, webhook, "webhook");
+  if (errors.length) throw validationError(errors);
+  return converge(client, webhook, { dryRun, signal });
+}
+
+/**
+ * Converges every webhook in `webhooks` like ensureWebhook() and deletes the
+ * ones named in `remove`, one at a time and in order. The list is checked
+ * before anything is sent; the first failing call stops the sync, and
+ * running it again carries on from there.
+ *
+ * @param {Object} client - The LLMWhispererClientV2 to call.
+ * @param {Array<Object>} webhooks - `{ name, url, authToken }` per webhook.
+ * @param {Object} [options={}]
+ * @param {string[]} [options.remove=[]] - Names of webhooks to delete if they exist.
+ * @param {boolean} [options.dryRun=false] - Report the changes without making them.
+ * @param {AbortSignal} [options.signal] - Cancels the requests.
+ * @returns {Promise<Object>} `{ results, summary }`: one ensureWebhook() result per
+ *   webhook, then one per removed name (action "deleted" or "unchanged"), and
+ *   the number of each action.
+ * @throws {LLMWhispererValidationError} If an entry is incomplete or a name is repeated.
+ */
+async function syncWebhooks(
+  client,
+  webhooks,
+  { remove: removed = [], dryRun = false, signal } = {},
+) {
+  const errors = [];
+  if (!Array.isArray(webhooks)) {
+    errors.push("webhooks must be an array");
+  }
+  if (!Array.isArray(removed)) {
+    errors.push("remove must be an array of webhook names");
+  }
+  if (errors.length) throw validationError(errors);
+
+  const seen = new Set();
+  webhooks.forEach((webhook, i) => {
+    checkWebhook(errors, webhook, `webhooks[${i}]`);
+    if (webhook && isNonEmptyString(webhook.name)) {
+      if (seen.has(webhook.name)) {
+        errors.push(`webhook "${webhook.name}" is listed more than once`);
+      }
+      seen.add(webhook.name);
+    }
+  });
+  removed.forEach((name, i) => {
+    if (!isNonEmptyString(name)) {
+      errors.push(`remove[${i}] must be a non-empty string`);
+    } else if (seen.has(name)) {
+      errors.push(`webhook "${name}" is both listed and removed`);
+    }
+  });
+  if (errors.length) throw validationError(errors);
+
+  const results = [];
+  for (const webhook of webhooks) {
+    results.push(await converge(client, webhook, { dryRun, signal }));
+  }
+  for (const name of new Set(removed)) {
+    results.push(await remove(client, name, { dryRun, signal }));
+  }
+  const summary = { created: 0, updated: 0, deleted: 0, unchanged: 0 };
+  for (const { action } of results) summary[action]++;
+  return { results, summary };
+}
+
+module.exports = { ensureWebhook, syncWebhooks };
@@ -0,0 +1,267 @@
+/**
+ * @fileoverview Receiving side of LLMWhisperer webhooks. LLMWhisperer POSTs the
+ * extraction of a job started with `useWebhook` to the registered URL, sending
+ * the registered auth token as `Authorization: Bearer <token>`.
+ *
+ * createWebhookHandler() returns a plain Node `http` request listener;
+ * expressWebhookHandler() and fastifyWebhookHandler() adapt the same checks
+ * to those frameworks.
+ *
+ * @requires crypto
+ */
+const crypto = require("crypto");
+const { LLMWhispererClientException } = require("./errors");
+
+const DEFAULT_MAX_BODY_SIZE = 50 * 1024 * 1024;
+
+/**
+ * @typedef {Object} WebhookEvent
+ * @property {string} whisperHash - The hash of the job the callback is for.
+ * @property {string} webhookMetadata - The `webhookMetadata` passed to whisper().
+ * @property {string} [status] - The job status, when the callback includes one.
+ * @property {Object} extraction - result_text, line_metadata, confidence_metadata and metadata.
+ * @property {Object} body - The parsed callback body, unmodified.
+ */
+
+function tokensMatch(expected, received) {
+  const a = Buffer.from(expected);
+  const b = Buffer.from(received);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Checks the Authorization header against the registered auth token.
+ *
+ * @param {Object} headers - The request headers, with lower-cased names.
+ * @param {string} authToken - The token the webhook was registered with.
+ *                             An empty token disables the check.
+ * @throws {LLMWhispererClientException} 401 if the token is missing or wrong.
+ */
+function verifyWebhookAuth(headers, authToken) {
+  if (!authToken) return;
+  const header = headers.authorization || "";
+  const received = header.replace(/^Bearer\s+/i, "");
+  if (!header) {
+    throw new LLMWhispererClientException("Missing Authorization header", 401);
+  }
+  if (!tokensMatch(authToken, received)) {
+    throw new LLMWhispererClientException("Invalid webhook auth token", 401);
+  }
+}
+
+/**
+ * Parses a webhook callback body into a WebhookEvent.
+ *
+ * @param {Object|string|Buffer} body - The callback body, raw or already parsed.
+ * @returns {WebhookEvent} The parsed event.
+ * @throws {LLMWhispererClientException} 400 if the body is not a whisper callback.
+ */
+function parseWebhookEvent(body) {
+  let payload = body;
+  if (Buffer.isBuffer(payload)) {
+    payload = payload.toString("utf-8");
+  }
+  if (typeof payload === "string") {
+    try {
+      payload = JSON.parse(payload);
+    } catch {
+      throw new LLMWhispererClientException("Body is not valid JSON", 400);
+    }
+  }
+  if (
+    payload === null ||
+    typeof payload !== "object" ||
+    Array.isArray(payload)
+  ) {
+    throw new LLMWhispererClientException("Body must be a JSON object", 400);
+  }
+  if (typeof payload.whisper_hash !== "string" || !payload.whisper_hash) {
+    throw new LLMWhispererClientException("Body has no whisper_hash", 400);
+  }
+
+  return {
+    whisperHash: payload.whisper_hash,
+    webhookMetadata: payload.webhook_metadata || "",
+    status: payload.status,
+    extraction: {
+      result_text: payload.result_text || "",
+      confidence_metadata: payload.confidence_metadata || [],
+      line_metadata: payload.line_metadata || [],
+      metadata: payload.metadata || {},
+      webhook_metadata: payload.webhook_metadata || "",
+    },
+    body: payload,
+  };
+}
+
+/**
+ * Runs the method, auth and content-type checks shared by every adapter.
+ * The content type is only checked when the body still has to be parsed.
+ * @private
+ */
+function checkWebhookRequest({ method, headers }, authToken, rawBody) {
+  if (method !== "POST") {
+    throw new LLMWhispererClientException("Method not allowed", 405);
+  }
+  verifyWebhookAuth(headers, authToken);
+  const contentType = headers["content-type"] || "";
+  if (rawBody && contentType && !/^application\/json\b/i.test(contentType)) {
+    throw new LLMWhispererClientException(
+      "Content-Type must be application/json",
+      415,
+    );
+  }
+}
+
+function validateOptions({ authToken, onEvent }) {
+  if (typeof authToken !== "string") {
+    throw new TypeError(
+      'authToken is required; pass "" if the webhook was registered without one',
+    );
+  }
+  if (typeof onEvent !== "function") {
+    throw new TypeError("onEvent must be a function");
+  }
+}
+
+function readBody(req, maxBodySize) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const onData = (chunk) => {
+      size += chunk.length;
+      if (size > maxBodySize) {
+        // Keep draining so that the 413 response can still be written.
+        req.removeListener("data", onData);
+        req.resume();
+        reject(new LLMWhispererClientException("Payload too large", 413));
+        return;
+      }
+      chunks.push(chunk);
+    };
+    req.on("data", onData);
+    req.on("end", () => resolve(Buffer.concat(chunks)));
+    req.on("error", reject);
+  });
+}
+
+function statusOf(error) {
+  return error instanceof LLMWhispererClientException ? error.statusCode : 500;
+}
+
+/**
+ * Creates a Node `http` request listener for LLMWhisperer webhook callbacks.
+ *
+ * Requests are rejected with 405 (not POST), 401 (bad auth token),
+ * 415 (not JSON), 413 (body over `maxBodySize`) or 400 (not a whisper
+ * callback). If `onEvent` throws, the request fails with 500 so that the
+ * callback can be delivered again.
+ *
+ * @param {Object} options
+ * @param {string} options.authToken - The token the webhook was registered with.
+ *                                     Pass "" to accept unauthenticated callbacks.
+ * @param {Function} options.onEvent - Called with the WebhookEvent; may return a promise.
+ * @param {number} [options.maxBodySize=52428800] - Largest accepted body, in bytes.
+ * @param {Function} [options.onError] - Called with the error and event when `onEvent` throws.
+ * @returns {Function} A `(req, res)` request listener.
+ */
+function createWebhookHandler({
+  authToken,
+  onEvent,
+  onError,
+  maxBodySize = DEFAULT_MAX_BODY_SIZE,
+} = {}) {
+  validateOptions({ authToken, onEvent });
+
+  return async (req, res) => {
+    const send = (statusCode, message) => {
+      const headers = { "Content-Type": "application/json" };
+      if (statusCode === 405) headers.Allow = "POST";
+      res.writeHead(statusCode, headers);
+      res.end(JSON.stringify({ message }));
+    };
+    let event;
+    try {
+      // Method and auth are checked before reading a potentially large body.
+      checkWebhookRequest(req, authToken, true);
+      event = parseWebhookEvent(await readBody(req, maxBodySize));
+    } catch (error) {
+      send(statusOf(error), error.message);
+      return;
+    }
+    try {
+      await onEvent(event);
+      send(200, "Webhook received");
+    } catch (error) {
+      if (onError) onError(error, event);
+      send(500, "Internal error");
+    }
+  };
+}
+
+/**
+ * Express adapter. Works with or without `express.json()` in front of it.
+ *
+ * @param {Object} options - As for createWebhookHandler().
+ * @returns {Function} An Express `(req, res, next)` handler.
+ */
+function expressWebhookHandler(options = {}) {
+  validateOptions(options);
+  const { authToken, onEvent, maxBodySize = DEFAULT_MAX_BODY_SIZE } = options;
+
+  return async (req, res, next) => {
+    let event;
+    try {
+      // express.json() leaves the request consumed and the body parsed.
+      const parsed = req.body !== undefined && !req.readable;
+      checkWebhookRequest(req, authToken, !parsed);
+      event = parseWebhookEvent(
+        parsed ? req.body : await readBody(req, maxBodySize),
+      );
+    } catch (error) {
+      if (statusOf(error) === 405) res.set("Allow", "POST");
+      res.status(statusOf(error)).json({ message: error.message });
+      return;
+    }
+    try {
+      await onEvent(event);
+      res.status(200).json({ message: "Webhook received" });
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+/**
+ * Fastify adapter, for use as a route handler. Relies on Fastify's built-in
+ * JSON body parser.
+ *
+ * @param {Object} options - As for createWebhookHandler(); `maxBodySize` is
+ *                           governed by Fastify's `bodyLimit` instead.
+ * @returns {Function} An async `(request, reply)` handler.
+ */
+function fastifyWebhookHandler(options = {}) {
+  validateOptions(options);
+  const { authToken, onEvent } = options;
+
+  return async (request, reply) => {
+    let event;
+    try {
+      checkWebhookRequest(request, authToken, false);
+      event = parseWebhookEvent(request.body);
+    } catch (error) {
+      if (statusOf(error) === 405) reply.header("Allow", "POST");
+      return reply.code(statusOf(error)).send({ message: error.message });
+    }
+    await onEvent(event);
+    return reply.code(200).send({ message: "Webhook received" });
+  };
+}
+
+module.exports = {
+  createWebhookHandler,
+  expressWebhookHandler,
+  fastifyWebhookHandler,
+  parseWebhookEvent,
+  verifyWebhookAuth,
+};
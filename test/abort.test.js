@@ -0,0 +1,175 @@
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const {
+  LLMWhispererAbortError,
+  LLMWhispererClientException,
+  LLMWhispererClientV2,
+} = require("../index");
+
+function createV2Client(opts = {}) {
+  return new LLMWhispererClientV2({
+    baseUrl: "https://test.example.com/v2",
+    apiKey: "test-key",
+    loggingLevel: "error",
+    maxRetries: 0,
+    ...opts,
+  });
+}
+
+/**
+ * Helper: answers every call with the same response and records the
+ * request configs it saw.
+ */
+function recordingAdapter() {
+  const configs = [];
+  const adapter = (config) => {
+    configs.push(config);
+    return Promise.resolve({
+      status: 200,
+      data: { status: "processing" },
+      headers: {},
+      config,
+    });
+  };
+  return { adapter, configs };
+}
+
+describe("AbortSignal support", () => {
+  test.each([
+    ["getUsageInfo", (c, o) => c.getUsageInfo(o)],
+    ["whisperStatus", (c, o) => c.whisperStatus("h1", o)],
+    ["whisperRetrieve", (c, o) => c.whisperRetrieve("h1", o)],
+    ["whisperDetail", (c, o) => c.whisperDetail("h1", o)],
+    ["getHighlightData", (c, o) => c.getHighlightData("h1", "1-2", false, o)],
+    ["getWebhookDetails", (c, o) => c.getWebhookDetails("hook", o)],
+    ["deleteWebhookDetails", (c, o) => c.deleteWebhookDetails("hook", o)],
+    [
+      "updateWebhookDetails",
+      (c, o) => c.updateWebhookDetails("hook", "https://x", "t", o),
+    ],
+    ["whisper", (c, o) => c.whisper({ url: "https://x/a.pdf", ...o })],
+  ])("%s forwards the signal to the request", async (_, call) => {
+    const client = createV2Client();
+    const { adapter, configs } = recordingAdapter();
+    client.client.defaults.adapter = adapter;
+    const { signal } = new AbortController();
+
+    await call(client, { signal });
+
+    expect(configs[0].signal).toBe(signal);
+  });
+
+  test("an already aborted signal fails without calling the API", async () => {
+    const client = createV2Client();
+    const { adapter, configs } = recordingAdapter();
+    client.client.defaults.adapter = adapter;
+    const controller = new AbortController();
+    controller.abort("shutting down");
+
+    const promise = client.whisperStatus("h1", { signal: controller.signal });
+
+    await expect(promise).rejects.toThrow(LLMWhispererAbortError);
+    await expect(promise).rejects.toMatchObject({
+      statusCode: -1,
+      reason: "shutting down",
+    });
+    expect(configs).toHaveLength(0);
+  });
+
+  test("an already aborted whisper() closes its filePath stream", async () => {
+    const client = createV2Client();
+    const { adapter, configs } = recordingAdapter();
+    client.client.defaults.adapter = adapter;
+    const controller = new AbortController();
+    controller.abort("shutting down");
+    const createReadStream = jest.spyOn(fs, "createReadStream");
+
+    await expect(
+      client.whisper({
+        filePath: path.join(__dirname, "data", "credit_card.pdf"),
+        signal: controller.signal,
+      }),
+    ).rejects.toThrow(LLMWhispererAbortError);
+
+    const [stream] = createReadStream.mock.results.map((r) => r.value);
+    createReadStream.mockRestore();
+    expect(stream.destroyed).toBe(true);
+    expect(configs).toHaveLength(0);
+  });
+
+  test("aborting cancels a request in flight", async () => {
+    const server = http.createServer(() => {
+      // Never answer; the client has to give up on its own.
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    const client = createV2Client({
+      baseUrl: `http://127.0.0.1:${server.address().port}/v2`,
+    });
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 20);
+
+    try {
+      await expect(
+        client.getUsageInfo({ signal: controller.signal }),
+      ).rejects.toThrow(LLMWhispererAbortError);
+    } finally {
+      server.closeAllConnections();
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+
+  test("aborting during a retry delay stops further attempts", async () => {
+    const client = createV2Client({
+      maxRetries: 3,
+      initialDelay: 60,
+      jitter: 0,
+    });
+    const configs = [];
+    client.client.defaults.adapter = (config) => {
+      configs.push(config);
+      const err = new Error("Request failed with status code 503");
+      err.config = config;
+      err.isAxiosError = true;
+      err.response = { status: 503, data: { message: "busy" }, headers: {} };
+      return Promise.reject(err);
+    };
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 20);
+
+    const started = Date.now();
+    await expect(
+      client.whisperDetail("h1", { signal: controller.signal }),
+    ).rejects.toThrow(LLMWhispererAbortError);
+    expect(Date.now() - started).toBeLessThan(1000);
+    expect(configs).toHaveLength(1);
+  });
+
+  test("whisper() stops waiting for completion as soon as the signal aborts", async () => {
+    const client = createV2Client({ pollPolicy: { initialInterval: 60 } });
+    client.client.defaults.adapter = (config) => {
+      const accepted = config.url.endsWith("/whisper");
+      return Promise.resolve({
+        status: accepted ? 202 : 200,
+        data: accepted
+          ? { whisper_hash: "h1", status: "processing" }
+          : { status: "processing" },
+        headers: {},
+        config,
+      });
+    };
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 20);
+
+    const started = Date.now();
+    const promise = client.whisper({
+      url: "https://example.com/a.pdf",
+      waitForCompletion: true,
+      signal: controller.signal,
+    });
+
+    await expect(promise).rejects.toThrow(LLMWhispererAbortError);
+    await expect(promise).rejects.toThrow(LLMWhispererClientException);
+    expect(Date.now() - started).toBeLessThan(1000);
+  });
+});
@@ -0,0 +1,190 @@
+const {
+  LLMWhispererClientV2,
+  LLMWhispererClientException,
+} = require("../index");
+
+function createV2Client(opts = {}) {
+  return new LLMWhispererClientV2({
+    baseUrl: "https://test.example.com/v2",
+    apiKey: "test-key",
+    loggingLevel: "error",
+    maxRetries: 0,
+    ...opts,
+  });
+}
+
+/**
+ * Helper: a fake API keyed on the document URL. Uploads take `uploadDelay`
+ * ms so that concurrent jobs overlap; URLs containing "bad" are rejected and
+ * URLs containing "broken" fail during processing.
+ */
+function fakeApi({ uploadDelay = 20 } = {}) {
+  const state = { inFlight: 0, maxInFlight: 0 };
+  const respond = (config, status, data) => {
+    if (status >= 400) {
+      const err = new Error(data.message);
+      err.response = { status, data, headers: {} };
+      err.config = config;
+      err.isAxiosError = true;
+      return Promise.reject(err);
+    }
+    return Promise.resolve({ status, data, headers: {}, config });
+  };
+  state.adapter = async (config) => {
+    const url = new URL(config.url);
+    const hash = config.params.whisper_hash;
+    switch (url.pathname) {
+      case "/v2/whisper": {
+        state.inFlight++;
+        state.maxInFlight = Math.max(state.maxInFlight, state.inFlight);
+        await new Promise((r) => setTimeout(r, uploadDelay));
+        state.inFlight--;
+        if (config.params.url.includes("bad")) {
+          return respond(config, 400, { message: "Invalid document" });
+        }
+        return respond(config, 202, {
+          message: "Whisper Job Accepted",
+          status: "processing",
+          whisper_hash: config.params.url,
+        });
+      }
+      case "/v2/whisper-status":
+        return respond(config, 200, {
+          status: hash.includes("broken") ? "error" : "processed",
+          message: hash.includes("broken") ? "Corrupt file" : "",
+        });
+      case "/v2/whisper-retrieve":
+        return respond(config, 200, { result_text: `text of ${hash}` });
+      default:
+        return respond(config, 404, { message: "Not found" });
+    }
+  };
+  return state;
+}
+
+describe("whisperBatch", () => {
+  test("runs every input to completion within the concurrency limit", async () => {
+    const client = createV2Client();
+    const api = fakeApi();
+    client.client.defaults.adapter = api.adapter;
+    const inputs = Array.from(
+      { length: 7 },
+      (_, i) => `https://docs.example.com/${i}.pdf`,
+    );
+
+    const batch = await client.whisperBatch(inputs, { concurrency: 3 });
+
+    expect(api.maxInFlight).toBe(3);
+    expect(batch.succeeded).toBe(7);
+    expect(batch.failed).toBe(0);
+    batch.results.forEach((item, i) => {
+      expect(item.index).toBe(i);
+      expect(item.input).toBe(inputs[i]);
+      expect(item.ok).toBe(true);
+      expect(item.result.extraction.result_text).toBe(`text of ${inputs[i]}`);
+    });
+  });
+
+  test("records failures per item without rejecting the batch", async () => {
+    const client = createV2Client();
+    client.client.defaults.adapter = fakeApi().adapter;
+
+    const batch = await client.whisperBatch([
+      { url: "https://docs.example.com/good.pdf" },
+      { url: "https://docs.example.com/bad.pdf" },
+      { url: "https://docs.example.com/broken.pdf" },
+    ]);
+
+    expect(batch.succeeded).toBe(1);
+    expect(batch.failed).toBe(2);
+    expect(batch.results[0].ok).toBe(true);
+    expect(batch.results[1].ok).toBe(false);
+    expect(batch.results[1].error).toBeInstanceOf(LLMWhispererClientException);
+    expect(batch.results[1].error.statusCode).toBe(400);
+    expect(batch.results[2].ok).toBe(false);
+    expect(batch.results[2].error.message).toBe("Corrupt file");
+  });
+
+  test("reports progress and passes shared options to every item", async () => {
+    const client = createV2Client();
+    const api = fakeApi();
+    const seenModes = [];
+    client.client.defaults.adapter = (config) => {
+      if (config.url.endsWith("/whisper")) seenModes.push(config.params.mode);
+      return api.adapter(config);
+    };
+    const progress = [];
+
+    const batch = await client.whisperBatch(
+      ["https://docs.example.com/a.pdf", "https://docs.example.com/b.pdf"],
+      {
+        mode: "form",
+        waitForCompletion: false,
+        onProgress: (p) => progress.push([p.completed, p.total]),
+      },
+    );
+
+    expect(seenModes).toEqual(["form", "form"]);
+    expect(progress).toEqual([
+      [1, 2],
+      [2, 2],
+    ]);
+    expect(batch.results[0].result.whisper_hash).toBe(
+      "https://docs.example.com/a.pdf",
+    );
+  });
+
+  test("a throwing onProgress is logged and the batch completes", async () => {
+    const client = createV2Client();
+    client.client.defaults.adapter = fakeApi().adapter;
+    const warn = jest.spyOn(client.logger, "warn");
+
+    const batch = await client.whisperBatch(
+      ["https://docs.example.com/a.pdf", "https://docs.example.com/b.pdf"],
+      {
+        concurrency: 1,
+        waitForCompletion: false,
+        onProgress: () => {
+          throw new Error("dashboard down");
+        },
+      },
+    );
+
+    expect(batch.succeeded).toBe(2);
+    expect(batch.results.map((r) => r.ok)).toEqual([true, true]);
+    expect(warn).toHaveBeenCalledWith("onProgress threw", {
+      index: 0,
+      error: expect.objectContaining({ message: "dashboard down" }),
+    });
+  });
+
+  test("rejects returnJob before sending anything", async () => {
+    const client = createV2Client();
+    const api = fakeApi();
+    const calls = [];
+    client.client.defaults.adapter = (config) => {
+      calls.push(config);
+      return api.adapter(config);
+    };
+
+    await expect(
+      client.whisperBatch(["https://docs.example.com/a.pdf"], {
+        returnJob: true,
+      }),
+    ).rejects.toThrow(/whisperBatch does not support returnJob/);
+    await expect(
+      client.whisperBatch([
+        "https://docs.example.com/a.pdf",
+        { url: "https://docs.example.com/b.pdf", returnJob: true },
+      ]),
+    ).rejects.toThrow(/whisperBatch does not support returnJob/);
+    expect(calls).toEqual([]);
+  });
+
+  test("rejects an invalid concurrency", async () => {
+    const client = createV2Client();
+    await expect(client.whisperBatch([], { concurrency: 0 })).rejects.toThrow(
+      /concurrency/,
+    );
+  });
+});
@@ -0,0 +1,223 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { FileSystemCache, LLMWhispererClientV2 } = require("../index");
+const { resultCacheKey } = require("../src/cache");
+
+function createV2Client(opts = {}) {
+  return new LLMWhispererClientV2({
+    baseUrl: "https://test.example.com/v2",
+    apiKey: "test-key",
+    loggingLevel: "error",
+    maxRetries: 0,
+    ...opts,
+  });
+}
+
+/**
+ * Helper: serves a complete whisper -> status -> retrieve cycle and counts
+ * the calls made to each endpoint.
+ */
+function extractionAdapter() {
+  const counts = { whisper: 0 };
+  const adapter = async (config) => {
+    const endpoint = new URL(config.url).pathname.split("/").pop();
+    counts[endpoint] = (counts[endpoint] || 0) + 1;
+    // Read uploads like the real adapter, so no file stream outlives the test.
+    if (config.data && typeof config.data.pipe === "function") {
+      for await (const chunk of config.data) void chunk;
+    }
+    const responses = {
+      whisper: [202, { whisper_hash: `h${counts.whisper}`, status: "accepted" }],
+      "whisper-status": [200, { status: "processed" }],
+      "whisper-retrieve": [200, { result_text: `text ${counts.whisper}` }],
+    };
+    const [status, data] = responses[endpoint];
+    return { status, data, headers: {}, config };
+  };
+  return { adapter, counts };
+}
+
+let directory;
+let filePath;
+
+beforeEach(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), "llmwhisperer-cache-"));
+  filePath = path.join(directory, "doc.pdf");
+  fs.writeFileSync(filePath, "%PDF-1.4 test document");
+});
+
+afterEach(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+function cachedClient(cacheOptions = {}) {
+  const cache = new FileSystemCache({
+    directory: path.join(directory, "cache"),
+    ...cacheOptions,
+  });
+  const client = createV2Client({ cache });
+  const { adapter, counts } = extractionAdapter();
+  client.client.defaults.adapter = adapter;
+  return { client, cache, counts };
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const key = (n) => String(n).repeat(64);
+
+describe("result cache", () => {
+  test("serves a repeated extraction from the cache", async () => {
+    const { client, counts } = cachedClient();
+
+    const first = await client.whisper({ filePath, waitForCompletion: true });
+    const second = await client.whisper({
+      data: fs.readFileSync(filePath),
+      waitForCompletion: true,
+      tag: "another-tag",
+      filename: "renamed.pdf",
+    });
+
+    expect(counts.whisper).toBe(1);
+    expect(first.cached).toBe(false);
+    expect(second).toMatchObject({
+      cached: true,
+      cache_key: first.cache_key,
+      whisper_hash: "h1",
+      status_code: 200,
+      extraction: { result_text: "text 1" },
+    });
+  });
+
+  test("different options or contents miss the cache", async () => {
+    const { client, counts } = cachedClient();
+
+    await client.whisper({ filePath, waitForCompletion: true });
+    await client.whisper({ filePath, waitForCompletion: true, mode: "form" });
+    await client.whisper({
+      data: Buffer.from("other"),
+      waitForCompletion: true,
+    });
+
+    expect(counts.whisper).toBe(3);
+  });
+
+  test("cache: false bypasses it and 'refresh' overwrites the entry", async () => {
+    const { client, counts } = cachedClient();
+
+    await client.whisper({ filePath, waitForCompletion: true });
+    const bypassed = await client.whisper({
+      filePath,
+      waitForCompletion: true,
+      cache: false,
+    });
+    const refreshed = await client.whisper({
+      filePath,
+      waitForCompletion: true,
+      cache: "refresh",
+    });
+    const cached = await client.whisper({ filePath, waitForCompletion: true });
+
+    expect(counts.whisper).toBe(3);
+    expect(bypassed.cache_key).toBeUndefined();
+    expect(refreshed.extraction.result_text).toBe("text 3");
+    expect(cached.extraction.result_text).toBe("text 3");
+  });
+
+  test("URL sources and calls without waitForCompletion are not cached", async () => {
+    const { client, counts } = cachedClient();
+
+    await client.whisper({ url: "https://example.com/a.pdf", waitForCompletion: true });
+    await client.whisper({ url: "https://example.com/a.pdf", waitForCompletion: true });
+    await client.whisper({ filePath });
+    await client.whisper({ filePath });
+
+    expect(counts.whisper).toBe(4);
+  });
+
+  test("a failing store does not fail the extraction", async () => {
+    const store = {
+      get: jest.fn().mockResolvedValue(undefined),
+      set: jest.fn().mockRejectedValue(new Error("disk full")),
+      delete: jest.fn(),
+    };
+    const client = createV2Client({ cache: store });
+    client.client.defaults.adapter = extractionAdapter().adapter;
+
+    const result = await client.whisper({ filePath, waitForCompletion: true });
+
+    expect(result.status_code).toBe(200);
+    expect(store.set).toHaveBeenCalledWith(result.cache_key, expect.any(Object));
+  });
+
+  test("the client rejects stores missing a method", () => {
+    expect(() => createV2Client({ cache: { get() {} } })).toThrow(
+      /get, set and delete/,
+    );
+  });
+
+  test("keys depend on the bytes and the extraction params only", async () => {
+    const params = { mode: "form", tag: "a", wait_timeout: 10 };
+    const base = await resultCacheKey({ body: Buffer.from("x") }, params);
+    expect(base).toMatch(/^[0-9a-f]{64}$/);
+    expect(
+      await resultCacheKey(
+        { body: Buffer.from("x") },
+        { wait_timeout: 99, tag: "b", mode: "form" },
+      ),
+    ).toBe(base);
+    expect(
+      await resultCacheKey({ body: Buffer.from("y") }, params),
+    ).not.toBe(base);
+  });
+});
+
+describe("FileSystemCache", () => {
+  test("stores, deletes and clears entries", async () => {
+    const cache = new FileSystemCache({ directory });
+    await cache.set(key(1), { a: 1 });
+    await cache.set(key(2), { b: 2 });
+
+    expect(await cache.get(key(1))).toEqual({ a: 1 });
+    expect(await cache.delete(key(1))).toBe(true);
+    expect(await cache.delete(key(1))).toBe(false);
+    await cache.clear();
+    expect(await cache.get(key(2))).toBeUndefined();
+  });
+
+  test("expires entries after the ttl", async () => {
+    const cache = new FileSystemCache({ directory, ttl: 0.05 });
+    await cache.set(key(1), "value");
+    expect(await cache.get(key(1))).toBe("value");
+
+    await sleep(80);
+
+    expect(await cache.get(key(1))).toBeUndefined();
+    expect(fs.existsSync(path.join(directory, `${key(1)}.json`))).toBe(false);
+  });
+
+  test("evicts the least recently used entries past maxSize", async () => {
+    const value = "x".repeat(100);
+    const cache = new FileSystemCache({ directory, maxSize: 450 });
+    await cache.set(key(1), value);
+    await sleep(20);
+    await cache.set(key(2), value);
+    await sleep(20);
+    await cache.set(key(3), value);
+    await sleep(20);
+    await cache.get(key(1));
+    await sleep(20);
+
+    await cache.set(key(4), value);
+
+    expect(await cache.get(key(2))).toBeUndefined();
+    expect(await cache.get(key(1))).toBe(value);
+    expect(await cache.get(key(4))).toBe(value);
+  });
+
+  test("refuses keys that are not cache keys", async () => {
+    const cache = new FileSystemCache({ directory });
+    await expect(cache.get("../../etc/passwd")).rejects.toThrow(
+      /Invalid cache key/,
+    );
+  });
+});
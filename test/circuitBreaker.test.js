@@ -0,0 +1,202 @@
+const fs = require("fs");
+const path = require("path");
+const {
+  CircuitBreaker,
+  LLMWhispererCircuitOpenError,
+  LLMWhispererClientV2,
+  LLMWhispererServerError,
+} = require("../index");
+
+function createV2Client(opts = {}) {
+  return new LLMWhispererClientV2({
+    baseUrl: "https://test.example.com/v2",
+    apiKey: "test-key",
+    loggingLevel: "error",
+    maxRetries: 0,
+    ...opts,
+  });
+}
+
+/** Helper: answers with `state.status`, failing for 4xx and 5xx, and counts the attempts. */
+function mockAdapter(client, state = { status: 503 }) {
+  state.attempts = 0;
+  client.client.defaults.adapter = async (config) => {
+    state.attempts++;
+    if (state.gate) await state.gate;
+    if (state.status >= 400) {
+      const error = new Error(`Request failed with status code ${state.status}`);
+      error.config = config;
+      error.isAxiosError = true;
+      error.response = { status: state.status, data: {}, headers: {}, config };
+      throw error;
+    }
+    return { status: 200, data: { status: "processing" }, headers: {}, config };
+  };
+  return state;
+}
+
+let now;
+let clock;
+
+beforeEach(() => {
+  now = 1000000;
+  clock = jest.spyOn(Date, "now").mockImplementation(() => now);
+});
+
+afterEach(() => {
+  clock.mockRestore();
+});
+
+describe("circuit breaker", () => {
+  test("opens at the failure rate and then refuses calls without sending them", async () => {
+    const onStateChange = jest.fn();
+    const client = createV2Client({
+      circuitBreaker: { minimumRequests: 4, failureRate: 0.5, onStateChange },
+    });
+    const state = mockAdapter(client, { status: 200 });
+
+    await client.getUsageInfo();
+    await client.getUsageInfo();
+    state.status = 503;
+    await expect(client.getUsageInfo()).rejects.toThrow(LLMWhispererServerError);
+    expect(client.circuitState()).toMatchObject({ state: "closed", failures: 1 });
+    await expect(client.getUsageInfo()).rejects.toThrow(LLMWhispererServerError);
+
+    const error = await client.whisperStatus("h1").catch((e) => e);
+    expect(error).toBeInstanceOf(LLMWhispererCircuitOpenError);
+    expect(error).toMatchObject({ statusCode: -1, retryAfter: 30 });
+    expect(state.attempts).toBe(4);
+    expect(onStateChange).toHaveBeenCalledWith({
+      from: "closed",
+      to: "open",
+      failureRate: 0.5,
+      requests: 4,
+    });
+    expect(client.circuitState()).toEqual({
+      state: "open",
+      failureRate: 0.5,
+      requests: 4,
+      failures: 2,
+      openedAt: now,
+      retryAfter: 30,
+    });
+  });
+
+  test("stops retrying once open", async () => {
+    const client = createV2Client({
+      maxRetries: 4,
+      initialDelay: 0.001,
+      jitter: 0,
+      circuitBreaker: { minimumRequests: 2 },
+    });
+    const state = mockAdapter(client);
+
+    await expect(client.getUsageInfo()).rejects.toThrow(LLMWhispererServerError);
+
+    expect(state.attempts).toBe(2);
+    expect(client.circuitState().state).toBe("open");
+  });
+
+  test("does not count client errors and rate limits as failures", async () => {
+    const client = createV2Client({ circuitBreaker: { minimumRequests: 2 } });
+    const state = mockAdapter(client, { status: 404 });
+    await expect(client.whisperStatus("h1")).rejects.toThrow();
+    state.status = 429;
+    await expect(client.whisperStatus("h1")).rejects.toThrow();
+
+    expect(client.circuitState()).toMatchObject({
+      state: "closed",
+      requests: 2,
+      failures: 0,
+    });
+  });
+
+  test("lets one probe through after the cooldown and closes when it succeeds", async () => {
+    const breaker = new CircuitBreaker({ minimumRequests: 1, cooldown: 10 });
+    const client = createV2Client({ circuitBreaker: breaker });
+    const state = mockAdapter(client);
+    await expect(client.getUsageInfo()).rejects.toThrow(LLMWhispererServerError);
+
+    now += 10000;
+    state.status = 200;
+    let release;
+    state.gate = new Promise((resolve) => (release = resolve));
+    const probe = client.getUsageInfo();
+    await new Promise((resolve) => setImmediate(resolve));
+    expect(client.circuitState().state).toBe("half-open");
+    await expect(client.getUsageInfo()).rejects.toThrow(
+      LLMWhispererCircuitOpenError,
+    );
+    release();
+    await probe;
+
+    expect(client.circuitState()).toMatchObject({ state: "closed", requests: 0 });
+    expect(state.attempts).toBe(2);
+  });
+
+  test("opens again when the probe fails", async () => {
+    const events = [];
+    const client = createV2Client({
+      circuitBreaker: { minimumRequests: 1, cooldown: 10 },
+    });
+    client.circuitBreaker.subscribe(({ from, to }) => events.push(`${from}>${to}`));
+    mockAdapter(client);
+    await expect(client.getUsageInfo()).rejects.toThrow(LLMWhispererServerError);
+
+    now += 10000;
+    await expect(client.getUsageInfo()).rejects.toThrow(LLMWhispererServerError);
+
+    expect(events).toEqual(["closed>open", "open>half-open", "half-open>open"]);
+    expect(client.circuitState()).toMatchObject({ state: "open", retryAfter: 10 });
+  });
+
+  test("frees the probe slot of a cancelled call", async () => {
+    const client = createV2Client({
+      circuitBreaker: { minimumRequests: 1, cooldown: 0 },
+    });
+    const state = mockAdapter(client);
+    await expect(client.getUsageInfo()).rejects.toThrow();
+    client.client.defaults.adapter = async (config) => {
+      const error = new Error("canceled");
+      error.config = config;
+      error.__CANCEL__ = true;
+      throw error;
+    };
+    await expect(client.getUsageInfo()).rejects.toThrow();
+
+    mockAdapter(client, state);
+    state.status = 200;
+    await client.getUsageInfo();
+    expect(client.circuitState().state).toBe("closed");
+  });
+
+  test("closes the upload stream of a refused whisper()", async () => {
+    const client = createV2Client({ circuitBreaker: { minimumRequests: 1 } });
+    mockAdapter(client);
+    await expect(client.getUsageInfo()).rejects.toThrow(LLMWhispererServerError);
+    const createReadStream = jest.spyOn(fs, "createReadStream");
+
+    await expect(
+      client.whisper({
+        filePath: path.join(__dirname, "data", "credit_card.pdf"),
+      }),
+    ).rejects.toThrow(LLMWhispererCircuitOpenError);
+
+    const [stream] = createReadStream.mock.results.map((r) => r.value);
+    createReadStream.mockRestore();
+    expect(stream.destroyed).toBe(true);
+  });
+
+  test("reports null without a breaker and validates options", () => {
+    expect(createV2Client().circuitState()).toBeNull();
+    expect(() => createV2Client({ circuitBreaker: { failureRate: 2 } })).toThrow(
+      /circuitBreaker.failureRate must be a number above 0 and at most 1/,
+    );
+    expect(
+      () => new CircuitBreaker({ minimumRequests: 0 }),
+    ).toThrow(/circuitBreaker.minimumRequests must be a positive integer/);
+    expect(() => new CircuitBreaker({ onStateChange: "log" })).toThrow(
+      /circuitBreaker.onStateChange must be a function/,
+    );
+  });
+});
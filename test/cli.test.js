@@ -0,0 +1,246 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { main } = require("../src/cli");
+const { LLMWhispererClientException } = require("../index");
+
+/**
+ * Helper: runs the CLI against a fake client whose methods are jest mocks,
+ * capturing stdout, stderr and the constructor config.
+ */
+async function run(argv, methods = {}) {
+  const out = [];
+  const err = [];
+  const calls = { config: undefined };
+  const client = {
+    whisper: jest.fn(async () => ({ whisper_hash: "hash1", statusCode: 202 })),
+    whisperStatus: jest.fn(async () => ({ status: "processing" })),
+    whisperRetrieve: jest.fn(async () => ({
+      statusCode: 200,
+      extraction: { result_text: "hello" },
+    })),
+    whisperDetail: jest.fn(async () => ({ whisper_hash: "hash1" })),
+    getHighlightData: jest.fn(async () => ({ 1: { page: 0 } })),
+    getUsageInfo: jest.fn(async () => ({ today_page_count: 3 })),
+    registerWebhook: jest.fn(async () => ({
+      status_code: 201,
+      message: { message: "Webhook created successfully" },
+    })),
+    updateWebhookDetails: jest.fn(),
+    getWebhookDetails: jest.fn(),
+    deleteWebhookDetails: jest.fn(),
+    ...methods,
+  };
+  const code = await main(argv, {
+    stdout: { write: (s) => out.push(s) },
+    stderr: { write: (s) => err.push(s) },
+    stdin: "STDIN",
+    createClient: (config) => {
+      calls.config = config;
+      return client;
+    },
+  });
+  return { code, stdout: out.join(""), stderr: err.join(""), client, calls };
+}
+
+describe("llmwhisperer CLI", () => {
+  test("whisper maps flags onto whisper() options", async () => {
+    const { code, stdout, client } = await run([
+      "whisper",
+      "invoice.pdf",
+      "--mode",
+      "form",
+      "--output-mode",
+      "text",
+      "--pages-to-extract",
+      "1-2",
+      "--median-filter-size",
+      "3",
+      "--mark-vertical-lines",
+      "--add-line-nos",
+      "--tag",
+      "nightly",
+    ]);
+    expect(code).toBe(0);
+    expect(client.whisper).toHaveBeenCalledWith({
+      filePath: "invoice.pdf",
+      mode: "form",
+      outputMode: "text",
+      pagesToExtract: "1-2",
+      medianFilterSize: 3,
+      markVerticalLines: true,
+      addLineNos: true,
+      tag: "nightly",
+    });
+    expect(stdout).toBe("hash1\n");
+  });
+
+  test("whisper treats http(s) arguments as URLs and - as stdin", async () => {
+    const byUrl = await run(["whisper", "https://example.com/a.pdf"]);
+    expect(byUrl.client.whisper.mock.calls[0][0]).toEqual({
+      url: "https://example.com/a.pdf",
+    });
+    const byStdin = await run(["whisper", "-"]);
+    expect(byStdin.client.whisper.mock.calls[0][0]).toEqual({
+      stream: "STDIN",
+    });
+  });
+
+  test("whisper --wait --out writes the extracted text", async () => {
+    const out = path.join(os.tmpdir(), `llmwhisperer-cli-${process.pid}.txt`);
+    const { code, client } = await run(
+      ["whisper", "a.pdf", "--wait", "--wait-timeout", "30", "--out", out],
+      {
+        whisper: jest.fn(async () => ({
+          status_code: 200,
+          status: "processed",
+          extraction: { result_text: "extracted" },
+        })),
+      },
+    );
+    try {
+      expect(code).toBe(0);
+      expect(client.whisper.mock.calls[0][0]).toMatchObject({
+        waitForCompletion: true,
+        waitTimeout: 30,
+      });
+      expect(fs.readFileSync(out, "utf-8")).toBe("extracted");
+    } finally {
+      fs.rmSync(out, { force: true });
+    }
+  });
+
+  test("whisper --wait reports a failed extraction", async () => {
+    const { code, stderr } = await run(["whisper", "a.pdf", "--wait"], {
+      whisper: jest.fn(async () => ({
+        status_code: -1,
+        status: "error",
+        message: "Corrupt file",
+      })),
+    });
+    expect(code).toBe(1);
+    expect(stderr).toBe("Error (-1): Corrupt file\n");
+  });
+
+  test("status, detail and usage print records, or JSON with --json", async () => {
+    const status = await run(["status", "hash1"]);
+    expect(status.client.whisperStatus).toHaveBeenCalledWith("hash1");
+    expect(status.stdout).toBe("status: processing\n");
+
+    const usage = await run(["usage", "--json"]);
+    expect(JSON.parse(usage.stdout)).toEqual({ today_page_count: 3 });
+
+    const detail = await run(["detail", "hash1"]);
+    expect(detail.client.whisperDetail).toHaveBeenCalledWith("hash1");
+  });
+
+  test("retrieve prints the extracted text", async () => {
+    const { stdout } = await run(["retrieve", "hash1"]);
+    expect(stdout).toBe("hello\n");
+  });
+
+  test("highlights requires --lines", async () => {
+    const missing = await run(["highlights", "hash1"]);
+    expect(missing.code).toBe(2);
+    const { client } = await run(["highlights", "hash1", "--lines", "1-5"]);
+    expect(client.getHighlightData).toHaveBeenCalledWith("hash1", "1-5", false);
+  });
+
+  test("webhook register passes url, token and name", async () => {
+    const { code, stdout, client } = await run([
+      "webhook",
+      "register",
+      "--name",
+      "hook",
+      "--url",
+      "https://example.com/cb",
+      "--token",
+      "secret",
+    ]);
+    expect(code).toBe(0);
+    expect(client.registerWebhook).toHaveBeenCalledWith(
+      "https://example.com/cb",
+      "secret",
+      "hook",
+    );
+    expect(stdout).toBe("message: Webhook created successfully\n");
+  });
+
+  test("webhook ensure and sync print the changes", async () => {
+    const ensureWebhook = jest.fn(async () => ({
+      name: "hook",
+      action: "updated",
+      changes: [{ field: "url", from: "https://a.example", to: "https://b.example" }],
+      dryRun: true,
+    }));
+    const ensured = await run(
+      ["webhook", "ensure", "--name", "hook", "--url", "https://b.example", "--dry-run"],
+      { ensureWebhook },
+    );
+    expect(ensureWebhook).toHaveBeenCalledWith(
+      { name: "hook", url: "https://b.example", authToken: undefined },
+      { dryRun: true },
+    );
+    expect(ensured.stdout).toBe(
+      "hook: updated (dry run)\n  url: https://a.example -> https://b.example\n",
+    );
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "llmwhisperer-cli-"));
+    const config = path.join(dir, "webhooks.json");
+    fs.writeFileSync(
+      config,
+      JSON.stringify({ webhooks: [{ name: "a", url: "https://a.example" }], remove: ["old"] }),
+    );
+    const syncWebhooks = jest.fn(async () => ({
+      results: [
+        { name: "a", action: "unchanged", changes: [], dryRun: false },
+        { name: "old", action: "deleted", changes: [], dryRun: false },
+      ],
+      summary: { created: 0, updated: 0, deleted: 1, unchanged: 1 },
+    }));
+    const synced = await run(["webhook", "sync", "--config", config], {
+      syncWebhooks,
+    });
+    fs.rmSync(dir, { recursive: true, force: true });
+
+    expect(syncWebhooks).toHaveBeenCalledWith(
+      [{ name: "a", url: "https://a.example" }],
+      { remove: ["old"], dryRun: false },
+    );
+    expect(synced.stdout).toBe(
+      "a: unchanged\nold: deleted\n0 created, 0 updated, 1 deleted, 1 unchanged\n",
+    );
+    expect((await run(["webhook", "sync"])).code).toBe(2);
+  });
+
+  test("global flags configure the client", async () => {
+    const { calls } = await run([
+      "usage",
+      "--api-key",
+      "k",
+      "--base-url",
+      "https://eu.example.com/api/v2",
+    ]);
+    expect(calls.config).toEqual({
+      apiKey: "k",
+      baseUrl: "https://eu.example.com/api/v2",
+      loggingLevel: process.env.LLMWHISPERER_LOGGING_LEVEL || "error",
+    });
+  });
+
+  test("API errors exit with 1 and usage errors with 2", async () => {
+    const failing = await run(["status", "nope"], {
+      whisperStatus: jest.fn(async () => {
+        throw new LLMWhispererClientException("Not found", 404);
+      }),
+    });
+    expect(failing.code).toBe(1);
+    expect(failing.stderr).toBe("Error (404): Not found\n");
+
+    expect((await run(["frobnicate"])).code).toBe(2);
+    expect((await run(["whisper", "a.pdf", "--bogus"])).code).toBe(2);
+    expect((await run(["whisper", "a.pdf", "--wait-timeout", "x"])).code).toBe(
+      2,
+    );
+  });
+});
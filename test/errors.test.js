@@ -0,0 +1,168 @@
+const http = require("http");
+const {
+  LLMWhispererAuthenticationError,
+  LLMWhispererClientException,
+  LLMWhispererClientV2,
+  LLMWhispererNetworkError,
+  LLMWhispererNotFoundError,
+  LLMWhispererQuotaExceededError,
+  LLMWhispererRateLimitError,
+  LLMWhispererServerError,
+  LLMWhispererTimeoutError,
+  LLMWhispererValidationError,
+} = require("../index");
+
+function createV2Client(opts = {}) {
+  return new LLMWhispererClientV2({
+    baseUrl: "https://test.example.com/v2",
+    apiKey: "test-key",
+    loggingLevel: "error",
+    maxRetries: 0,
+    ...opts,
+  });
+}
+
+/**
+ * Helper: an adapter that fails every call the way axios does for an
+ * error status.
+ */
+function errorAdapter(status, data, headers = {}) {
+  return (config) => {
+    const err = new Error(`Request failed with status code ${status}`);
+    err.config = config;
+    err.isAxiosError = true;
+    err.response = { status, data, headers };
+    return Promise.reject(err);
+  };
+}
+
+async function rejectionOf(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  throw new Error("Expected the call to reject");
+}
+
+describe("typed errors", () => {
+  test.each([
+    [401, "Invalid API key", LLMWhispererAuthenticationError],
+    [403, "Forbidden", LLMWhispererAuthenticationError],
+    [402, "Payment required", LLMWhispererQuotaExceededError],
+    [403, "Page quota exceeded", LLMWhispererQuotaExceededError],
+    [400, "Invalid mode", LLMWhispererValidationError],
+    [422, "Unprocessable", LLMWhispererValidationError],
+    [404, "Whisper hash not found", LLMWhispererNotFoundError],
+    [500, "Internal error", LLMWhispererServerError],
+    [503, "Unavailable", LLMWhispererServerError],
+  ])("%i %s raises %p", async (status, message, ErrorClass) => {
+    const client = createV2Client();
+    const body = { message };
+    client.client.defaults.adapter = errorAdapter(status, body);
+
+    const error = await rejectionOf(client.whisperStatus("h1"));
+
+    expect(error).toBeInstanceOf(ErrorClass);
+    expect(error).toBeInstanceOf(LLMWhispererClientException);
+    expect(error.name).toBe(ErrorClass.name);
+    expect(error).toMatchObject({
+      message,
+      statusCode: status,
+      responseBody: body,
+      url: "https://test.example.com/v2/whisper-status",
+      whisperHash: "h1",
+    });
+  });
+
+  test("429 carries the Retry-After delay", async () => {
+    const client = createV2Client();
+    client.client.defaults.adapter = errorAdapter(
+      429,
+      { message: "Slow down" },
+      { "retry-after": "7" },
+    );
+
+    const error = await rejectionOf(client.getUsageInfo());
+
+    expect(error).toBeInstanceOf(LLMWhispererRateLimitError);
+    expect(error.retryAfter).toBe(7);
+  });
+
+  test("a non-JSON error body keeps the raw body and a readable message", async () => {
+    const client = createV2Client();
+    const html = "<html>502 Bad Gateway</html>";
+    client.client.defaults.adapter = errorAdapter(502, html);
+
+    const error = await rejectionOf(client.whisperDetail("h1"));
+
+    expect(error).toBeInstanceOf(LLMWhispererServerError);
+    expect(error.message).toBe("Request failed with status code 502");
+    expect(error.responseBody).toBe(html);
+  });
+
+  test("a refused connection raises a network error", async () => {
+    const server = http.createServer();
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    const { port } = server.address();
+    await new Promise((resolve) => server.close(resolve));
+    const client = createV2Client({ baseUrl: `http://127.0.0.1:${port}/v2` });
+
+    const error = await rejectionOf(client.whisperRetrieve("h1"));
+
+    expect(error).toBeInstanceOf(LLMWhispererNetworkError);
+    expect(error.statusCode).toBe(-1);
+    expect(error.url).toBe(`http://127.0.0.1:${port}/v2/whisper-retrieve`);
+    expect(error.whisperHash).toBe("h1");
+  });
+
+  test("a request timeout raises a timeout error", async () => {
+    const client = createV2Client();
+    client.client.defaults.adapter = (config) => {
+      const err = new Error("timeout of 1000ms exceeded");
+      err.config = config;
+      err.isAxiosError = true;
+      err.code = "ECONNABORTED";
+      return Promise.reject(err);
+    };
+
+    const error = await rejectionOf(client.getUsageInfo());
+
+    expect(error).toBeInstanceOf(LLMWhispererTimeoutError);
+    expect(error.statusCode).toBe(-1);
+  });
+
+  test("a job wait that runs out of time raises a timeout error", async () => {
+    const client = createV2Client();
+    client.client.defaults.adapter = (config) =>
+      Promise.resolve({
+        status: 200,
+        data: { status: "processing" },
+        headers: {},
+        config,
+      });
+
+    const error = await rejectionOf(
+      client.job("h1").wait({
+        timeout: 0.02,
+        pollPolicy: { initialInterval: 0.01 },
+      }),
+    );
+
+    expect(error).toBeInstanceOf(LLMWhispererTimeoutError);
+    expect(error.whisperHash).toBe("h1");
+  });
+
+  test("getHighlightData reports an unexpected status with a string message", async () => {
+    const client = createV2Client();
+    client.client.defaults.adapter = (config) =>
+      Promise.resolve({ status: 204, data: "", headers: {}, config });
+
+    const error = await rejectionOf(client.getHighlightData("h1", "1-2"));
+
+    expect(error).toBeInstanceOf(LLMWhispererClientException);
+    expect(error.message).toBe("Unexpected status code 204");
+    expect(error.statusCode).toBe(204);
+    expect(error.whisperHash).toBe("h1");
+  });
+});
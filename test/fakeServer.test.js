@@ -0,0 +1,180 @@
+const http = require("http");
+const {
+  LLMWhispererAuthenticationError,
+  LLMWhispererClientV2,
+  LLMWhispererRateLimitError,
+  createFakeServer,
+  createWebhookHandler,
+} = require("../index");
+
+function createV2Client(opts = {}) {
+  return new LLMWhispererClientV2({
+    apiKey: "test-key",
+    loggingLevel: "error",
+    maxRetries: 0,
+    pollPolicy: { initialInterval: 0.01 },
+    ...opts,
+  });
+}
+
+let server;
+let client;
+
+beforeEach(async () => {
+  server = createFakeServer({ apiKey: "test-key" });
+  const baseUrl = await server.listen();
+  client = createV2Client({ baseUrl });
+});
+
+afterEach(async () => {
+  await server.close();
+});
+
+describe("fake server", () => {
+  test("runs a whisper -> status -> retrieve cycle", async () => {
+    server.addFixture(
+      { filename: "invoice.pdf" },
+      { pages: ["ACME Invoice", "Total 42.00"], processingTime: 0.05 },
+    );
+
+    const result = await client.whisper({
+      data: Buffer.from("%PDF-1.4"),
+      filename: "invoice.pdf",
+      waitForCompletion: true,
+    });
+
+    expect(result).toMatchObject({
+      status_code: 200,
+      status: "processed",
+      extraction: {
+        result_text: "ACME Invoice\n<<<\nTotal 42.00\n<<<\n",
+      },
+    });
+    expect(server.requests.map((r) => r.endpoint)).toEqual(
+      expect.arrayContaining(["whisper", "whisper-status", "whisper-retrieve"]),
+    );
+    expect(await client.whisperStatus(result.whisper_hash)).toMatchObject({
+      status: "retrieved",
+    });
+    expect(await client.whisperDetail(result.whisper_hash)).toMatchObject({
+      total_pages: 2,
+      upload_file_size_in_kb: 8 / 1024,
+    });
+    expect(await client.getUsageInfo()).toMatchObject({ today_page_count: 2 });
+  });
+
+  test("reports failed jobs and unknown hashes", async () => {
+    server.addFixture({ tag: "broken" }, { error: "Unreadable document" });
+
+    const result = await client.whisper({
+      url: "https://example.com/a.pdf",
+      tag: "broken",
+      waitForCompletion: true,
+    });
+
+    expect(result).toMatchObject({
+      status: "error",
+      message: "Unreadable document",
+    });
+    await expect(client.whisperRetrieve("nope")).rejects.toMatchObject({
+      statusCode: 404,
+    });
+  });
+
+  test("serves scripted errors and 429s before normal handling", async () => {
+    const retrying = createV2Client({
+      baseUrl: server.baseUrl,
+      maxRetries: 2,
+      initialDelay: 0.01,
+      jitter: 0,
+    });
+    server.respondNext(
+      "get-usage-info",
+      { status: 429, headers: { "retry-after": "0" } },
+      { times: 2 },
+    );
+
+    await expect(retrying.getUsageInfo()).resolves.toMatchObject({
+      subscription_plan: "fake",
+    });
+
+    server.respondNext("get-usage-info", { status: 429, delay: 20 });
+    await expect(client.getUsageInfo()).rejects.toThrow(
+      LLMWhispererRateLimitError,
+    );
+    expect(
+      server.requests.filter((r) => r.endpoint === "get-usage-info"),
+    ).toHaveLength(4);
+  });
+
+  test("checks the API key", async () => {
+    const stranger = createV2Client({
+      baseUrl: server.baseUrl,
+      apiKey: "wrong",
+    });
+    await expect(stranger.getUsageInfo()).rejects.toThrow(
+      LLMWhispererAuthenticationError,
+    );
+  });
+
+  test("numbers lines and serves highlights for addLineNos jobs", async () => {
+    server.addFixture(() => true, { pages: ["Invoice", "Total\nThanks"] });
+    const job = await client.whisper({
+      url: "https://example.com/a.pdf",
+      addLineNos: true,
+      returnJob: true,
+    });
+
+    const hits = await job.findText("total");
+
+    expect(hits).toEqual([
+      expect.objectContaining({
+        pageNumber: 2,
+        lineNumber: 2,
+        boundingBox: expect.objectContaining({ page: 1, base_y: 40 }),
+      }),
+    ]);
+  });
+
+  test("manages webhooks and delivers callbacks to them", async () => {
+    const events = [];
+    const receiver = http.createServer(
+      createWebhookHandler({
+        authToken: "s3cret",
+        onEvent: (event) => events.push(event),
+      }),
+    );
+    await new Promise((resolve) => receiver.listen(0, "127.0.0.1", resolve));
+    const hookUrl = `http://127.0.0.1:${receiver.address().port}/hook`;
+
+    try {
+      await client.registerWebhook(hookUrl, "s3cret", "orders");
+      expect((await client.getWebhookDetails("orders")).message).toMatchObject(
+        { url: hookUrl },
+      );
+
+      const accepted = await client.whisper({
+        url: "https://example.com/a.pdf",
+        useWebhook: "orders",
+        webhookMetadata: '{"id":7}',
+      });
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      await server.flushWebhooks();
+
+      expect(events).toHaveLength(1);
+      expect(events[0]).toMatchObject({
+        whisperHash: accepted.whisper_hash,
+        webhookMetadata: '{"id":7}',
+        status: "processed",
+      });
+      expect(server.webhookDeliveries[0].status).toBe(200);
+
+      await client.deleteWebhookDetails("orders");
+      await expect(client.getWebhookDetails("orders")).rejects.toMatchObject({
+        statusCode: 404,
+      });
+    } finally {
+      await new Promise((resolve) => receiver.close(resolve));
+    }
+  });
+});
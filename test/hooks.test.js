@@ -0,0 +1,238 @@
+const fs = require("fs");
+const path = require("path");
+const {
+  LLMWhispererClientV2,
+  LLMWhispererServerError,
+} = require("../index");
+
+function createV2Client(opts = {}) {
+  return new LLMWhispererClientV2({
+    baseUrl: "https://test.example.com/v2",
+    apiKey: "test-key",
+    loggingLevel: "error",
+    maxRetries: 0,
+    pollPolicy: { initialInterval: 0.01 },
+    ...opts,
+  });
+}
+
+function httpError(config, status, data = { message: "Server error" }) {
+  const error = new Error(`Request failed with status code ${status}`);
+  error.config = config;
+  error.isAxiosError = true;
+  error.response = { status, data, headers: {}, config };
+  return error;
+}
+
+/** Helper: answers every endpoint, failing the first `failures` calls with a 500. */
+function mockAdapter(client, { failures = 0, statuses = ["processed"] } = {}) {
+  const requests = [];
+  let polled = 0;
+  client.client.defaults.adapter = async (config) => {
+    requests.push(config);
+    if (requests.length <= failures) {
+      throw httpError(config, 500);
+    }
+    const endpoint = new URL(config.url).pathname.split("/").pop();
+    if (endpoint === "whisper") {
+      const data = { whisper_hash: "h1", status: "accepted" };
+      return { status: 202, data, headers: {}, config };
+    }
+    if (endpoint === "whisper-status") {
+      const status = statuses[Math.min(polled++, statuses.length - 1)];
+      const data = { status, message: "Unreadable" };
+      return { status: 200, data, headers: {}, config };
+    }
+    const data = { result_text: "text", whisper_hash: "h1" };
+    return { status: 200, data, headers: {}, config };
+  };
+  return requests;
+}
+
+describe("lifecycle hooks", () => {
+  test("beforeRequest can add headers and params", async () => {
+    const client = createV2Client({
+      hooks: {
+        beforeRequest: ({ headers, params }) => {
+          headers["x-correlation-id"] = "abc";
+          params.trace = "1";
+        },
+      },
+    });
+    const requests = mockAdapter(client);
+
+    await client.getUsageInfo();
+    await client.whisperStatus("h1");
+
+    expect(requests.map((r) => r.headers["x-correlation-id"])).toEqual([
+      "abc",
+      "abc",
+    ]);
+    expect(requests[1].params).toEqual({ whisper_hash: "h1", trace: "1" });
+  });
+
+  test("report the client method, URL, params and timing", async () => {
+    const afterResponse = jest.fn();
+    const client = createV2Client({ hooks: { afterResponse } });
+    mockAdapter(client);
+
+    await client.whisperRetrieve("h1");
+
+    expect(afterResponse).toHaveBeenCalledTimes(1);
+    const context = afterResponse.mock.calls[0][0];
+    expect(context).toMatchObject({
+      method: "whisperRetrieve",
+      httpMethod: "GET",
+      url: "https://test.example.com/v2/whisper-retrieve",
+      params: { whisper_hash: "h1" },
+      attempt: 1,
+      status: 200,
+      response: expect.objectContaining({ data: expect.any(Object) }),
+    });
+    expect(context.startedAt).toBeLessThanOrEqual(Date.now());
+    expect(context.durationMs).toBeGreaterThanOrEqual(0);
+  });
+
+  test("retries run beforeRequest and onRetry each time but report the outcome once", async () => {
+    const calls = [];
+    const record = (name) => (context) =>
+      calls.push([name, context.attempt, context.status]);
+    const client = createV2Client({
+      maxRetries: 2,
+      initialDelay: 0.001,
+      jitter: 0,
+      hooks: {
+        beforeRequest: record("beforeRequest"),
+        afterResponse: record("afterResponse"),
+        onError: record("onError"),
+        onRetry: record("onRetry"),
+      },
+    });
+    mockAdapter(client, { failures: 2 });
+
+    await client.getUsageInfo();
+
+    expect(calls).toEqual([
+      ["beforeRequest", 1, undefined],
+      ["onRetry", 2, 500],
+      ["beforeRequest", 2, undefined],
+      ["onRetry", 3, 500],
+      ["beforeRequest", 3, undefined],
+      ["afterResponse", 3, 200],
+    ]);
+  });
+
+  test("onError receives the client exception once retries are exhausted", async () => {
+    const onError = jest.fn();
+    const client = createV2Client({
+      maxRetries: 1,
+      initialDelay: 0.001,
+      jitter: 0,
+      hooks: { onError },
+    });
+    mockAdapter(client, { failures: 5 });
+
+    await expect(client.getUsageInfo()).rejects.toThrow(
+      LLMWhispererServerError,
+    );
+
+    expect(onError).toHaveBeenCalledTimes(1);
+    expect(onError.mock.calls[0][0]).toMatchObject({
+      method: "getUsageInfo",
+      attempt: 2,
+      status: 500,
+      error: expect.any(LLMWhispererServerError),
+    });
+  });
+
+  test("report each poll and the completed job", async () => {
+    const onPollStatus = jest.fn();
+    const onJobComplete = jest.fn();
+    const client = createV2Client().use({ onPollStatus, onJobComplete });
+    mockAdapter(client, { statuses: ["processing", "processed"] });
+
+    await client.whisper({ url: "https://example.com/a.pdf", waitForCompletion: true });
+
+    expect(onPollStatus.mock.calls.map(([c]) => [c.attempt, c.status.status])).toEqual([
+      [1, "processing"],
+      [2, "processed"],
+    ]);
+    expect(onJobComplete).toHaveBeenCalledTimes(1);
+    expect(onJobComplete.mock.calls[0][0]).toMatchObject({
+      whisperHash: "h1",
+      status: { status: "processed" },
+      durationMs: expect.any(Number),
+    });
+  });
+
+  test("report failed jobs as complete", async () => {
+    const onJobComplete = jest.fn();
+    const client = createV2Client({ hooks: { onJobComplete } });
+    mockAdapter(client, { statuses: ["error"] });
+
+    await client.whisper({ url: "https://example.com/a.pdf", waitForCompletion: true });
+
+    expect(onJobComplete.mock.calls[0][0].status).toMatchObject({
+      status: "error",
+      message: "Unreadable",
+    });
+  });
+
+  test("hook sets run in order and failing observers are ignored", async () => {
+    const order = [];
+    const client = createV2Client({
+      hooks: [
+        {
+          afterResponse: () => {
+            order.push("first");
+            throw new Error("metrics down");
+          },
+        },
+        { afterResponse: async () => order.push("second") },
+      ],
+    });
+    mockAdapter(client);
+    const warn = jest.spyOn(client.logger, "warn");
+
+    await client.getUsageInfo();
+
+    expect(order).toEqual(["first", "second"]);
+    expect(warn).toHaveBeenCalledWith("Hook failed", {
+      hook: "afterResponse",
+      error: expect.objectContaining({ message: "metrics down" }),
+    });
+  });
+
+  test("a throwing beforeRequest fails the call and closes the upload", async () => {
+    const client = createV2Client({
+      hooks: {
+        beforeRequest: () => {
+          throw new Error("not allowed");
+        },
+      },
+    });
+    const requests = mockAdapter(client);
+
+    await expect(client.getUsageInfo()).rejects.toThrow("not allowed");
+    expect(requests).toEqual([]);
+
+    const createReadStream = jest.spyOn(fs, "createReadStream");
+    await expect(
+      client.whisper({
+        filePath: path.join(__dirname, "data", "credit_card.pdf"),
+      }),
+    ).rejects.toThrow("not allowed");
+    const [stream] = createReadStream.mock.results.map((r) => r.value);
+    createReadStream.mockRestore();
+    expect(stream.destroyed).toBe(true);
+  });
+
+  test("rejects unknown hooks", () => {
+    expect(() => createV2Client({ hooks: { beforeSend: () => {} } })).toThrow(
+      /Unknown hook beforeSend/,
+    );
+    expect(() => createV2Client().use({ onError: "log" })).toThrow(
+      /hooks.onError must be a function/,
+    );
+  });
+});
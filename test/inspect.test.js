@@ -0,0 +1,201 @@
+const fs = require("fs");
+const path = require("path");
+const {
+  LLMWhispererClientV2,
+  LLMWhispererValidationError,
+} = require("../index");
+
+function createV2Client(opts = {}) {
+  return new LLMWhispererClientV2({
+    baseUrl: "https://test.example.com/v2",
+    apiKey: "test-key",
+    loggingLevel: "error",
+    maxRetries: 0,
+    ...opts,
+  });
+}
+
+// A 7-page PDF, encrypted with an owner password only.
+const creditCardPath = path.join(__dirname, "data", "credit_card.pdf");
+const creditCard = fs.readFileSync(creditCardPath);
+
+const png = Buffer.from("89504e470d0a1a0a0000000d49484452", "hex");
+
+/** Builds a little-endian TIFF whose image directories are chained as `next`. */
+function tiff(pages, { loop = false } = {}) {
+  const buffer = Buffer.alloc(8 + pages * 6);
+  buffer.write("II*\0", 0, "latin1");
+  buffer.writeUInt32LE(8, 4);
+  for (let i = 0; i < pages; i++) {
+    const offset = 8 + i * 6;
+    const last = i === pages - 1;
+    buffer.writeUInt16LE(0, offset);
+    buffer.writeUInt32LE(last ? (loop ? 8 : 0) : offset + 6, offset + 2);
+  }
+  return buffer;
+}
+
+describe("inspect", () => {
+  const client = createV2Client();
+
+  test("reads the type and page count of a PDF on disk", async () => {
+    const report = await client.inspect(creditCardPath);
+
+    expect(report).toEqual({
+      filename: "credit_card.pdf",
+      size: creditCard.length,
+      type: "pdf",
+      mimeType: "application/pdf",
+      pageCount: 7,
+      selectedPages: 7,
+      encrypted: true,
+      problems: [],
+      warnings: [
+        "The PDF is encrypted; it can only be processed if it opens without a password",
+      ],
+      ok: true,
+    });
+  });
+
+  test("spots truncated PDFs", async () => {
+    const truncated = await client.inspect(
+      creditCard.subarray(0, creditCard.length / 2),
+    );
+    expect(truncated.ok).toBe(false);
+    expect(truncated.problems).toEqual([
+      "The PDF is truncated or corrupt: no %%EOF marker",
+    ]);
+
+    const plain = await client.inspect(
+      Buffer.from(
+        "%PDF-1.7\n1 0 obj << /Type /Pages /Count 2 >> endobj\n" +
+          "trailer << /Root 2 0 R >>\n%%EOF\n",
+      ),
+    );
+    expect(plain).toMatchObject({ ok: true, encrypted: false, pageCount: 2 });
+    expect(plain.warnings).toEqual([]);
+  });
+
+  test("counts the pages of a multi-page TIFF", async () => {
+    expect(await client.inspect(tiff(3))).toMatchObject({
+      type: "tiff",
+      pageCount: 3,
+      ok: true,
+    });
+    expect(
+      (await client.inspect(tiff(2, { loop: true }))).problems,
+    ).toEqual(["The TIFF is truncated or corrupt"]);
+  });
+
+  test("sniffs the real type instead of trusting the extension", async () => {
+    const report = await client.inspect(png, { filename: "scan.pdf" });
+    expect(report).toMatchObject({ type: "png", pageCount: 1, ok: true });
+    expect(report.warnings).toEqual([
+      "The file is named .pdf but its contents are png",
+    ]);
+
+    const docx = Buffer.from(
+      "PK\x03\x04....[Content_Types].xml....word/document.xml",
+      "latin1",
+    );
+    expect(await client.inspect(docx)).toMatchObject({
+      type: "docx",
+      pageCount: null,
+      ok: true,
+    });
+    expect(
+      (await client.inspect(Buffer.from("Invoice 42\nTotal: 10.00\n"))).type,
+    ).toBe("text");
+  });
+
+  test("refuses empty, unsupported and missing files", async () => {
+    expect((await client.inspect(Buffer.alloc(0))).problems).toEqual([
+      "The file is empty",
+    ]);
+    expect(
+      (await client.inspect(Buffer.from([0x00, 0xff, 0x10, 0x80]))).problems,
+    ).toEqual(["The file type is not supported"]);
+    const missing = await client.inspect("/no/such/file.pdf");
+    expect(missing.ok).toBe(false);
+    expect(missing.problems[0]).toMatch(/ENOENT/);
+  });
+
+  test("checks pagesToExtract and the limits against the document", async () => {
+    const past = await client.inspect(creditCard, { pagesToExtract: "5-10" });
+    expect(past).toMatchObject({ ok: true, selectedPages: 3 });
+    expect(past.warnings).toContainEqual(
+      expect.stringMatching(/goes past the last page \(7\)/),
+    );
+
+    expect(
+      (await client.inspect(creditCard, { pagesToExtract: "9-" })).problems,
+    ).toEqual(['pagesToExtract "9-" selects none of the 7 pages']);
+
+    const limited = await client.inspect(creditCard, {
+      maxFileSize: 1000,
+      maxPages: 5,
+    });
+    expect(limited.problems).toEqual([
+      `The file is ${creditCard.length} bytes, over the limit of 1000`,
+      "7 pages selected, over the limit of 5",
+    ]);
+  });
+});
+
+describe("whisper({ inspect })", () => {
+  function uploadClient() {
+    const client = createV2Client();
+    const counts = { whisper: 0 };
+    client.client.defaults.adapter = async (config) => {
+      counts.whisper++;
+      if (config.data && typeof config.data.pipe === "function") {
+        for await (const chunk of config.data) void chunk;
+      }
+      const data = { whisper_hash: "h1", status: "accepted" };
+      return { status: 202, data, headers: {}, config };
+    };
+    return { client, counts };
+  }
+
+  test("refuses a document with problems before uploading it", async () => {
+    const { client, counts } = uploadClient();
+
+    const error = await client
+      .whisper({
+        data: creditCard.subarray(0, 1000),
+        inspect: true,
+      })
+      .catch((e) => e);
+
+    expect(error).toBeInstanceOf(LLMWhispererValidationError);
+    expect(error.statusCode).toBe(-1);
+    expect(error.errors).toEqual([
+      "The PDF is truncated or corrupt: no %%EOF marker",
+    ]);
+    expect(counts.whisper).toBe(0);
+  });
+
+  test("uploads documents that pass and logs the warnings", async () => {
+    const { client, counts } = uploadClient();
+    const warn = jest.spyOn(client.logger, "warn");
+
+    await client.whisper({
+      filePath: creditCardPath,
+      pagesToExtract: "6-8",
+      inspect: { maxPages: 5 },
+    });
+
+    expect(counts.whisper).toBe(1);
+    expect(warn).toHaveBeenCalledWith("Document inspection warning", {
+      filename: "credit_card.pdf",
+      warning: expect.stringMatching(/^pagesToExtract "6-8" goes past/),
+    });
+  });
+
+  test("applies the limits given to inspect", async () => {
+    const { client } = uploadClient();
+    await expect(
+      client.whisper({ filePath: creditCardPath, inspect: { maxPages: 5 } }),
+    ).rejects.toThrow(/7 pages selected, over the limit of 5/);
+  });
+});
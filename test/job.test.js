@@ -0,0 +1,183 @@
+const {
+  LLMWhispererClientV2,
+  LLMWhispererClientException,
+  WhisperJob,
+} = require("../index");
+
+function createV2Client(opts = {}) {
+  return new LLMWhispererClientV2({
+    baseUrl: "https://test.example.com/v2",
+    apiKey: "test-key",
+    loggingLevel: "error",
+    maxRetries: 0,
+    ...opts,
+  });
+}
+
+/**
+ * Helper: answers each endpoint from its own queue of response bodies and
+ * counts the calls made to it. The last body of a queue is repeated.
+ */
+function endpointAdapter(queues) {
+  const counts = {};
+  const adapter = (config) => {
+    const endpoint = new URL(config.url).pathname.split("/").pop();
+    counts[endpoint] = (counts[endpoint] || 0) + 1;
+    const queue = queues[endpoint];
+    if (!queue) {
+      return Promise.reject(new Error(`Unexpected call to ${endpoint}`));
+    }
+    const [status, data] = queue.length > 1 ? queue.shift() : queue[0];
+    return Promise.resolve({ status, data, headers: {}, config });
+  };
+  return { adapter, counts };
+}
+
+describe("WhisperJob", () => {
+  test("whisper({ returnJob: true }) returns a job for the accepted hash", async () => {
+    const client = createV2Client();
+    client.client.defaults.adapter = endpointAdapter({
+      whisper: [[202, { whisper_hash: "h1", status: "processing" }]],
+    }).adapter;
+
+    const job = await client.whisper({
+      url: "https://example.com/a.pdf",
+      returnJob: true,
+    });
+
+    expect(job).toBeInstanceOf(WhisperJob);
+    expect(job.whisperHash).toBe("h1");
+    expect(job.submission.status).toBe("processing");
+    expect(JSON.stringify(job)).toBe('{"whisperHash":"h1"}');
+  });
+
+  test("wait() polls until processed and result() retrieves once", async () => {
+    const client = createV2Client();
+    const { adapter, counts } = endpointAdapter({
+      "whisper-status": [
+        [200, { status: "accepted" }],
+        [200, { status: "processing" }],
+        [200, { status: "processed" }],
+      ],
+      "whisper-retrieve": [[200, { result_text: "hello" }]],
+    });
+    client.client.defaults.adapter = adapter;
+    const job = client.job("h1");
+
+    const status = await job.wait({ pollPolicy: { initialInterval: 0.01 } });
+    expect(status.status).toBe("processed");
+    expect(counts["whisper-status"]).toBe(3);
+
+    expect((await job.result()).result_text).toBe("hello");
+    expect((await job.result()).result_text).toBe("hello");
+    expect(counts["whisper-retrieve"]).toBe(1);
+    expect(counts["whisper-status"]).toBe(3);
+  });
+
+  test("wait() throws when the job fails", async () => {
+    const client = createV2Client();
+    client.client.defaults.adapter = endpointAdapter({
+      "whisper-status": [[200, { status: "error", message: "Corrupt file" }]],
+    }).adapter;
+
+    await expect(client.job("h1").wait()).rejects.toThrow("Corrupt file");
+  });
+
+  test("wait() throws after the timeout", async () => {
+    const client = createV2Client();
+    client.client.defaults.adapter = endpointAdapter({
+      "whisper-status": [[200, { status: "processing" }]],
+    }).adapter;
+
+    const promise = client.job("h1").wait({
+      timeout: 0.05,
+      pollPolicy: { initialInterval: 0.02 },
+    });
+    await expect(promise).rejects.toThrow(LLMWhispererClientException);
+    await expect(promise).rejects.toThrow(/timed out/);
+  });
+
+  test("wait() stops when the signal is aborted", async () => {
+    const client = createV2Client();
+    client.client.defaults.adapter = endpointAdapter({
+      "whisper-status": [[200, { status: "processing" }]],
+    }).adapter;
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 20);
+
+    const started = Date.now();
+    await expect(
+      client.job("h1").wait({
+        pollPolicy: { initialInterval: 60 },
+        signal: controller.signal,
+      }),
+    ).rejects.toThrow(/aborted/);
+    expect(Date.now() - started).toBeLessThan(1000);
+  });
+
+  test("waited-on whisper() results keep the shapes index.d.ts declares", async () => {
+    const client = createV2Client({ pollPolicy: { initialInterval: 0.01 } });
+    const whisper = [[202, { whisper_hash: "h1", status: "processing" }]];
+    const waited = (queues) => {
+      client.client.defaults.adapter = endpointAdapter({
+        whisper,
+        ...queues,
+      }).adapter;
+      return client.whisper({
+        url: "https://example.com/a.pdf",
+        waitForCompletion: true,
+        waitTimeout: 0.05,
+      });
+    };
+
+    expect(
+      await waited({ "whisper-status": [[200, { status: "processing" }]] }),
+    ).toEqual({
+      whisper_hash: "h1",
+      status: "processing",
+      statusCode: 202,
+      status_code: -1,
+      message: "Whisper client operation timed out",
+      extraction: {},
+    });
+    expect(
+      await waited({ "whisper-status": [[204, { status: "processing" }]] }),
+    ).toEqual({
+      whisper_hash: "h1",
+      status: "processing",
+      statusCode: 202,
+      status_code: 204,
+      message: "Whisper client operation failed",
+      extraction: {},
+    });
+    expect(
+      await waited({
+        "whisper-status": [[200, { status: "error", message: "Corrupt file" }]],
+      }),
+    ).toEqual({
+      whisper_hash: "h1",
+      status: "error",
+      status_code: -1,
+      message: "Corrupt file",
+      extraction: {},
+    });
+  });
+
+  test("detail() and highlights() call the matching endpoints", async () => {
+    const client = createV2Client();
+    const { adapter } = endpointAdapter({
+      "whisper-detail": [[200, { whisper_hash: "h1", total_pages: 2 }]],
+      highlights: [[200, { 1: { page: 0 } }]],
+    });
+    client.client.defaults.adapter = adapter;
+    const job = client.job("h1");
+
+    expect((await job.detail()).total_pages).toBe(2);
+    expect(await job.highlights("1")).toEqual({ 1: { page: 0 } });
+  });
+
+  test("job() requires a hash", () => {
+    const client = createV2Client();
+    expect(() => client.job("")).toThrow(/whisperHash is required/);
+  });
+});
@@ -0,0 +1,282 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  FileJournal,
+  LLMWhispererClientV2,
+  LLMWhispererAbortError,
+  LLMWhispererNotFoundError,
+  LLMWhispererTimeoutError,
+} = require("../index");
+
+function createV2Client(opts = {}) {
+  return new LLMWhispererClientV2({
+    baseUrl: "https://test.example.com/v2",
+    apiKey: "test-key",
+    loggingLevel: "error",
+    maxRetries: 0,
+    pollPolicy: { initialInterval: 0.01 },
+    ...opts,
+  });
+}
+
+/**
+ * Helper: serves whisper -> status -> retrieve, answering whisper-status from
+ * `statuses[hash]` ("processed" when unset) and recording retrieved hashes.
+ * "missing" answers 404 and "no-content" an empty 204.
+ */
+function jobAdapter(statuses = {}) {
+  const retrieved = [];
+  let submitted = 0;
+  const adapter = async (config) => {
+    const endpoint = new URL(config.url).pathname.split("/").pop();
+    if (config.data && typeof config.data.pipe === "function") {
+      for await (const chunk of config.data) void chunk;
+    }
+    const hash = config.params && config.params.whisper_hash;
+    if (endpoint === "whisper") {
+      submitted++;
+      const data = { whisper_hash: `h${submitted}`, status: "accepted" };
+      return { status: 202, data, headers: {}, config };
+    }
+    const status = statuses[hash] || "processed";
+    if (status === "missing") {
+      const error = new Error("Request failed with status code 404");
+      error.config = config;
+      error.isAxiosError = true;
+      error.response = {
+        status: 404,
+        data: { message: "Whisper hash not found" },
+        headers: {},
+      };
+      throw error;
+    }
+    if (endpoint === "whisper-status" && status === "no-content") {
+      return { status: 204, data: {}, headers: {}, config };
+    }
+    if (endpoint === "whisper-status") {
+      const data = { status, message: "Extraction failed" };
+      return { status: 200, data, headers: {}, config };
+    }
+    retrieved.push(hash);
+    const data = { result_text: `text of ${hash}` };
+    return { status: 200, data, headers: {}, config };
+  };
+  return { adapter, retrieved };
+}
+
+let directory;
+let filePath;
+
+beforeEach(() => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), "llmwhisperer-journal-"));
+  filePath = path.join(directory, "doc.pdf");
+  fs.writeFileSync(filePath, "%PDF-1.4 test document");
+});
+
+afterEach(() => {
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+function journaledClient(statuses) {
+  const journal = new FileJournal({ directory: path.join(directory, "journal") });
+  const client = createV2Client({ journal });
+  const { adapter, retrieved } = jobAdapter(statuses);
+  client.client.defaults.adapter = adapter;
+  return { client, journal, retrieved };
+}
+
+describe("job journal", () => {
+  test("records the submission before polling and removes it once retrieved", async () => {
+    const { client, journal } = journaledClient();
+    const record = jest.spyOn(journal, "record");
+    const status = jest.spyOn(client, "_fetchWhisperStatus");
+
+    const result = await client.whisper({
+      filePath,
+      waitForCompletion: true,
+      mode: "form",
+      tag: "invoices",
+    });
+
+    expect(result.status_code).toBe(200);
+    expect(record).toHaveBeenCalledWith({
+      whisperHash: "h1",
+      baseUrl: "https://test.example.com/v2",
+      filePath,
+      url: null,
+      filename: "doc.pdf",
+      tag: "invoices",
+      params: expect.objectContaining({ mode: "form", tag: "invoices" }),
+      submittedAt: expect.stringMatching(/^\d{4}-\d\d-\d\dT/),
+    });
+    expect(record.mock.invocationCallOrder[0]).toBeLessThan(
+      status.mock.invocationCallOrder[0],
+    );
+    expect(await journal.pending()).toEqual([]);
+  });
+
+  test("keeps jobs that were not retrieved and resumes them", async () => {
+    const { client, journal, retrieved } = journaledClient({ h1: "processing" });
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 50);
+
+    await expect(
+      client.whisper({
+        url: "https://example.com/a.pdf",
+        waitForCompletion: true,
+        signal: controller.signal,
+      }),
+    ).rejects.toThrow(LLMWhispererAbortError);
+    expect((await journal.pending()).map((e) => e.whisperHash)).toEqual(["h1"]);
+
+    // A new process sees the entry and finishes the job.
+    const restarted = createV2Client({ journal });
+    const restartedAdapter = jobAdapter();
+    restarted.client.defaults.adapter = restartedAdapter.adapter;
+    const onResult = jest.fn();
+
+    const { results, succeeded, failed } = await restarted.resumePending({
+      onResult,
+    });
+
+    expect(retrieved).toEqual([]);
+    expect(restartedAdapter.retrieved).toEqual(["h1"]);
+    expect({ succeeded, failed }).toEqual({ succeeded: 1, failed: 0 });
+    expect(results[0]).toMatchObject({
+      ok: true,
+      entry: { whisperHash: "h1", url: "https://example.com/a.pdf" },
+      extraction: { result_text: "text of h1" },
+    });
+    expect(onResult).toHaveBeenCalledWith(results[0]);
+    expect(await journal.pending()).toEqual([]);
+  });
+
+  test("drops failed and unknown jobs but keeps timed-out ones", async () => {
+    const { client, journal } = journaledClient({
+      h1: "error",
+      h2: "missing",
+      h3: "processing",
+    });
+    for (const hash of ["h1", "h2", "h3"]) {
+      await journal.record({
+        whisperHash: hash,
+        submittedAt: `2026-01-0${hash[1]}T00:00:00.000Z`,
+      });
+    }
+
+    const { results, failed } = await client.resumePending({ timeout: 0.05 });
+
+    expect(failed).toBe(3);
+    expect(results[0].error.message).toBe("Extraction failed");
+    expect(results[1].error).toBeInstanceOf(LLMWhispererNotFoundError);
+    expect(results[2].error).toBeInstanceOf(LLMWhispererTimeoutError);
+    expect((await journal.pending()).map((e) => e.whisperHash)).toEqual(["h3"]);
+  });
+
+  test("a throwing onResult does not stop the other jobs", async () => {
+    const { client, journal } = journaledClient();
+    for (const hash of ["h1", "h2"]) {
+      await journal.record({
+        whisperHash: hash,
+        submittedAt: `2026-01-0${hash[1]}T00:00:00.000Z`,
+      });
+    }
+    const warn = jest.spyOn(client.logger, "warn");
+
+    const { succeeded } = await client.resumePending({
+      concurrency: 1,
+      onResult: () => {
+        throw new Error("dashboard down");
+      },
+    });
+
+    expect(succeeded).toBe(2);
+    expect(warn).toHaveBeenCalledWith("onResult threw", {
+      whisperHash: "h1",
+      error: expect.objectContaining({ message: "dashboard down" }),
+    });
+  });
+
+  test("does not journal calls that do not wait", async () => {
+    const { client, journal } = journaledClient();
+    await client.whisper({ filePath });
+    expect(await journal.pending()).toEqual([]);
+  });
+
+  test("does not journal a returned job, which the caller retrieves", async () => {
+    const { client, journal, retrieved } = journaledClient();
+    const record = jest.spyOn(journal, "record");
+
+    const job = await client.whisper({
+      filePath,
+      waitForCompletion: true,
+      returnJob: true,
+    });
+
+    expect(job.isDone()).toBe(true);
+    expect(retrieved).toEqual([]);
+    expect(record).not.toHaveBeenCalled();
+    expect(await journal.pending()).toEqual([]);
+  });
+
+  test("drops a job whose status call fails", async () => {
+    const { client, journal } = journaledClient({ h1: "no-content" });
+
+    const result = await client.whisper({ filePath, waitForCompletion: true });
+
+    expect(result).toMatchObject({
+      status_code: 204,
+      message: "Whisper client operation failed",
+    });
+    expect(await journal.pending()).toEqual([]);
+  });
+
+  test("a failing store does not fail the extraction", async () => {
+    const journal = {
+      record: jest.fn().mockRejectedValue(new Error("disk full")),
+      complete: jest.fn().mockRejectedValue(new Error("disk full")),
+      pending: jest.fn(),
+    };
+    const client = createV2Client({ journal });
+    client.client.defaults.adapter = jobAdapter().adapter;
+
+    const result = await client.whisper({ filePath, waitForCompletion: true });
+
+    expect(result.status_code).toBe(200);
+    expect(journal.complete).toHaveBeenCalledWith("h1");
+  });
+
+  test("requires a journal and a complete store", async () => {
+    await expect(createV2Client().resumePending()).rejects.toThrow(
+      /requires a client journal/,
+    );
+    expect(() => createV2Client({ journal: { record() {} } })).toThrow(
+      /record, complete and pending/,
+    );
+  });
+});
+
+describe("FileJournal", () => {
+  test("lists entries oldest first and completes them once", async () => {
+    const journal = new FileJournal({ directory });
+    await journal.record({ whisperHash: "b|2", submittedAt: "2026-02-01" });
+    await journal.record({ whisperHash: "a/1", submittedAt: "2026-01-01" });
+    fs.writeFileSync(path.join(directory, "stray.json"), "{not json");
+
+    expect((await journal.pending()).map((e) => e.whisperHash)).toEqual([
+      "a/1",
+      "b|2",
+    ]);
+    expect(await journal.complete("a/1")).toBe(true);
+    expect(await journal.complete("a/1")).toBe(false);
+    expect(fs.readdirSync(directory).filter((n) => n.endsWith(".tmp"))).toEqual(
+      [],
+    );
+  });
+
+  test("treats a missing directory as an empty journal", async () => {
+    const journal = new FileJournal({ directory: path.join(directory, "none") });
+    expect(await journal.pending()).toEqual([]);
+  });
+});
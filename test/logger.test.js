@@ -0,0 +1,212 @@
+const winston = require("winston");
+const { LLMWhispererClientV2 } = require("../index");
+const { createLogger, redact } = require("../src/logger");
+
+function createV2Client(opts = {}) {
+  return new LLMWhispererClientV2({
+    baseUrl: "https://test.example.com/v2",
+    apiKey: "secret-api-key",
+    maxRetries: 0,
+    ...opts,
+  });
+}
+
+function recordingLogger() {
+  const calls = [];
+  const logger = {};
+  for (const level of ["debug", "info", "warn", "error"]) {
+    logger[level] = (...args) => calls.push([level, ...args]);
+  }
+  return { logger, calls };
+}
+
+describe("client logger", () => {
+  test("logs nothing by default", () => {
+    const createLoggerSpy = jest.spyOn(winston, "createLogger");
+    const client = createV2Client();
+
+    client.logger.warn("ignored", { a: 1 });
+
+    expect(createLoggerSpy).not.toHaveBeenCalled();
+    createLoggerSpy.mockRestore();
+  });
+
+  test("logs to the console through winston when a level is set", () => {
+    const createLoggerSpy = jest.spyOn(winston, "createLogger");
+    createV2Client({ loggingLevel: "ERROR" });
+    expect(createLoggerSpy).toHaveBeenCalledWith(
+      expect.objectContaining({ level: "error" }),
+    );
+    createLoggerSpy.mockRestore();
+  });
+
+  test("sends structured fields to an injected logger", async () => {
+    const { logger, calls } = recordingLogger();
+    const client = createV2Client({ logger });
+    client.client.defaults.adapter = async (config) => ({
+      status: 200,
+      data: { status: "processing" },
+      headers: {},
+      config,
+    });
+
+    await client.whisperStatus("h1");
+
+    expect(calls).toContainEqual([
+      "debug",
+      "whisper_status called",
+      {
+        url: "https://test.example.com/v2/whisper-status",
+        params: { whisper_hash: "h1" },
+      },
+    ]);
+  });
+
+  test("redacts the API key and webhook tokens", async () => {
+    const { logger, calls } = recordingLogger();
+    const client = createV2Client({ logger });
+    client.client.defaults.adapter = async (config) => {
+      if (config.method === "post") {
+        return { status: 201, data: {}, headers: {}, config };
+      }
+      const error = new Error("Request failed with status code 500");
+      error.config = config;
+      error.isAxiosError = true;
+      error.response = { status: 500, data: {}, headers: {}, config };
+      throw error;
+    };
+
+    await client.registerWebhook("https://example.com/hook", "hook-token", "w");
+    await expect(client.whisperStatus("h1")).rejects.toThrow();
+
+    const logged = JSON.stringify(calls);
+    expect(logged).not.toContain("secret-api-key");
+    expect(logged).not.toContain("hook-token");
+    expect(calls).toContainEqual([
+      "debug",
+      "register_webhook called",
+      expect.objectContaining({
+        data: expect.objectContaining({ auth_token: "[REDACTED]" }),
+      }),
+    ]);
+    expect(calls).toContainEqual([
+      "debug",
+      "whisper_status failed",
+      {
+        whisperHash: "h1",
+        error: {
+          name: "Error",
+          message: "Request failed with status code 500",
+          statusCode: 500,
+        },
+      },
+    ]);
+  });
+
+  test("drops messages below the level", () => {
+    const { logger, calls } = recordingLogger();
+    const client = createV2Client({ logger, loggingLevel: "warn" });
+
+    client.logger.debug("hidden");
+    client.logger.warn("shown");
+
+    expect(calls).toEqual([["warn", "shown"]]);
+  });
+
+  test("passes fields first to pino and bunyan", () => {
+    const pinoCalls = [];
+    const pino = {
+      levels: { values: {} },
+      bindings: () => ({}),
+      info: (...args) => pinoCalls.push(args),
+    };
+    const bunyanCalls = [];
+    const bunyan = {
+      streams: [],
+      fields: {},
+      warn: (...args) => bunyanCalls.push(args),
+    };
+
+    createLogger({ logger: pino }).info("hello", { apiKey: "k" });
+    createLogger({ logger: bunyan }).warn("hello", { id: 1 });
+
+    expect(pinoCalls).toEqual([[{ apiKey: "[REDACTED]" }, "hello"]]);
+    expect(bunyanCalls).toEqual([[{ id: 1 }, "hello"]]);
+  });
+
+  test("maps other winston and pino levels to the nearest supported one", () => {
+    const { logger, calls } = recordingLogger();
+    const verbose = createV2Client({ logger, loggingLevel: "verbose" });
+    const http = createLogger({ logger, level: "http" });
+    calls.length = 0;
+
+    verbose.logger.debug("shown");
+    http.debug("hidden");
+    http.info("shown");
+
+    expect(calls).toEqual([
+      ["debug", "shown"],
+      ["info", "shown"],
+    ]);
+  });
+
+  test("warns about an unknown level and falls back to info", () => {
+    const { logger, calls } = recordingLogger();
+    const previous = process.env.LLMWHISPERER_LOGGING_LEVEL;
+    process.env.LLMWHISPERER_LOGGING_LEVEL = "LOUD";
+    let client;
+    try {
+      client = createV2Client({ logger });
+    } finally {
+      if (previous === undefined) {
+        delete process.env.LLMWHISPERER_LOGGING_LEVEL;
+      } else {
+        process.env.LLMWHISPERER_LOGGING_LEVEL = previous;
+      }
+    }
+    client.logger.debug("hidden");
+
+    expect(calls).toEqual([
+      [
+        "warn",
+        "Unknown loggingLevel, using the default",
+        {
+          loggingLevel: "loud",
+          level: "info",
+          levels: ["error", "warn", "info", "debug"],
+        },
+      ],
+    ]);
+  });
+
+  test("validates the logger", () => {
+    expect(() => createV2Client({ logger: {} })).toThrow(/logger must have/);
+  });
+});
+
+describe("redact", () => {
+  test("masks secret keys and secret strings at any depth", () => {
+    expect(
+      redact(
+        {
+          headers: { "unstract-key": "abc", Authorization: "Bearer t" },
+          nested: [{ authToken: "t", token: "t", note: "key=abc" }],
+          empty: { password: "" },
+        },
+        ["abc"],
+      ),
+    ).toEqual({
+      headers: { "unstract-key": "[REDACTED]", Authorization: "[REDACTED]" },
+      nested: [
+        { authToken: "[REDACTED]", token: "[REDACTED]", note: "key=[REDACTED]" },
+      ],
+      empty: { password: "" },
+    });
+  });
+
+  test("handles circular values", () => {
+    const value = { name: "a" };
+    value.self = value;
+    expect(redact(value)).toEqual({ name: "a", self: "[Circular]" });
+  });
+});
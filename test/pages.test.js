@@ -0,0 +1,87 @@
+const fs = require("fs");
+const path = require("path");
+const { parsePages } = require("../index");
+const { parsePageRange } = require("../src/pages");
+
+const creditCard = fs.readFileSync(
+  path.join(
+    __dirname,
+    "data",
+    "expected",
+    "credit_card.native_text.layout_preserving.txt",
+  ),
+  "utf-8",
+);
+
+describe("parsePageRange", () => {
+  test("parses pages, ranges and open ranges", () => {
+    expect(parsePageRange("1-3, 7,21-")).toEqual([
+      { start: 1, end: 3 },
+      { start: 7, end: 7 },
+      { start: 21, end: Infinity },
+    ]);
+    expect(parsePageRange("")).toEqual([]);
+    expect(parsePageRange("3-1")).toBeNull();
+  });
+});
+
+describe("parsePages", () => {
+  test("splits a real extraction on the default separator", () => {
+    const pages = parsePages({ result_text: creditCard });
+
+    expect(pages).toHaveLength(7);
+    expect(pages.map((page) => page.pageNumber)).toEqual([1, 2, 3, 4, 5, 6, 7]);
+    expect(pages[1].text).toContain("p. 2/7");
+    expect(pages[6].text).toContain("End of Important Notices.");
+    expect(pages.every((page) => !page.text.includes("<<<"))).toBe(true);
+    expect(pages[0].lines[0].lineNumber).toBeNull();
+  });
+
+  test("numbers pages after the source document when pagesToExtract is given", () => {
+    const text = ["a", "<<<", "b", "<<<", "c", "<<<", "d", "<<<", ""].join(
+      "\n",
+    );
+
+    const pages = parsePages(text, { pagesToExtract: "5-6,2,9-" });
+
+    expect(pages.map((page) => [page.pageNumber, page.text])).toEqual([
+      [2, "a"],
+      [5, "b"],
+      [6, "c"],
+      [9, "d"],
+    ]);
+  });
+
+  test("handles a custom separator, form feeds and a missing trailing separator", () => {
+    const text = "first\n--- page ---\f\nsecond\r\nline two";
+
+    const pages = parsePages(text, { pageSeparator: "--- page ---" });
+
+    expect(pages.map((page) => page.text)).toEqual([
+      "first",
+      "second\nline two",
+    ]);
+  });
+
+  test("keeps addLineNos numbering for getHighlightData", () => {
+    const text = "0x01: Invoice\n0x02: Total 42\n<<<\n0x03: Thanks\n12: Bye";
+
+    const pages = parsePages(text, { addLineNos: true });
+
+    expect(pages[0].lines).toEqual([
+      { lineNumber: 1, text: "Invoice" },
+      { lineNumber: 2, text: "Total 42" },
+    ]);
+    expect(pages[1].lines.map((line) => line.lineNumber)).toEqual([3, 12]);
+    expect(pages[0].text).toBe("Invoice\nTotal 42");
+  });
+
+  test("leaves number-like text alone without addLineNos", () => {
+    const [page] = parsePages("10: item");
+    expect(page.lines).toEqual([{ lineNumber: null, text: "10: item" }]);
+  });
+
+  test("rejects input without result_text", () => {
+    expect(() => parsePages({})).toThrow(TypeError);
+  });
+});
@@ -0,0 +1,172 @@
+const { LLMWhispererClientV2 } = require("../index");
+const {
+  nextPollDelay,
+  parseRetryAfter,
+  resolvePollPolicy,
+} = require("../src/polling");
+
+function createV2Client(opts = {}) {
+  return new LLMWhispererClientV2({
+    baseUrl: "https://test.example.com/v2",
+    apiKey: "test-key",
+    loggingLevel: "error",
+    maxRetries: 0,
+    ...opts,
+  });
+}
+
+/**
+ * Helper: serves /whisper-status from a queue of [body, headers] pairs
+ * and records when each status call was made.
+ */
+function statusAdapter(statuses) {
+  const calls = [];
+  const adapter = (config) => {
+    const endpoint = new URL(config.url).pathname.split("/").pop();
+    if (endpoint === "whisper") {
+      return Promise.resolve({
+        status: 202,
+        data: { whisper_hash: "h1", status: "processing" },
+        headers: {},
+        config,
+      });
+    }
+    if (endpoint === "whisper-retrieve") {
+      return Promise.resolve({
+        status: 200,
+        data: { result_text: "done" },
+        headers: {},
+        config,
+      });
+    }
+    calls.push(Date.now());
+    const [data, headers = {}] = statuses.shift();
+    return Promise.resolve({ status: 200, data, headers, config });
+  };
+  return { adapter, calls };
+}
+
+describe("nextPollDelay", () => {
+  test("defaults to a fixed 5 second interval", () => {
+    const policy = resolvePollPolicy();
+    expect(nextPollDelay(policy, { attempt: 1 })).toBe(5);
+    expect(nextPollDelay(policy, { attempt: 10 })).toBe(5);
+  });
+
+  test("backs off exponentially up to maxInterval", () => {
+    const policy = resolvePollPolicy({
+      initialInterval: 1,
+      backoffFactor: 2,
+      maxInterval: 6,
+    });
+    const delays = [1, 2, 3, 4].map((attempt) =>
+      nextPollDelay(policy, { attempt }),
+    );
+    expect(delays).toEqual([1, 2, 4, 6]);
+  });
+
+  test("uses a custom interval function when given", () => {
+    const interval = jest.fn(({ elapsed }) => (elapsed < 10 ? 1 : 15));
+    const policy = resolvePollPolicy({ interval });
+    const lastStatus = { status: "processing" };
+    expect(nextPollDelay(policy, { attempt: 3, elapsed: 2, lastStatus })).toBe(
+      1,
+    );
+    expect(nextPollDelay(policy, { attempt: 4, elapsed: 12 })).toBe(15);
+    expect(interval).toHaveBeenCalledWith({
+      attempt: 3,
+      elapsed: 2,
+      lastStatus,
+    });
+  });
+
+  test("rejects an interval that does not return a delay", () => {
+    for (const returned of [NaN, undefined, -1, "5"]) {
+      const policy = resolvePollPolicy({ interval: () => returned });
+      expect(() => nextPollDelay(policy, { attempt: 1, elapsed: 0 })).toThrow(
+        /pollPolicy.interval must return a non-negative number of seconds/,
+      );
+    }
+    const immediate = resolvePollPolicy({ interval: () => 0 });
+    expect(nextPollDelay(immediate, { attempt: 1, elapsed: 0 })).toBe(0);
+  });
+
+  test("honours a longer Retry-After unless disabled", () => {
+    const policy = resolvePollPolicy({ initialInterval: 1 });
+    expect(nextPollDelay(policy, { attempt: 1, retryAfter: 7 })).toBe(7);
+    expect(nextPollDelay(policy, { attempt: 1, retryAfter: 0.5 })).toBe(1);
+    const ignoring = resolvePollPolicy({
+      initialInterval: 1,
+      respectRetryAfter: false,
+    });
+    expect(nextPollDelay(ignoring, { attempt: 1, retryAfter: 7 })).toBe(1);
+  });
+
+  test("rejects invalid settings", () => {
+    expect(() => resolvePollPolicy({ initialInterval: 0 })).toThrow(
+      /initialInterval/,
+    );
+    expect(() => createV2Client({ pollPolicy: { interval: 5 } })).toThrow(
+      /interval must be a function/,
+    );
+  });
+});
+
+describe("parseRetryAfter", () => {
+  test("accepts seconds and HTTP dates", () => {
+    expect(parseRetryAfter("3")).toBe(3);
+    expect(parseRetryAfter(undefined)).toBeUndefined();
+    expect(parseRetryAfter("soon")).toBeUndefined();
+    const inTenSeconds = new Date(Date.now() + 10000).toUTCString();
+    expect(parseRetryAfter(inTenSeconds)).toBeGreaterThan(8);
+  });
+});
+
+describe("poll policy in waits", () => {
+  test("whisper() passes attempt and last status to the client policy", async () => {
+    const interval = jest.fn(() => 0.01);
+    const client = createV2Client({ pollPolicy: { interval } });
+    const { adapter } = statusAdapter([
+      [{ status: "accepted" }],
+      [{ status: "processing" }],
+      [{ status: "processed" }],
+    ]);
+    client.client.defaults.adapter = adapter;
+
+    const result = await client.whisper({
+      url: "https://example.com/a.pdf",
+      waitForCompletion: true,
+    });
+
+    expect(result.status_code).toBe(200);
+    expect(interval.mock.calls.map(([c]) => c.attempt)).toEqual([1, 2]);
+    expect(interval.mock.calls[0][0].lastStatus.status).toBe("accepted");
+  });
+
+  test("a per-call policy overrides the client policy", async () => {
+    const clientInterval = jest.fn(() => 60);
+    const client = createV2Client({ pollPolicy: { interval: clientInterval } });
+    const { adapter } = statusAdapter([
+      [{ status: "processing" }],
+      [{ status: "processed" }],
+    ]);
+    client.client.defaults.adapter = adapter;
+
+    await client.job("h1").wait({ pollPolicy: { interval: () => 0.01 } });
+
+    expect(clientInterval).not.toHaveBeenCalled();
+  });
+
+  test("a Retry-After hint from whisper-status stretches the next sleep", async () => {
+    const client = createV2Client({ pollPolicy: { initialInterval: 0.01 } });
+    const { adapter, calls } = statusAdapter([
+      [{ status: "processing" }, { "retry-after": "0.2" }],
+      [{ status: "processed" }],
+    ]);
+    client.client.defaults.adapter = adapter;
+
+    await client.job("h1").wait();
+
+    expect(calls[1] - calls[0]).toBeGreaterThanOrEqual(190);
+  });
+});
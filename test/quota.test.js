@@ -0,0 +1,201 @@
+const fs = require("fs");
+const path = require("path");
+const {
+  LLMWhispererAbortError,
+  LLMWhispererClientV2,
+  LLMWhispererQuotaExceededError,
+  QuotaGuard,
+} = require("../index");
+const { estimatePages } = require("../src/pages");
+const { countDocumentPages } = require("../src/quota");
+
+function createV2Client(opts = {}) {
+  return new LLMWhispererClientV2({
+    baseUrl: "https://test.example.com/v2",
+    apiKey: "test-key",
+    loggingLevel: "error",
+    maxRetries: 0,
+    ...opts,
+  });
+}
+
+// A 7-page PDF.
+const creditCard = path.join(__dirname, "data", "credit_card.pdf");
+
+/**
+ * Helper: answers /get-usage-info with `usage` and accepts every upload,
+ * counting the calls made to each endpoint.
+ */
+function quotaClient(quotaGuard, usage = {}) {
+  const client = createV2Client({ quotaGuard });
+  const counts = {};
+  client.client.defaults.adapter = async (config) => {
+    const endpoint = new URL(config.url).pathname.split("/").pop();
+    counts[endpoint] = (counts[endpoint] || 0) + 1;
+    if (config.data && typeof config.data.pipe === "function") {
+      for await (const chunk of config.data) void chunk;
+    }
+    if (endpoint === "get-usage-info") {
+      const data = {
+        current_page_count: 0,
+        daily_quota: 0,
+        monthly_quota: 0,
+        overage_page_count: 0,
+        subscription_plan: "test",
+        today_page_count: 0,
+        ...usage,
+      };
+      return { status: 200, data, headers: {}, config };
+    }
+    const data = { whisper_hash: "h1", status: "accepted" };
+    return { status: 202, data, headers: {}, config };
+  };
+  return { client, counts };
+}
+
+describe("page estimates", () => {
+  test("reads the page count of PDFs on disk and in memory", async () => {
+    expect(await countDocumentPages({ filePath: creditCard })).toBe(7);
+    expect(
+      await countDocumentPages({ body: fs.readFileSync(creditCard) }),
+    ).toBe(7);
+    expect(await countDocumentPages({ body: Buffer.from("plain text") })).toBe(
+      null,
+    );
+  });
+
+  test("applies pagesToExtract", () => {
+    expect(estimatePages(7)).toBe(7);
+    expect(estimatePages(7, "1-2,6-")).toBe(4);
+    expect(estimatePages(null)).toBe(1);
+    expect(estimatePages(null, "2-4,9-")).toBe(4);
+  });
+});
+
+describe("quota guard", () => {
+  test("refuses an upload that would pass maxPagesPerDay before sending it", async () => {
+    const { client, counts } = quotaClient(
+      { maxPagesPerDay: 100 },
+      { today_page_count: 95 },
+    );
+
+    const error = await client
+      .whisper({ filePath: creditCard })
+      .catch((e) => e);
+
+    expect(error).toBeInstanceOf(LLMWhispererQuotaExceededError);
+    expect(error).toMatchObject({
+      statusCode: -1,
+      requestedPages: 7,
+      usage: { today_page_count: 95 },
+    });
+    expect(error.message).toMatch(/95 of 100 pages \(maxPagesPerDay\)/);
+    expect(counts.whisper).toBeUndefined();
+  });
+
+  test("reuses usage within usageTtl and counts the pages it let through", async () => {
+    const { client, counts } = quotaClient({ maxPagesPerDay: 19 });
+
+    await client.whisper({ filePath: creditCard });
+    await client.whisper({ filePath: creditCard, pagesToExtract: "1-6" });
+    await expect(client.whisper({ filePath: creditCard })).rejects.toThrow(
+      LLMWhispererQuotaExceededError,
+    );
+
+    expect(counts["get-usage-info"]).toBe(1);
+    expect(counts.whisper).toBe(2);
+  });
+
+  test("refetches usage once it is older than usageTtl", async () => {
+    const { client, counts } = quotaClient({
+      maxPagesPerDay: 10,
+      usageTtl: 0,
+    });
+
+    await client.whisper({ filePath: creditCard });
+    await client.whisper({ filePath: creditCard });
+
+    expect(counts["get-usage-info"]).toBe(2);
+  });
+
+  test("an aborted upload does not abort the usage fetch it shares", async () => {
+    const guard = new QuotaGuard({ maxPagesPerDay: 10 });
+    let release;
+    const client = {
+      logger: { warn: jest.fn() },
+      getUsageInfo: jest.fn(
+        () => new Promise((resolve) => (release = resolve)),
+      ),
+    };
+    const controller = new AbortController();
+
+    const aborted = guard.check(client, 1, { signal: controller.signal });
+    const other = guard.check(client, 1, {
+      signal: new AbortController().signal,
+    });
+    controller.abort("cancelled");
+    await expect(aborted).rejects.toThrow(LLMWhispererAbortError);
+    release({ today_page_count: 0 });
+
+    await expect(other).resolves.toBeUndefined();
+    expect(client.getUsageInfo).toHaveBeenCalledTimes(1);
+    expect(client.getUsageInfo).toHaveBeenCalledWith();
+  });
+
+  test("refuseOverage stops at the plan quotas and once overage has started", async () => {
+    const daily = quotaClient(
+      { refuseOverage: true },
+      { daily_quota: 10, today_page_count: 5 },
+    );
+    await expect(
+      daily.client.whisper({ filePath: creditCard }),
+    ).rejects.toThrow(/\(daily_quota\)/);
+
+    const overage = quotaClient(
+      { refuseOverage: true },
+      { overage_page_count: 3 },
+    );
+    await expect(
+      overage.client.whisper({ url: "https://example.com/a.pdf" }),
+    ).rejects.toThrow(/in overage \(3 pages\)/);
+
+    const allowed = quotaClient(
+      { refuseOverage: true },
+      { monthly_quota: 1000, current_page_count: 10 },
+    );
+    await allowed.client.whisper({ filePath: creditCard });
+    expect(allowed.counts.whisper).toBe(1);
+  });
+
+  test("warns once as each threshold is crossed", async () => {
+    const onWarning = jest.fn();
+    const guard = new QuotaGuard({ maxPagesPerDay: 20, onWarning });
+    const { client } = quotaClient(guard, { today_page_count: 2 });
+    const warn = jest.spyOn(client.logger, "warn");
+
+    await client.whisper({ filePath: creditCard });
+    await client.whisper({ filePath: creditCard });
+    expect(onWarning).toHaveBeenCalledWith({
+      limit: "maxPagesPerDay",
+      threshold: 0.8,
+      used: 16,
+      max: 20,
+    });
+    await client.whisper({ filePath: creditCard, pagesToExtract: "1-2" });
+
+    expect(onWarning.mock.calls.map(([w]) => w.threshold)).toEqual([0.8, 0.9]);
+    expect(warn).toHaveBeenCalledWith("Page usage crossed a warning threshold", {
+      limit: "maxPagesPerDay",
+      threshold: 0.9,
+      used: 18,
+      max: 20,
+    });
+  });
+
+  test("rejects invalid options", () => {
+    expect(() => createV2Client({ quotaGuard: { maxPagesPerDay: 0 } })).toThrow(
+      /maxPagesPerDay must be a positive integer/,
+    );
+    expect(() => new QuotaGuard({ warnAt: [80] })).toThrow(/warnAt/);
+  });
+});
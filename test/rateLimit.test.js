@@ -0,0 +1,210 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  FileRateLimitStore,
+  LLMWhispererAbortError,
+  LLMWhispererClientV2,
+  MemoryRateLimitStore,
+  RateLimiter,
+} = require("../index");
+
+function createV2Client(opts = {}) {
+  return new LLMWhispererClientV2({
+    baseUrl: "https://test.example.com/v2",
+    apiKey: "test-key",
+    loggingLevel: "error",
+    maxRetries: 0,
+    ...opts,
+  });
+}
+
+/** Helper: answers every endpoint, or with a 429 while `limited` is set. */
+function mockAdapter(client, state = { limited: false, retryAfter: "2" }) {
+  client.client.defaults.adapter = async (config) => {
+    if (state.limited) {
+      const error = new Error("Request failed with status code 429");
+      error.config = config;
+      error.isAxiosError = true;
+      const headers = { "retry-after": state.retryAfter };
+      error.response = { status: 429, data: {}, headers, config };
+      throw error;
+    }
+    const endpoint = new URL(config.url).pathname.split("/").pop();
+    if (endpoint === "whisper") {
+      const data = { whisper_hash: "h1", status: "accepted" };
+      return { status: 202, data, headers: {}, config };
+    }
+    return { status: 200, data: { status: "processing" }, headers: {}, config };
+  };
+  return state;
+}
+
+let now;
+let clock;
+let directory;
+
+beforeEach(() => {
+  now = 1000000;
+  clock = jest.spyOn(Date, "now").mockImplementation(() => now);
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), "llmwhisperer-rate-"));
+});
+
+afterEach(() => {
+  clock.mockRestore();
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+describe("RateLimiter", () => {
+  test("lets a burst through, then spaces requests at the rate", async () => {
+    const limiter = new RateLimiter({ requests: { rate: 100, burst: 2 } });
+
+    const held = [];
+    for (let i = 0; i < 4; i++) {
+      held.push(await limiter.acquire("requests"));
+    }
+
+    expect(held).toEqual([0, 0, 10, 20]);
+    expect(await limiter.acquire("uploads")).toBe(0);
+  });
+
+  test("pauses for Retry-After and halves the rate after a 429", async () => {
+    const store = new MemoryRateLimitStore();
+    const limiter = new RateLimiter({ uploads: { rate: 100, burst: 2 }, store });
+
+    await limiter.throttle("uploads", 0.01);
+    await limiter.throttle("uploads", 0.001);
+
+    expect(store._states.get("uploads")).toEqual({
+      pausedUntil: now + 10,
+      slowedTo: 0.5,
+      slowedAt: now,
+    });
+    // 20ms apart at half rate, and the bucket starts empty after the pause.
+    expect(await limiter.acquire("uploads")).toBe(10);
+    expect(await limiter.acquire("uploads")).toBe(30);
+  });
+
+  test("recovers the full rate over a minute", async () => {
+    const store = new MemoryRateLimitStore();
+    const limiter = new RateLimiter({ requests: { rate: 1000, burst: 1 }, store });
+    await limiter.throttle("requests", 0);
+    now += 2000;
+    await limiter.throttle("requests", 0);
+    expect(store._states.get("requests").slowedTo).toBeCloseTo(0.2667, 3);
+
+    now += 60000;
+    await limiter.acquire("requests");
+    expect(store._states.get("requests").tat).toBe(now + 1);
+  });
+
+  test("validates budgets and the store", () => {
+    expect(() => new RateLimiter({ uploads: { rate: 0 } })).toThrow(
+      /rateLimiter.uploads.rate must be a positive number/,
+    );
+    expect(() => new RateLimiter({ requests: { rate: 1, burst: 1.5 } })).toThrow(
+      /rateLimiter.requests.burst must be a positive integer/,
+    );
+    expect(() => new RateLimiter({ store: {} })).toThrow(
+      /rateLimiter.store must implement update/,
+    );
+  });
+});
+
+describe("FileRateLimitStore", () => {
+  test("serializes updates from several stores on one directory", async () => {
+    const stores = [
+      new FileRateLimitStore({ directory }),
+      new FileRateLimitStore({ directory }),
+    ];
+
+    await Promise.all(
+      Array.from({ length: 20 }, (_, i) =>
+        stores[i % 2].update("requests", (state = { count: 0 }) => ({
+          count: state.count + 1,
+        })),
+      ),
+    );
+
+    const file = path.join(directory, "requests.json");
+    expect(JSON.parse(fs.readFileSync(file, "utf-8"))).toEqual({ count: 20 });
+    expect(fs.readdirSync(directory)).toEqual(["requests.json"]);
+  });
+
+  test("breaks a lock left by a crashed process", async () => {
+    clock.mockRestore();
+    const store = new FileRateLimitStore({ directory, lockTimeout: 1 });
+    const lock = path.join(directory, "uploads.json.lock");
+    fs.writeFileSync(lock, "");
+    const old = new Date(Date.now() - 5000);
+    fs.utimesSync(lock, old, old);
+
+    await expect(store.update("uploads", () => ({ tat: 1 }))).resolves.toEqual({
+      tat: 1,
+    });
+    expect(fs.existsSync(lock)).toBe(false);
+  });
+});
+
+describe("client rate limiting", () => {
+  test("draws uploads and other calls from separate buckets", async () => {
+    const client = createV2Client({
+      rateLimiter: { uploads: { rate: 1 }, requests: { rate: 100 } },
+    });
+    mockAdapter(client);
+    const acquire = jest.spyOn(client.rateLimiter, "acquire");
+
+    await client.whisper({ url: "https://example.com/a.pdf" });
+    await client.whisperStatus("h1");
+    await client.getUsageInfo();
+
+    expect(acquire.mock.calls.map(([bucket]) => bucket)).toEqual([
+      "uploads",
+      "requests",
+      "requests",
+    ]);
+  });
+
+  test("slows down the bucket of a call that got a 429", async () => {
+    const limiter = new RateLimiter({ requests: { rate: 10 } });
+    const client = createV2Client({ rateLimiter: limiter });
+    mockAdapter(client, { limited: true, retryAfter: "2" });
+    const throttle = jest.spyOn(limiter, "throttle");
+
+    await expect(client.whisperStatus("h1")).rejects.toThrow();
+
+    expect(throttle).toHaveBeenCalledWith("requests", 2);
+  });
+
+  test("a held request can be aborted", async () => {
+    clock.mockRestore();
+    const client = createV2Client({
+      rateLimiter: { requests: { rate: 0.1, burst: 1 } },
+    });
+    mockAdapter(client);
+    await client.getUsageInfo();
+    const controller = new AbortController();
+    setTimeout(() => controller.abort("shutting down"), 20);
+
+    await expect(
+      client.getUsageInfo({ signal: controller.signal }),
+    ).rejects.toThrow(LLMWhispererAbortError);
+  });
+
+  test("a failing store is logged and the request sent", async () => {
+    const store = {
+      update: async () => {
+        throw new Error("disk full");
+      },
+    };
+    const client = createV2Client({ rateLimiter: { requests: { rate: 1 }, store } });
+    mockAdapter(client);
+    const warn = jest.spyOn(client.logger, "warn");
+
+    await client.getUsageInfo();
+
+    expect(warn).toHaveBeenCalledWith("Could not update the rate limit", {
+      error: expect.objectContaining({ message: "disk full" }),
+    });
+  });
+});
@@ -0,0 +1,128 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  LLMWhispererClientException,
+  LLMWhispererClientV2,
+  LLMWhispererNotFoundError,
+  createFakeServer,
+} = require("../index");
+
+function createV2Client(opts = {}) {
+  return new LLMWhispererClientV2({
+    apiKey: "test-key",
+    loggingLevel: "error",
+    maxRetries: 0,
+    pollPolicy: { initialInterval: 0.01 },
+    ...opts,
+  });
+}
+
+let directory;
+let dir;
+let filePath;
+let server;
+let baseUrl;
+
+beforeEach(async () => {
+  directory = fs.mkdtempSync(path.join(os.tmpdir(), "llmwhisperer-recorder-"));
+  dir = path.join(directory, "cassettes");
+  filePath = path.join(directory, "invoice.pdf");
+  fs.writeFileSync(filePath, "%PDF-1.4 invoice");
+  server = createFakeServer({ apiKey: "test-key" });
+  server.addFixture(
+    { filename: "invoice.pdf" },
+    { pages: ["ACME Invoice"], processingTime: 0.03 },
+  );
+  baseUrl = await server.listen();
+});
+
+afterEach(async () => {
+  await server.close();
+  fs.rmSync(directory, { recursive: true, force: true });
+});
+
+async function record() {
+  const client = createV2Client({ baseUrl, recorder: { mode: "record", dir } });
+  return client.whisper({ filePath, waitForCompletion: true });
+}
+
+describe("recorder", () => {
+  test("replays a recorded extraction without the server", async () => {
+    const recorded = await record();
+    await server.close();
+
+    const client = createV2Client({ baseUrl, recorder: { mode: "replay", dir } });
+    const replayed = await client.whisper({ filePath, waitForCompletion: true });
+
+    expect(recorded.extraction.result_text).toContain("ACME Invoice");
+    expect(replayed.extraction).toEqual(recorded.extraction);
+    expect(replayed.whisper_hash).toBe(recorded.whisper_hash);
+  });
+
+  test("saves one cassette per request with the API key redacted", async () => {
+    await record();
+
+    const names = fs.readdirSync(dir).sort();
+    expect(names.map((n) => n.replace(/-[0-9a-f]{16}\.json$/, ""))).toEqual([
+      "get-whisper-retrieve",
+      "get-whisper-status",
+      "post-whisper",
+    ]);
+    const contents = names.map((n) => fs.readFileSync(path.join(dir, n), "utf-8"));
+    expect(contents.join("")).not.toContain("test-key");
+    const whisper = JSON.parse(contents[2]);
+    expect(whisper.request.headers["unstract-key"]).toBe("[REDACTED]");
+    expect(whisper.request.bodySha256).toMatch(/^[0-9a-f]{64}$/);
+    expect(whisper.responses).toHaveLength(1);
+    const status = JSON.parse(contents[1]);
+    expect(status.responses.map((r) => r.body.json.status)).toContain(
+      "processed",
+    );
+  });
+
+  test("fails loudly when a request was not recorded", async () => {
+    await record();
+    fs.writeFileSync(filePath, "%PDF-1.4 another invoice");
+    const client = createV2Client({ baseUrl, recorder: { mode: "replay", dir } });
+
+    const error = await client.whisper({ filePath }).catch((e) => e);
+
+    expect(error).toBeInstanceOf(LLMWhispererClientException);
+    expect(error.statusCode).toBe(-1);
+    expect(error.message).toMatch(/No recorded response for POST whisper\?/);
+  });
+
+  test("replays error responses as errors", async () => {
+    const recording = createV2Client({
+      baseUrl,
+      recorder: { mode: "record", dir },
+    });
+    await expect(recording.whisperStatus("unknown")).rejects.toThrow(
+      LLMWhispererNotFoundError,
+    );
+
+    const client = createV2Client({ baseUrl, recorder: { mode: "replay", dir } });
+    await expect(client.whisperStatus("unknown")).rejects.toThrow(
+      LLMWhispererNotFoundError,
+    );
+  });
+
+  test("passthrough neither records nor replays", async () => {
+    const client = createV2Client({
+      baseUrl,
+      recorder: { mode: "passthrough", dir },
+    });
+    await client.whisper({ filePath, waitForCompletion: true });
+    expect(fs.existsSync(dir)).toBe(false);
+  });
+
+  test("validates its options", () => {
+    expect(() => createV2Client({ recorder: { mode: "live", dir } })).toThrow(
+      /recorder.mode must be one of record, replay, passthrough/,
+    );
+    expect(() => createV2Client({ recorder: { mode: "replay" } })).toThrow(
+      /recorder.dir is required/,
+    );
+  });
+});
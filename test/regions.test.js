@@ -0,0 +1,278 @@
+const fs = require("fs");
+const http = require("http");
+const path = require("path");
+const {
+  LLMWhispererAuthenticationError,
+  LLMWhispererClientV2,
+  createFakeServer,
+} = require("../index");
+
+const PRIMARY = "https://us.example.com/v2";
+const SECONDARY = "https://eu.example.com/v2";
+
+function createV2Client(opts = {}) {
+  return new LLMWhispererClientV2({
+    baseUrls: [PRIMARY, SECONDARY],
+    apiKey: "test-key",
+    loggingLevel: "error",
+    maxRetries: 0,
+    pollPolicy: { initialInterval: 0.01 },
+    ...opts,
+  });
+}
+
+/** Helper: answers every endpoint, failing requests to the regions in `down` with `status`. */
+function mockAdapter(client, { down = [], status = 503 } = {}) {
+  const urls = [];
+  client.client.defaults.adapter = async (config) => {
+    urls.push(config.url);
+    if (down.some((base) => config.url.startsWith(base))) {
+      const error = new Error(`Request failed with status code ${status}`);
+      error.config = config;
+      error.isAxiosError = true;
+      error.response = { status, data: {}, headers: {}, config };
+      throw error;
+    }
+    const endpoint = new URL(config.url).pathname.split("/").pop();
+    if (endpoint === "whisper") {
+      const data = { whisper_hash: "h1", status: "accepted" };
+      return { status: 202, data, headers: {}, config };
+    }
+    const data = { status: "processed", result_text: "text" };
+    return { status: 200, data, headers: {}, config };
+  };
+  return urls;
+}
+
+/** Helper: a base URL nothing listens on. */
+async function closedBaseUrl() {
+  const server = http.createServer();
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const { port } = server.address();
+  await new Promise((resolve) => server.close(resolve));
+  return `http://127.0.0.1:${port}/api/v2`;
+}
+
+describe("multi-region failover", () => {
+  let server;
+
+  afterEach(async () => {
+    if (server) await server.close();
+    server = null;
+  });
+
+  test("fails over on a network error and keeps the job in the region that accepted it", async () => {
+    server = createFakeServer({ apiKey: "test-key" });
+    const secondary = await server.listen();
+    const client = createV2Client({
+      baseUrls: [await closedBaseUrl(), secondary],
+      maxRetries: 1,
+      initialDelay: 0.001,
+      jitter: 0,
+    });
+
+    const result = await client.whisper({
+      data: Buffer.from("%PDF-1.4"),
+      filename: "invoice.pdf",
+      waitForCompletion: true,
+    });
+
+    expect(result.status_code).toBe(200);
+    expect(server.requests.map((r) => r.endpoint)).toEqual([
+      "whisper",
+      "whisper-status",
+      "whisper-retrieve",
+    ]);
+    expect(client.job(result.whisper_hash).baseUrl).toBe(secondary);
+  });
+
+  test("skips a failed region until its cooldown ends", async () => {
+    let now = 1000000;
+    const clock = jest.spyOn(Date, "now").mockImplementation(() => now);
+    const client = createV2Client({ failoverCooldown: 30 });
+    const down = [PRIMARY];
+    const urls = mockAdapter(client, { down });
+
+    await expect(client.getUsageInfo()).rejects.toThrow();
+    down.length = 0;
+    await client.getUsageInfo();
+    now += 30000;
+    await client.getUsageInfo();
+    clock.mockRestore();
+
+    expect(urls).toEqual([
+      `${PRIMARY}/get-usage-info`,
+      `${SECONDARY}/get-usage-info`,
+      `${PRIMARY}/get-usage-info`,
+    ]);
+  });
+
+  test("retries move to the next region but rate limits do not", async () => {
+    const client = createV2Client({ maxRetries: 1, initialDelay: 0.001, jitter: 0 });
+    const urls = mockAdapter(client, { down: [PRIMARY] });
+    await client.getUsageInfo();
+    expect(urls).toEqual([
+      `${PRIMARY}/get-usage-info`,
+      `${SECONDARY}/get-usage-info`,
+    ]);
+
+    const limited = createV2Client({ maxRetries: 1, initialDelay: 0.001, jitter: 0 });
+    const limitedUrls = mockAdapter(limited, { down: [PRIMARY], status: 429 });
+    await expect(limited.getUsageInfo()).rejects.toThrow();
+    expect(limitedUrls).toEqual([
+      `${PRIMARY}/get-usage-info`,
+      `${PRIMARY}/get-usage-info`,
+    ]);
+  });
+
+  test("calls about a job never leave its region", async () => {
+    const client = createV2Client({ maxRetries: 1, initialDelay: 0.001, jitter: 0 });
+    const job = client.job("h1", {}, { baseUrl: SECONDARY });
+    const urls = mockAdapter(client, { down: [SECONDARY] });
+
+    await expect(job.status()).rejects.toThrow();
+    await client.getUsageInfo();
+
+    expect(urls).toEqual([
+      `${SECONDARY}/whisper-status`,
+      `${SECONDARY}/whisper-status`,
+      `${PRIMARY}/get-usage-info`,
+    ]);
+  });
+
+  test("a saved job finds its region again", async () => {
+    const client = createV2Client();
+    const down = [PRIMARY];
+    mockAdapter(client, { down });
+    await expect(client.getUsageInfo()).rejects.toThrow();
+    down.length = 0;
+    const job = await client.whisper({
+      url: "https://example.com/a.pdf",
+      returnJob: true,
+    });
+    const saved = JSON.parse(JSON.stringify(job));
+    expect(saved).toEqual({ whisperHash: "h1", baseUrl: SECONDARY });
+
+    const restarted = createV2Client();
+    const urls = mockAdapter(restarted);
+    await restarted.job(saved.whisperHash, {}, saved).result();
+
+    expect(urls).toEqual([
+      `${SECONDARY}/whisper-status`,
+      `${SECONDARY}/whisper-retrieve`,
+    ]);
+  });
+
+  test("validates the base URLs", () => {
+    expect(() => createV2Client({ baseUrls: [] })).toThrow(
+      /baseUrls must be a non-empty array/,
+    );
+    expect(() => createV2Client({ failoverCooldown: -1 })).toThrow(
+      /failoverCooldown must be a number/,
+    );
+  });
+});
+
+describe("API key provider", () => {
+  let server;
+  let baseUrl;
+
+  beforeEach(async () => {
+    server = createFakeServer({ apiKey: "key-1" });
+    baseUrl = await server.listen();
+  });
+
+  afterEach(async () => {
+    await server.close();
+  });
+
+  test("fetches the key once and refreshes it after a 401", async () => {
+    const keys = ["key-1", "key-2"];
+    const provider = jest.fn(async () => keys.shift());
+    const client = createV2Client({ baseUrls: undefined, baseUrl, apiKey: "", apiKeyProvider: provider });
+
+    await client.getUsageInfo();
+    await client.getUsageInfo();
+    server.apiKey = "key-2";
+    await client.registerWebhook("https://example.com/hook", "token", "w");
+
+    expect(provider.mock.calls).toEqual([[{ refresh: false }], [{ refresh: true }]]);
+    expect(client.apiKey).toBe("key-2");
+    expect(server.requests.map((r) => r.headers["unstract-key"])).toEqual([
+      "key-1",
+      "key-1",
+      "key-1",
+      "key-2",
+    ]);
+    expect(server.webhooks.has("w")).toBe(true);
+  });
+
+  test("shares one refresh between concurrent requests", async () => {
+    let version = 0;
+    const provider = jest.fn(async () => `key-${++version}`);
+    const client = createV2Client({ baseUrls: undefined, baseUrl, apiKeyProvider: provider });
+    await client.getUsageInfo();
+    server.apiKey = "key-2";
+
+    await Promise.all([client.getUsageInfo(), client.getUsageInfo()]);
+
+    expect(provider).toHaveBeenCalledTimes(2);
+    expect(client.apiKey).toBe("key-2");
+  });
+
+  test("gives up after one refresh and redacts every key", async () => {
+    const logger = { warn: jest.fn(), debug: jest.fn() };
+    const client = createV2Client({
+      baseUrls: undefined,
+      baseUrl,
+      logger,
+      loggingLevel: "debug",
+      apiKeyProvider: async ({ refresh }) => (refresh ? "stale-2" : "stale-1"),
+    });
+
+    await expect(client.getUsageInfo()).rejects.toThrow(
+      LLMWhispererAuthenticationError,
+    );
+    client.logger.debug("keys", { note: "stale-1 stale-2" });
+
+    expect(server.requests).toHaveLength(2);
+    expect(logger.debug).toHaveBeenLastCalledWith("keys", {
+      note: "[REDACTED] [REDACTED]",
+    });
+  });
+
+  test("a rejecting provider fails the upload and closes its stream", async () => {
+    const client = createV2Client({
+      baseUrls: undefined,
+      baseUrl,
+      apiKeyProvider: async () => {
+        throw new Error("vault unreachable");
+      },
+    });
+    const createReadStream = jest.spyOn(fs, "createReadStream");
+
+    await expect(
+      client.whisper({
+        filePath: path.join(__dirname, "data", "credit_card.pdf"),
+      }),
+    ).rejects.toThrow("vault unreachable");
+
+    const [stream] = createReadStream.mock.results.map((r) => r.value);
+    createReadStream.mockRestore();
+    expect(stream.destroyed).toBe(true);
+    expect(server.requests).toHaveLength(0);
+  });
+
+  test("validates the provider", async () => {
+    expect(() => createV2Client({ apiKeyProvider: "key" })).toThrow(
+      /apiKeyProvider must be a function/,
+    );
+    const client = createV2Client({ baseUrls: undefined, baseUrl, apiKeyProvider: () => "" });
+    await expect(client.getUsageInfo()).rejects.toThrow(
+      /apiKeyProvider must return a non-empty string/,
+    );
+    await expect(createV2Client().refreshApiKey()).rejects.toThrow(
+      /refreshApiKey requires an apiKeyProvider/,
+    );
+  });
+});
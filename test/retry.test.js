@@ -6,26 +6,6 @@ const {
   LLMWhispererClientException,
 } = require("../index");
 
-// Silence winston logs during tests
-jest.mock("winston", () => {
-  const noop = () => {};
-  const logger = {
-    debug: noop,
-    info: noop,
-    warn: jest.fn(),
-    error: noop,
-  };
-  return {
-    createLogger: () => logger,
-    format: {
-      combine: () => {},
-      timestamp: () => {},
-      printf: () => {},
-    },
-    transports: { Console: class {} },
-  };
-});
-
 /**
  * Helper: creates an axios adapter mock that returns responses in sequence.
  * This replaces the HTTP adapter so axios-retry interceptors still run.
@@ -314,7 +294,13 @@ describe("File stream re-creation", () => {
 
 describe("Logging on retries", () => {
   test("onRetry logs a warning message", async () => {
-    const client = createV2Client({ maxRetries: 1, jitter: 0 });
+    const logger = { debug() {}, info() {}, warn: jest.fn(), error() {} };
+    const client = createV2Client({
+      maxRetries: 1,
+      jitter: 0,
+      loggingLevel: "warn",
+      logger,
+    });
     const adapter = mockAdapter([
       errorResponse(503, "Service Unavailable"),
       successResponse({ usage: "100" }),
@@ -322,9 +308,11 @@ describe("Logging on retries", () => {
     client.client.defaults.adapter = adapter;
 
     await client.getUsageInfo();
-    expect(client.logger.warn).toHaveBeenCalled();
-    const warnCall = client.logger.warn.mock.calls[0][0];
-    expect(warnCall).toMatch(/Retry 1\//);
-    expect(warnCall).toMatch(/503/);
+    expect(logger.warn).toHaveBeenCalledWith("Retrying request", {
+      attempt: 1,
+      maxRetries: 1,
+      url: "https://test.example.com/v2/get-usage-info",
+      status: 503,
+    });
   });
 });
@@ -0,0 +1,149 @@
+const {
+  LLMWhispererClientV2,
+  LLMWhispererValidationError,
+} = require("../index");
+const { toLinesSpec } = require("../src/search");
+
+function createV2Client(opts = {}) {
+  return new LLMWhispererClientV2({
+    baseUrl: "https://test.example.com/v2",
+    apiKey: "test-key",
+    loggingLevel: "error",
+    maxRetries: 0,
+    ...opts,
+  });
+}
+
+const resultText = [
+  "0x01: ACME Corp Invoice",
+  "0x02: Item        Amount",
+  "0x03: Widgets     10.00",
+  "<<<",
+  "0x04: Gadgets     32.00",
+  "0x05: Invoice total 42.00",
+  "0x06: Thank you",
+  "<<<",
+].join("\n");
+
+function box(line, page) {
+  return {
+    base_y: line * 10,
+    base_y_percent: line,
+    height: 12,
+    height_percent: 1,
+    page,
+    page_height: 1000,
+    raw: [page, line * 10, 12, 1000],
+  };
+}
+
+/**
+ * Helper: serves the extraction above and the highlights for any lines spec,
+ * recording the calls made to each endpoint.
+ */
+function searchClient(text = resultText) {
+  const client = createV2Client();
+  const calls = { retrieve: 0, highlights: [] };
+  client.client.defaults.adapter = (config) => {
+    const endpoint = new URL(config.url).pathname.split("/").pop();
+    let data;
+    if (endpoint === "whisper-retrieve") {
+      calls.retrieve++;
+      data = { result_text: text };
+    } else if (endpoint === "whisper-status") {
+      data = { status: "processed" };
+    } else {
+      calls.highlights.push(config.params.lines);
+      data = Object.fromEntries(
+        [1, 2, 3, 4, 5, 6].map((line) => [line, box(line, line > 3 ? 1 : 0)]),
+      );
+    }
+    return Promise.resolve({ status: 200, data, headers: {}, config });
+  };
+  return { client, calls };
+}
+
+describe("toLinesSpec", () => {
+  test("collapses consecutive lines into ranges", () => {
+    expect(toLinesSpec([7, 1, 3, 2, 9, 10, 2])).toBe("1-3,7,9-10");
+    expect(toLinesSpec([4])).toBe("4");
+  });
+});
+
+describe("findText", () => {
+  test("finds lines case-insensitively and calls highlights once", async () => {
+    const { client, calls } = searchClient();
+
+    const hits = await client.findText("h1", "invoice");
+
+    expect(hits.map((hit) => [hit.pageNumber, hit.lineNumber])).toEqual([
+      [1, 1],
+      [2, 5],
+    ]);
+    expect(hits[0]).toMatchObject({
+      text: "ACME Corp Invoice",
+      match: "Invoice",
+      score: 1,
+      boundingBox: box(1, 0),
+    });
+    expect(calls.highlights).toEqual(["1,5"]);
+  });
+
+  test("honours caseSensitive", async () => {
+    const { client } = searchClient();
+    expect(
+      await client.findText("h1", "invoice", { caseSensitive: true }),
+    ).toEqual([]);
+  });
+
+  test("fuzzy matching tolerates OCR errors", async () => {
+    const { client, calls } = searchClient();
+
+    const hits = await client.findText("h1", "lnvoice totaI", { fuzzy: true });
+
+    expect(hits.map((hit) => hit.lineNumber)).toEqual([5]);
+    expect(hits[0].match).toBe("Invoice total");
+    expect(hits[0].score).toBeGreaterThanOrEqual(0.8);
+    expect(hits[0].score).toBeLessThan(1);
+    expect(calls.highlights).toEqual(["5"]);
+  });
+
+  test("skips the highlights call when nothing matches", async () => {
+    const { client, calls } = searchClient();
+    expect(await client.findText("h1", "refund")).toEqual([]);
+    expect(calls.highlights).toEqual([]);
+  });
+
+  test("reuses a passed extraction and numbers pages from pagesToExtract", async () => {
+    const { client, calls } = searchClient();
+
+    const hits = await client.findText("h1", "gadgets", {
+      extraction: { result_text: resultText },
+      pagesToExtract: "4-5",
+    });
+
+    expect(calls.retrieve).toBe(0);
+    expect(hits[0]).toMatchObject({ pageNumber: 5, lineNumber: 4 });
+  });
+
+  test("WhisperJob.findText retrieves the extraction only once", async () => {
+    const { client, calls } = searchClient();
+    const job = client.job("h1");
+
+    await job.findText("widgets");
+    await job.findText("gadgets");
+
+    expect(calls.retrieve).toBe(1);
+    expect(calls.highlights).toEqual(["3", "4"]);
+  });
+
+  test("rejects extractions without line numbers and empty queries", async () => {
+    const { client } = searchClient("Invoice\n<<<\n");
+    await expect(client.findText("h1", "Invoice")).rejects.toThrow(
+      /addLineNos: true/,
+    );
+    await expect(client.findText("h1", " ")).rejects.toThrow(
+      LLMWhispererValidationError,
+    );
+  });
+});
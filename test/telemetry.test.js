@@ -0,0 +1,319 @@
+const { context } = require("@opentelemetry/api");
+const {
+  AsyncLocalStorageContextManager,
+} = require("@opentelemetry/context-async-hooks");
+const {
+  AggregationTemporality,
+  InMemoryMetricExporter,
+  MeterProvider,
+  PeriodicExportingMetricReader,
+} = require("@opentelemetry/sdk-metrics");
+const {
+  BasicTracerProvider,
+  InMemorySpanExporter,
+  SimpleSpanProcessor,
+} = require("@opentelemetry/sdk-trace-base");
+const { LLMWhispererClientV2 } = require("../index");
+
+function createV2Client(opts = {}) {
+  return new LLMWhispererClientV2({
+    baseUrl: "https://test.example.com/v2",
+    apiKey: "test-key",
+    loggingLevel: "error",
+    maxRetries: 0,
+    pollPolicy: { initialInterval: 0.01 },
+    ...opts,
+  });
+}
+
+/** Helper: serves a two-page job, failing the first `failures` requests with a 503. */
+function mockAdapter(
+  client,
+  {
+    failures = 0,
+    status = "processed",
+    statusCode = 200,
+    result = { result_text: "page one\n<<<\npage two\n<<<\n" },
+  } = {},
+) {
+  let calls = 0;
+  client.client.defaults.adapter = async (config) => {
+    if (++calls <= failures) {
+      const error = new Error("Request failed with status code 503");
+      error.config = config;
+      error.isAxiosError = true;
+      error.response = { status: 503, data: {}, headers: {}, config };
+      throw error;
+    }
+    const endpoint = new URL(config.url).pathname.split("/").pop();
+    if (endpoint === "whisper") {
+      const data = { whisper_hash: "h1", status: "accepted" };
+      return { status: 202, data, headers: {}, config };
+    }
+    if (endpoint === "whisper-status") {
+      const data = { status, message: "Unreadable" };
+      return { status: statusCode, data, headers: {}, config };
+    }
+    return { status: 200, data: result, headers: {}, config };
+  };
+}
+
+let contextManager;
+let spanExporter;
+let tracerProvider;
+let metricExporter;
+let metricReader;
+let meterProvider;
+
+beforeAll(() => {
+  contextManager = new AsyncLocalStorageContextManager().enable();
+  context.setGlobalContextManager(contextManager);
+});
+
+afterAll(() => {
+  context.disable();
+});
+
+beforeEach(() => {
+  spanExporter = new InMemorySpanExporter();
+  tracerProvider = new BasicTracerProvider({
+    spanProcessors: [new SimpleSpanProcessor(spanExporter)],
+  });
+  metricExporter = new InMemoryMetricExporter(
+    AggregationTemporality.CUMULATIVE,
+  );
+  metricReader = new PeriodicExportingMetricReader({
+    exporter: metricExporter,
+    exportIntervalMillis: 60000,
+  });
+  meterProvider = new MeterProvider({ readers: [metricReader] });
+});
+
+afterEach(async () => {
+  await meterProvider.shutdown();
+  await tracerProvider.shutdown();
+});
+
+function instrumentedClient(opts) {
+  return createV2Client({ telemetry: { tracerProvider, meterProvider }, ...opts });
+}
+
+/** Helper: the data points of each metric, by name. */
+async function collectMetrics() {
+  await metricReader.forceFlush();
+  const metrics = {};
+  for (const { scopeMetrics } of metricExporter.getMetrics()) {
+    for (const scope of scopeMetrics) {
+      for (const metric of scope.metrics) {
+        metrics[metric.descriptor.name] = metric.dataPoints;
+      }
+    }
+  }
+  return metrics;
+}
+
+describe("telemetry", () => {
+  test("traces a waited-on whisper as a parent of upload, polls and retrieve", async () => {
+    const client = instrumentedClient();
+    mockAdapter(client);
+
+    await client.whisper({
+      url: "https://example.com/a.pdf",
+      mode: "form",
+      tag: "invoices",
+      waitForCompletion: true,
+    });
+
+    const spans = spanExporter.getFinishedSpans();
+    const parent = spans.find((s) => s.name === "llmwhisperer.whisper");
+    expect(parent.attributes).toMatchObject({
+      "llmwhisperer.mode": "form",
+      "llmwhisperer.output_mode": "line-printer",
+      "llmwhisperer.tag": "invoices",
+      "llmwhisperer.whisper_hash": "h1",
+      "llmwhisperer.status_code": 200,
+    });
+    const children = spans.filter(
+      (s) =>
+        s.parentSpanContext &&
+        s.parentSpanContext.spanId === parent.spanContext().spanId,
+    );
+    expect(children.map((s) => s.name)).toEqual([
+      "llmwhisperer.upload",
+      "llmwhisperer.whisperStatus",
+      "llmwhisperer.whisperRetrieve",
+    ]);
+    expect(children[0].attributes).toMatchObject({
+      "llmwhisperer.mode": "form",
+      "http.request.method": "POST",
+      "http.response.status_code": 202,
+      "llmwhisperer.retry_count": 0,
+    });
+    expect(children[1].attributes).toMatchObject({
+      "llmwhisperer.whisper_hash": "h1",
+      "http.response.status_code": 200,
+    });
+  });
+
+  test("opens a span for other public methods and counts retries", async () => {
+    const client = instrumentedClient({
+      maxRetries: 2,
+      initialDelay: 0.001,
+      jitter: 0,
+    });
+    mockAdapter(client, { failures: 1 });
+
+    await client.whisperStatus("h1");
+
+    const [span] = spanExporter.getFinishedSpans();
+    expect(span.name).toBe("llmwhisperer.whisperStatus");
+    expect(span.attributes).toMatchObject({
+      "llmwhisperer.whisper_hash": "h1",
+      "llmwhisperer.retry_count": 1,
+      "http.response.status_code": 200,
+    });
+    const metrics = await collectMetrics();
+    expect(metrics["llmwhisperer.client.retries"][0]).toMatchObject({
+      attributes: { "llmwhisperer.operation": "whisperStatus" },
+      value: 1,
+    });
+    expect(
+      metrics["llmwhisperer.client.request.duration"][0].value.count,
+    ).toBe(1);
+  });
+
+  test("marks failed calls and jobs as errors", async () => {
+    const client = instrumentedClient();
+    mockAdapter(client, { failures: 1 });
+    await expect(client.getUsageInfo()).rejects.toThrow();
+
+    mockAdapter(client, { status: "error" });
+    await client.whisper({
+      url: "https://example.com/a.pdf",
+      waitForCompletion: true,
+    });
+
+    const spans = spanExporter.getFinishedSpans();
+    const usage = spans.find((s) => s.name === "llmwhisperer.getUsageInfo");
+    expect(usage.status.code).toBe(2);
+    expect(usage.events[0].name).toBe("exception");
+    const whisper = spans.find((s) => s.name === "llmwhisperer.whisper");
+    expect(whisper.status).toEqual({ code: 2, message: "Unreadable" });
+    expect(whisper.attributes["llmwhisperer.status_code"]).toBe(-1);
+  });
+
+  test("marks timed-out and failed jobs as errors", async () => {
+    const client = instrumentedClient();
+    mockAdapter(client, { status: "processing" });
+    const timedOut = await client.whisper({
+      url: "https://example.com/a.pdf",
+      waitForCompletion: true,
+      waitTimeout: 0.05,
+    });
+    mockAdapter(client, { statusCode: 204 });
+    const failed = await client.whisper({
+      url: "https://example.com/a.pdf",
+      waitForCompletion: true,
+    });
+
+    expect(timedOut).toMatchObject({ status_code: -1, statusCode: 202 });
+    expect(failed).toMatchObject({ status_code: 204, statusCode: 202 });
+    const whispers = spanExporter
+      .getFinishedSpans()
+      .filter((s) => s.name === "llmwhisperer.whisper");
+    expect(whispers.map((s) => s.status)).toEqual([
+      { code: 2, message: "Whisper client operation timed out" },
+      { code: 2, message: "Whisper client operation failed" },
+    ]);
+    expect(
+      whispers.map((s) => s.attributes["llmwhisperer.status_code"]),
+    ).toEqual([-1, 204]);
+    const metrics = await collectMetrics();
+    expect(metrics["llmwhisperer.client.job.duration"][0]).toMatchObject({
+      attributes: { "llmwhisperer.outcome": "failed" },
+      value: expect.objectContaining({ count: 2 }),
+    });
+  });
+
+  test("records pages and job duration", async () => {
+    const client = instrumentedClient();
+    mockAdapter(client);
+
+    await client.whisper({
+      url: "https://example.com/a.pdf",
+      waitForCompletion: true,
+    });
+
+    const metrics = await collectMetrics();
+    expect(metrics["llmwhisperer.client.pages"][0]).toMatchObject({
+      attributes: {
+        "llmwhisperer.mode": "high_quality",
+        "llmwhisperer.output_mode": "line-printer",
+      },
+      value: 2,
+    });
+    expect(metrics["llmwhisperer.client.job.duration"][0]).toMatchObject({
+      attributes: { "llmwhisperer.outcome": "processed" },
+      value: expect.objectContaining({ count: 1 }),
+    });
+  });
+
+  test("an extraction the page counter cannot parse is still returned", async () => {
+    for (const telemetry of [false, { tracerProvider, meterProvider }]) {
+      const client = createV2Client({ telemetry });
+      mockAdapter(client, { result: { text: "x" } });
+
+      const result = await client.whisper({
+        url: "https://example.com/a.pdf",
+        waitForCompletion: true,
+      });
+
+      expect(result.status_code).toBe(200);
+      expect(result.extraction).toEqual({ text: "x" });
+    }
+    const metrics = await collectMetrics();
+    expect(metrics["llmwhisperer.client.pages"]).toBeUndefined();
+    expect(metrics["llmwhisperer.client.job.duration"][0]).toMatchObject({
+      attributes: { "llmwhisperer.outcome": "processed" },
+    });
+  });
+
+  test("records nothing when turned off", async () => {
+    const client = instrumentedClient({ telemetry: false });
+    mockAdapter(client);
+
+    await client.whisper({
+      url: "https://example.com/a.pdf",
+      waitForCompletion: true,
+    });
+
+    expect(spanExporter.getFinishedSpans()).toEqual([]);
+  });
+
+  test("is a no-op without @opentelemetry/api", async () => {
+    let isolated;
+    jest.isolateModules(() => {
+      jest.doMock("@opentelemetry/api", () => {
+        const error = new Error("Cannot find module '@opentelemetry/api'");
+        error.code = "MODULE_NOT_FOUND";
+        throw error;
+      });
+      isolated = require("../index");
+    });
+    const client = new isolated.LLMWhispererClientV2({
+      baseUrl: "https://test.example.com/v2",
+      loggingLevel: "error",
+      maxRetries: 0,
+      pollPolicy: { initialInterval: 0.01 },
+    });
+    mockAdapter(client);
+
+    const result = await client.whisper({
+      url: "https://example.com/a.pdf",
+      waitForCompletion: true,
+    });
+
+    expect(result.status_code).toBe(200);
+    expect(client.telemetry.api).toBeNull();
+  });
+});
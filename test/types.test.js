@@ -0,0 +1,57 @@
+const fs = require("fs");
+const path = require("path");
+const exported = require("../index");
+
+/**
+ * Keeps index.d.ts honest: every class and function it declares must exist
+ * at runtime, and classes must have the declared methods. The type-level checks live in test/types/.
+ */
+const declarations = fs.readFileSync(
+  path.join(__dirname, "..", "index.d.ts"),
+  "utf-8",
+);
+
+function declaredClasses() {
+  const classes = {};
+  const classRe = /export declare class (\w+)[^{]*\{(?:\}|([\s\S]*?)\n\})/g;
+  let match;
+  while ((match = classRe.exec(declarations)) !== null) {
+    const body = match[2] || "";
+    const methods = [...body.matchAll(/^ {2}(\w+)(?:<[^>]*>)?\(/gm)]
+      .map((m) => m[1])
+      .filter((name) => name !== "constructor");
+    classes[match[1]] = [...new Set(methods)];
+  }
+  return classes;
+}
+
+function declaredFunctions() {
+  return [
+    ...new Set(
+      [...declarations.matchAll(/export declare function (\w+)/g)].map(
+        (m) => m[1],
+      ),
+    ),
+  ];
+}
+
+describe("index.d.ts", () => {
+  const classes = declaredClasses();
+
+  test("declares the runtime exports", () => {
+    expect([...Object.keys(classes), ...declaredFunctions()].sort()).toEqual(
+      Object.keys(exported)
+        .filter((name) => typeof exported[name] === "function")
+        .sort(),
+    );
+  });
+
+  test.each(Object.entries(classes))(
+    "%s declares only methods that exist",
+    (name, methods) => {
+      for (const method of methods) {
+        expect(typeof exported[name].prototype[method]).toBe("function");
+      }
+    },
+  );
+});
@@ -0,0 +1,437 @@
+/**
+ * Compile-time checks for index.d.ts, run with `npm run typecheck`.
+ * The package is imported through its own entry point so the declarations
+ * are resolved exactly as consumers see them.
+ */
+import {
+  CircuitBreaker,
+  CircuitState,
+  ClientMethod,
+  createFakeServer,
+  FileJournal,
+  FileSystemCache,
+  FakeJob,
+  FileRateLimitStore,
+  HighlightData,
+  JournalEntry,
+  LLMWhispererAbortError,
+  LLMWhispererCircuitOpenError,
+  LLMWhispererClientException,
+  LLMWhispererClientV2,
+  LLMWhispererQuotaExceededError,
+  LLMWhispererRateLimitError,
+  parsePages,
+  QuotaGuard,
+  RateLimiter,
+  ResultPage,
+  TextMatch,
+  UsageInfo,
+  WebhookAction,
+  WebhookDetails,
+  WhisperAcceptedResult,
+  WhisperCompletedResult,
+  WhisperDetail,
+  WhisperExtraction,
+  WhisperFailedResult,
+  WhisperJob,
+  WhisperStatusResult,
+  WhisperTimedOutResult,
+} from "../..";
+import { Readable } from "stream";
+
+type Equal<A, B> =
+  (<T>() => T extends A ? 1 : 2) extends <T>() => T extends B ? 1 : 2
+    ? true
+    : false;
+declare function assertType<T extends true>(): void;
+declare function expectType<T>(value: T): void;
+
+const client = new LLMWhispererClientV2({
+  apiKey: "key",
+  loggingLevel: "info",
+  maxRetries: 2,
+});
+new LLMWhispererClientV2();
+
+async function checks(): Promise<void> {
+  // whisper(): async path
+  const accepted = await client.whisper({ filePath: "doc.pdf" });
+  assertType<Equal<typeof accepted, WhisperAcceptedResult>>();
+  expectType<202>(accepted.statusCode);
+  expectType<string>(accepted.whisper_hash);
+
+  // whisper(): waitForCompletion path, discriminated on status
+  const completed = await client.whisper({
+    url: "https://example.com/doc.pdf",
+    mode: "form",
+    outputMode: "layout_preserving",
+    lineSplitterStrategy: "right-priority",
+    waitForCompletion: true,
+  });
+  assertType<Equal<typeof completed, WhisperCompletedResult>>();
+  if (completed.status === "processed") {
+    expectType<200>(completed.status_code);
+    expectType<WhisperExtraction>(completed.extraction);
+    expectType<string>(completed.extraction.result_text);
+  } else if (completed.status === "error") {
+    expectType<-1>(completed.status_code);
+    // @ts-expect-error only timed-out and failed results keep the upload's statusCode
+    void completed.statusCode;
+  } else if (completed.message === "Whisper client operation timed out") {
+    assertType<Equal<typeof completed, WhisperTimedOutResult>>();
+    expectType<-1>(completed.status_code);
+    expectType<202>(completed.statusCode);
+    expectType<"accepted" | "processing">(completed.status);
+  } else {
+    assertType<Equal<typeof completed, WhisperFailedResult>>();
+    expectType<number>(completed.status_code);
+    expectType<202>(completed.statusCode);
+    expectType<"accepted" | "processing">(completed.status);
+  }
+
+  // whisper(): non-literal flag widens to the union
+  const flag: boolean = Math.random() > 0.5;
+  const either = await client.whisper({ waitForCompletion: flag });
+  assertType<
+    Equal<typeof either, WhisperAcceptedResult | WhisperCompletedResult>
+  >();
+
+  // whisper(): in-memory and streamed sources
+  await client.whisper({ data: Buffer.from("%PDF"), filename: "a.pdf" });
+  await client.whisper({ data: new Blob(["%PDF"]) });
+  await client.whisper({ stream: Readable.from([]), contentLength: 4 });
+  // @ts-expect-error data must be binary
+  await client.whisper({ data: 42 });
+
+  // @ts-expect-error unknown mode
+  await client.whisper({ mode: "highquality" });
+  // @ts-expect-error unknown output mode
+  await client.whisper({ outputMode: "markdown" });
+  // @ts-expect-error unknown line splitter strategy
+  await client.whisper({ lineSplitterStrategy: "centre" });
+
+  // whisperBatch(): per-item results narrowed on `ok`
+  const batch = await client.whisperBatch(["a.pdf", { url: "https://x/y" }], {
+    concurrency: 2,
+    mode: "low_cost",
+    onProgress: ({ completed, total }) => expectType<number>(completed + total),
+  });
+  for (const item of batch.results) {
+    if (item.ok) {
+      expectType<WhisperExtraction>(item.result.extraction);
+    } else {
+      expectType<Error>(item.error);
+    }
+  }
+  const queued = await client.whisperBatch(["a.pdf"], {
+    waitForCompletion: false,
+  });
+  if (queued.results[0].ok) {
+    expectType<string>(queued.results[0].result.whisper_hash);
+  }
+  // @ts-expect-error batch items are whisper() results, not job handles
+  await client.whisperBatch(["a.pdf"], { returnJob: true });
+  // @ts-expect-error not per item either
+  await client.whisperBatch([{ url: "https://x/y", returnJob: true }]);
+
+  // whisper(): returnJob yields a WhisperJob
+  const job = await client.whisper({ filePath: "a.pdf", returnJob: true });
+  assertType<Equal<typeof job, WhisperJob>>();
+  await job.wait({
+    timeout: 60,
+    pollPolicy: { initialInterval: 1, backoffFactor: 2, maxInterval: 20 },
+    signal: new AbortController().signal,
+  });
+  await client.whisper({
+    url: "https://x/y",
+    waitForCompletion: true,
+    pollPolicy: {
+      interval: ({ elapsed, lastStatus }) =>
+        lastStatus.status === "accepted" ? 1 : Math.min(elapsed, 10),
+    },
+  });
+  expectType<string>((await job.result()).result_text);
+  expectType<HighlightData>(await job.highlights("1-3"));
+  const rehydrated = client.job(job.toJSON().whisperHash);
+  expectType<WhisperDetail>(await rehydrated.detail());
+
+  const status = await client.whisperStatus("hash");
+  assertType<Equal<typeof status, WhisperStatusResult>>();
+  expectType<"accepted" | "processing" | "processed" | "error" | "retrieved">(
+    status.status,
+  );
+
+  const retrieved = await client.whisperRetrieve("hash");
+  expectType<WhisperExtraction>(retrieved.extraction);
+
+  const detail = await client.whisperDetail("hash");
+  assertType<Equal<typeof detail, WhisperDetail>>();
+
+  const usage = await client.getUsageInfo();
+  assertType<Equal<typeof usage, UsageInfo>>();
+
+  const highlights = await client.getHighlightData("hash", "1-5", true);
+  assertType<Equal<typeof highlights, HighlightData>>();
+  expectType<number>(highlights["1"].page);
+  expectType<[number, number, number, number]>(highlights["1"].raw);
+
+  const registered = await client.registerWebhook("url", "token", "name");
+  expectType<201>(registered.status_code);
+  const webhook = await client.getWebhookDetails("name");
+  assertType<Equal<typeof webhook.message, WebhookDetails>>();
+  expectType<200>((await client.updateWebhookDetails("n", "u", "t")).status_code);
+  expectType<string>((await client.deleteWebhookDetails("n")).message.message);
+
+  const ensured = await client.ensureWebhook(
+    { name: "n", url: "u", authToken: "t" },
+    { dryRun: true },
+  );
+  expectType<WebhookAction>(ensured.action);
+  expectType<string | null>(ensured.changes[0].from);
+  const synced = await client.syncWebhooks([{ name: "n", url: "u" }], {
+    remove: ["old"],
+  });
+  expectType<number>(synced.summary.deleted);
+  // @ts-expect-error a webhook needs a url
+  await client.ensureWebhook({ name: "n" });
+
+  try {
+    await client.whisperRetrieve("hash");
+  } catch (e) {
+    if (e instanceof LLMWhispererClientException) {
+      expectType<number>(e.statusCode);
+      expectType<string>(e.errorMessage());
+      expectType<Error>(e);
+      expectType<unknown>(e.responseBody);
+      expectType<string | undefined>(e.whisperHash);
+    }
+    if (e instanceof LLMWhispererRateLimitError) {
+      expectType<number | undefined>(e.retryAfter);
+    }
+  }
+
+  // Page parsing
+  const pages = parsePages(await client.job("hash").result(), {
+    pagesToExtract: "2-",
+    addLineNos: true,
+  });
+  assertType<Equal<typeof pages, ResultPage[]>>();
+  expectType<number | null>(pages[0].lines[0].lineNumber);
+  parsePages("text");
+
+  // Text search
+  const hits = await client.findText("hash", "total", { fuzzy: 0.7 });
+  assertType<Equal<typeof hits, TextMatch[]>>();
+  expectType<number | undefined>(hits[0].boundingBox?.base_y);
+  await client.job("hash").findText("total", { caseSensitive: true });
+  // @ts-expect-error the job passes its own extraction
+  await client.job("hash").findText("total", { extraction: { result_text: "" } });
+
+  // Result cache
+  const cachingClient = new LLMWhispererClientV2({
+    cache: new FileSystemCache({ ttl: 3600 }),
+  });
+  const fresh = await cachingClient.whisper({
+    filePath: "doc.pdf",
+    waitForCompletion: true,
+    cache: "refresh",
+  });
+  if (fresh.status === "processed") {
+    expectType<boolean | undefined>(fresh.cached);
+  }
+  // @ts-expect-error only true, false or "refresh"
+  await cachingClient.whisper({ filePath: "doc.pdf", cache: "skip" });
+
+  // Pre-flight inspection
+  const report = await client.inspect("scan.tiff", { pagesToExtract: "1-3" });
+  expectType<number | null>(report.pageCount);
+  expectType<string[]>(report.problems);
+  if (report.type === "pdf") {
+    expectType<boolean>(report.encrypted);
+  }
+  await client.inspect(new Uint8Array(4), { maxFileSize: 1024 });
+  await client.whisper({ filePath: "scan.pdf", inspect: true });
+  await client.whisper({ filePath: "scan.pdf", inspect: { maxPages: 50 } });
+  // @ts-expect-error pagesToExtract comes from the whisper() options
+  await client.whisper({ filePath: "scan.pdf", inspect: { pagesToExtract: "1" } });
+
+  // Fake server
+  const fake = createFakeServer({ apiKey: "k", processingTime: 0.5 });
+  const fakeClient = new LLMWhispererClientV2({
+    baseUrl: await fake.listen(),
+    apiKey: "k",
+  });
+  fake
+    .addFixture({ filename: "a.pdf" }, { pages: ["one", "two"] })
+    .addFixture((job) => job.tag === "broken", { error: "Unreadable" })
+    .respondNext("whisper-status", { status: 429, headers: { "retry-after": "1" } });
+  // @ts-expect-error only the API's endpoints can be scripted
+  fake.respondNext("whisper-list", { status: 500 });
+  await fakeClient.getUsageInfo();
+  expectType<FakeJob | undefined>(fake.jobs.get("fake-1"));
+  await fake.close();
+
+  // Logger
+  const logged = new LLMWhispererClientV2({ logger: console, loggingLevel: "warn" });
+  logged.logger.warn("Something happened", { whisperHash: "abc" });
+  new LLMWhispererClientV2({ logger: { info: (fields: object, message: string) => undefined } });
+  new LLMWhispererClientV2({ loggingLevel: "VERBOSE" });
+  // @ts-expect-error levels are error, warn, info, debug or a winston or pino alias
+  new LLMWhispererClientV2({ loggingLevel: "loud" });
+  // @ts-expect-error the client logger takes fields as an object
+  logged.logger.info("Something happened", "abc");
+
+  // Lifecycle hooks
+  const hooked = new LLMWhispererClientV2({
+    hooks: {
+      beforeRequest: ({ headers, params }) => {
+        headers["x-correlation-id"] = "abc";
+        params.trace = 1;
+      },
+      afterResponse: async ({ method, status, durationMs }) => {
+        expectType<ClientMethod | undefined>(method);
+        expectType<[number, number]>([status, durationMs]);
+      },
+      onError: ({ error }) =>
+        expectType<LLMWhispererClientException>(error),
+    },
+  });
+  hooked.use([
+    { onPollStatus: ({ status }) => expectType<string>(status.status) },
+    { onJobComplete: ({ whisperHash }) => expectType<string>(whisperHash) },
+  ]);
+  // @ts-expect-error hooks are functions
+  new LLMWhispererClientV2({ hooks: { onRetry: true } });
+  // @ts-expect-error only the documented hooks exist
+  hooked.use({ beforeSend: () => undefined });
+
+  // Telemetry
+  new LLMWhispererClientV2({ telemetry: false });
+  new LLMWhispererClientV2({
+    telemetry: {
+      tracerProvider: { getTracer: () => ({}) },
+      meterProvider: { getMeter: () => ({}) },
+    },
+  });
+  // @ts-expect-error telemetry can only be turned off, not on
+  new LLMWhispererClientV2({ telemetry: true });
+
+  // Regions and key rotation
+  const regional = new LLMWhispererClientV2({
+    baseUrls: ["https://us.example.com/v2", "https://eu.example.com/v2"],
+    failoverCooldown: 30,
+    apiKeyProvider: async ({ refresh }) => (refresh ? "new" : "old"),
+  });
+  expectType<string>(regional.regions.active());
+  expectType<string>(await regional.refreshApiKey());
+  const saved = regional.job("hash").toJSON();
+  expectType<string | undefined>(saved.baseUrl);
+  expectType<string>(regional.job(saved.whisperHash, {}, saved).baseUrl);
+  // @ts-expect-error the provider returns the key
+  new LLMWhispererClientV2({ apiKeyProvider: () => 42 });
+
+  // Recorder
+  new LLMWhispererClientV2({ recorder: { mode: "replay", dir: "test/cassettes" } });
+  new LLMWhispererClientV2({ recorder: null });
+  // @ts-expect-error only record, replay and passthrough are modes
+  new LLMWhispererClientV2({ recorder: { mode: "live", dir: "test/cassettes" } });
+
+  // Rate limiter
+  const limited = new LLMWhispererClientV2({
+    rateLimiter: {
+      uploads: { rate: 2, burst: 4 },
+      requests: { rate: 20 },
+      store: new FileRateLimitStore({ directory: "/tmp/llmwhisperer-rate" }),
+    },
+  });
+  if (limited.rateLimiter) {
+    expectType<number>(await limited.rateLimiter.acquire("uploads"));
+  }
+  new LLMWhispererClientV2({ rateLimiter: new RateLimiter() });
+  // @ts-expect-error budgets are per uploads or requests
+  new RateLimiter({ status: { rate: 1 } });
+
+  // Circuit breaker
+  const breaking = new LLMWhispererClientV2({
+    circuitBreaker: {
+      failureRate: 0.5,
+      cooldown: 30,
+      onStateChange: ({ from, to }) => expectType<[CircuitState, CircuitState]>([from, to]),
+    },
+  });
+  const circuit = breaking.circuitState();
+  if (circuit) {
+    expectType<CircuitState>(circuit.state);
+    expectType<number>(circuit.retryAfter);
+  }
+  new LLMWhispererClientV2({ circuitBreaker: new CircuitBreaker({ minimumRequests: 5 }) });
+  try {
+    await breaking.getUsageInfo();
+  } catch (e) {
+    if (e instanceof LLMWhispererCircuitOpenError) {
+      expectType<number>(e.retryAfter);
+    }
+  }
+  // @ts-expect-error the states are closed, open and half-open
+  expectType<CircuitState>("shut");
+
+  // Quota guard
+  const guarded = new LLMWhispererClientV2({
+    quotaGuard: {
+      maxPagesPerDay: 500,
+      refuseOverage: true,
+      onWarning: ({ limit, used, max }) =>
+        expectType<[string, number, number]>([limit, used, max]),
+    },
+  });
+  new LLMWhispererClientV2({ quotaGuard: new QuotaGuard({ usageTtl: 30 }) });
+  try {
+    await guarded.whisper({ filePath: "doc.pdf" });
+  } catch (e) {
+    if (e instanceof LLMWhispererQuotaExceededError && e.usage) {
+      expectType<number>(e.usage.today_page_count);
+      expectType<number | undefined>(e.requestedPages);
+    }
+  }
+  // @ts-expect-error maxPagesPerDay is a number
+  new QuotaGuard({ maxPagesPerDay: "500" });
+
+  // Job journal
+  const journaled = new LLMWhispererClientV2({
+    journal: new FileJournal({ directory: "/var/lib/app/journal" }),
+  });
+  const resumed = await journaled.resumePending({
+    concurrency: 2,
+    timeout: 600,
+    onResult: (item) => expectType<string>(item.entry.whisperHash),
+  });
+  for (const item of resumed.results) {
+    if (item.ok) {
+      expectType<string>(item.extraction.result_text);
+    } else {
+      expectType<Error>(item.error);
+    }
+  }
+  if (journaled.journal) {
+    expectType<JournalEntry[]>(await journaled.journal.pending());
+  }
+
+  // Cancellation
+  const { signal } = new AbortController();
+  await client.whisper({ url: "https://x/a.pdf", signal });
+  await client.whisperStatus("hash", { signal });
+  await client.getHighlightData("hash", "1-5", false, { signal });
+  await client.deleteWebhookDetails("n", { signal });
+  await client.job("hash").result({ signal });
+  try {
+    await client.job("hash").wait({ signal });
+  } catch (e) {
+    if (e instanceof LLMWhispererAbortError) {
+      expectType<LLMWhispererClientException>(e);
+      expectType<-1>(e.statusCode);
+      expectType<unknown>(e.reason);
+    }
+  }
+}
+
+void checks;
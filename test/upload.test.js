@@ -0,0 +1,164 @@
+const fs = require("fs");
+const path = require("path");
+const { Readable } = require("stream");
+const {
+  LLMWhispererClientV2,
+  LLMWhispererClientException,
+} = require("../index");
+
+const testFilePath = path.join(__dirname, "data", "credit_card.pdf");
+
+function createV2Client(opts = {}) {
+  return new LLMWhispererClientV2({
+    baseUrl: "https://test.example.com/v2",
+    apiKey: "test-key",
+    loggingLevel: "error",
+    maxRetries: 1,
+    initialDelay: 0.01,
+    jitter: 0,
+    ...opts,
+  });
+}
+
+/**
+ * Helper: records every request config and fails the first `failures`
+ * attempts with a 503 before accepting the upload.
+ */
+function recordingAdapter(failures = 0) {
+  const calls = [];
+  const adapter = (config) => {
+    calls.push(config);
+    if (calls.length <= failures) {
+      const err = new Error("Service Unavailable");
+      err.response = {
+        status: 503,
+        data: { message: "Service Unavailable" },
+        headers: {},
+      };
+      err.config = config;
+      err.isAxiosError = true;
+      return Promise.reject(err);
+    }
+    return Promise.resolve({
+      status: 202,
+      data: { whisper_hash: "v2hash" },
+      headers: {},
+      config,
+    });
+  };
+  return { adapter, calls };
+}
+
+describe("whisper() upload sources", () => {
+  test("Buffer input sets Content-Length and is replayed on retry", async () => {
+    const client = createV2Client();
+    const { adapter, calls } = recordingAdapter(1);
+    client.client.defaults.adapter = adapter;
+    const data = fs.readFileSync(testFilePath);
+
+    const result = await client.whisper({ data, filename: "card.pdf" });
+
+    expect(result.whisper_hash).toBe("v2hash");
+    expect(calls).toHaveLength(2);
+    expect(calls[1].data).toBe(data);
+    expect(Number(calls[1].headers["Content-Length"])).toBe(data.length);
+    expect(calls[1].params.filename).toBe("card.pdf");
+  });
+
+  test("Blob input is buffered and takes its filename from File.name", async () => {
+    const client = createV2Client();
+    const { adapter, calls } = recordingAdapter();
+    client.client.defaults.adapter = adapter;
+    const file = new File([fs.readFileSync(testFilePath)], "statement.pdf");
+
+    await client.whisper({ data: file });
+
+    expect(Buffer.isBuffer(calls[0].data)).toBe(true);
+    expect(Number(calls[0].headers["Content-Length"])).toBe(file.size);
+    expect(calls[0].params.filename).toBe("statement.pdf");
+  });
+
+  test("filePath input infers the filename", async () => {
+    const client = createV2Client();
+    const { adapter, calls } = recordingAdapter();
+    client.client.defaults.adapter = adapter;
+
+    await client.whisper({ filePath: testFilePath });
+
+    expect(calls[0].params.filename).toBe("credit_card.pdf");
+    expect(Number(calls[0].headers["Content-Length"])).toBe(
+      fs.statSync(testFilePath).size,
+    );
+  });
+
+  test("fs.ReadStream input infers size and filename", async () => {
+    const client = createV2Client();
+    const { adapter, calls } = recordingAdapter();
+    client.client.defaults.adapter = adapter;
+
+    await client.whisper({ stream: fs.createReadStream(testFilePath) });
+
+    expect(Number(calls[0].headers["Content-Length"])).toBe(
+      fs.statSync(testFilePath).size,
+    );
+    expect(calls[0].params.filename).toBe("credit_card.pdf");
+  });
+
+  test("generic stream uses the explicit contentLength", async () => {
+    const client = createV2Client();
+    const { adapter, calls } = recordingAdapter();
+    client.client.defaults.adapter = adapter;
+
+    await client.whisper({
+      stream: Readable.from([Buffer.from("%PDF-1.4")]),
+      contentLength: 8,
+    });
+
+    expect(Number(calls[0].headers["Content-Length"])).toBe(8);
+    expect(calls[0].params.filename).toBe("");
+  });
+
+  test("one-shot stream is not retried and says why", async () => {
+    const client = createV2Client({ maxRetries: 3 });
+    const { adapter, calls } = recordingAdapter(1);
+    client.client.defaults.adapter = adapter;
+
+    const promise = client.whisper({
+      stream: Readable.from([Buffer.from("%PDF-1.4")]),
+    });
+
+    await expect(promise).rejects.toThrow(LLMWhispererClientException);
+    await expect(promise).rejects.toThrow(/cannot be replayed/);
+    expect(calls).toHaveLength(1);
+  });
+
+  test("a missing filePath rejects without opening a stream", async () => {
+    const client = createV2Client();
+    const { adapter, calls } = recordingAdapter();
+    client.client.defaults.adapter = adapter;
+    const createReadStream = jest.spyOn(fs, "createReadStream");
+
+    await expect(
+      client.whisper({ filePath: path.join(__dirname, "data", "missing.pdf") }),
+    ).rejects.toThrow(/ENOENT/);
+
+    expect(createReadStream).not.toHaveBeenCalled();
+    expect(calls).toHaveLength(0);
+    createReadStream.mockRestore();
+  });
+
+  test("rejects unsupported data types", async () => {
+    const client = createV2Client();
+    await expect(client.whisper({ data: "not binary" })).rejects.toThrow(
+      /data must be a Buffer/,
+    );
+  });
+
+  test("rejects more than one source", async () => {
+    const client = createV2Client();
+    await expect(
+      client.whisper({ filePath: testFilePath, data: Buffer.from("x") }),
+    ).rejects.toThrow(/Only one of/);
+    await expect(client.whisper({})).rejects.toThrow(/One of url/);
+  });
+});
@@ -0,0 +1,122 @@
+const { LLMWhispererClientV2, LLMWhispererValidationError } = require("../index");
+const { isValidPageRange } = require("../src/validation");
+
+function createV2Client(opts = {}) {
+  return new LLMWhispererClientV2({
+    baseUrl: "https://test.example.com/v2",
+    apiKey: "test-key",
+    loggingLevel: "error",
+    maxRetries: 0,
+    ...opts,
+  });
+}
+
+/**
+ * Helper: a client whose adapter accepts every upload and counts the calls,
+ * so tests can assert that invalid options never reach the API.
+ */
+function countingClient() {
+  const client = createV2Client();
+  const calls = [];
+  client.client.defaults.adapter = (config) => {
+    calls.push(config);
+    return Promise.resolve({
+      status: 202,
+      data: { whisper_hash: "h1", status: "processing" },
+      headers: {},
+      config,
+    });
+  };
+  return { client, calls };
+}
+
+async function rejectionOf(promise) {
+  try {
+    await promise;
+  } catch (error) {
+    return error;
+  }
+  throw new Error("Expected the call to reject");
+}
+
+describe("isValidPageRange", () => {
+  test.each(["", "1", "1-3", "1-5,7,21-", " 2 - 4 , 9 "])(
+    "accepts %p",
+    (value) => {
+      expect(isValidPageRange(value)).toBe(true);
+    },
+  );
+
+  test.each(["1-3,x", "0", "5-2", "1,,2", "-3", "1-2-3", 3])(
+    "rejects %p",
+    (value) => {
+      expect(isValidPageRange(value)).toBe(false);
+    },
+  );
+});
+
+describe("whisper() option validation", () => {
+  test("accepts the defaults", async () => {
+    const { client, calls } = countingClient();
+    await client.whisper({ url: "https://example.com/a.pdf" });
+    expect(calls).toHaveLength(1);
+  });
+
+  test.each([
+    [{ mode: "highquality" }, /mode must be one of .*"high_quality"/],
+    [{ outputMode: "markdown" }, /outputMode must be one of/],
+    [{ lineSplitterStrategy: "middle" }, /lineSplitterStrategy must be one of/],
+    [{ medianFilterSize: 2.5 }, /medianFilterSize must be an integer/],
+    [{ gaussianBlurRadius: -1 }, /gaussianBlurRadius must be a number at least 0/],
+    [{ lineSplitterTolerance: 1.5 }, /lineSplitterTolerance .* between 0 and 1/],
+    [{ horizontalStretchFactor: 0 }, /horizontalStretchFactor .* greater than 0/],
+    [{ pagesToExtract: "1-3,x" }, /pagesToExtract must be a list/],
+    [{ useWebhook: true }, /useWebhook must be the name of a webhook/],
+    [{ webhookMetadata: "{}" }, /webhookMetadata is only delivered to a webhook/],
+    [
+      { useWebhook: "hook", webhookMetadata: { id: 1 } },
+      /webhookMetadata must be a string/,
+    ],
+  ])("rejects %p before uploading", async (options, message) => {
+    const { client, calls } = countingClient();
+
+    const error = await rejectionOf(
+      client.whisper({ url: "https://example.com/a.pdf", ...options }),
+    );
+
+    expect(error).toBeInstanceOf(LLMWhispererValidationError);
+    expect(error.statusCode).toBe(-1);
+    expect(error.message).toMatch(message);
+    expect(calls).toHaveLength(0);
+  });
+
+  test("reports every problem at once", async () => {
+    const { client, calls } = countingClient();
+
+    const error = await rejectionOf(
+      client.whisper({
+        filePath: "doc.pdf",
+        url: "https://example.com/a.pdf",
+        mode: "fast",
+        pagesToExtract: "x",
+      }),
+    );
+
+    expect(error.errors).toHaveLength(3);
+    expect(error.errors[0]).toBe(
+      "Only one of url, filePath, data or stream can be provided",
+    );
+    expect(error.message).toBe(error.errors.join("; "));
+    expect(calls).toHaveLength(0);
+  });
+
+  test("a webhook name with metadata is accepted", async () => {
+    const { client, calls } = countingClient();
+    await client.whisper({
+      url: "https://example.com/a.pdf",
+      useWebhook: "hook",
+      webhookMetadata: '{"id":1}',
+    });
+    expect(calls[0].params.use_webhook).toBe("hook");
+  });
+});
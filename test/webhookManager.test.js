@@ -0,0 +1,189 @@
+const {
+  LLMWhispererAuthenticationError,
+  LLMWhispererClientV2,
+  LLMWhispererValidationError,
+  createFakeServer,
+} = require("../index");
+
+function createV2Client(opts = {}) {
+  return new LLMWhispererClientV2({
+    apiKey: "test-key",
+    loggingLevel: "error",
+    maxRetries: 0,
+    ...opts,
+  });
+}
+
+describe("webhook management", () => {
+  let server;
+  let client;
+
+  beforeEach(async () => {
+    server = createFakeServer({ apiKey: "test-key" });
+    client = createV2Client({ baseUrl: await server.listen() });
+  });
+
+  afterEach(async () => {
+    await server.close();
+  });
+
+  function methods() {
+    return server.requests.map((r) => r.method);
+  }
+
+  test("ensureWebhook creates, then reports unchanged", async () => {
+    const webhook = { name: "w", url: "https://example.com/a", authToken: "t1" };
+
+    expect(await client.ensureWebhook(webhook)).toEqual({
+      name: "w",
+      action: "created",
+      changes: [
+        { field: "url", from: null, to: "https://example.com/a" },
+        { field: "authToken", from: null, to: "[REDACTED]" },
+      ],
+      dryRun: false,
+    });
+    expect(await client.ensureWebhook(webhook)).toMatchObject({
+      action: "unchanged",
+      changes: [],
+    });
+
+    expect(methods()).toEqual(["GET", "POST", "GET"]);
+    expect(server.webhooks.get("w")).toEqual({
+      webhook_name: "w",
+      url: "https://example.com/a",
+      auth_token: "t1",
+    });
+  });
+
+  test("ensureWebhook updates a changed URL or token without showing the token", async () => {
+    await client.registerWebhook("https://example.com/a", "t1", "w");
+
+    const result = await client.ensureWebhook({
+      name: "w",
+      url: "https://example.com/b",
+      authToken: "t2",
+    });
+
+    expect(result).toMatchObject({
+      action: "updated",
+      changes: [
+        { field: "url", from: "https://example.com/a", to: "https://example.com/b" },
+        { field: "authToken", from: "[REDACTED]", to: "[REDACTED]" },
+      ],
+    });
+    expect(server.webhooks.get("w").auth_token).toBe("t2");
+  });
+
+  test("a dry run only reads", async () => {
+    await client.registerWebhook("https://example.com/a", "", "w");
+    server.requests.length = 0;
+
+    const created = await client.ensureWebhook(
+      { name: "new", url: "https://example.com/n" },
+      { dryRun: true },
+    );
+    const updated = await client.ensureWebhook(
+      { name: "w", url: "https://example.com/a", authToken: "t" },
+      { dryRun: true },
+    );
+
+    expect(created).toMatchObject({ action: "created", dryRun: true });
+    expect(updated.changes).toEqual([
+      { field: "authToken", from: "", to: "[REDACTED]" },
+    ]);
+    expect(methods()).toEqual(["GET", "GET"]);
+    expect(server.webhooks.has("new")).toBe(false);
+  });
+
+  test("ensureWebhook passes on errors other than not found", async () => {
+    server.apiKey = "other-key";
+    await expect(
+      client.ensureWebhook({ name: "w", url: "https://example.com/a" }),
+    ).rejects.toThrow(LLMWhispererAuthenticationError);
+    expect(methods()).toEqual(["GET"]);
+  });
+
+  test("syncWebhooks converges a list and deletes the removed names", async () => {
+    await client.registerWebhook("https://example.com/old", "", "keep");
+    await client.registerWebhook("https://example.com/x", "", "stale");
+    await client.registerWebhook("https://example.com/y", "", "same");
+
+    const sync = await client.syncWebhooks(
+      [
+        { name: "keep", url: "https://example.com/new" },
+        { name: "same", url: "https://example.com/y" },
+        { name: "added", url: "https://example.com/z", authToken: "t" },
+      ],
+      { remove: ["stale", "gone"] },
+    );
+
+    expect(sync.results.map((r) => `${r.name}:${r.action}`)).toEqual([
+      "keep:updated",
+      "same:unchanged",
+      "added:created",
+      "stale:deleted",
+      "gone:unchanged",
+    ]);
+    expect(sync.summary).toEqual({
+      created: 1,
+      updated: 1,
+      deleted: 1,
+      unchanged: 2,
+    });
+    expect([...server.webhooks.keys()].sort()).toEqual(["added", "keep", "same"]);
+    expect(server.webhooks.get("keep").url).toBe("https://example.com/new");
+  });
+
+  test("a dry-run sync reports the diff and changes nothing", async () => {
+    await client.registerWebhook("https://example.com/x", "", "stale");
+    const before = new Map(server.webhooks);
+
+    const sync = await client.syncWebhooks(
+      [{ name: "added", url: "https://example.com/z" }],
+      { remove: ["stale"], dryRun: true },
+    );
+
+    expect(sync.results).toEqual([
+      {
+        name: "added",
+        action: "created",
+        changes: [{ field: "url", from: null, to: "https://example.com/z" }],
+        dryRun: true,
+      },
+      {
+        name: "stale",
+        action: "deleted",
+        changes: [{ field: "url", from: "https://example.com/x", to: null }],
+        dryRun: true,
+      },
+    ]);
+    expect(server.webhooks).toEqual(before);
+  });
+
+  test("checks the whole list before sending anything", async () => {
+    const error = await client
+      .syncWebhooks(
+        [
+          { name: "a", url: "https://example.com/a" },
+          { name: "a", url: "https://example.com/b" },
+          { name: "b" },
+        ],
+        { remove: ["b", ""] },
+      )
+      .catch((e) => e);
+
+    expect(error).toBeInstanceOf(LLMWhispererValidationError);
+    expect(error.statusCode).toBe(-1);
+    expect(error.errors).toEqual([
+      'webhook "a" is listed more than once',
+      "webhooks[2].url must be a non-empty string",
+      'webhook "b" is both listed and removed',
+      "remove[1] must be a non-empty string",
+    ]);
+    expect(server.requests).toHaveLength(0);
+    await expect(client.ensureWebhook({ url: "https://example.com" })).rejects.toThrow(
+      /webhook.name must be a non-empty string/,
+    );
+  });
+});
@@ -0,0 +1,214 @@
+const http = require("http");
+const { Readable } = require("stream");
+const {
+  createWebhookHandler,
+  expressWebhookHandler,
+  fastifyWebhookHandler,
+  parseWebhookEvent,
+  LLMWhispererClientException,
+} = require("../index");
+
+const callback = {
+  whisper_hash: "abc|123",
+  result_text: "Invoice total: 42",
+  webhook_metadata: '{"invoiceId":7}',
+  line_metadata: [[0, 0, 0, 0]],
+  confidence_metadata: [],
+  metadata: {},
+};
+
+/**
+ * Helper: serves `handler` on an ephemeral port for the duration of `fn`.
+ */
+async function withServer(handler, fn) {
+  const server = http.createServer(handler);
+  await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+  const { port } = server.address();
+  try {
+    await fn(`http://127.0.0.1:${port}/hook`);
+  } finally {
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
+
+async function post(url, body, headers = {}, method = "POST") {
+  const response = await fetch(url, {
+    method,
+    headers: { "Content-Type": "application/json", ...headers },
+    body: method === "GET" ? undefined : body,
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+describe("parseWebhookEvent", () => {
+  test("maps the callback body onto an event", () => {
+    const event = parseWebhookEvent(JSON.stringify(callback));
+    expect(event.whisperHash).toBe("abc|123");
+    expect(event.webhookMetadata).toBe('{"invoiceId":7}');
+    expect(event.extraction.result_text).toBe("Invoice total: 42");
+    expect(event.extraction.line_metadata).toEqual([[0, 0, 0, 0]]);
+    expect(event.body).toEqual(callback);
+  });
+
+  test.each([
+    ["invalid JSON", "{nope", /valid JSON/],
+    ["a non-object", "[1]", /JSON object/],
+    ["a body without whisper_hash", { result_text: "x" }, /whisper_hash/],
+  ])("rejects %s with 400", (_, body, message) => {
+    expect(() => parseWebhookEvent(body)).toThrow(message);
+    try {
+      parseWebhookEvent(body);
+    } catch (e) {
+      expect(e).toBeInstanceOf(LLMWhispererClientException);
+      expect(e.statusCode).toBe(400);
+    }
+  });
+});
+
+describe("createWebhookHandler", () => {
+  test("requires an authToken and an onEvent callback", () => {
+    expect(() => createWebhookHandler({ onEvent: () => {} })).toThrow(
+      /authToken is required/,
+    );
+    expect(() => createWebhookHandler({ authToken: "" })).toThrow(/onEvent/);
+  });
+
+  test("delivers authenticated callbacks to onEvent", async () => {
+    const onEvent = jest.fn();
+    const handler = createWebhookHandler({ authToken: "secret", onEvent });
+    await withServer(handler, async (url) => {
+      const res = await post(url, JSON.stringify(callback), {
+        Authorization: "Bearer secret",
+      });
+      expect(res.status).toBe(200);
+    });
+    expect(onEvent).toHaveBeenCalledTimes(1);
+    expect(onEvent.mock.calls[0][0].whisperHash).toBe("abc|123");
+  });
+
+  test("rejects bad requests with the matching status code", async () => {
+    const onEvent = jest.fn();
+    const handler = createWebhookHandler({
+      authToken: "secret",
+      onEvent,
+      maxBodySize: 1024,
+    });
+    const auth = { Authorization: "Bearer secret" };
+    await withServer(handler, async (url) => {
+      expect((await post(url, "", auth, "GET")).status).toBe(405);
+      expect((await post(url, JSON.stringify(callback))).status).toBe(401);
+      expect(
+        (
+          await post(url, JSON.stringify(callback), {
+            Authorization: "Bearer wrong",
+          })
+        ).status,
+      ).toBe(401);
+      expect(
+        (await post(url, "x", { ...auth, "Content-Type": "text/plain" }))
+          .status,
+      ).toBe(415);
+      expect((await post(url, "{nope", auth)).status).toBe(400);
+      expect((await post(url, "x".repeat(4096), auth)).status).toBe(413);
+    });
+    expect(onEvent).not.toHaveBeenCalled();
+  });
+
+  test("answers 500 and reports the error when onEvent throws", async () => {
+    const failure = new Error("db down");
+    const onError = jest.fn();
+    const handler = createWebhookHandler({
+      authToken: "",
+      onEvent: () => Promise.reject(failure),
+      onError,
+    });
+    await withServer(handler, async (url) => {
+      const res = await post(url, JSON.stringify(callback));
+      expect(res.status).toBe(500);
+      expect(res.body.message).toBe("Internal error");
+    });
+    expect(onError).toHaveBeenCalledWith(
+      failure,
+      expect.objectContaining({ whisperHash: "abc|123" }),
+    );
+  });
+});
+
+/**
+ * Helper: a minimal stand-in for Express/Fastify response objects.
+ */
+function fakeResponse() {
+  const res = { statusCode: 0, headers: {}, payload: undefined };
+  res.status = res.code = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.set = res.header = (name, value) => {
+    res.headers[name] = value;
+    return res;
+  };
+  res.json = res.send = (payload) => {
+    res.payload = payload;
+    return res;
+  };
+  return res;
+}
+
+describe("framework adapters", () => {
+  test("Express adapter uses a body parsed by express.json()", async () => {
+    const onEvent = jest.fn();
+    const req = Readable.from([]);
+    req.resume();
+    await new Promise((resolve) => req.on("end", resolve));
+    Object.assign(req, {
+      method: "POST",
+      headers: { authorization: "Bearer t" },
+      body: callback,
+    });
+    const res = fakeResponse();
+
+    await expressWebhookHandler({ authToken: "t", onEvent })(req, res, jest.fn());
+
+    expect(res.statusCode).toBe(200);
+    expect(onEvent.mock.calls[0][0].webhookMetadata).toBe('{"invoiceId":7}');
+  });
+
+  test("Express adapter reads the raw body and forwards onEvent errors", async () => {
+    const failure = new Error("boom");
+    const req = Readable.from([Buffer.from(JSON.stringify(callback))]);
+    Object.assign(req, {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+    });
+    const next = jest.fn();
+
+    await expressWebhookHandler({
+      authToken: "",
+      onEvent: () => {
+        throw failure;
+      },
+    })(req, fakeResponse(), next);
+
+    expect(next).toHaveBeenCalledWith(failure);
+  });
+
+  test("Fastify adapter rejects bad tokens and accepts good ones", async () => {
+    const onEvent = jest.fn();
+    const handler = fastifyWebhookHandler({ authToken: "t", onEvent });
+
+    const denied = fakeResponse();
+    await handler(
+      { method: "POST", headers: { authorization: "Bearer x" }, body: callback },
+      denied,
+    );
+    expect(denied.statusCode).toBe(401);
+
+    const allowed = fakeResponse();
+    await handler(
+      { method: "POST", headers: { authorization: "Bearer t" }, body: callback },
+      allowed,
+    );
+    expect(allowed.statusCode).toBe(200);
+    expect(onEvent).toHaveBeenCalledTimes(1);
+  });
+});